@@ -19,13 +19,32 @@ const rankingRoutes = require('./routes/ranking');
 const achievementRoutes = require('./routes/achievement');
 const communityRoutes = require('./routes/community');
 const universityRoutes = require('./routes/university');
+const adminRoutes = require('./routes/admin');
+const partnerRoutes = require('./routes/partner');
 
 // 데이터베이스 설정
-const { testConnection, initializeDatabase } = require('./config/database');
+const { pool, testConnection, initializeDatabase } = require('./config/database');
+const { PgSessionStore, SESSION_TTL_MS } = require('./config/sessionStore');
+const { getLocalUploadDir } = require('./services/storageService');
+const tokenService = require('./services/tokenService');
+const dataExportWorker = require('./jobs/dataExportWorker');
+const autoTransferScheduler = require('./jobs/autoTransferScheduler');
+const settlementScheduler = require('./jobs/settlementScheduler');
+const bankReconciliationScheduler = require('./jobs/bankReconciliationScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 세션 저장소 (PostgreSQL - 재시작/다중 인스턴스에서도 로그인 유지)
+const sessionStore = new PgSessionStore({
+  pool,
+  ttlMs: SESSION_TTL_MS,
+  cleanupIntervalMs: parseInt(process.env.SESSION_CLEANUP_INTERVAL_MS) || undefined
+});
+
+// 리버스 프록시 뒤에서 실제 요청 IP 사용 (로그인 시도 제한)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || false);
+
 // CORS 설정 (개발환경용 - 운영시 도메인 제한 필요)
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -36,15 +55,21 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// 업로드 파일 정적 제공 (로컬 디스크 저장소 사용시)
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use(process.env.UPLOAD_PUBLIC_URL || '/uploads', express.static(getLocalUploadDir()));
+}
+
 // 세션 설정 (학생 인증용)
 app.use(session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || 'dev-secret-key',
   resave: false,
   saveUninitialized: false,
   cookie: {
     secure: process.env.NODE_ENV === 'production', // HTTPS에서만 true
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24시간
+    maxAge: SESSION_TTL_MS // 24시간
   }
 }));
 
@@ -73,6 +98,8 @@ app.use('/api/ranking', rankingRoutes);
 app.use('/api/achievement', achievementRoutes);
 app.use('/api/community', communityRoutes);
 app.use('/api/university', universityRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/partner', partnerRoutes);
 
 // 404 에러 핸들링
 app.use('*', (req, res) => {
@@ -85,7 +112,9 @@ app.use('*', (req, res) => {
       '/api/ranking - 랭킹/챌린지',
       '/api/achievement - 업적 시스템',
       '/api/community - 커뮤니티',
-      '/api/university - 대학 정보'
+      '/api/university - 대학 정보',
+      '/api/admin - 관리자',
+      '/api/partner - 제휴사 연동 (API 키)'
     ]
   });
 });
@@ -103,6 +132,9 @@ app.use((err, req, res, next) => {
 // 데이터베이스 초기화 및 서버 시작
 async function startServer() {
   try {
+    // 토큰 서명 키 확인 (운영 환경에서 JWT_SECRET이 없으면 시작 중단)
+    tokenService.getTokenSecret();
+
     // 데이터베이스 연결 테스트
     console.log('🔗 데이터베이스 연결 확인 중...');
     const isDbConnected = await testConnection();
@@ -118,6 +150,29 @@ async function startServer() {
       console.error('❌ 데이터베이스 초기화에 실패했습니다.');
     }
 
+    // 만료 세션 주기적 정리 시작
+    sessionStore.startCleanup();
+
+    // 개인정보 내보내기 백그라운드 작업 시작
+    dataExportWorker.start({
+      intervalMs: parseInt(process.env.DATA_EXPORT_WORKER_INTERVAL_MS) || undefined
+    });
+
+    // 적금통 자동이체 백그라운드 작업 시작
+    autoTransferScheduler.start({
+      intervalMs: parseInt(process.env.AUTO_TRANSFER_INTERVAL_MS) || undefined
+    });
+
+    // 결과를 모르는 은행 이체 대사 작업 시작
+    bankReconciliationScheduler.start({
+      intervalMs: parseInt(process.env.BANK_RECONCILIATION_INTERVAL_MS) || undefined
+    });
+
+    // 적금통 일일 정산 작업 시작 (매일 KST 자정 직후)
+    settlementScheduler.start({
+      delayMs: parseInt(process.env.SETTLEMENT_DELAY_MS) || undefined
+    });
+
     // 서버 시작
     app.listen(PORT, () => {
       console.log(`🚀 헤이영 캠퍼스 서버가 포트 ${PORT}에서 실행중입니다`);
@@ -7,6 +7,9 @@
  */
 
 const { Pool } = require('pg');
+const { PERMISSIONS, ROLES } = require('./permissions');
+const { UNIVERSITIES } = require('./universities');
+const { SAVING_PRODUCTS } = require('./savingProducts');
 
 /**
  * PostgreSQL 연결 풀 설정
@@ -52,6 +55,38 @@ async function testConnection() {
   }
 }
 
+/**
+ * 일회성 데이터 마이그레이션 실행 (이름별로 한 번만)
+ * 실행 기록(schema_migration)과 데이터 변경을 한 트랜잭션으로 처리하여
+ * 여러 서버가 동시에 시작해도 먼저 기록한 서버만 실행
+ * 
+ * 입력: client (DB 클라이언트), name (마이그레이션 이름), migrate (async (client) => void)
+ * 출력: 이번에 실행했는지 여부 (Promise<boolean>)
+ * 부작용: 마이그레이션 실행 및 실행 기록 추가
+ * 예외: 마이그레이션 실패시 롤백 후 에러 전달 (다음 시작시 다시 실행)
+ */
+async function runMigrationOnce(client, name, migrate) {
+  await client.query('BEGIN');
+
+  try {
+    const claimed = await client.query(`
+      INSERT INTO schema_migration (name) VALUES ($1)
+      ON CONFLICT (name) DO NOTHING
+      RETURNING name
+    `, [name]);
+    if (claimed.rowCount > 0) {
+      await migrate(client);
+      console.log(`✅ 데이터 마이그레이션 완료: ${name}`);
+    }
+
+    await client.query('COMMIT');
+    return claimed.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
 /**
  * 데이터베이스 테이블 초기화 (실제 DB 스키마 반영)
  * DBtable.md 문서의 테이블 구조에 맞춰 생성
@@ -65,6 +100,14 @@ async function initializeDatabase() {
   const client = await pool.connect();
   
   try {
+    // 일회성 데이터 마이그레이션 실행 기록 테이블 (기존 데이터 보정은 runMigrationOnce로 한 번만 실행)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migration (
+        name VARCHAR(100) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
     // 대학 테이블
     await client.query(`
       CREATE TABLE IF NOT EXISTS university (
@@ -75,6 +118,79 @@ async function initializeDatabase() {
       )
     `);
 
+    // 대학 도메인 테이블 (대표/별칭 도메인, 하위 도메인은 조회시 상위 도메인으로 매칭)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS university_domain (
+        id SERIAL PRIMARY KEY,
+        university_id INT REFERENCES university(id) NOT NULL,
+        domain VARCHAR(100) UNIQUE NOT NULL,
+        is_primary BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 미등록 학교 도메인 승인 요청 테이블 (도메인당 1건, 관리자 승인/거절)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS university_domain_request (
+        id SERIAL PRIMARY KEY,
+        domain VARCHAR(100) UNIQUE NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        request_count INT DEFAULT 1,
+        university_id INT REFERENCES university(id),
+        reviewed_by INT,
+        review_note TEXT,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 공식 대학 레지스트리 시드 (config/universities.js 기준)
+    // 자동 생성된 기존 대학(도메인 일치)은 공식 명칭으로 변경하여 소속 사용자 유지
+    for (const { name, domain, aliases } of UNIVERSITIES) {
+      await client.query(`
+        UPDATE university SET name = $1
+        WHERE domain = $2 AND name <> $1
+          AND NOT EXISTS (SELECT 1 FROM university WHERE name = $1)
+      `, [name, domain]);
+      await client.query(`
+        INSERT INTO university (name, domain)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+      `, [name, domain]);
+      await client.query(`
+        INSERT INTO university_domain (university_id, domain, is_primary)
+        SELECT id, d.domain, d.domain = $2
+        FROM university, UNNEST($3::VARCHAR[]) AS d(domain)
+        WHERE name = $1
+        ON CONFLICT (domain) DO NOTHING
+      `, [name, domain, [domain, ...aliases]]);
+    }
+
+    // 기존 DB 호환: 레지스트리로 매칭되지 않는 기존 대학 도메인 등록
+    await client.query(`
+      INSERT INTO university_domain (university_id, domain, is_primary)
+      SELECT u.id, u.domain, TRUE
+      FROM university u
+      WHERE u.domain IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM university_domain d
+          WHERE u.domain = d.domain OR u.domain LIKE '%.' || d.domain
+        )
+      ON CONFLICT (domain) DO NOTHING
+    `);
+
+    // 학과 테이블 (대학별 학과 목록)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS department (
+        id SERIAL PRIMARY KEY,
+        university_id INT REFERENCES university(id) NOT NULL,
+        name VARCHAR(30) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(university_id, name)
+      )
+    `);
+
     // 사용자 테이블 (기존 students 대신)
     await client.query(`
       CREATE TABLE IF NOT EXISTS "user" (
@@ -83,10 +199,334 @@ async function initializeDatabase() {
         nickname VARCHAR(30) NOT NULL,
         profile_image TEXT,
         university_id INT REFERENCES university(id),
+        department_id INT REFERENCES department(id),
+        student_id VARCHAR(10),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 기존 DB 호환: 학과/학번 컬럼 추가, 대학 내 학번 중복 방지
+    await client.query(`
+      ALTER TABLE "user"
+        ADD COLUMN IF NOT EXISTS department_id INT REFERENCES department(id),
+        ADD COLUMN IF NOT EXISTS student_id VARCHAR(10)
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_user_university_student_id
+      ON "user" (university_id, student_id)
+    `);
+
+    // 기존 DB 호환: 이메일을 소문자로 정규화하고 대소문자만 다른 이메일 중복 가입 방지
+    await runMigrationOnce(client, 'user_email_lowercase', async (migrationClient) => {
+      await migrationClient.query(`
+        UPDATE "user" u
+        SET email = LOWER(TRIM(u.email))
+        WHERE u.email <> LOWER(TRIM(u.email))
+          AND NOT EXISTS (
+            SELECT 1 FROM "user" other
+            WHERE other.id <> u.id AND LOWER(TRIM(other.email)) = LOWER(TRIM(u.email))
+          )
+      `);
+    });
+    const duplicateEmails = await client.query(`
+      SELECT LOWER(email) FROM "user" GROUP BY LOWER(email) HAVING COUNT(*) > 1
+    `);
+    if (duplicateEmails.rowCount > 0) {
+      console.warn(`⚠️ 대소문자만 다른 이메일로 가입된 계정 ${duplicateEmails.rowCount}건을 정리해야 이메일 고유 인덱스를 만들 수 있습니다`);
+    } else {
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_user_email_lower
+        ON "user" (LOWER(email))
+      `);
+    }
+
+    // 탈퇴 사용자 대학별 누적 집계 테이블 (탈퇴 후에도 대학 통계 유지)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS university_archived_stats (
+        university_id INT PRIMARY KEY REFERENCES university(id),
+        archived_users INT DEFAULT 0,
+        archived_buckets INT DEFAULT 0,
+        archived_completed_buckets INT DEFAULT 0,
+        archived_success_days_sum BIGINT DEFAULT 0,
+        archived_max_success_days INT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 사용자 인증 정보 테이블 (비밀번호 해시)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_credential (
+        user_id INT PRIMARY KEY REFERENCES "user"(id),
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 로그인 세션 테이블 (express-session 저장소)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_session (
+        sid VARCHAR(255) PRIMARY KEY,
+        sess JSONB NOT NULL,
+        user_id INT REFERENCES "user"(id),
+        public_id VARCHAR(32),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_seen_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    // 기존 DB 호환: 로그인 기기 정보 컬럼 추가
+    await client.query(`
+      ALTER TABLE user_session
+        ADD COLUMN IF NOT EXISTS public_id VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS user_agent TEXT,
+        ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64)
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_user_session_public_id ON user_session (public_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_session_expires_at ON user_session (expires_at)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_session_user_id ON user_session (user_id)
+    `);
+
+    // 이메일 인증 코드 테이블 (회원가입 전 학교 메일 소유 확인)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verification (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(100) NOT NULL,
+        code_hash TEXT NOT NULL,
+        attempt_count INT DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        verified_at TIMESTAMP,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_verification_email
+      ON email_verification (email, created_at DESC)
+    `);
+
+    // 비밀번호 재설정 토큰 테이블
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_token (
+        id SERIAL PRIMARY KEY,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 리프레시 토큰 테이블 (모바일 클라이언트 Bearer 인증, family 단위 회전)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_token (
+        id SERIAL PRIMARY KEY,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        family_id VARCHAR(64) NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        rotated_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_token_family_id ON refresh_token (family_id)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_token_user_id ON refresh_token (user_id)
+    `);
+
+    // 로그인 시도 제한 테이블 (scope: account=이메일, ip=요청 IP)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempt (
+        scope VARCHAR(20) NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        failed_count INT DEFAULT 0,
+        lock_count INT DEFAULT 0,
+        locked_until TIMESTAMP,
+        last_failed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (scope, identifier)
+      )
+    `);
+
+    // 인증 감사 로그 테이블 (가입/로그인/로그아웃/비밀번호 변경/세션 종료 기록)
+    // user_id가 NULL이면 가입되지 않은 이메일로 시도한 기록
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INT REFERENCES "user"(id),
+        email VARCHAR(100),
+        event_type VARCHAR(30) NOT NULL,
+        outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('success', 'failure')),
+        reason VARCHAR(50),
+        auth_method VARCHAR(10),
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        metadata JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_audit_log_user ON auth_audit_log (user_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_audit_log_event ON auth_audit_log (event_type, created_at DESC)
+    `);
+
+    // 관리자 역할 테이블
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS role (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 권한 테이블 (scope 단위)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS permission (
+        id SERIAL PRIMARY KEY,
+        scope VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT
+      )
+    `);
+
+    // 역할별 권한 테이블
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS role_permission (
+        role_id INT REFERENCES role(id) NOT NULL,
+        permission_id INT REFERENCES permission(id) NOT NULL,
+        PRIMARY KEY (role_id, permission_id)
+      )
+    `);
+
+    // 사용자 역할 테이블 (university_id가 NULL이면 전체 범위)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_role (
+        id SERIAL PRIMARY KEY,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        role_id INT REFERENCES role(id) NOT NULL,
+        university_id INT REFERENCES university(id),
+        granted_by INT REFERENCES "user"(id),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_user_role_scope
+      ON user_role (user_id, role_id, COALESCE(university_id, 0))
+    `);
+
+    // 역할 부여/회수 감사 로그
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS role_audit_log (
+        id SERIAL PRIMARY KEY,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('grant', 'revoke')),
+        actor_user_id INT REFERENCES "user"(id),
+        target_user_id INT REFERENCES "user"(id) NOT NULL,
+        role_name VARCHAR(50) NOT NULL,
+        university_id INT REFERENCES university(id),
+        source VARCHAR(20) NOT NULL DEFAULT 'api',
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // 역할/권한 기본 데이터 (config/permissions.js 기준, 이미 있으면 유지)
+    for (const [scope, description] of Object.entries(PERMISSIONS)) {
+      await client.query(`
+        INSERT INTO permission (scope, description)
+        VALUES ($1, $2)
+        ON CONFLICT (scope) DO UPDATE SET description = EXCLUDED.description
+      `, [scope, description]);
+    }
+    for (const [name, role] of Object.entries(ROLES)) {
+      await client.query(`
+        INSERT INTO role (name, description)
+        VALUES ($1, $2)
+        ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description
+      `, [name, role.description]);
+      await client.query(`
+        INSERT INTO role_permission (role_id, permission_id)
+        SELECT r.id, p.id
+        FROM role r, permission p
+        WHERE r.name = $1 AND p.scope = ANY($2)
+        ON CONFLICT DO NOTHING
+      `, [name, role.permissions]);
+    }
+
+    // 기존 DB 호환: 검사하는 라우트가 없던 moderator/content_manager 역할과 권한 정리 (부여 기록은 회수 로그를 남기고 삭제)
+    await runMigrationOnce(client, 'drop_unused_moderation_roles', async (migrationClient) => {
+      const unusedRoles = ['moderator', 'content_manager'];
+      const unusedScopes = ['community:moderate', 'content:manage'];
+
+      await migrationClient.query(`
+        INSERT INTO role_audit_log (action, actor_user_id, target_user_id, role_name, university_id, source, reason)
+        SELECT 'revoke', NULL, ur.user_id, r.name, ur.university_id, 'migration', '사용하지 않는 역할 정리'
+        FROM user_role ur
+        JOIN role r ON r.id = ur.role_id
+        WHERE r.name = ANY($1)
+      `, [unusedRoles]);
+      await migrationClient.query(`
+        DELETE FROM user_role
+        WHERE role_id IN (SELECT id FROM role WHERE name = ANY($1))
+      `, [unusedRoles]);
+      await migrationClient.query(`
+        DELETE FROM role_permission
+        WHERE role_id IN (SELECT id FROM role WHERE name = ANY($1))
+          OR permission_id IN (SELECT id FROM permission WHERE scope = ANY($2))
+      `, [unusedRoles, unusedScopes]);
+      await migrationClient.query(`DELETE FROM role WHERE name = ANY($1)`, [unusedRoles]);
+      await migrationClient.query(`DELETE FROM permission WHERE scope = ANY($1)`, [unusedScopes]);
+    });
+
+    // 외부 연동 API 키 테이블 (원문은 발급시 한 번만 노출, 해시만 저장)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_key (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        owner VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) UNIQUE NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        created_by INT,
+        rotated_from INT REFERENCES api_key(id),
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_by INT,
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
 
+    // API 키 사용 기록 테이블
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_key_usage_log (
+        id BIGSERIAL PRIMARY KEY,
+        api_key_id INT REFERENCES api_key(id) NOT NULL,
+        scope VARCHAR(50) NOT NULL,
+        method VARCHAR(10) NOT NULL,
+        path TEXT NOT NULL,
+        status_code INT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_key_usage_log_key ON api_key_usage_log (api_key_id, created_at DESC)
+    `);
+
     // 사용자 메트릭스 테이블
     await client.query(`
       CREATE TABLE IF NOT EXISTS user_metrics (
@@ -96,10 +536,27 @@ async function initializeDatabase() {
         current_streak INT DEFAULT 0,
         last_success_date DATE,
         challenge_success_count INT DEFAULT 0,
+        completed_bucket_count INT DEFAULT 0,
         last_bucket_created_at TIMESTAMP,
         updated_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    // 기존 DB 호환: 완료(success) 적금통 수 컬럼 추가 (컬럼을 새로 추가할 때 한 번만 기존 적금통으로 채움)
+    const completedCountColumn = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'user_metrics' AND column_name = 'completed_bucket_count'
+    `);
+    if (completedCountColumn.rowCount === 0) {
+      await client.query(`
+        ALTER TABLE user_metrics ADD COLUMN completed_bucket_count INT DEFAULT 0
+      `);
+      await client.query(`
+        UPDATE user_metrics um
+        SET completed_bucket_count = (
+          SELECT COUNT(*) FROM saving_bucket sb WHERE sb.user_id = um.user_id AND sb.status = 'success'
+        )
+      `);
+    }
 
     // 친구 관계 테이블
     await client.query(`
@@ -147,6 +604,50 @@ async function initializeDatabase() {
       )
     `);
 
+    // 적금 상품 카탈로그 테이블 (id = 은행 상품 코드, 납입 금액은 1회 기준)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_product (
+        id VARCHAR(100) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        product_type VARCHAR(20) NOT NULL CHECK (product_type IN ('정기적금', '정기예금')),
+        description TEXT,
+        interest_rate NUMERIC(5,2) NOT NULL,
+        min_term_months INT NOT NULL CHECK (min_term_months > 0),
+        max_term_months INT NOT NULL,
+        min_installment BIGINT NOT NULL CHECK (min_installment > 0),
+        max_installment BIGINT NOT NULL,
+        eligibility JSONB DEFAULT '{}',
+        early_termination JSONB DEFAULT '{}',
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        CHECK (max_term_months >= min_term_months),
+        CHECK (max_installment >= min_installment)
+      )
+    `);
+
+    // 기존 DB 호환: 중도해지 이율 컬럼 추가
+    await client.query(`
+      ALTER TABLE saving_product ADD COLUMN IF NOT EXISTS early_termination JSONB DEFAULT '{}'
+    `);
+
+    // 적금 상품 시드 (config/savingProducts.js 기준, 중도해지 이율이 없는 기존 상품은 채움)
+    for (const product of SAVING_PRODUCTS) {
+      await client.query(`
+        INSERT INTO saving_product (
+          id, name, product_type, description, interest_rate,
+          min_term_months, max_term_months, min_installment, max_installment, eligibility, early_termination
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (id) DO UPDATE
+        SET early_termination = EXCLUDED.early_termination
+        WHERE saving_product.early_termination IS NULL OR saving_product.early_termination = '{}'::JSONB
+      `, [
+        product.id, product.name, product.productType, product.description, product.interestRate,
+        product.minTermMonths, product.maxTermMonths, product.minInstallment, product.maxInstallment,
+        JSON.stringify(product.eligibility), JSON.stringify(product.earlyTermination)
+      ]);
+    }
+
     // 저축 챌린지 테이블
     await client.query(`
       CREATE TABLE IF NOT EXISTS saving_challenge (
@@ -178,9 +679,15 @@ async function initializeDatabase() {
         is_anonymous BOOLEAN DEFAULT FALSE,
         status VARCHAR(20) DEFAULT 'in_progress',
         total_days INT,
+        total_periods INT,
         success_days INT DEFAULT 0,
         fail_days INT DEFAULT 0,
         last_progress_date DATE,
+        current_amount BIGINT DEFAULT 0,
+        current_streak INT DEFAULT 0,
+        best_streak INT DEFAULT 0,
+        last_settled_date DATE,
+        status_changed_at TIMESTAMP,
         like_count INT DEFAULT 0,
         view_count INT DEFAULT 0,
         created_at TIMESTAMP DEFAULT NOW(),
@@ -198,11 +705,276 @@ async function initializeDatabase() {
         bucket_id INT REFERENCES saving_bucket(id),
         user_id INT REFERENCES "user"(id),
         date DATE NOT NULL,
+        period_start DATE NOT NULL,
         status VARCHAR(10) CHECK (status IN ('success','failed')),
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
 
+    // 기존 DB 호환: 입금 주기 기간(일/주/월, 주기 없는 예금은 가입 기간 전체) 컬럼 추가
+    await client.query(`
+      ALTER TABLE saving_bucket_progress
+        ADD COLUMN IF NOT EXISTS period_start DATE
+    `);
+    // 기존 기록의 기간 채우기, 기간당 한 건만 남기고 (성공 기록 우선) 기간 유니크 인덱스로 교체 (한 번만 실행)
+    // 정리된 기록 기준 사용자 메트릭스는 npm run metrics:recompute로 재계산
+    await runMigrationOnce(client, 'saving_bucket_progress_period_start', async (migrationClient) => {
+      await migrationClient.query(`
+        UPDATE saving_bucket_progress sbp
+        SET period_start = CASE sb.deposit_cycle
+            WHEN 'weekly' THEN DATE_TRUNC('week', sbp.date)::DATE
+            WHEN 'monthly' THEN DATE_TRUNC('month', sbp.date)::DATE
+            WHEN 'daily' THEN sbp.date
+            ELSE (sb.created_at::TIMESTAMPTZ AT TIME ZONE 'Asia/Seoul')::DATE
+          END
+        FROM saving_bucket sb
+        WHERE sb.id = sbp.bucket_id AND sbp.period_start IS NULL
+      `);
+      await migrationClient.query(`
+        ALTER TABLE saving_bucket_progress
+          ALTER COLUMN period_start SET NOT NULL
+      `);
+      await migrationClient.query(`
+        DELETE FROM saving_bucket_progress sbp
+        USING (
+          SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY bucket_id, period_start
+            ORDER BY (status = 'success') DESC, date, id
+          ) as row_number
+          FROM saving_bucket_progress
+        ) ranked
+        WHERE sbp.id = ranked.id AND ranked.row_number > 1
+      `);
+      await migrationClient.query(`
+        DROP INDEX IF EXISTS uq_saving_bucket_progress_day
+      `);
+    });
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_saving_bucket_progress_period
+      ON saving_bucket_progress (bucket_id, period_start)
+    `);
+
+    // 기존 DB 호환: 적금통 잔액 컬럼 추가 (거래 원장의 마지막 잔액과 동일하게 유지)
+    await client.query(`
+      ALTER TABLE saving_bucket
+        ADD COLUMN IF NOT EXISTS current_amount BIGINT DEFAULT 0
+    `);
+
+    // 기존 DB 호환: 정산 결과 컬럼 추가 (연속 성공 기간 수, 마지막 정산일)
+    await client.query(`
+      ALTER TABLE saving_bucket
+        ADD COLUMN IF NOT EXISTS current_streak INT DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS best_streak INT DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_settled_date DATE
+    `);
+
+    // 기존 DB 호환: 성공/실패 수를 기간 단위 진행 기록과 맞춤 (한 번만 실행)
+    await runMigrationOnce(client, 'saving_bucket_period_counts', async (migrationClient) => {
+      await migrationClient.query(`
+        UPDATE saving_bucket sb
+        SET success_days = counts.success_count, fail_days = counts.fail_count
+        FROM (
+          SELECT sb2.id,
+            COUNT(sbp.id) FILTER (WHERE sbp.status = 'success') as success_count,
+            COUNT(sbp.id) FILTER (WHERE sbp.status = 'failed') as fail_count
+          FROM saving_bucket sb2
+          LEFT JOIN saving_bucket_progress sbp ON sbp.bucket_id = sb2.id
+          GROUP BY sb2.id
+        ) counts
+        WHERE sb.id = counts.id
+          AND (sb.success_days IS DISTINCT FROM counts.success_count OR sb.fail_days IS DISTINCT FROM counts.fail_count)
+      `);
+    });
+
+    // 기존 DB 호환: 전체 입금 기간 수 컬럼 추가 (가입일 기간부터 만기일 기간까지, 주기 없는 예금은 1)
+    await client.query(`
+      ALTER TABLE saving_bucket
+        ADD COLUMN IF NOT EXISTS total_periods INT
+    `);
+    await runMigrationOnce(client, 'saving_bucket_total_periods', async (migrationClient) => {
+      await migrationClient.query(`
+        UPDATE saving_bucket sb
+        SET total_periods = GREATEST(CASE sb.deposit_cycle
+            WHEN 'daily' THEN sb.target_date - c.created_date + 1
+            WHEN 'weekly' THEN (DATE_TRUNC('week', sb.target_date)::DATE - DATE_TRUNC('week', c.created_date)::DATE) / 7 + 1
+            WHEN 'monthly' THEN ((EXTRACT(YEAR FROM sb.target_date) - EXTRACT(YEAR FROM c.created_date)) * 12
+              + EXTRACT(MONTH FROM sb.target_date) - EXTRACT(MONTH FROM c.created_date))::INT + 1
+            ELSE 1
+          END, 0)
+        FROM (
+          SELECT id, (created_at::TIMESTAMPTZ AT TIME ZONE 'Asia/Seoul')::DATE as created_date
+          FROM saving_bucket
+          WHERE total_periods IS NULL
+        ) c
+        WHERE sb.id = c.id
+      `);
+    });
+
+    // 기존 DB 호환: 마지막 상태 변경 시각 컬럼 추가
+    await client.query(`
+      ALTER TABLE saving_bucket
+        ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP
+    `);
+
+    // 일일 정산 실행 기록 테이블 (정산일 = 마감된 KST 날짜, 날짜당 1건)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settlement_run (
+        id SERIAL PRIMARY KEY,
+        settlement_date DATE NOT NULL UNIQUE,
+        status VARCHAR(10) NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+        triggered_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        buckets_checked INT DEFAULT 0,
+        failures_recorded INT DEFAULT 0,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT NOW(),
+        finished_at TIMESTAMP
+      )
+    `);
+
+    // 적금통 거래 원장 테이블 (amount는 입금/이자 양수, 출금 음수, 조정은 양/음수)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_bucket_transaction (
+        id SERIAL PRIMARY KEY,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL,
+        user_id INT REFERENCES "user"(id),
+        type VARCHAR(20) NOT NULL CHECK (type IN ('deposit', 'withdrawal', 'interest', 'adjustment')),
+        amount BIGINT NOT NULL,
+        balance_after BIGINT NOT NULL CHECK (balance_after >= 0),
+        memo VARCHAR(100),
+        source VARCHAR(20) NOT NULL DEFAULT 'manual',
+        external_ref VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        CHECK (
+          (type IN ('deposit', 'interest') AND amount > 0)
+          OR (type = 'withdrawal' AND amount < 0)
+          OR (type = 'adjustment' AND amount <> 0)
+        )
+      )
+    `);
+    // 기존 DB 호환: 은행 이체 거래 번호 컬럼 추가
+    await client.query(`
+      ALTER TABLE saving_bucket_transaction
+        ADD COLUMN IF NOT EXISTS external_ref VARCHAR(100)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_bucket_transaction_bucket
+      ON saving_bucket_transaction (bucket_id, id DESC)
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_saving_bucket_transaction_external_ref
+      ON saving_bucket_transaction (bucket_id, external_ref)
+      WHERE external_ref IS NOT NULL
+    `);
+
+    // 은행 이체 요청 테이블 (은행 호출 전 pending 기록, 원장 반영 전 중단된 이체의 대사용)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_bank_transfer (
+        id SERIAL PRIMARY KEY,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        direction VARCHAR(10) NOT NULL CHECK (direction IN ('deposit', 'payout')),
+        amount BIGINT NOT NULL CHECK (amount >= 0),
+        reference VARCHAR(100) NOT NULL UNIQUE,
+        memo VARCHAR(100),
+        source VARCHAR(20) NOT NULL,
+        detail JSONB,
+        status VARCHAR(10) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'completed', 'failed', 'recorded')),
+        bank_transaction_id VARCHAR(100),
+        ledger_transaction_id INT REFERENCES saving_bucket_transaction(id),
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_bank_transfer_open
+      ON saving_bank_transfer (bucket_id, direction)
+      WHERE status IN ('pending', 'completed')
+    `);
+
+    // 적금통 자동이체 일정 테이블 (적금통당 1개, next_attempt_at: 재시도 예정/처리 중 선점 시각)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_auto_transfer (
+        id SERIAL PRIMARY KEY,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL UNIQUE,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        amount BIGINT NOT NULL CHECK (amount > 0),
+        cycle VARCHAR(10) NOT NULL CHECK (cycle IN ('daily', 'weekly', 'monthly')),
+        day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+        day_of_month SMALLINT CHECK (day_of_month BETWEEN 1 AND 31),
+        status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended')),
+        next_run_date DATE,
+        next_attempt_at TIMESTAMP,
+        retry_count INT DEFAULT 0,
+        last_run_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (cycle <> 'weekly' OR day_of_week IS NOT NULL),
+        CHECK (cycle <> 'monthly' OR day_of_month IS NOT NULL)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_auto_transfer_due
+      ON saving_auto_transfer (status, next_run_date)
+    `);
+
+    // 자동이체 실행 기록 테이블 (재시도마다 attempt 증가)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_auto_transfer_run (
+        id SERIAL PRIMARY KEY,
+        schedule_id INT REFERENCES saving_auto_transfer(id) NOT NULL,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL,
+        scheduled_date DATE NOT NULL,
+        attempt INT NOT NULL,
+        amount BIGINT NOT NULL,
+        status VARCHAR(10) NOT NULL CHECK (status IN ('success', 'failed')),
+        transaction_id INT REFERENCES saving_bucket_transaction(id),
+        error_code VARCHAR(50),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_auto_transfer_run_schedule
+      ON saving_auto_transfer_run (schedule_id, id DESC)
+    `);
+
+    // 적금통 정보 변경 이력 테이블 (변경된 필드마다 한 건, 값은 문자열로 저장)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_bucket_change (
+        id SERIAL PRIMARY KEY,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL,
+        user_id INT REFERENCES "user"(id),
+        field VARCHAR(30) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_bucket_change_bucket
+      ON saving_bucket_change (bucket_id, id DESC)
+    `);
+
+    // 적금통 상태 변경 이력 테이블 (in_progress → success/matured/failed/cancelled)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saving_bucket_status_history (
+        id SERIAL PRIMARY KEY,
+        bucket_id INT REFERENCES saving_bucket(id) NOT NULL,
+        user_id INT REFERENCES "user"(id),
+        from_status VARCHAR(20) NOT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saving_bucket_status_history_bucket
+      ON saving_bucket_status_history (bucket_id, id)
+    `);
+
     // 업적 테이블
     await client.query(`
       CREATE TABLE IF NOT EXISTS achievement (
@@ -260,6 +1032,28 @@ async function initializeDatabase() {
       )
     `);
 
+    // 개인정보 내보내기 작업 테이블 (백그라운드 작업 큐 겸용)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_export (
+        id SERIAL PRIMARY KEY,
+        user_id INT REFERENCES "user"(id) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+        storage_key TEXT,
+        file_size INT,
+        error_message TEXT,
+        requested_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_data_export_user_id ON data_export (user_id, requested_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_data_export_status ON data_export (status)
+    `);
+
     console.log('✅ 실제 DB 테이블 스키마 초기화 완료');
     return true;
 
@@ -271,6 +1065,30 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * 트랜잭션 실행 헬퍼
+ * 
+ * 입력: callback (트랜잭션 클라이언트를 받아 쿼리를 수행하는 async 함수)
+ * 출력: callback 반환값 (Promise)
+ * 부작용: BEGIN/COMMIT, 에러 발생시 ROLLBACK 후 에러 재발생
+ * 예외: callback 또는 쿼리 실패시 에러 전파
+ */
+async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * 애플리케이션 종료시 DB 연결 해제
  * 
@@ -296,5 +1114,6 @@ module.exports = {
   pool,
   testConnection,
   initializeDatabase,
+  withTransaction,
   closeDatabase
 };
\ No newline at end of file
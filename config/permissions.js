@@ -0,0 +1,51 @@
+/**
+ * 역할/권한 정의
+ * 
+ * 기능: 관리자 역할과 권한 범위(scope) 목록, 역할별 기본 권한
+ * 사용: initializeDatabase에서 role/permission 테이블 시드, requirePermission 미들웨어의 scope 값
+ *       외부 연동 API 키 범위는 requireApiKey 미들웨어의 scope 값
+ * 특징: super_admin은 정의된 모든 권한을 가짐 (권한 추가시 자동 반영)
+ *       라우트에서 검사하는 권한만 정의 (검사하는 곳이 없는 역할/권한은 부여해도 의미가 없으므로 두지 않음)
+ */
+
+// 권한 범위 목록 (scope → 설명)
+const PERMISSIONS = {
+  'role:manage': '관리자 역할 부여/회수',
+  'role:read': '관리자 역할 및 변경 이력 조회',
+  'university:manage': '대학 정보 및 학과 관리',
+  'api_key:manage': '외부 연동 API 키 발급/교체/폐기',
+  'audit:read': '인증 감사 로그 조회',
+  'settlement:run': '적금통 일일 정산 실행 및 이력 조회'
+};
+
+// 최고 관리자 역할 이름 (CLI 부트스트랩 대상)
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+// 역할 목록 (역할 → 설명, 기본 권한)
+const ROLES = {
+  [SUPER_ADMIN_ROLE]: {
+    description: '전체 서비스 관리자',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  university_admin: {
+    description: '소속 대학 관리자',
+    permissions: ['role:manage', 'role:read', 'university:manage']
+  }
+};
+
+// 대학 단위 관리자가 부여할 수 없는 역할 (전체 관리자만 부여 가능)
+const GLOBAL_ONLY_ROLES = [SUPER_ADMIN_ROLE, 'university_admin'];
+
+// 외부 연동 API 키 권한 범위 목록 (scope → 설명)
+const API_KEY_SCOPES = {
+  'university:read': '대학 목록 및 통계 조회',
+  'ranking:read': '대학별 랭킹 조회'
+};
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLES,
+  SUPER_ADMIN_ROLE,
+  GLOBAL_ONLY_ROLES
+};
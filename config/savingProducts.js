@@ -0,0 +1,78 @@
+/**
+ * 적금 상품 카탈로그
+ * 
+ * 기능: 가입 가능한 적금/예금 상품과 가입 조건 (기간, 1회 납입 금액, 자격), 중도해지 이율
+ * 사용: initializeDatabase에서 saving_product 테이블 시드, Mock 은행 상품 목록
+ * 특징: 상품 ID는 은행 상품 코드와 동일 (saving_bucket.saving_product_id)
+ */
+
+// 상품 선택 없이 생성하는 적금통의 기본 상품
+const DEFAULT_SAVING_PRODUCT_ID = 'MOCK_PRODUCT_001';
+
+// 가입 자격 (requiresUniversity: 학교 인증 사용자 전용, maxActivePerUser: 1인당 진행 중 적금통 수 제한)
+// 중도해지 이율 (tiers: 가입 후 minMonths개월 이상 유지하면 기본 금리 × rateRatio, 가장 긴 구간 적용)
+const SAVING_PRODUCTS = [
+  {
+    id: 'MOCK_PRODUCT_001',
+    name: '헤이영 정기적금',
+    productType: '정기적금',
+    description: '매일/매주/매월 원하는 주기로 모으는 기본 적금',
+    interestRate: 3.5,
+    minTermMonths: 1,
+    maxTermMonths: 24,
+    minInstallment: 1000,
+    maxInstallment: 1000000,
+    eligibility: {},
+    earlyTermination: {
+      tiers: [
+        { minMonths: 0, rateRatio: 0.1 },
+        { minMonths: 3, rateRatio: 0.3 },
+        { minMonths: 6, rateRatio: 0.5 },
+        { minMonths: 12, rateRatio: 0.7 }
+      ]
+    }
+  },
+  {
+    id: 'MOCK_PRODUCT_002',
+    name: '헤이영 캠퍼스 챌린지 적금',
+    productType: '정기적금',
+    description: '학교 인증 대학생 전용 우대금리 단기 적금 (1인 1계좌)',
+    interestRate: 4.5,
+    minTermMonths: 1,
+    maxTermMonths: 6,
+    minInstallment: 1000,
+    maxInstallment: 300000,
+    eligibility: { requiresUniversity: true, maxActivePerUser: 1 },
+    earlyTermination: {
+      tiers: [
+        { minMonths: 0, rateRatio: 0 },
+        { minMonths: 3, rateRatio: 0.2 }
+      ]
+    }
+  },
+  {
+    id: 'MOCK_PRODUCT_003',
+    name: '헤이영 정기예금',
+    productType: '정기예금',
+    description: '목돈을 한 번에 맡기는 정기예금',
+    interestRate: 3.2,
+    minTermMonths: 3,
+    maxTermMonths: 36,
+    minInstallment: 100000,
+    maxInstallment: 100000000,
+    eligibility: {},
+    earlyTermination: {
+      tiers: [
+        { minMonths: 0, rateRatio: 0.1 },
+        { minMonths: 6, rateRatio: 0.4 },
+        { minMonths: 12, rateRatio: 0.6 },
+        { minMonths: 24, rateRatio: 0.8 }
+      ]
+    }
+  }
+];
+
+module.exports = {
+  DEFAULT_SAVING_PRODUCT_ID,
+  SAVING_PRODUCTS
+};
@@ -0,0 +1,272 @@
+/**
+ * PostgreSQL 세션 저장소 (express-session Store 구현)
+ * 
+ * 기능: 세션을 user_session 테이블에 저장, 만료 세션 주기적 정리
+ * 목적: 재배포/재시작시 로그인 유지, 여러 인스턴스 간 세션 공유
+ * 특징: 기존 pg 커넥션 풀 재사용, 쿠키 만료 시각과 동일한 TTL 적용
+ */
+
+const session = require('express-session');
+
+// 세션 기본 유효시간 (쿠키 maxAge와 동일한 24시간)
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 만료 세션 정리 주기 (기본 15분)
+const DEFAULT_CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * 세션 데이터에서 남은 유효시간 계산 (순수 함수)
+ * 
+ * @param {Object} sess - express-session 세션 데이터
+ * @param {number} defaultTtlMs - 쿠키 만료 정보가 없을 때 사용할 TTL
+ * @returns {number} 남은 유효시간 (ms)
+ */
+const getRemainingTtlMs = (sess, defaultTtlMs) => {
+  if (sess && sess.cookie && sess.cookie.expires) {
+    return Math.max(0, new Date(sess.cookie.expires).getTime() - Date.now());
+  }
+  return defaultTtlMs;
+};
+
+/**
+ * 세션 데이터에서 사용자 ID 추출 (순수 함수)
+ * 
+ * @param {Object} sess - express-session 세션 데이터
+ * @returns {number|null} 로그인 사용자 ID 또는 null
+ */
+const getSessionUserId = (sess) => {
+  return (sess && sess.student && sess.student.userId) || null;
+};
+
+/**
+ * 세션 데이터에서 기기 정보 추출 (순수 함수)
+ * 
+ * @param {Object} sess - express-session 세션 데이터
+ * @returns {Object} { publicId, userAgent, ip } (로그인 전 세션은 모두 null)
+ */
+const getSessionDevice = (sess) => {
+  const device = (sess && sess.device) || {};
+  return {
+    publicId: device.id || null,
+    userAgent: device.userAgent || null,
+    ip: device.ip || null
+  };
+};
+
+/**
+ * PostgreSQL 세션 저장소
+ * express-session의 Store를 상속해야 하므로 클래스로 구현
+ */
+class PgSessionStore extends session.Store {
+  /**
+   * @param {Object} options - { pool, ttlMs, cleanupIntervalMs }
+   */
+  constructor({ pool, ttlMs = SESSION_TTL_MS, cleanupIntervalMs = DEFAULT_CLEANUP_INTERVAL_MS }) {
+    super();
+    this.pool = pool;
+    this.ttlMs = ttlMs;
+    this.cleanupIntervalMs = cleanupIntervalMs;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * 세션 조회 (만료된 세션은 없는 것으로 처리)
+   */
+  get(sid, callback) {
+    this.pool.query(`
+      SELECT sess FROM user_session
+      WHERE sid = $1 AND expires_at > NOW()
+    `, [sid])
+      .then(result => callback(null, result.rows[0] ? result.rows[0].sess : null))
+      .catch(callback);
+  }
+
+  /**
+   * 세션 저장 (없으면 생성, 있으면 갱신)
+   */
+  set(sid, sess, callback = () => {}) {
+    const device = getSessionDevice(sess);
+
+    this.pool.query(`
+      INSERT INTO user_session (sid, sess, user_id, public_id, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7 * INTERVAL '1 millisecond')
+      ON CONFLICT (sid)
+      DO UPDATE SET
+        sess = EXCLUDED.sess,
+        user_id = EXCLUDED.user_id,
+        public_id = EXCLUDED.public_id,
+        user_agent = EXCLUDED.user_agent,
+        ip_address = EXCLUDED.ip_address,
+        expires_at = EXCLUDED.expires_at,
+        last_seen_at = NOW()
+    `, [
+      sid,
+      JSON.stringify(sess),
+      getSessionUserId(sess),
+      device.publicId,
+      device.userAgent,
+      device.ip,
+      getRemainingTtlMs(sess, this.ttlMs)
+    ])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * 세션 만료 시각 연장 (세션 내용 변경 없이 요청이 들어온 경우)
+   */
+  touch(sid, sess, callback = () => {}) {
+    this.pool.query(`
+      UPDATE user_session
+      SET expires_at = NOW() + $2 * INTERVAL '1 millisecond',
+          last_seen_at = NOW()
+      WHERE sid = $1
+    `, [sid, getRemainingTtlMs(sess, this.ttlMs)])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * 세션 삭제
+   */
+  destroy(sid, callback = () => {}) {
+    this.pool.query(`
+      DELETE FROM user_session WHERE sid = $1
+    `, [sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * 유효한 전체 세션 조회 ({ sid: sess } 형태, MemoryStore와 동일)
+   */
+  all(callback) {
+    this.pool.query(`
+      SELECT sid, sess FROM user_session WHERE expires_at > NOW()
+    `)
+      .then(result => {
+        const sessions = {};
+        result.rows.forEach(row => {
+          sessions[row.sid] = row.sess;
+        });
+        callback(null, sessions);
+      })
+      .catch(callback);
+  }
+
+  /**
+   * 유효한 세션 수 조회
+   */
+  length(callback) {
+    this.pool.query(`
+      SELECT COUNT(*) as count FROM user_session WHERE expires_at > NOW()
+    `)
+      .then(result => callback(null, parseInt(result.rows[0].count)))
+      .catch(callback);
+  }
+
+  /**
+   * 전체 세션 삭제
+   */
+  clear(callback = () => {}) {
+    this.pool.query('DELETE FROM user_session')
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * 특정 사용자의 세션 삭제 (비밀번호 변경 등)
+   * 
+   * @param {number} userId - 사용자 ID
+   * @param {string|null} exceptSid - 유지할 세션 ID
+   * @returns {Promise<number>} 삭제된 세션 수
+   */
+  async destroyByUserId(userId, exceptSid = null) {
+    const result = await this.pool.query(`
+      DELETE FROM user_session
+      WHERE user_id = $1 AND ($2::VARCHAR IS NULL OR sid <> $2)
+    `, [userId, exceptSid]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * 특정 사용자의 유효한 세션 목록 조회 (최근 사용 순)
+   * 
+   * @param {number} userId - 사용자 ID
+   * @returns {Promise<Array>} [{ sid, public_id, user_agent, ip_address, created_at, last_seen_at, expires_at }]
+   */
+  async listByUserId(userId) {
+    const result = await this.pool.query(`
+      SELECT sid, public_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM user_session
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_seen_at DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * 공개 세션 ID로 세션 ID 조회 (본인 세션만)
+   * 
+   * @param {number} userId - 사용자 ID
+   * @param {string} publicId - 클라이언트에 노출되는 세션 식별자
+   * @returns {Promise<string|null>} 세션 ID 또는 null
+   */
+  async findSidByPublicId(userId, publicId) {
+    const result = await this.pool.query(`
+      SELECT sid FROM user_session
+      WHERE user_id = $1 AND public_id = $2 AND expires_at > NOW()
+    `, [userId, publicId]);
+
+    return result.rows[0] ? result.rows[0].sid : null;
+  }
+
+  /**
+   * 만료된 세션 정리
+   * 
+   * @returns {Promise<number>} 삭제된 세션 수
+   */
+  async pruneExpired() {
+    const result = await this.pool.query(`
+      DELETE FROM user_session WHERE expires_at <= NOW()
+    `);
+
+    return result.rowCount;
+  }
+
+  /**
+   * 만료 세션 주기적 정리 시작 (프로세스 종료를 막지 않도록 unref)
+   */
+  startCleanup() {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => {
+      this.pruneExpired()
+        .then(count => {
+          if (count > 0) console.log(`🧹 만료 세션 ${count}개 정리`);
+        })
+        .catch(error => console.error('❌ 만료 세션 정리 실패:', error.message));
+    }, this.cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * 주기적 정리 중지
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  PgSessionStore,
+  getRemainingTtlMs,
+  getSessionUserId,
+  getSessionDevice
+};
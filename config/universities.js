@@ -0,0 +1,52 @@
+/**
+ * 공식 대학 도메인 레지스트리
+ * 
+ * 기능: 대학 공식 명칭, 대표 도메인, 별칭 도메인 목록
+ * 사용: initializeDatabase에서 university/university_domain 테이블 시드
+ * 특징: 하위 도메인(student.xxx.ac.kr 등)은 대표/별칭 도메인으로 자동 매칭되므로 따로 등록하지 않음
+ */
+
+// 학교 이메일로 인정하는 도메인 형식 (하위 도메인 허용, 레지스트리 미등록 도메인의 승인 요청 대상)
+const ACADEMIC_DOMAIN_PATTERN = /^([a-z0-9-]+\.)+(ac\.kr|edu)$/i;
+
+// 학교 이메일 형식 (가입/인증 요청 입력값 검증용)
+const ACADEMIC_EMAIL_PATTERN = /@([a-zA-Z0-9-]+\.)+(ac\.kr|edu)$/;
+
+// 공식 대학 목록 (name: 공식 명칭, domain: 대표 도메인, aliases: 별칭 도메인)
+const UNIVERSITIES = [
+  { name: '서울대학교', domain: 'snu.ac.kr', aliases: [] },
+  { name: '연세대학교', domain: 'yonsei.ac.kr', aliases: [] },
+  { name: '고려대학교', domain: 'korea.ac.kr', aliases: [] },
+  { name: '한국과학기술원', domain: 'kaist.ac.kr', aliases: [] },
+  { name: '포항공과대학교', domain: 'postech.ac.kr', aliases: [] },
+  { name: '광주과학기술원', domain: 'gist.ac.kr', aliases: [] },
+  { name: '울산과학기술원', domain: 'unist.ac.kr', aliases: [] },
+  { name: '대구경북과학기술원', domain: 'dgist.ac.kr', aliases: [] },
+  { name: '성균관대학교', domain: 'skku.edu', aliases: [] },
+  { name: '한양대학교', domain: 'hanyang.ac.kr', aliases: [] },
+  { name: '서강대학교', domain: 'sogang.ac.kr', aliases: [] },
+  { name: '중앙대학교', domain: 'cau.ac.kr', aliases: [] },
+  { name: '경희대학교', domain: 'khu.ac.kr', aliases: [] },
+  { name: '한국외국어대학교', domain: 'hufs.ac.kr', aliases: [] },
+  { name: '서울시립대학교', domain: 'uos.ac.kr', aliases: [] },
+  { name: '이화여자대학교', domain: 'ewha.ac.kr', aliases: [] },
+  { name: '숙명여자대학교', domain: 'sookmyung.ac.kr', aliases: [] },
+  { name: '건국대학교', domain: 'konkuk.ac.kr', aliases: [] },
+  { name: '동국대학교', domain: 'dongguk.edu', aliases: [] },
+  { name: '국민대학교', domain: 'kookmin.ac.kr', aliases: [] },
+  { name: '숭실대학교', domain: 'ssu.ac.kr', aliases: ['soongsil.ac.kr'] },
+  { name: '세종대학교', domain: 'sejong.ac.kr', aliases: [] },
+  { name: '홍익대학교', domain: 'hongik.ac.kr', aliases: [] },
+  { name: '인하대학교', domain: 'inha.ac.kr', aliases: ['inha.edu'] },
+  { name: '아주대학교', domain: 'ajou.ac.kr', aliases: [] },
+  { name: '부산대학교', domain: 'pusan.ac.kr', aliases: ['pnu.edu'] },
+  { name: '경북대학교', domain: 'knu.ac.kr', aliases: [] },
+  { name: '전남대학교', domain: 'jnu.ac.kr', aliases: [] },
+  { name: '충남대학교', domain: 'cnu.ac.kr', aliases: [] }
+];
+
+module.exports = {
+  ACADEMIC_DOMAIN_PATTERN,
+  ACADEMIC_EMAIL_PATTERN,
+  UNIVERSITIES
+};
@@ -14,7 +14,7 @@ const achievementService = require('../services/achievementService');
  * @param {Object} res - Express 응답 객체
  */
 const getAllAchievementsController = (req, res) => {
-  const result = achievementService.getAllAchievementsWithProgress(req.session.student.email);
+  const result = achievementService.getAllAchievementsWithProgress(req.user.email);
   res.json(result);
 };
 
@@ -25,7 +25,7 @@ const getAllAchievementsController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const getMyAchievementsController = (req, res) => {
-  const result = achievementService.getUserCompletedAchievements(req.session.student.email);
+  const result = achievementService.getUserCompletedAchievements(req.user.email);
   res.json(result);
 };
 
@@ -36,7 +36,7 @@ const getMyAchievementsController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const checkAchievementsController = (req, res) => {
-  const newAchievements = achievementService.checkAndRewardAchievements(req.session.student.email);
+  const newAchievements = achievementService.checkAndRewardAchievements(req.user.email);
   
   if (newAchievements.length > 0) {
     res.json({
@@ -0,0 +1,316 @@
+/**
+ * 관리자 컨트롤러
+ * 
+ * 관리자 역할 부여/회수, 변경 이력 조회, 학교 도메인 승인, API 키 관리, 인증 감사 로그 조회, 일일 정산 HTTP 요청 처리 로직
+ * 서비스 레이어 호출 및 응답 생성
+ */
+
+const roleService = require('../services/roleService');
+const universityService = require('../services/universityService');
+const apiKeyService = require('../services/apiKeyService');
+const authAuditService = require('../services/authAuditService');
+const settlementService = require('../services/settlementService');
+const { getKstToday, addDays } = require('../utils/kstDate');
+
+/**
+ * 역할 목록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getRolesController = async (req, res) => {
+  const roles = await roleService.getAllRoles();
+  res.json({ roles });
+};
+
+/**
+ * 사용자 역할 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getUserRolesController = async (req, res) => {
+  const userId = parseInt(req.params.id);
+  const roles = await roleService.getUserRoles(userId);
+  
+  res.json({ userId, roles });
+};
+
+/**
+ * 역할 부여 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const grantRoleController = async (req, res) => {
+  const { role, universityId, reason } = req.validatedData;
+  
+  const grant = await roleService.grantRole(req.user.userId, {
+    userId: parseInt(req.params.id),
+    roleName: role,
+    universityId,
+    reason
+  });
+  
+  res.status(201).json({
+    message: '역할이 부여되었습니다',
+    grant
+  });
+};
+
+/**
+ * 역할 회수 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const revokeRoleController = async (req, res) => {
+  const revoked = await roleService.revokeRole(
+    req.user.userId,
+    parseInt(req.params.id),
+    parseInt(req.params.grantId),
+    { reason: req.validatedData.reason }
+  );
+  
+  res.json({
+    message: '역할이 회수되었습니다',
+    revoked
+  });
+};
+
+/**
+ * 역할 변경 이력 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getRoleAuditLogsController = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  
+  const logs = await roleService.getRoleAuditLogs(req.user.userId, { page, limit });
+  
+  res.json({
+    logs,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 학교 도메인 승인 요청 목록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getDomainRequestsController = async (req, res) => {
+  const status = ['pending', 'approved', 'rejected'].includes(req.query.status)
+    ? req.query.status
+    : 'pending';
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  
+  const requests = await universityService.getDomainRequests({
+    status,
+    limit,
+    offset: (page - 1) * limit
+  });
+  
+  res.json({
+    requests,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 학교 도메인 승인 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const approveDomainRequestController = async (req, res) => {
+  const { request, university } = await universityService.approveDomainRequest(
+    req.user.userId,
+    parseInt(req.params.id),
+    req.validatedData
+  );
+  
+  res.json({
+    message: '학교 도메인이 승인되었습니다',
+    request,
+    university
+  });
+};
+
+/**
+ * 학교 도메인 거절 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const rejectDomainRequestController = async (req, res) => {
+  const request = await universityService.rejectDomainRequest(
+    req.user.userId,
+    parseInt(req.params.id),
+    req.validatedData
+  );
+  
+  res.json({
+    message: '학교 도메인이 거절되었습니다',
+    request
+  });
+};
+
+/**
+ * API 키 목록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getApiKeysController = async (req, res) => {
+  const apiKeys = await apiKeyService.getApiKeys({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+  
+  res.json({ apiKeys });
+};
+
+/**
+ * API 키 발급 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const createApiKeyController = async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user.userId, req.validatedData);
+  
+  res.status(201).json({
+    message: 'API 키가 발급되었습니다. 키는 다시 확인할 수 없으니 안전하게 보관해주세요',
+    apiKey,
+    key
+  });
+};
+
+/**
+ * API 키 교체 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const rotateApiKeyController = async (req, res) => {
+  const { apiKey, key, previous } = await apiKeyService.rotateApiKey(
+    req.user.userId,
+    parseInt(req.params.id),
+    { graceSeconds: req.validatedData.gracePeriodSeconds }
+  );
+  
+  res.status(201).json({
+    message: 'API 키가 교체되었습니다. 키는 다시 확인할 수 없으니 안전하게 보관해주세요',
+    apiKey,
+    key,
+    previous
+  });
+};
+
+/**
+ * API 키 폐기 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const revokeApiKeyController = async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.user.userId, parseInt(req.params.id));
+  
+  res.json({
+    message: 'API 키가 폐기되었습니다',
+    apiKey
+  });
+};
+
+/**
+ * API 키 사용 기록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getApiKeyUsageController = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  
+  const { apiKey, usage } = await apiKeyService.getApiKeyUsage(parseInt(req.params.id), { page, limit });
+  
+  res.json({
+    apiKey,
+    usage,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 인증 감사 로그 조회 컨트롤러 (사용자/이벤트 종류/결과/기간 필터)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getAuthEventsController = async (req, res) => {
+  const { page, limit, ...filters } = req.validatedQuery;
+  
+  const events = await authAuditService.getAuthEvents({ ...filters, page, limit });
+  
+  res.json({
+    events,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 일일 정산 수동 실행 컨트롤러 (정산일 생략시 어제)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const runSettlementController = async (req, res) => {
+  const settlementDate = req.validatedData.date || addDays(getKstToday(), -1);
+  
+  const run = await settlementService.runSettlement(settlementDate, { triggeredBy: req.user.userId });
+  
+  res.json({
+    message: `${run.settlementDate} 정산을 실행했습니다`,
+    run
+  });
+};
+
+/**
+ * 일일 정산 실행 이력 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getSettlementRunsController = async (req, res) => {
+  const { page, limit } = req.validatedQuery;
+  
+  const runs = await settlementService.getSettlementRuns({ page, limit });
+  
+  res.json({
+    runs,
+    pagination: { page, limit }
+  });
+};
+
+module.exports = {
+  getRolesController,
+  getUserRolesController,
+  grantRoleController,
+  revokeRoleController,
+  getRoleAuditLogsController,
+  getDomainRequestsController,
+  approveDomainRequestController,
+  rejectDomainRequestController,
+  getApiKeysController,
+  createApiKeyController,
+  rotateApiKeyController,
+  revokeApiKeyController,
+  getApiKeyUsageController,
+  getAuthEventsController,
+  runSettlementController,
+  getSettlementRunsController
+};
@@ -6,6 +6,44 @@
  */
 
 const authService = require('../services/authService');
+const emailVerificationService = require('../services/emailVerificationService');
+const sessionService = require('../services/sessionService');
+const profileService = require('../services/profileService');
+const tokenService = require('../services/tokenService');
+const authAuditService = require('../services/authAuditService');
+const dataExportService = require('../services/dataExportService');
+const dataExportWorker = require('../jobs/dataExportWorker');
+
+/**
+ * 이메일 인증 코드 요청 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const requestEmailVerificationController = async (req, res) => {
+  const result = await emailVerificationService.requestVerificationCode(req.validatedData.email);
+  
+  res.status(202).json({
+    message: '인증 코드가 발송되었습니다',
+    ...result
+  });
+};
+
+/**
+ * 이메일 인증 코드 확인 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const confirmEmailVerificationController = async (req, res) => {
+  const { email, code } = req.validatedData;
+  const result = await emailVerificationService.confirmVerificationCode(email, code);
+  
+  res.json({
+    message: '이메일 인증이 완료되었습니다',
+    ...result
+  });
+};
 
 /**
  * 회원가입 컨트롤러 함수
@@ -16,6 +54,12 @@ const authService = require('../services/authService');
 const signupController = async (req, res) => {
   const student = await authService.createStudent(req.validatedData);
   
+  await authAuditService.recordAuthEvent({
+    eventType: 'signup',
+    userId: student.id,
+    email: student.email
+  }, authAuditService.getAuditClient(req));
+  
   res.status(201).json({
     message: '회원가입이 완료되었습니다',
     student
@@ -29,11 +73,32 @@ const signupController = async (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const loginController = async (req, res) => {
-  const { email, password } = req.validatedData;
+  const { email, password, issueTokens } = req.validatedData;
   
-  const student = await authService.authenticateStudent(email, password);
+  const student = await authService.authenticateStudent(email, password, {
+    ...authAuditService.getAuditClient(req),
+    authMethod: issueTokens ? 'token' : 'session'
+  });
+  
+  // 모바일 클라이언트: 세션 쿠키 대신 Bearer 토큰 발급
+  if (issueTokens) {
+    const tokens = await tokenService.issueTokens(student, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    
+    return res.json({
+      message: '로그인 성공',
+      student: authService.createSessionData(student),
+      ...tokens
+    });
+  }
   
   req.session.student = authService.createSessionData(student);
+  req.session.device = sessionService.createDeviceInfo({
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
   
   res.json({
     message: '로그인 성공',
@@ -48,12 +113,22 @@ const loginController = async (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const logoutController = (req, res) => {
+  const student = req.session.student;
+  
   req.session.destroy((err) => {
     if (err) {
       console.error('로그아웃 에러:', err);
       return res.status(500).json({ error: '로그아웃 처리 중 오류가 발생했습니다' });
     }
     
+    if (student) {
+      authAuditService.recordAuthEvent({
+        eventType: 'logout',
+        userId: student.userId,
+        email: student.email
+      }, { ...authAuditService.getAuditClient(req), authMethod: 'session' });
+    }
+    
     res.clearCookie('connect.sid');
     res.json({ message: '로그아웃 되었습니다' });
   });
@@ -65,13 +140,305 @@ const logoutController = (req, res) => {
  * @param {Object} req - Express 요청 객체
  * @param {Object} res - Express 응답 객체
  */
-const getCurrentUserController = (req, res) => {
-  res.json({ student: req.session.student });
+const getCurrentUserController = async (req, res) => {
+  const student = await authService.getStudentProfile(req.user.email);
+  res.json({ student });
+};
+
+/**
+ * 프로필(닉네임) 수정 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const updateProfileController = async (req, res) => {
+  const user = await profileService.updateProfile(req.user.email, req.validatedData);
+  
+  // 세션의 표시 이름도 함께 갱신 (토큰 인증은 다음 토큰 갱신시 반영)
+  if (req.session.student) {
+    req.session.student.name = user.nickname;
+  }
+  
+  res.json({
+    message: '프로필이 수정되었습니다',
+    student: authService.toStudentInfo(user)
+  });
+};
+
+/**
+ * 프로필 이미지 업로드 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체 (req.file: 업로드 이미지)
+ * @param {Object} res - Express 응답 객체
+ */
+const uploadProfileImageController = async (req, res) => {
+  const result = await profileService.updateProfileImage(req.user.email, req.file);
+  
+  res.json({
+    message: '프로필 이미지가 변경되었습니다',
+    ...result
+  });
+};
+
+/**
+ * 회원 탈퇴 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const deleteAccountController = async (req, res) => {
+  await authService.deleteStudentAccount(req.user.email, req.validatedData.password);
+  
+  // 저장소의 세션 행은 탈퇴 처리에서 삭제됨 - 현재 요청의 세션 객체와 쿠키 정리
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('탈퇴 후 세션 정리 에러:', err);
+    }
+    
+    res.clearCookie('connect.sid');
+    res.json({ message: '회원 탈퇴가 완료되었습니다' });
+  });
+};
+
+/**
+ * 내 데이터 내보내기 컨트롤러 함수
+ * 준비된 파일이 있으면 다운로드 링크, 없으면 백그라운드 작업 생성 후 202
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const exportMyDataController = async (req, res) => {
+  const { created, exportStatus } = await dataExportService.requestExport(req.user.userId);
+  
+  if (created) {
+    dataExportWorker.trigger();
+  }
+  
+  const isReady = exportStatus.status === 'ready';
+  res.status(isReady ? 200 : 202).json({
+    message: isReady
+      ? '내보내기 파일이 준비되었습니다'
+      : '내보내기 파일을 준비 중입니다. 잠시 후 다시 확인해주세요',
+    export: exportStatus
+  });
+};
+
+/**
+ * 내보내기 파일 다운로드 컨트롤러 함수 (링크의 서명 토큰으로 인증)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const downloadMyDataController = async (req, res) => {
+  const { buffer, filename } = await dataExportService.getExportDownload(String(req.query.token || ''));
+  
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'no-store');
+  res.send(buffer);
+};
+
+/**
+ * 비밀번호 재설정 요청 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const forgotPasswordController = async (req, res) => {
+  await authService.requestPasswordReset(req.validatedData.email);
+  
+  // 가입 여부와 관계없이 동일한 응답
+  res.status(202).json({
+    message: '가입된 이메일이라면 비밀번호 재설정 안내 메일이 발송됩니다'
+  });
+};
+
+/**
+ * 비밀번호 재설정 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const resetPasswordController = async (req, res) => {
+  const { token, newPassword } = req.validatedData;
+  const user = await authService.resetPassword(token, newPassword, authAuditService.getAuditClient(req));
+  
+  // 모든 기기의 기존 세션 로그아웃
+  await sessionService.destroyUserSessions(req.sessionStore, {
+    userId: user.id,
+    email: user.email
+  });
+  
+  res.json({ message: '비밀번호가 재설정되었습니다. 다시 로그인해주세요' });
+};
+
+/**
+ * 비밀번호 변경 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const changePasswordController = async (req, res) => {
+  const { currentPassword, newPassword } = req.validatedData;
+  const { userId, email } = req.user;
+  
+  const revokedTokens = await authService.changePassword(
+    email,
+    currentPassword,
+    newPassword,
+    authAuditService.getAuditClient(req)
+  );
+  
+  // 현재 세션을 제외한 다른 기기 로그아웃
+  const revokedSessions = await sessionService.destroyUserSessions(req.sessionStore, { userId, email }, {
+    exceptSessionId: req.sessionID
+  });
+  
+  res.json({
+    message: '비밀번호가 변경되었습니다',
+    revokedSessions,
+    revokedTokens
+  });
+};
+
+/**
+ * 로그인 세션 목록 조회 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const listSessionsController = async (req, res) => {
+  const sessions = await sessionService.listUserSessions(
+    req.sessionStore,
+    req.user.userId,
+    req.sessionID
+  );
+  
+  res.json({ sessions });
+};
+
+/**
+ * 특정 세션 로그아웃 컨트롤러 함수
+ * 현재 세션을 지정한 경우 일반 로그아웃과 동일하게 처리
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const revokeSessionController = async (req, res) => {
+  const sessionId = await sessionService.findUserSessionId(
+    req.sessionStore,
+    req.user.userId,
+    req.params.id
+  );
+  
+  if (sessionId === req.sessionID) {
+    return logoutController(req, res);
+  }
+  
+  await sessionService.destroySession(req.sessionStore, sessionId);
+  
+  await authAuditService.recordAuthEvent({
+    eventType: 'session_revoke',
+    userId: req.user.userId,
+    email: req.user.email,
+    metadata: { target: 'single', sessionId: req.params.id }
+  }, authAuditService.getAuditClient(req));
+  
+  res.json({ message: '해당 기기에서 로그아웃 되었습니다' });
+};
+
+/**
+ * 현재 세션을 제외한 모든 세션 로그아웃 컨트롤러 함수
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const revokeOtherSessionsController = async (req, res) => {
+  const { userId, email } = req.user;
+  
+  const revokedSessions = await sessionService.destroyUserSessions(req.sessionStore, { userId, email }, {
+    exceptSessionId: req.sessionID
+  });
+  
+  await authAuditService.recordAuthEvent({
+    eventType: 'session_revoke',
+    userId,
+    email,
+    metadata: { target: 'others', revokedSessions }
+  }, authAuditService.getAuditClient(req));
+  
+  res.json({
+    message: '다른 모든 기기에서 로그아웃 되었습니다',
+    revokedSessions
+  });
+};
+
+/**
+ * 토큰 갱신 컨트롤러 함수 (리프레시 토큰 회전)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const refreshTokenController = async (req, res) => {
+  const tokens = await authService.refreshTokens(req.validatedData.refreshToken, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  
+  res.json(tokens);
+};
+
+/**
+ * 토큰 폐기 컨트롤러 함수 (토큰 기반 로그아웃)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const revokeTokenController = async (req, res) => {
+  const userId = await tokenService.revokeRefreshToken(req.validatedData.refreshToken);
+  
+  if (userId) {
+    await authAuditService.recordAuthEvent({
+      eventType: 'logout',
+      userId
+    }, { ...authAuditService.getAuditClient(req), authMethod: 'token' });
+  }
+  
+  res.json({ message: '로그아웃 되었습니다' });
+};
+
+/**
+ * 내 보안 이벤트 조회 컨트롤러 함수 (최근 로그인/비밀번호 변경 등)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getMySecurityEventsController = async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const events = await authAuditService.getMySecurityEvents(req.user.userId, { limit });
+  
+  res.json({ events });
 };
 
 module.exports = {
+  requestEmailVerificationController,
+  confirmEmailVerificationController,
   signupController,
   loginController,
   logoutController,
-  getCurrentUserController
+  getCurrentUserController,
+  updateProfileController,
+  uploadProfileImageController,
+  deleteAccountController,
+  exportMyDataController,
+  downloadMyDataController,
+  forgotPasswordController,
+  resetPasswordController,
+  changePasswordController,
+  listSessionsController,
+  revokeSessionController,
+  revokeOtherSessionsController,
+  refreshTokenController,
+  revokeTokenController,
+  getMySecurityEventsController
 };
\ No newline at end of file
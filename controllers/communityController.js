@@ -21,7 +21,7 @@ const getPostsController = (req, res) => {
   
   const result = communityService.getPosts(
     { page, limit, sortBy, order }, 
-    req.session.student.email
+    req.user.email
   );
   
   res.json(result);
@@ -34,7 +34,7 @@ const getPostsController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const createPostController = async (req, res) => {
-  const post = communityService.createPost(req.validatedData, req.session.student);
+  const post = communityService.createPost(req.validatedData, req.user);
   
   res.status(201).json({
     message: '게시글이 작성되었습니다',
@@ -50,7 +50,7 @@ const createPostController = async (req, res) => {
  */
 const toggleLikeController = (req, res) => {
   const postId = parseInt(req.params.id);
-  const result = communityService.togglePostLike(postId, req.session.student.email);
+  const result = communityService.togglePostLike(postId, req.user.email);
   
   const message = result.isLiked 
     ? '좋아요를 눌렀습니다' 
@@ -85,7 +85,7 @@ const createCommentController = async (req, res) => {
   const comment = communityService.createComment(
     postId, 
     req.validatedData, 
-    req.session.student
+    req.user
   );
   
   res.status(201).json({
@@ -17,8 +17,8 @@ const getSchoolRankingController = (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const ranking = rankingService.getSchoolRanking(limit);
   const userRankInfo = rankingService.getUserRankingInfo(
-    req.session.student.name, 
-    req.session.student.department
+    req.user.name, 
+    req.user.department
   );
   
   res.json({
@@ -35,10 +35,10 @@ const getSchoolRankingController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const getDepartmentRankingController = (req, res) => {
-  const department = req.session.student.department;
+  const department = req.user.department;
   const ranking = rankingService.getDepartmentRanking(department);
   const userRankInfo = rankingService.getUserRankingInfo(
-    req.session.student.name,
+    req.user.name,
     department
   );
   
@@ -57,7 +57,7 @@ const getDepartmentRankingController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const getActiveChallengesController = (req, res) => {
-  const challenges = rankingService.getActiveChallenges(req.session.student.email);
+  const challenges = rankingService.getActiveChallenges(req.user.email);
   res.json({ challenges });
 };
 
@@ -69,7 +69,7 @@ const getActiveChallengesController = (req, res) => {
  */
 const joinChallengeController = (req, res) => {
   const challengeId = parseInt(req.params.id);
-  const result = rankingService.joinChallenge(challengeId, req.session.student.email);
+  const result = rankingService.joinChallenge(challengeId, req.user.email);
   
   res.json({
     message: '챌린지 참여가 완료되었습니다',
@@ -84,7 +84,7 @@ const joinChallengeController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const getMyChallengesController = (req, res) => {
-  const myChallenges = rankingService.getUserChallenges(req.session.student.email);
+  const myChallenges = rankingService.getUserChallenges(req.user.email);
   res.json({ myChallenges });
 };
 
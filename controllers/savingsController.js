@@ -6,6 +6,19 @@
  */
 
 const savingsService = require('../services/savingsService');
+const bankService = require('../services/bankService');
+const autoTransferService = require('../services/autoTransferService');
+
+/**
+ * 적금 상품 목록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getSavingProductsController = async (req, res) => {
+  const products = await savingsService.getSavingProducts();
+  res.json({ products });
+};
 
 /**
  * 적금통 생성 컨트롤러
@@ -14,14 +27,15 @@ const savingsService = require('../services/savingsService');
  * @param {Object} res - Express 응답 객체
  */
 const createSavingsController = async (req, res) => {
-  const savings = savingsService.createSavings(
+  const { savings, autoTransfer } = await savingsService.createSavings(
     req.validatedData, 
-    req.session.student.email
+    req.user.email
   );
   
   res.status(201).json({
     message: '적금통이 생성되었습니다',
-    savings
+    savings,
+    autoTransfer
   });
 };
 
@@ -31,8 +45,8 @@ const createSavingsController = async (req, res) => {
  * @param {Object} req - Express 요청 객체
  * @param {Object} res - Express 응답 객체
  */
-const getSavingsListController = (req, res) => {
-  const savings = savingsService.findSavingsByStudentEmail(req.session.student.email);
+const getSavingsListController = async (req, res) => {
+  const savings = await savingsService.findSavingsByStudentEmail(req.user.email);
   res.json({ savings });
 };
 
@@ -42,8 +56,8 @@ const getSavingsListController = (req, res) => {
  * @param {Object} req - Express 요청 객체
  * @param {Object} res - Express 응답 객체
  */
-const getSavingsDetailController = (req, res) => {
-  const savings = savingsService.getSavingsWithTransactions(req.savingsId);
+const getSavingsDetailController = async (req, res) => {
+  const savings = await savingsService.getSavingsWithTransactions(req.savingsId);
   
   if (!savings) {
     return res.status(404).json({ error: '적금통을 찾을 수 없습니다' });
@@ -52,6 +66,70 @@ const getSavingsDetailController = (req, res) => {
   res.json({ savings });
 };
 
+/**
+ * 적금통 정보 수정 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const updateSavingsController = async (req, res) => {
+  const { savings, changes } = await savingsService.updateSavings(req.savingsId, req.validatedData);
+
+  res.json({
+    message: changes.length > 0 ? '적금통 정보가 수정되었습니다' : '변경된 내용이 없습니다',
+    savings,
+    changes
+  });
+};
+
+/**
+ * 적금통 변경 이력 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getSavingsHistoryController = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const changes = await savingsService.getSavingsChangeHistory(req.savingsId, { page, limit });
+
+  res.json({
+    changes,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 중도해지 예상 지급액 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getEarlyTerminationController = async (req, res) => {
+  const termination = await savingsService.getEarlyTerminationQuote(req.savingsId);
+  res.json({ termination });
+};
+
+/**
+ * 적금통 중도해지 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const closeSavingsController = async (req, res) => {
+  const { savings, termination, transactions } = await savingsService.closeSavings(req.savingsId);
+
+  res.json({
+    message: termination.payout > 0
+      ? `적금통이 해지되었습니다. ${termination.payout.toLocaleString('ko-KR')}원이 연결 계좌로 지급되었습니다`
+      : '적금통이 해지되었습니다',
+    savings,
+    termination,
+    transactions
+  });
+};
+
 /**
  * 입금 처리 컨트롤러
  * 
@@ -59,9 +137,11 @@ const getSavingsDetailController = (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const processDepositController = async (req, res) => {
-  const { amount, memo } = req.validatedData;
+  const { amount, memo, idempotencyKey } = req.validatedData;
   
-  const result = savingsService.processDeposit(req.savingsId, amount, memo);
+  const result = await savingsService.processDeposit(req.savingsId, amount, memo, {
+    reference: idempotencyKey ? savingsService.toDepositReference(req.savingsId, idempotencyKey) : undefined
+  });
   
   const message = result.isGoalAchieved 
     ? '축하합니다! 목표 금액을 달성했습니다!' 
@@ -70,7 +150,108 @@ const processDepositController = async (req, res) => {
   res.json({
     message,
     savings: result.savings,
-    transaction: result.transaction
+    transaction: result.transaction,
+    newAchievements: result.newAchievements
+  });
+};
+
+/**
+ * 적금통 거래 내역 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getSavingsTransactionsController = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const transactions = await savingsService.getTransactionsBySavingsId(req.savingsId, { page, limit });
+
+  res.json({
+    transactions,
+    pagination: { page, limit }
+  });
+};
+
+/**
+ * 연결 은행 계좌 잔액 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getBankAccountController = async (req, res) => {
+  const account = await bankService.getAccountBalance(req.user.userId);
+  res.json({ account });
+};
+
+/**
+ * 자동이체 조회 컨트롤러 (최근 실행 기록 포함)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getAutoTransferController = async (req, res) => {
+  const { autoTransfer, runs } = await autoTransferService.getAutoTransfer(req.savingsId);
+  res.json({ autoTransfer, runs });
+};
+
+/**
+ * 자동이체 설정 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const createAutoTransferController = async (req, res) => {
+  const autoTransfer = await autoTransferService.createAutoTransfer(req.savingsId, req.validatedData);
+
+  res.status(201).json({
+    message: '자동이체가 설정되었습니다',
+    autoTransfer
+  });
+};
+
+/**
+ * 자동이체 수정 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const updateAutoTransferController = async (req, res) => {
+  const autoTransfer = await autoTransferService.updateAutoTransfer(req.savingsId, req.validatedData);
+
+  res.json({
+    message: '자동이체가 수정되었습니다',
+    autoTransfer
+  });
+};
+
+/**
+ * 자동이체 일시정지 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const pauseAutoTransferController = async (req, res) => {
+  const autoTransfer = await autoTransferService.pauseAutoTransfer(req.savingsId);
+
+  res.json({
+    message: '자동이체가 일시정지되었습니다',
+    autoTransfer
+  });
+};
+
+/**
+ * 자동이체 재개 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const resumeAutoTransferController = async (req, res) => {
+  const autoTransfer = await autoTransferService.resumeAutoTransfer(req.savingsId);
+
+  res.json({
+    message: '자동이체가 재개되었습니다',
+    autoTransfer
   });
 };
 
@@ -81,11 +262,11 @@ const processDepositController = async (req, res) => {
  * @param {Object} res - Express 응답 객체
  * @param {Function} next - 다음 미들웨어 함수
  */
-const checkSavingsOwnership = (req, res, next) => {
+const checkSavingsOwnership = async (req, res, next) => {
   const savingsId = parseInt(req.params.id);
-  const studentEmail = req.session.student.email;
+  const studentEmail = req.user.email;
   
-  if (!savingsService.isSavingsOwner(savingsId, studentEmail)) {
+  if (!(await savingsService.isSavingsOwner(savingsId, studentEmail))) {
     return res.status(403).json({ error: '접근 권한이 없습니다' });
   }
   
@@ -94,9 +275,21 @@ const checkSavingsOwnership = (req, res, next) => {
 };
 
 module.exports = {
+  getSavingProductsController,
   createSavingsController,
   getSavingsListController,
   getSavingsDetailController,
+  updateSavingsController,
+  getSavingsHistoryController,
+  getEarlyTerminationController,
+  closeSavingsController,
   processDepositController,
+  getSavingsTransactionsController,
+  getBankAccountController,
+  getAutoTransferController,
+  createAutoTransferController,
+  updateAutoTransferController,
+  pauseAutoTransferController,
+  resumeAutoTransferController,
   checkSavingsOwnership
 };
\ No newline at end of file
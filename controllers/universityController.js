@@ -50,6 +50,19 @@ const getUniversityStatsController = async (req, res) => {
   res.json({ stats });
 };
 
+/**
+ * 대학별 학과 목록 조회 컨트롤러
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ */
+const getUniversityDepartmentsController = async (req, res) => {
+  const universityId = parseInt(req.params.id);
+  const departments = await universityService.getDepartmentsByUniversity(universityId);
+  
+  res.json({ departments });
+};
+
 /**
  * 내 대학 정보 조회 컨트롤러
  * 
@@ -57,7 +70,7 @@ const getUniversityStatsController = async (req, res) => {
  * @param {Object} res - Express 응답 객체
  */
 const getMyUniversityController = async (req, res) => {
-  const university = await universityService.getUniversityByEmail(req.session.student.email);
+  const university = await universityService.getUniversityByEmail(req.user.email);
   
   if (!university) {
     return res.status(404).json({ error: '대학 정보를 찾을 수 없습니다' });
@@ -70,5 +83,6 @@ module.exports = {
   getAllUniversitiesController,
   getUniversityRankingController,
   getUniversityStatsController,
+  getUniversityDepartmentsController,
   getMyUniversityController
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * 적금통 자동이체 백그라운드 작업
+ * 
+ * 기능: KST 기준 실행일이 된 자동이체를 주기적으로 처리 (재시도 예정 시각이 지난 일정 포함)
+ * 실행: 서버 프로세스 안에서 타이머로 실행 (app.js startServer에서 시작)
+ * 특징: 일정 선점은 DB에서 처리하므로 여러 인스턴스 실행 가능
+ */
+
+const autoTransferService = require('../services/autoTransferService');
+
+// 실행 대상 확인 주기 (기본 10분)
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * 실행할 자동이체를 모두 처리 (이미 실행 중이면 건너뜀)
+ * 
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    while (await autoTransferService.processNextAutoTransfer()) {
+      // 실행할 일정이 없을 때까지 순서대로 처리
+    }
+  } catch (error) {
+    console.error('❌ 자동이체 작업 실행 실패:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * 주기적 처리 시작
+ * 
+ * @param {Object} options - { intervalMs }
+ * @returns {void}
+ */
+const start = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  setImmediate(runOnce);
+};
+
+/**
+ * 주기적 처리 중지
+ * 
+ * @returns {void}
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop
+};
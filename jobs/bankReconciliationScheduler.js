@@ -0,0 +1,70 @@
+/**
+ * 은행 이체 대사 백그라운드 작업
+ * 
+ * 기능: 결과를 모르는 채로 남은 은행 이체/지급 요청(pending/completed)을 주기적으로 은행에 조회하여 원장 반영 또는 실패 처리
+ * 실행: 서버 프로세스 안에서 타이머로 실행 (app.js startServer에서 시작)
+ * 특징: 이체 요청 선점은 DB에서 처리하므로 여러 인스턴스 실행 가능
+ */
+
+const savingsService = require('../services/savingsService');
+
+// 대사 대상 확인 주기 (기본 10분)
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * 대사할 이체 요청을 모두 처리 (이미 실행 중이면 건너뜀)
+ * 
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    let result;
+    while ((result = await savingsService.reconcileNextBankTransfer())) {
+      if (!result.error) {
+        console.log(`🏦 은행 이체 요청 #${result.transferId} 대사 완료: ${result.status}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ 은행 이체 대사 작업 실행 실패:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * 주기적 처리 시작
+ * 
+ * @param {Object} options - { intervalMs }
+ * @returns {void}
+ */
+const start = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  setImmediate(runOnce);
+};
+
+/**
+ * 주기적 처리 중지
+ * 
+ * @returns {void}
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop
+};
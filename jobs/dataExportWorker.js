@@ -0,0 +1,78 @@
+/**
+ * 개인정보 내보내기 백그라운드 작업
+ * 
+ * 기능: 대기 중인 내보내기 작업을 주기적으로 처리, 만료 파일 정리
+ * 실행: 서버 프로세스 안에서 타이머로 실행 (app.js startServer에서 시작)
+ * 특징: 요청 직후 trigger()로 바로 처리, 작업 선점은 DB에서 처리하므로 여러 인스턴스 실행 가능
+ */
+
+const dataExportService = require('../services/dataExportService');
+
+// 대기 작업 확인 주기 (기본 1분)
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * 대기 작업을 모두 처리 (이미 실행 중이면 건너뜀)
+ * 
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await dataExportService.cleanupExports();
+    while (await dataExportService.processNextExport()) {
+      // 대기 작업이 없을 때까지 순서대로 처리
+    }
+  } catch (error) {
+    console.error('❌ 개인정보 내보내기 작업 실행 실패:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * 즉시 처리 요청 (요청 응답을 막지 않도록 다음 틱에 실행)
+ * 
+ * @returns {void}
+ */
+const trigger = () => {
+  setImmediate(runOnce);
+};
+
+/**
+ * 주기적 처리 시작
+ * 
+ * @param {Object} options - { intervalMs }
+ * @returns {void}
+ */
+const start = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  trigger();
+};
+
+/**
+ * 주기적 처리 중지
+ * 
+ * @returns {void}
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  trigger,
+  start,
+  stop
+};
@@ -0,0 +1,85 @@
+/**
+ * 적금통 일일 정산 백그라운드 작업
+ * 
+ * 기능: 매일 KST 자정 직후 전날까지의 밀린 정산을 실행 (서버 시작시 한 번 따라잡기 실행)
+ * 실행: 서버 프로세스 안에서 타이머로 실행 (app.js startServer에서 시작)
+ * 특징: 정산 결과는 적금통별로 멱등하게 반영되고 날짜별 실행은 DB에서 선점하므로 여러 인스턴스 실행 가능
+ */
+
+const settlementService = require('../services/settlementService');
+const { getMsUntilNextKstMidnight } = require('../utils/kstDate');
+
+// 자정 직후 실행 지연 (경계 시각의 입금이 마무리될 여유)
+const DEFAULT_DELAY_MS = 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * 밀린 정산을 배치 단위로 모두 실행 (이미 실행 중이면 건너뜀)
+ * 
+ * @returns {Promise<void>}
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    let batch;
+    do {
+      batch = await settlementService.runPendingSettlements();
+      batch.runs.forEach((run) => {
+        console.log(`📅 ${run.settlementDate} 정산 ${run.status}: 판정 ${run.bucketsChecked}건, 실패 기록 ${run.failuresRecorded}건`);
+      });
+    } while (batch.hasMore);
+  } catch (error) {
+    console.error('❌ 일일 정산 작업 실행 실패:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * 다음 KST 자정 실행 예약
+ * 
+ * @param {number} delayMs - 자정 이후 실행 지연
+ * @returns {void}
+ */
+const scheduleNext = (delayMs) => {
+  timer = setTimeout(async () => {
+    await runOnce();
+    if (timer) scheduleNext(delayMs);
+  }, getMsUntilNextKstMidnight() + delayMs);
+  timer.unref();
+};
+
+/**
+ * 매일 정산 시작
+ * 
+ * @param {Object} options - { delayMs }
+ * @returns {void}
+ */
+const start = ({ delayMs = DEFAULT_DELAY_MS } = {}) => {
+  if (timer) return;
+
+  scheduleNext(delayMs);
+  setImmediate(runOnce);
+};
+
+/**
+ * 매일 정산 중지
+ * 
+ * @returns {void}
+ */
+const stop = () => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop
+};
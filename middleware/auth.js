@@ -1,40 +1,74 @@
 /**
  * 인증 관련 미들웨어
  * 
- * 기능: 세션 기반 사용자 인증 확인, 접근 권한 검사
- * 보안: 로그인 상태 검증, 세션 유효성 확인
+ * 기능: 세션 쿠키/Bearer 토큰 기반 사용자 인증 확인, 접근 권한 검사, 외부 연동 API 키 확인
+ * 보안: 로그인 상태 검증, 세션 유효성 확인, DB 역할 기반 권한 확인
  * 사용: 보호된 라우트에서 사용자 인증 필요시 적용
  */
 
+const tokenService = require('../services/tokenService');
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Authorization 헤더에서 Bearer 토큰 추출
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @returns {string|null} 액세스 토큰 또는 null
+ */
+function getBearerToken(req) {
+  const header = req.headers['authorization'];
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim() || null;
+}
+
 /**
  * 로그인 필수 미들웨어
- * 세션에 학생 정보가 있는지 확인하여 인증 상태 검증
+ * 세션 쿠키 또는 Bearer 액세스 토큰으로 인증 상태 검증
  * 
- * 입력: req (세션 포함), res, next
+ * 입력: req (세션 또는 Authorization 헤더 포함), res, next
  * 출력: 인증 실패시 401 에러, 성공시 next() 호출
- * 부작용: 없음
- * 예외: 세션이 없거나 학생 정보가 없는 경우 인증 실패
+ * 부작용: req.user (세션의 student와 같은 형태), req.authMethod ('session' | 'token') 설정
+ * 예외: 세션/토큰이 없거나 유효하지 않은 경우 인증 실패
  */
 function requireAuth(req, res, next) {
-  // 세션에 학생 정보가 있는지 확인
-  if (!req.session || !req.session.student) {
-    return res.status(401).json({
-      error: '로그인이 필요합니다',
-      code: 'AUTH_REQUIRED'
-    });
+  // 1. 세션 쿠키 인증 (웹)
+  if (req.session && req.session.student) {
+    // 학생 정보가 유효한지 확인
+    const student = req.session.student;
+    if (!student.email || !student.name) {
+      return res.status(401).json({
+        error: '유효하지 않은 세션입니다. 다시 로그인해주세요',
+        code: 'INVALID_SESSION'
+      });
+    }
+
+    req.user = student;
+    req.authMethod = 'session';
+    return next();
   }
 
-  // 학생 정보가 유효한지 확인
-  const student = req.session.student;
-  if (!student.email || !student.name) {
-    return res.status(401).json({
-      error: '유효하지 않은 세션입니다. 다시 로그인해주세요',
-      code: 'INVALID_SESSION'
-    });
+  // 2. Bearer 토큰 인증 (모바일)
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      req.user = tokenService.verifyAccessToken(token);
+      req.authMethod = 'token';
+      return next();
+    } catch (error) {
+      return res.status(401).json({
+        error: error.message,
+        code: error.code
+      });
+    }
   }
 
-  // 인증 성공 - 다음 미들웨어로 진행
-  next();
+  return res.status(401).json({
+    error: '로그인이 필요합니다',
+    code: 'AUTH_REQUIRED'
+  });
 }
 
 /**
@@ -43,90 +77,119 @@ function requireAuth(req, res, next) {
  * 
  * 입력: req, res, next
  * 출력: 항상 next() 호출 (인증 실패해도 진행)
- * 부작용: req.isAuthenticated 플래그 설정
- * 예외: 없음 (에러 발생시에도 진행)
+ * 부작용: req.isAuthenticated 플래그, 인증된 경우 req.user/req.authMethod 설정
+ * 예외: 없음 (유효하지 않은 토큰은 게스트로 처리)
  */
 function optionalAuth(req, res, next) {
-  // 인증 상태 플래그 설정
-  req.isAuthenticated = !!(req.session && req.session.student);
-  
-  // 인증된 경우 사용자 정보도 설정
-  if (req.isAuthenticated) {
+  if (req.session && req.session.student) {
     req.user = req.session.student;
+    req.authMethod = 'session';
+  } else {
+    const token = getBearerToken(req);
+    if (token) {
+      try {
+        req.user = tokenService.verifyAccessToken(token);
+        req.authMethod = 'token';
+      } catch (error) {
+        // 만료/위조 토큰은 게스트로 진행
+      }
+    }
   }
 
+  // 인증 상태 플래그 설정
+  req.isAuthenticated = !!req.user;
+
   next();
 }
 
 /**
- * 관리자 권한 확인 미들웨어 (확장용)
- * 현재는 기본 구현만 제공, 실제 관리자 권한 시스템 구현시 확장
+ * 권한 확인 미들웨어 생성 함수
+ * 로그인 확인 후 DB에 저장된 역할의 권한(scope)을 검사
  * 
- * 입력: req, res, next
+ * 입력: scope (예: 'university:manage'), options
+ *   - resolveUniversityId(req): 대상 대학 ID (해당 대학 범위 권한도 인정)
+ *   - anyUniversity: 어느 대학 범위든 권한이 있으면 통과 (세부 범위는 서비스에서 확인)
  * 출력: 권한 없음시 403 에러, 성공시 next() 호출
- * 부작용: 없음
- * 예외: 관리자가 아닌 경우 접근 거부
+ * 부작용: req.user 설정 (requireAuth)
+ * 예외: 역할 조회 실패시 500 에러
  */
-function requireAdmin(req, res, next) {
-  // 먼저 로그인 상태 확인
-  if (!req.session || !req.session.student) {
-    return res.status(401).json({
-      error: '로그인이 필요합니다',
-      code: 'AUTH_REQUIRED'
-    });
-  }
-
-  // 관리자 권한 확인 (실제 구현에서는 DB에서 역할 확인)
-  const isAdmin = req.session.student.email.includes('admin') || 
-                  req.session.student.role === 'admin';
-
-  if (!isAdmin) {
-    return res.status(403).json({
-      error: '관리자 권한이 필요합니다',
-      code: 'ADMIN_REQUIRED'
+function requirePermission(scope, { resolveUniversityId = null, anyUniversity = false } = {}) {
+  return (req, res, next) => {
+    requireAuth(req, res, async () => {
+      try {
+        const allowed = await roleService.hasPermission(req.user.userId, scope, {
+          universityId: resolveUniversityId ? resolveUniversityId(req) : null,
+          anyUniversity
+        });
+
+        if (!allowed) {
+          return res.status(403).json({
+            error: '접근 권한이 없습니다',
+            code: 'PERMISSION_DENIED'
+          });
+        }
+
+        next();
+      } catch (error) {
+        console.error('권한 확인 에러:', error);
+        res.status(500).json({ error: '권한 확인 중 오류가 발생했습니다' });
+      }
     });
-  }
-
-  next();
+  };
 }
 
 /**
- * API 키 인증 미들웨어 (외부 API 연동용)
- * 헤더의 API 키를 확인하여 외부 서비스 접근 권한 검증
+ * API 키 인증 미들웨어 생성 함수 (외부 API 연동용)
+ * X-API-Key 헤더(또는 Authorization: Bearer)의 키를 DB에 저장된 해시와 비교하고 라우트 범위 확인
  * 
- * 입력: req (Authorization 헤더 포함), res, next
- * 출력: API 키 무효시 401 에러, 성공시 next() 호출
- * 부작용: 없음
- * 예외: API 키가 없거나 유효하지 않은 경우
+ * 입력: scope (라우트에 필요한 API 키 범위)
+ * 출력: 키 무효시 401, 범위 밖 요청시 403 에러, 성공시 next() 호출
+ * 부작용: req.apiKey 설정, 응답 완료 후 사용 기록 (api_key_usage_log, last_used_at)
+ * 예외: API 키가 없거나 유효하지 않은 경우, 허용되지 않은 범위인 경우
  */
-function requireApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
-  const validApiKey = process.env.API_KEY;
-
-  // API 키가 설정되지 않은 경우 개발모드에서는 통과
-  if (!validApiKey && process.env.NODE_ENV !== 'production') {
-    console.warn('⚠️ API 키가 설정되지 않았습니다 (개발모드)');
-    return next();
-  }
-
-  if (!apiKey) {
-    return res.status(401).json({
-      error: 'API 키가 필요합니다',
-      code: 'API_KEY_REQUIRED'
-    });
-  }
-
-  // Bearer 토큰 형태인 경우 추출
-  const token = apiKey.startsWith('Bearer ') ? apiKey.slice(7) : apiKey;
-
-  if (token !== validApiKey) {
-    return res.status(401).json({
-      error: '유효하지 않은 API 키입니다',
-      code: 'INVALID_API_KEY'
-    });
-  }
-
-  next();
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'] || getBearerToken(req);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'API 키가 필요합니다',
+        code: 'API_KEY_REQUIRED'
+      });
+    }
+
+    // 응답 상태 코드까지 기록하기 위해 응답 완료 시점에 저장
+    const recordUsage = (apiKeyId) => {
+      res.on('finish', () => {
+        apiKeyService.recordApiKeyUsage(apiKeyId, {
+          scope,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          ip: req.ip
+        });
+      });
+    };
+
+    try {
+      req.apiKey = await apiKeyService.authenticateApiKey(apiKey, scope);
+    } catch (error) {
+      if (!error.status) {
+        console.error('API 키 확인 에러:', error);
+        return res.status(500).json({ error: 'API 키 확인 중 오류가 발생했습니다' });
+      }
+      if (error.apiKeyId) {
+        recordUsage(error.apiKeyId);
+      }
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    recordUsage(req.apiKey.id);
+    next();
+  };
 }
 
 /**
@@ -150,7 +213,7 @@ function extendSession(req, res, next) {
 module.exports = {
   requireAuth,
   optionalAuth,
-  requireAdmin,
+  requirePermission,
   requireApiKey,
   extendSession
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * 파일 업로드 미들웨어
+ * 
+ * 기능: multipart/form-data 파싱, 파일 형식/크기 1차 검증
+ * 보안: 메모리에만 보관 후 서비스에서 내용(시그니처) 재검증 뒤 저장소에 기록
+ * 사용: 프로필 이미지 업로드 라우트
+ */
+
+const multer = require('multer');
+
+// 허용 이미지 형식 및 최대 크기
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_PROFILE_IMAGE_BYTES = parseInt(process.env.PROFILE_IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+
+const profileImageParser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PROFILE_IMAGE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return callback(new Error('JPG, PNG, WEBP, GIF 이미지만 업로드할 수 있습니다'));
+    }
+    callback(null, true);
+  }
+}).single('image');
+
+/**
+ * 프로필 이미지 업로드 미들웨어
+ * 'image' 필드의 단일 파일을 req.file에 담아 다음 미들웨어로 전달
+ * 
+ * 입력: req (multipart/form-data), res, next
+ * 출력: 검증 실패시 400 에러, 성공시 next() 호출
+ * 부작용: req.file 설정 (buffer, mimetype, size)
+ * 예외: 파일 없음, 허용되지 않은 형식, 크기 초과
+ */
+function uploadProfileImage(req, res, next) {
+  profileImageParser(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `이미지 크기는 ${Math.floor(MAX_PROFILE_IMAGE_BYTES / 1024 / 1024)}MB 이하여야 합니다`
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: '업로드할 이미지(image)가 필요합니다' });
+    }
+
+    next();
+  });
+}
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  MAX_PROFILE_IMAGE_BYTES,
+  uploadProfileImage
+};
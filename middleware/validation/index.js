@@ -22,8 +22,26 @@ const validateInput = (schema) => {
   };
 };
 
+/**
+ * 쿼리스트링 검증 미들웨어 생성 함수
+ * 
+ * @param {Object} schema - Joi 검증 스키마
+ * @returns {Function} Express 미들웨어 함수 (검증 결과는 req.validatedQuery)
+ */
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    req.validatedQuery = value;
+    next();
+  };
+};
+
 /**
  * 에러 처리 미들웨어 생성 함수
+ * 서비스에서 error.status, error.code, error.retryAfter(초)를 지정하면 응답에 반영
  * 
  * @param {Function} serviceFunction - 서비스 함수
  * @returns {Function} Express 미들웨어 함수
@@ -34,12 +52,19 @@ const handleServiceError = (serviceFunction) => {
       await serviceFunction(req, res, next);
     } catch (error) {
       console.error('서비스 에러:', error);
-      res.status(400).json({ error: error.message });
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      res.status(error.status || 400).json({
+        error: error.message,
+        ...(error.status && error.code && { code: error.code })
+      });
     }
   };
 };
 
 module.exports = {
   validateInput,
+  validateQuery,
   handleServiceError
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * 로컬 Mock 은행 API 서버
+ * 
+ * 기능: HTTP 은행 제공자(MOCK_BANK_API=false) 개발/테스트용 은행 API 스텁
+ * 사용: npm run mock:bank (기본 포트 4010, BANK_API_URL=http://localhost:4010)
+ * 장애 재현: MOCK_BANK_LATENCY_MS(응답 지연), MOCK_BANK_FAILURE_RATE(0~1, 503 응답 비율)
+ * 특징: 계좌/이체 처리는 프로세스 내 Mock 제공자와 동일한 규칙 사용 (메모리 저장, 재시작시 초기화)
+ */
+
+require('dotenv').config();
+const express = require('express');
+const { createMockBankProvider } = require('../services/bankService');
+
+/**
+ * Mock 은행 API 앱 생성 함수
+ * 
+ * @param {Object} options - { latencyMs, failureRate, provider }
+ * @returns {Object} Express 앱
+ */
+const createMockBankApp = ({ latencyMs = 0, failureRate = 0, provider = createMockBankProvider() } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  // 응답 지연/장애 재현
+  app.use((req, res, next) => {
+    setTimeout(() => {
+      if (Math.random() < failureRate) {
+        return res.status(503).json({ error: '은행 시스템 점검 중입니다' });
+      }
+      next();
+    }, latencyMs);
+  });
+
+  // GET /customers/:customerId/account - 고객 계좌 조회 (없으면 개설)
+  app.get('/customers/:customerId/account', async (req, res) => {
+    res.json(await provider.findAccount(req.params.customerId));
+  });
+
+  // GET /accounts/:accountNumber/balance - 계좌 잔액 조회
+  app.get('/accounts/:accountNumber/balance', async (req, res) => {
+    try {
+      res.json(await provider.getBalance(req.params.accountNumber));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // POST /transfers - 적금 상품으로 이체 (거절시 422)
+  app.post('/transfers', async (req, res) => {
+    const { fromAccount, productId, amount, memo, reference } = req.body;
+    if (!fromAccount || !productId || !Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: '잘못된 이체 요청입니다' });
+    }
+
+    const result = await provider.transfer({ fromAccount, productId, amount, memo, reference });
+    res.status(result.status === 'completed' ? 201 : 422).json(result);
+  });
+
+  // POST /payouts - 적금 상품에서 고객 계좌로 지급 (거절시 422)
+  app.post('/payouts', async (req, res) => {
+    const { toAccount, productId, amount, memo, reference } = req.body;
+    if (!toAccount || !productId || !Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: '잘못된 지급 요청입니다' });
+    }
+
+    const result = await provider.payout({ toAccount, productId, amount, memo, reference });
+    res.status(result.status === 'completed' ? 201 : 422).json(result);
+  });
+
+  // GET /transfers/:reference - reference로 완료된 이체/지급 조회 (없으면 404)
+  app.get('/transfers/:reference', async (req, res) => {
+    const result = await provider.findTransfer(req.params.reference);
+    if (!result) {
+      return res.status(404).json({ error: '거래를 찾을 수 없습니다' });
+    }
+    res.json(result);
+  });
+
+  // GET /products - 적금 상품 목록
+  app.get('/products', async (req, res) => {
+    res.json({ products: await provider.listProducts() });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_BANK_PORT) || 4010;
+  const app = createMockBankApp({
+    latencyMs: parseInt(process.env.MOCK_BANK_LATENCY_MS) || 0,
+    failureRate: parseFloat(process.env.MOCK_BANK_FAILURE_RATE) || 0
+  });
+
+  app.listen(port, () => {
+    console.log(`🏦 Mock 은행 API 서버가 포트 ${port}에서 실행중입니다`);
+  });
+}
+
+module.exports = {
+  createMockBankApp
+};
@@ -0,0 +1,241 @@
+/**
+ * 회원 탈퇴 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 사용자와 개인 데이터 삭제, 커뮤니티 기록 익명화, 대학 통계용 집계 보존
+ * 테이블: "user" 및 사용자를 참조하는 모든 테이블, university_archived_stats
+ * 특징: 하나의 트랜잭션으로 처리 (중간 실패시 전체 롤백)
+ */
+
+const { pool } = require('../config/database');
+
+// 탈퇴한 사용자의 댓글/기록 작성자로 사용하는 대체 사용자
+const TOMBSTONE_EMAIL = 'deleted-user@tombstone.invalid';
+const TOMBSTONE_NICKNAME = '탈퇴한 사용자';
+
+/**
+ * 대체 사용자 조회 또는 생성
+ * 
+ * @param {Object} client - DB 클라이언트 (트랜잭션)
+ * @returns {Promise<Object>} 대체 사용자 정보
+ */
+const getOrCreateTombstoneUser = async (client) => {
+  const result = await client.query(`
+    INSERT INTO "user" (email, nickname)
+    VALUES ($1, $2)
+    ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+    RETURNING *
+  `, [TOMBSTONE_EMAIL, TOMBSTONE_NICKNAME]);
+
+  return result.rows[0];
+};
+
+/**
+ * 탈퇴 사용자 기록을 대학 누적 집계에 반영
+ * 
+ * @param {Object} client - DB 클라이언트 (트랜잭션)
+ * @param {Object} user - 탈퇴 사용자 정보
+ * @returns {Promise<Object>} { buckets, completedBuckets, successDays } 보존된 집계
+ */
+const archiveUniversityStats = async (client, user) => {
+  const bucketResult = await client.query(`
+    SELECT COUNT(*) as bucket_count,
+      COUNT(*) FILTER (WHERE status = 'success') as completed_count
+    FROM saving_bucket
+    WHERE user_id = $1
+  `, [user.id]);
+  const metricsResult = await client.query(`
+    SELECT success_days FROM user_metrics WHERE user_id = $1
+  `, [user.id]);
+
+  const archived = {
+    buckets: parseInt(bucketResult.rows[0].bucket_count),
+    completedBuckets: parseInt(bucketResult.rows[0].completed_count),
+    successDays: metricsResult.rows[0] ? metricsResult.rows[0].success_days || 0 : 0
+  };
+
+  if (user.university_id) {
+    await client.query(`
+      INSERT INTO university_archived_stats (
+        university_id, archived_users, archived_buckets, archived_completed_buckets,
+        archived_success_days_sum, archived_max_success_days
+      )
+      VALUES ($1, 1, $2, $3, $4, $4)
+      ON CONFLICT (university_id)
+      DO UPDATE SET
+        archived_users = university_archived_stats.archived_users + 1,
+        archived_buckets = university_archived_stats.archived_buckets + EXCLUDED.archived_buckets,
+        archived_completed_buckets = university_archived_stats.archived_completed_buckets + EXCLUDED.archived_completed_buckets,
+        archived_success_days_sum = university_archived_stats.archived_success_days_sum + EXCLUDED.archived_success_days_sum,
+        archived_max_success_days = GREATEST(university_archived_stats.archived_max_success_days, EXCLUDED.archived_max_success_days),
+        updated_at = NOW()
+    `, [user.university_id, archived.buckets, archived.completedBuckets, archived.successDays]);
+  }
+
+  return archived;
+};
+
+/**
+ * 적금통 좋아요 수 재계산
+ * 
+ * @param {Object} client - DB 클라이언트 (트랜잭션)
+ * @param {Array} bucketIds - 재계산할 적금통 ID 목록
+ * @returns {Promise<void>}
+ */
+const recountBucketLikes = async (client, bucketIds) => {
+  if (bucketIds.length === 0) return;
+
+  await client.query(`
+    UPDATE saving_bucket sb
+    SET like_count = (
+      SELECT COUNT(*) FROM saving_bucket_like sbl WHERE sbl.bucket_id = sb.id
+    )
+    WHERE sb.id = ANY($1)
+  `, [bucketIds]);
+};
+
+/**
+ * 회원 탈퇴 처리
+ * - 적금통은 대학 누적 집계로만 남기고 삭제 (좋아요/댓글/진행 기록 포함)
+ * - 다른 사용자 적금통에 남긴 댓글, 역할 변경 이력은 대체 사용자로 작성자 변경
+ * - 다른 적금통에 누른 좋아요는 삭제 후 like_count 재계산
+ * - 인증 정보, 세션, 토큰, 인벤토리, 업적, 친구, 메트릭스, 내보내기 기록 삭제
+ * - 처리 중인 은행 이체(pending/completed)가 있으면 탈퇴하지 않음
+ * 
+ * @param {Object} user - 탈퇴 사용자 정보 (id, email, university_id)
+ * @returns {Promise<Object>} { archived, anonymizedComments, exportStorageKeys } 처리 결과
+ * @throws {Error} 처리 중인 은행 이체가 있는 경우 (409)
+ */
+const deleteUserAccount = async (user) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 동시 요청(좋아요, 적금통 생성 등)과 겹치지 않도록 사용자 행 잠금
+    const locked = await client.query(`
+      SELECT id FROM "user" WHERE id = $1 FOR UPDATE
+    `, [user.id]);
+    if (locked.rows.length === 0) {
+      throw new Error('사용자를 찾을 수 없습니다');
+    }
+
+    // 은행 결과를 모르거나 원장에 반영되지 않은 이체가 있으면 탈퇴 보류 (은행 거래의 유일한 기록이므로 삭제하지 않음)
+    // 적금통을 잠가 탈퇴 처리 중에 새 이체 요청이 기록되지 않게 함
+    await client.query(`
+      SELECT id FROM saving_bucket WHERE user_id = $1 FOR UPDATE
+    `, [user.id]);
+    const openTransferResult = await client.query(`
+      SELECT COUNT(*)::int as count FROM saving_bank_transfer
+      WHERE (user_id = $1 OR bucket_id IN (SELECT id FROM saving_bucket WHERE user_id = $1))
+        AND status IN ('pending', 'completed')
+    `, [user.id]);
+    if (openTransferResult.rows[0].count > 0) {
+      const error = new Error('처리 중인 은행 이체가 있어 탈퇴할 수 없습니다. 이체가 정리된 뒤 다시 시도해주세요');
+      error.status = 409;
+      throw error;
+    }
+
+    const tombstone = await getOrCreateTombstoneUser(client);
+    const archived = await archiveUniversityStats(client, user);
+
+    // 다른 적금통에 누른 좋아요 삭제
+    const likeResult = await client.query(`
+      DELETE FROM saving_bucket_like WHERE user_id = $1 RETURNING bucket_id
+    `, [user.id]);
+
+    // 본인 적금통과 하위 기록 삭제
+    const bucketResult = await client.query(`
+      SELECT id FROM saving_bucket WHERE user_id = $1
+    `, [user.id]);
+    const ownBucketIds = bucketResult.rows.map(row => row.id);
+
+    await client.query(`
+      DELETE FROM saving_bucket_like WHERE bucket_id = ANY($1)
+    `, [ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket_comment WHERE bucket_id = ANY($1)
+    `, [ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket_progress WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_auto_transfer_run WHERE bucket_id = ANY($1)
+    `, [ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_auto_transfer WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bank_transfer WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket_transaction WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket_status_history WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket_change WHERE user_id = $1 OR bucket_id = ANY($2)
+    `, [user.id, ownBucketIds]);
+    await client.query(`
+      DELETE FROM saving_bucket WHERE user_id = $1
+    `, [user.id]);
+
+    // 좋아요가 빠진 다른 사용자 적금통의 like_count 재계산
+    const likedBucketIds = [...new Set(likeResult.rows.map(row => row.bucket_id))]
+      .filter(bucketId => !ownBucketIds.includes(bucketId));
+    await recountBucketLikes(client, likedBucketIds);
+
+    // 다른 적금통에 남긴 댓글은 대체 사용자 작성으로 유지
+    const commentResult = await client.query(`
+      UPDATE saving_bucket_comment SET user_id = $2 WHERE user_id = $1
+    `, [user.id, tombstone.id]);
+
+    // 역할 및 역할 변경 이력 정리 (이력은 대체 사용자로 보존)
+    await client.query(`DELETE FROM user_role WHERE user_id = $1`, [user.id]);
+    await client.query(`UPDATE user_role SET granted_by = NULL WHERE granted_by = $1`, [user.id]);
+    await client.query(`UPDATE role_audit_log SET actor_user_id = $2 WHERE actor_user_id = $1`, [user.id, tombstone.id]);
+    await client.query(`UPDATE role_audit_log SET target_user_id = $2 WHERE target_user_id = $1`, [user.id, tombstone.id]);
+
+    // 개인 데이터 삭제
+    await client.query(`DELETE FROM user_inventory WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM user_achievement WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM user_friend WHERE user_id = $1 OR friend_id = $1`, [user.id]);
+    await client.query(`DELETE FROM user_metrics WHERE user_id = $1`, [user.id]);
+    const exportResult = await client.query(`
+      DELETE FROM data_export WHERE user_id = $1 RETURNING storage_key
+    `, [user.id]);
+
+    // 인증 관련 데이터 삭제
+    await client.query(`DELETE FROM user_credential WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM user_session WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM refresh_token WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM password_reset_token WHERE user_id = $1`, [user.id]);
+    await client.query(`DELETE FROM email_verification WHERE email = LOWER($1)`, [user.email]);
+    await client.query(`
+      DELETE FROM login_attempt WHERE scope = 'account' AND identifier = LOWER($1)
+    `, [user.email]);
+    await client.query(`
+      DELETE FROM auth_audit_log WHERE user_id = $1 OR email = $2
+    `, [user.id, user.email]);
+
+    await client.query(`DELETE FROM "user" WHERE id = $1`, [user.id]);
+
+    await client.query('COMMIT');
+    return {
+      archived,
+      anonymizedComments: commentResult.rowCount,
+      exportStorageKeys: exportResult.rows.map(row => row.storage_key).filter(Boolean)
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  TOMBSTONE_EMAIL,
+  deleteUserAccount
+};
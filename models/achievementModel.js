@@ -218,8 +218,8 @@ const getUserStatsForAchievements = async (userId) => {
       um.success_days,
       um.current_streak,
       um.challenge_success_count,
-      -- 적금통 완료 개수 계산
-      (SELECT COUNT(*) FROM saving_bucket WHERE user_id = $1 AND status = 'success') as completed_buckets,
+      -- 적금통 완료(success) 개수 (상태 전이시 반영되는 메트릭)
+      um.completed_bucket_count as completed_buckets,
       -- 총 적금 성공일 계산 (모든 적금통의 success_days 합)
       COALESCE((SELECT SUM(success_days) FROM saving_bucket WHERE user_id = $1), 0) as total_success_days
     FROM user_metrics um
@@ -0,0 +1,200 @@
+/**
+ * API 키 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 외부 연동 API 키 발급/조회/교체/폐기, 사용 기록
+ * 테이블: api_key, api_key_usage_log
+ * 특징: 키 원문은 저장하지 않고 공개 접두사(key_prefix)로 조회 후 해시 비교
+ */
+
+const { pool } = require('../config/database');
+
+// 조회 결과에 포함할 컬럼 (key_hash 제외)
+const API_KEY_COLUMNS = `
+  id, name, owner, key_prefix, scopes, created_by, rotated_from,
+  expires_at, last_used_at, revoked_at, revoked_by, created_at
+`;
+
+/**
+ * API 키 생성
+ * 
+ * @param {Object} keyData - { name, owner, prefix, keyHash, scopes, createdBy, expiresAt }
+ * @returns {Promise<Object>} 생성된 API 키 정보 (해시 제외)
+ */
+const createApiKey = async ({ name, owner, prefix, keyHash, scopes, createdBy, expiresAt = null }) => {
+  const result = await pool.query(`
+    INSERT INTO api_key (name, owner, key_prefix, key_hash, scopes, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${API_KEY_COLUMNS}
+  `, [name, owner, prefix, keyHash, scopes, createdBy, expiresAt]);
+
+  return result.rows[0];
+};
+
+/**
+ * API 키 목록 조회
+ * 
+ * @param {Object} options - { includeInactive } 폐기/만료된 키 포함 여부
+ * @returns {Promise<Array>} API 키 목록 (최근 발급 순, 해시 제외)
+ */
+const getApiKeys = async ({ includeInactive = false } = {}) => {
+  const result = await pool.query(`
+    SELECT ${API_KEY_COLUMNS}
+    FROM api_key
+    WHERE $1::BOOLEAN
+      OR (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()))
+    ORDER BY created_at DESC
+  `, [includeInactive]);
+
+  return result.rows;
+};
+
+/**
+ * 공개 접두사로 API 키 조회 (인증용, 해시 포함)
+ * 
+ * @param {string} prefix - 키 공개 접두사
+ * @returns {Promise<Object|null>} API 키 정보 (is_active 포함) 또는 null
+ */
+const findApiKeyByPrefix = async (prefix) => {
+  const result = await pool.query(`
+    SELECT *,
+      revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) as is_active
+    FROM api_key
+    WHERE key_prefix = $1
+  `, [prefix]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * API 키 교체 (트랜잭션)
+ * 같은 이름/소유자/범위/만료일로 새 키를 만들고, 기존 키는 즉시 폐기하거나 유예시간 뒤 만료
+ * 
+ * @param {number} keyId - 교체할 API 키 ID
+ * @param {Object} rotation - { prefix, keyHash, actorUserId, graceSeconds }
+ * @returns {Promise<Object|null>} { apiKey, previous } 또는 null (사용 중인 키가 아닌 경우)
+ */
+const rotateApiKey = async (keyId, { prefix, keyHash, actorUserId, graceSeconds = 0 }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(`
+      SELECT * FROM api_key
+      WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      FOR UPDATE
+    `, [keyId]);
+    const current = currentResult.rows[0];
+    if (!current) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const createdResult = await client.query(`
+      INSERT INTO api_key (name, owner, key_prefix, key_hash, scopes, created_by, rotated_from, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [current.name, current.owner, prefix, keyHash, current.scopes, actorUserId, current.id, current.expires_at]);
+
+    const previousResult = graceSeconds > 0
+      ? await client.query(`
+          UPDATE api_key
+          SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + $2 * INTERVAL '1 second')
+          WHERE id = $1
+          RETURNING ${API_KEY_COLUMNS}
+        `, [keyId, graceSeconds])
+      : await client.query(`
+          UPDATE api_key
+          SET revoked_at = NOW(), revoked_by = $2
+          WHERE id = $1
+          RETURNING ${API_KEY_COLUMNS}
+        `, [keyId, actorUserId]);
+
+    await client.query('COMMIT');
+    return { apiKey: createdResult.rows[0], previous: previousResult.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * API 키 폐기
+ * 
+ * @param {number} keyId - API 키 ID
+ * @param {number} actorUserId - 폐기한 관리자 ID
+ * @returns {Promise<Object|null>} 폐기된 API 키 또는 null (없거나 이미 폐기된 경우)
+ */
+const revokeApiKey = async (keyId, actorUserId) => {
+  const result = await pool.query(`
+    UPDATE api_key
+    SET revoked_at = NOW(), revoked_by = $2
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING ${API_KEY_COLUMNS}
+  `, [keyId, actorUserId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * API 키 ID로 조회 (해시 제외)
+ * 
+ * @param {number} keyId - API 키 ID
+ * @returns {Promise<Object|null>} API 키 정보 또는 null
+ */
+const findApiKeyById = async (keyId) => {
+  const result = await pool.query(`
+    SELECT ${API_KEY_COLUMNS} FROM api_key WHERE id = $1
+  `, [keyId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * API 키 사용 기록 (마지막 사용 시각 갱신 포함)
+ * 
+ * @param {number} keyId - API 키 ID
+ * @param {Object} usage - { scope, method, path, statusCode, ip }
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (keyId, { scope, method, path, statusCode, ip }) => {
+  await pool.query(`
+    WITH touched AS (
+      UPDATE api_key SET last_used_at = NOW() WHERE id = $1
+    )
+    INSERT INTO api_key_usage_log (api_key_id, scope, method, path, status_code, ip_address)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [keyId, scope, method, path, statusCode, ip]);
+};
+
+/**
+ * API 키 사용 기록 조회
+ * 
+ * @param {number} keyId - API 키 ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} 사용 기록 (최근 순)
+ */
+const getUsageLogs = async (keyId, { limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT id, scope, method, path, status_code, ip_address, created_at
+    FROM api_key_usage_log
+    WHERE api_key_id = $1
+    ORDER BY created_at DESC
+    LIMIT $2 OFFSET $3
+  `, [keyId, limit, offset]);
+
+  return result.rows;
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  findApiKeyById,
+  findApiKeyByPrefix,
+  rotateApiKey,
+  revokeApiKey,
+  recordUsage,
+  getUsageLogs
+};
@@ -0,0 +1,51 @@
+/**
+ * 인증 감사 로그 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 인증 이벤트 기록, 조건별 조회
+ * 테이블: auth_audit_log
+ * 특징: 기록만 추가하고 수정하지 않음 (회원 탈퇴시에만 삭제)
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 인증 이벤트 기록
+ * 
+ * @param {Object} event - { userId, email, eventType, outcome, reason, authMethod, ip, userAgent, metadata }
+ * @returns {Promise<void>}
+ */
+const createAuthEvent = async ({ userId, email, eventType, outcome, reason, authMethod, ip, userAgent, metadata }) => {
+  await pool.query(`
+    INSERT INTO auth_audit_log
+      (user_id, email, event_type, outcome, reason, auth_method, ip_address, user_agent, metadata)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [userId, email, eventType, outcome, reason, authMethod, ip, userAgent, JSON.stringify(metadata)]);
+};
+
+/**
+ * 인증 이벤트 조회 (조건은 모두 선택)
+ * 
+ * @param {Object} filters - { userId, eventType, outcome, from, to, limit, offset }
+ * @returns {Promise<Array>} 인증 이벤트 목록 (최근 순)
+ */
+const getAuthEvents = async ({ userId = null, eventType = null, outcome = null, from = null, to = null, limit = 50, offset = 0 }) => {
+  const result = await pool.query(`
+    SELECT id, user_id, email, event_type, outcome, reason, auth_method,
+      ip_address, user_agent, metadata, created_at
+    FROM auth_audit_log
+    WHERE ($1::INT IS NULL OR user_id = $1)
+      AND ($2::VARCHAR IS NULL OR event_type = $2)
+      AND ($3::VARCHAR IS NULL OR outcome = $3)
+      AND ($4::TIMESTAMP IS NULL OR created_at >= $4)
+      AND ($5::TIMESTAMP IS NULL OR created_at < $5)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $6 OFFSET $7
+  `, [userId, eventType, outcome, from, to, limit, offset]);
+
+  return result.rows;
+};
+
+module.exports = {
+  createAuthEvent,
+  getAuthEvents
+};
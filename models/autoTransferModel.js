@@ -0,0 +1,165 @@
+/**
+ * 자동이체 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 적금통 자동이체 일정 생성/수정/상태 변경, 실행 대상 선점, 실행 기록
+ * 테이블: saving_auto_transfer, saving_auto_transfer_run
+ * 특징: 실행 대상은 SKIP LOCKED로 선점하여 여러 서버 인스턴스에서 중복 실행 방지
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 자동이체 일정 생성
+ * 
+ * @param {Object} scheduleData - { bucketId, userId, amount, cycle, dayOfWeek, dayOfMonth, nextRunDate }
+ * @param {Object} client - 트랜잭션 클라이언트 (기본: pool)
+ * @returns {Promise<Object>} 생성된 자동이체 일정
+ */
+const createSchedule = async ({ bucketId, userId, amount, cycle, dayOfWeek, dayOfMonth, nextRunDate }, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO saving_auto_transfer (bucket_id, user_id, amount, cycle, day_of_week, day_of_month, next_run_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [bucketId, userId, amount, cycle, dayOfWeek, dayOfMonth, nextRunDate]);
+
+  return result.rows[0];
+};
+
+/**
+ * 적금통 자동이체 일정 조회
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @returns {Promise<Object|null>} 자동이체 일정 또는 null
+ */
+const findScheduleByBucket = async (bucketId) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_auto_transfer WHERE bucket_id = $1
+  `, [bucketId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 자동이체 일정 수정 (재시도 상태 초기화)
+ * 
+ * @param {number} scheduleId - 자동이체 일정 ID
+ * @param {Object} scheduleData - { amount, cycle, dayOfWeek, dayOfMonth, nextRunDate, status }
+ * @returns {Promise<Object>} 수정된 자동이체 일정
+ */
+const updateSchedule = async (scheduleId, { amount, cycle, dayOfWeek, dayOfMonth, nextRunDate, status }) => {
+  const result = await pool.query(`
+    UPDATE saving_auto_transfer
+    SET amount = $2, cycle = $3, day_of_week = $4, day_of_month = $5,
+        next_run_date = $6, status = $7,
+        retry_count = 0, next_attempt_at = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [scheduleId, amount, cycle, dayOfWeek, dayOfMonth, nextRunDate, status]);
+
+  return result.rows[0];
+};
+
+/**
+ * 실행할 자동이체 일정 하나 선점
+ * 선점한 일정은 leaseSeconds 동안 다른 실행에서 제외 (처리 중 서버가 중단되면 이후 다시 실행)
+ * 
+ * @param {string} today - 오늘 날짜 (YYYY-MM-DD, KST)
+ * @param {number} leaseSeconds - 선점 유지 시간 (초)
+ * @returns {Promise<Object|null>} 선점한 자동이체 일정 또는 null
+ */
+const claimDueSchedule = async (today, leaseSeconds) => {
+  const result = await pool.query(`
+    UPDATE saving_auto_transfer
+    SET next_attempt_at = NOW() + $2 * INTERVAL '1 second'
+    WHERE id = (
+      SELECT id FROM saving_auto_transfer
+      WHERE status = 'active' AND next_run_date <= $1
+        AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+      ORDER BY next_run_date, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [today, leaseSeconds]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 실행 결과 반영
+ * 
+ * @param {number} scheduleId - 자동이체 일정 ID
+ * @param {Object} outcome - { nextRunDate, status, retryCount, retryDelaySeconds, lastError } retryDelaySeconds가 있으면 재시도 예약
+ * @returns {Promise<void>}
+ */
+const updateScheduleAfterRun = async (scheduleId, { nextRunDate, status, retryCount = 0, retryDelaySeconds = null, lastError = null }) => {
+  await pool.query(`
+    UPDATE saving_auto_transfer
+    SET next_run_date = $2, status = $3, retry_count = $4,
+        next_attempt_at = CASE WHEN $5::INT IS NULL THEN NULL ELSE NOW() + $5 * INTERVAL '1 second' END,
+        last_run_at = NOW(), last_error = $6, updated_at = NOW()
+    WHERE id = $1
+  `, [scheduleId, nextRunDate, status, retryCount, retryDelaySeconds, lastError]);
+};
+
+/**
+ * 자동이체 실행 기록
+ * 
+ * @param {Object} runData - { scheduleId, bucketId, scheduledDate, attempt, amount, status, transactionId, errorCode, errorMessage }
+ * @returns {Promise<Object>} 실행 기록
+ */
+const createRun = async ({ scheduleId, bucketId, scheduledDate, attempt, amount, status, transactionId = null, errorCode = null, errorMessage = null }) => {
+  const result = await pool.query(`
+    INSERT INTO saving_auto_transfer_run
+      (schedule_id, bucket_id, scheduled_date, attempt, amount, status, transaction_id, error_code, error_message)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [scheduleId, bucketId, scheduledDate, attempt, amount, status, transactionId, errorCode, errorMessage]);
+
+  return result.rows[0];
+};
+
+/**
+ * 예정일의 은행 거절 실행 수 조회 (거절 후 재시도 reference 생성용)
+ * 
+ * @param {number} scheduleId - 자동이체 일정 ID
+ * @param {string} scheduledDate - 예정일 (YYYY-MM-DD)
+ * @returns {Promise<number>} BANK_TRANSFER_DECLINED로 실패한 실행 수
+ */
+const countDeclinedRuns = async (scheduleId, scheduledDate) => {
+  const result = await pool.query(`
+    SELECT COUNT(*)::int AS count FROM saving_auto_transfer_run
+    WHERE schedule_id = $1 AND scheduled_date = $2 AND error_code = 'BANK_TRANSFER_DECLINED'
+  `, [scheduleId, scheduledDate]);
+
+  return result.rows[0].count;
+};
+
+/**
+ * 자동이체 실행 기록 조회
+ * 
+ * @param {number} scheduleId - 자동이체 일정 ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} 실행 기록 (최근 순)
+ */
+const getRunsBySchedule = async (scheduleId, { limit = 20 } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_auto_transfer_run
+    WHERE schedule_id = $1
+    ORDER BY id DESC
+    LIMIT $2
+  `, [scheduleId, limit]);
+
+  return result.rows;
+};
+
+module.exports = {
+  createSchedule,
+  findScheduleByBucket,
+  updateSchedule,
+  claimDueSchedule,
+  updateScheduleAfterRun,
+  createRun,
+  countDeclinedRuns,
+  getRunsBySchedule
+};
@@ -0,0 +1,188 @@
+/**
+ * 은행 이체 요청 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 은행 입금/지급 요청 기록, 처리 상태 갱신
+ * 테이블: saving_bank_transfer
+ * 특징: 은행 호출 전에 pending으로 기록하여 원장 반영 전 중단된 이체도 DB에 남음 (오래된 pending/completed 요청은 대사 작업이 정리)
+ *       (pending: 결과 미확인, completed: 은행 완료/원장 미반영, failed: 은행 거절, recorded: 원장 반영)
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 이체 요청 기록 (같은 reference가 이미 있으면 null)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {Object} transferData - { bucketId, userId, direction, amount, reference, memo, source, detail }
+ * @returns {Promise<Object|null>} 기록된 이체 요청 또는 null
+ */
+const createTransfer = async (client, { bucketId, userId, direction, amount, reference, memo = null, source, detail = null }) => {
+  const result = await client.query(`
+    INSERT INTO saving_bank_transfer (bucket_id, user_id, direction, amount, reference, memo, source, detail)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (reference) DO NOTHING
+    RETURNING *
+  `, [bucketId, userId, direction, amount, reference, memo, source, detail && JSON.stringify(detail)]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * reference로 이체 요청 조회 (행 잠금)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {string} reference - 은행 요청 reference
+ * @returns {Promise<Object|null>} 이체 요청 또는 null
+ */
+const lockTransferByReference = async (client, reference) => {
+  const result = await client.query(`
+    SELECT * FROM saving_bank_transfer WHERE reference = $1 FOR UPDATE
+  `, [reference]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 적금통의 처리 중인 이체 요청 조회 (pending/completed 중 가장 오래된 것)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} direction - 'deposit' | 'payout'
+ * @returns {Promise<Object|null>} 처리 중인 이체 요청 또는 null
+ */
+const findOpenTransfer = async (client, bucketId, direction) => {
+  const result = await client.query(`
+    SELECT * FROM saving_bank_transfer
+    WHERE bucket_id = $1 AND direction = $2 AND status IN ('pending', 'completed')
+    ORDER BY id
+    LIMIT 1
+  `, [bucketId, direction]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 적금통의 이체 요청 수 조회 (요청마다 새 reference를 만들 때 사용)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} direction - 'deposit' | 'payout'
+ * @returns {Promise<number>} 이체 요청 수
+ */
+const countTransfers = async (client, bucketId, direction) => {
+  const result = await client.query(`
+    SELECT COUNT(*)::int AS count FROM saving_bank_transfer
+    WHERE bucket_id = $1 AND direction = $2
+  `, [bucketId, direction]);
+
+  return result.rows[0].count;
+};
+
+/**
+ * 대사할 이체 요청 하나 선점 (pending/completed 상태로 staleSeconds 이상 갱신되지 않은 요청)
+ * 선점한 요청은 updated_at을 갱신하여 staleSeconds 동안 다른 대사 실행에서 제외
+ * 
+ * @param {number} staleSeconds - 마지막 갱신 후 대사까지 기다리는 시간 (초)
+ * @returns {Promise<Object|null>} 선점한 이체 요청 또는 null
+ */
+const claimStaleTransfer = async (staleSeconds) => {
+  const result = await pool.query(`
+    UPDATE saving_bank_transfer
+    SET updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM saving_bank_transfer
+      WHERE status IN ('pending', 'completed') AND updated_at <= NOW() - $1 * INTERVAL '1 second'
+      ORDER BY updated_at, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [staleSeconds]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 거절된 이체 요청을 같은 reference로 다시 시도하도록 pending 복귀
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} transferId - 이체 요청 ID
+ * @returns {Promise<Object>} 갱신된 이체 요청
+ */
+const reopenTransfer = async (client, transferId) => {
+  const result = await client.query(`
+    UPDATE saving_bank_transfer
+    SET status = 'pending', error = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [transferId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 은행 처리 완료 기록 (원장 반영 전)
+ * 
+ * @param {number} transferId - 이체 요청 ID
+ * @param {string} bankTransactionId - 은행 거래 번호
+ * @returns {Promise<Object>} 갱신된 이체 요청
+ */
+const markTransferCompleted = async (transferId, bankTransactionId) => {
+  const result = await pool.query(`
+    UPDATE saving_bank_transfer
+    SET status = 'completed', bank_transaction_id = $2, error = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [transferId, bankTransactionId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 은행 호출 실패 기록 (거절이면 failed, 결과를 알 수 없으면 pending 유지)
+ * 
+ * @param {number} transferId - 이체 요청 ID
+ * @param {Object} failure - { declined, error }
+ * @returns {Promise<Object>} 갱신된 이체 요청
+ */
+const markTransferFailed = async (transferId, { declined, error }) => {
+  const result = await pool.query(`
+    UPDATE saving_bank_transfer
+    SET status = CASE WHEN $2 THEN 'failed' ELSE status END, error = $3, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [transferId, declined, error]);
+
+  return result.rows[0];
+};
+
+/**
+ * 원장 반영 완료 기록
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} transferId - 이체 요청 ID
+ * @param {number} ledgerTransactionId - 원장 거래 ID
+ * @returns {Promise<Object>} 갱신된 이체 요청
+ */
+const markTransferRecorded = async (client, transferId, ledgerTransactionId) => {
+  const result = await client.query(`
+    UPDATE saving_bank_transfer
+    SET status = 'recorded', ledger_transaction_id = $2, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [transferId, ledgerTransactionId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  createTransfer,
+  lockTransferByReference,
+  findOpenTransfer,
+  countTransfers,
+  claimStaleTransfer,
+  reopenTransfer,
+  markTransferCompleted,
+  markTransferFailed,
+  markTransferRecorded
+};
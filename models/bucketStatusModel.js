@@ -0,0 +1,119 @@
+/**
+ * 적금통 상태 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 적금통 상태 변경, 상태 변경 이력 기록/조회, 만기 대상 조회, 완료 메트릭 반영
+ * 테이블: saving_bucket, saving_bucket_status_history, user_metrics
+ * 특징: 이전 상태를 조건으로 변경하여 동시에 두 번 전이되지 않음
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 적금통 상태 변경 (현재 상태가 fromStatus인 경우에만)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} fromStatus - 현재 상태
+ * @param {string} toStatus - 변경할 상태
+ * @returns {Promise<Object|null>} 변경된 적금통 또는 null (이미 다른 상태인 경우)
+ */
+const updateBucketStatus = async (client, bucketId, fromStatus, toStatus) => {
+  const result = await client.query(`
+    UPDATE saving_bucket
+    SET status = $3, status_changed_at = NOW()
+    WHERE id = $1 AND status = $2
+    RETURNING *
+  `, [bucketId, fromStatus, toStatus]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 상태 변경 이력 기록
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {Object} historyData - { bucketId, userId, fromStatus, toStatus, reason }
+ * @returns {Promise<Object>} 기록된 이력
+ */
+const createStatusHistory = async (client, { bucketId, userId, fromStatus, toStatus, reason }) => {
+  const result = await client.query(`
+    INSERT INTO saving_bucket_status_history (bucket_id, user_id, from_status, to_status, reason)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [bucketId, userId, fromStatus, toStatus, reason]);
+
+  return result.rows[0];
+};
+
+/**
+ * 적금통 상태 변경 이력 조회
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @returns {Promise<Array>} 상태 변경 이력 (오래된 순)
+ */
+const getStatusHistory = async (bucketId) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_bucket_status_history
+    WHERE bucket_id = $1
+    ORDER BY id
+  `, [bucketId]);
+
+  return result.rows;
+};
+
+/**
+ * 만기일이 지난 진행 중 적금통 조회
+ * 
+ * @param {string} date - 기준일 (YYYY-MM-DD, 이 날짜까지 만기인 적금통)
+ * @returns {Promise<Array>} 적금통 ID 목록
+ */
+const getBucketIdsPastTargetDate = async (date) => {
+  const result = await pool.query(`
+    SELECT id FROM saving_bucket
+    WHERE status = 'in_progress' AND target_date <= $1
+    ORDER BY id
+  `, [date]);
+
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * 챌린지 적금통 성공 횟수 반영 (성공 전이 +1, 성공 후 해지 -1)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @param {number} delta - 증감 값
+ * @returns {Promise<void>}
+ */
+const adjustChallengeSuccessCount = async (client, userId, delta) => {
+  await client.query(`
+    UPDATE user_metrics
+    SET challenge_success_count = GREATEST(challenge_success_count + $2, 0), updated_at = NOW()
+    WHERE user_id = $1
+  `, [userId, delta]);
+};
+
+/**
+ * 완료(success) 적금통 수 반영 (성공 전이 +1, 성공 후 해지 -1)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @param {number} delta - 증감 값
+ * @returns {Promise<void>}
+ */
+const adjustCompletedBucketCount = async (client, userId, delta) => {
+  await client.query(`
+    UPDATE user_metrics
+    SET completed_bucket_count = GREATEST(completed_bucket_count + $2, 0), updated_at = NOW()
+    WHERE user_id = $1
+  `, [userId, delta]);
+};
+
+module.exports = {
+  updateBucketStatus,
+  createStatusHistory,
+  getStatusHistory,
+  getBucketIdsPastTargetDate,
+  adjustChallengeSuccessCount,
+  adjustCompletedBucketCount
+};
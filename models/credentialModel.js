@@ -0,0 +1,82 @@
+/**
+ * 인증 정보 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 사용자 비밀번호 해시 저장/조회/갱신
+ * 테이블: user_credential
+ * 특징: "user" 테이블과 1:1 관계, 평문 비밀번호는 저장하지 않음
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 인증 정보 생성 (이미 있으면 해시 교체)
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} passwordHash - bcrypt 해시
+ * @param {Object} client - 트랜잭션 클라이언트 (선택, 기본값: pool)
+ * @returns {Promise<Object>} 저장된 인증 정보
+ */
+const upsertCredential = async (userId, passwordHash, client = pool) => {
+  const result = await client.query(`
+    INSERT INTO user_credential (user_id, password_hash)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id)
+    DO UPDATE SET password_hash = EXCLUDED.password_hash, updated_at = NOW()
+    RETURNING *
+  `, [userId, passwordHash]);
+
+  return result.rows[0];
+};
+
+/**
+ * 사용자 ID로 인증 정보 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object|null>} 인증 정보 또는 null
+ */
+const getCredentialByUserId = async (userId) => {
+  const result = await pool.query(`
+    SELECT * FROM user_credential WHERE user_id = $1
+  `, [userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 비밀번호 해시 갱신
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} passwordHash - 새 bcrypt 해시
+ * @returns {Promise<Object|null>} 갱신된 인증 정보 또는 null
+ */
+const updatePasswordHash = async (userId, passwordHash) => {
+  const result = await pool.query(`
+    UPDATE user_credential
+    SET password_hash = $2, updated_at = NOW()
+    WHERE user_id = $1
+    RETURNING *
+  `, [userId, passwordHash]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 인증 정보 삭제
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<boolean>} 삭제 여부
+ */
+const deleteCredential = async (userId) => {
+  const result = await pool.query(`
+    DELETE FROM user_credential WHERE user_id = $1
+  `, [userId]);
+
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  upsertCredential,
+  getCredentialByUserId,
+  updatePasswordHash,
+  deleteCredential
+};
@@ -0,0 +1,268 @@
+/**
+ * 개인정보 내보내기 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 내보내기 작업 관리(요청/처리/완료/만료), 사용자 보유 데이터 조회
+ * 테이블: data_export (작업), 사용자 관련 테이블 전체 (조회)
+ * 특징: 대기 작업은 FOR UPDATE SKIP LOCKED로 가져와 여러 인스턴스에서도 한 번만 처리
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 내보내기 작업 생성
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} 생성된 작업
+ */
+const createExport = async (userId) => {
+  const result = await pool.query(`
+    INSERT INTO data_export (user_id)
+    VALUES ($1)
+    RETURNING *
+  `, [userId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 사용자의 최근 내보내기 작업 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object|null>} 최근 작업 (is_expired 포함) 또는 null
+ */
+const findLatestExport = async (userId) => {
+  const result = await pool.query(`
+    SELECT *, (expires_at IS NOT NULL AND expires_at <= NOW()) as is_expired
+    FROM data_export
+    WHERE user_id = $1
+    ORDER BY requested_at DESC, id DESC
+    LIMIT 1
+  `, [userId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * ID로 내보내기 작업 조회
+ * 
+ * @param {number} exportId - 작업 ID
+ * @returns {Promise<Object|null>} 작업 (is_expired 포함) 또는 null
+ */
+const findExportById = async (exportId) => {
+  const result = await pool.query(`
+    SELECT *, (expires_at IS NOT NULL AND expires_at <= NOW()) as is_expired
+    FROM data_export
+    WHERE id = $1
+  `, [exportId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 대기 중인 작업 하나를 처리 중으로 변경하며 가져오기
+ * 
+ * @returns {Promise<Object|null>} 처리할 작업 또는 null (대기 작업 없음)
+ */
+const claimNextPendingExport = async () => {
+  const result = await pool.query(`
+    UPDATE data_export
+    SET status = 'processing', started_at = NOW()
+    WHERE id = (
+      SELECT id FROM data_export
+      WHERE status = 'pending'
+      ORDER BY requested_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 오래 처리 중인 작업을 다시 대기 상태로 (서버 재시작 등으로 중단된 작업)
+ * 
+ * @param {number} staleSeconds - 처리 중으로 둘 최대 시간 (초)
+ * @returns {Promise<number>} 되돌린 작업 수
+ */
+const requeueStaleExports = async (staleSeconds) => {
+  const result = await pool.query(`
+    UPDATE data_export
+    SET status = 'pending', started_at = NULL
+    WHERE status = 'processing' AND started_at < NOW() - $1 * INTERVAL '1 second'
+  `, [staleSeconds]);
+
+  return result.rowCount;
+};
+
+/**
+ * 작업 완료 처리
+ * 
+ * @param {number} exportId - 작업 ID
+ * @param {Object} fileData - { storageKey, fileSize, ttlSeconds }
+ * @returns {Promise<Object>} 완료된 작업
+ */
+const markExportReady = async (exportId, { storageKey, fileSize, ttlSeconds }) => {
+  const result = await pool.query(`
+    UPDATE data_export
+    SET status = 'ready',
+        storage_key = $2,
+        file_size = $3,
+        completed_at = NOW(),
+        expires_at = NOW() + $4 * INTERVAL '1 second'
+    WHERE id = $1
+    RETURNING *
+  `, [exportId, storageKey, fileSize, ttlSeconds]);
+
+  return result.rows[0];
+};
+
+/**
+ * 작업 실패 처리
+ * 
+ * @param {number} exportId - 작업 ID
+ * @param {string} errorMessage - 실패 사유
+ * @returns {Promise<void>}
+ */
+const markExportFailed = async (exportId, errorMessage) => {
+  await pool.query(`
+    UPDATE data_export
+    SET status = 'failed', error_message = $2, completed_at = NOW()
+    WHERE id = $1
+  `, [exportId, errorMessage]);
+};
+
+/**
+ * 만료된 작업 만료 처리
+ * 
+ * @returns {Promise<Array>} 만료 처리된 작업 목록 (파일 삭제용 storage_key 포함)
+ */
+const expireOldExports = async () => {
+  const result = await pool.query(`
+    UPDATE data_export
+    SET status = 'expired'
+    WHERE status = 'ready' AND expires_at <= NOW()
+    RETURNING *
+  `);
+
+  return result.rows;
+};
+
+/**
+ * 내보내기용 사용자 보유 데이터 조회
+ * 인증 정보(비밀번호 해시, 세션, 토큰)는 제외
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} 테이블별 데이터
+ */
+const getUserDataForExport = async (userId) => {
+  const [profile, metrics, buckets, progress, transactions, bankTransfers, autoTransfers, statusHistory, bucketChanges, comments, likes, achievements, inventory] = await Promise.all([
+    pool.query(`
+      SELECT u.id, u.email, u.nickname, u.profile_image, u.student_id, u.created_at,
+        un.name as university_name, d.name as department_name
+      FROM "user" u
+      LEFT JOIN university un ON u.university_id = un.id
+      LEFT JOIN department d ON u.department_id = d.id
+      WHERE u.id = $1
+    `, [userId]),
+    pool.query(`
+      SELECT * FROM user_metrics WHERE user_id = $1
+    `, [userId]),
+    pool.query(`
+      SELECT * FROM saving_bucket WHERE user_id = $1 ORDER BY created_at
+    `, [userId]),
+    pool.query(`
+      SELECT * FROM saving_bucket_progress WHERE user_id = $1 ORDER BY bucket_id, date
+    `, [userId]),
+    pool.query(`
+      SELECT sbt.bucket_id, sbt.type, sbt.amount, sbt.balance_after, sbt.memo, sbt.source, sbt.external_ref, sbt.created_at
+      FROM saving_bucket_transaction sbt
+      JOIN saving_bucket sb ON sb.id = sbt.bucket_id
+      WHERE sb.user_id = $1
+      ORDER BY sbt.bucket_id, sbt.id
+    `, [userId]),
+    pool.query(`
+      SELECT bucket_id, direction, amount, reference, memo, source, status, bank_transaction_id, created_at, updated_at
+      FROM saving_bank_transfer
+      WHERE user_id = $1
+      ORDER BY bucket_id, id
+    `, [userId]),
+    pool.query(`
+      SELECT bucket_id, amount, cycle, day_of_week, day_of_month, status, next_run_date, created_at
+      FROM saving_auto_transfer
+      WHERE user_id = $1
+      ORDER BY bucket_id
+    `, [userId]),
+    pool.query(`
+      SELECT sbsh.bucket_id, sbsh.from_status, sbsh.to_status, sbsh.reason, sbsh.created_at
+      FROM saving_bucket_status_history sbsh
+      JOIN saving_bucket sb ON sb.id = sbsh.bucket_id
+      WHERE sb.user_id = $1
+      ORDER BY sbsh.bucket_id, sbsh.id
+    `, [userId]),
+    pool.query(`
+      SELECT sbch.bucket_id, sbch.field, sbch.old_value, sbch.new_value, sbch.created_at
+      FROM saving_bucket_change sbch
+      JOIN saving_bucket sb ON sb.id = sbch.bucket_id
+      WHERE sb.user_id = $1
+      ORDER BY sbch.bucket_id, sbch.id
+    `, [userId]),
+    pool.query(`
+      SELECT sbc.id, sbc.bucket_id, sb.name as bucket_name, sbc.content, sbc.created_at
+      FROM saving_bucket_comment sbc
+      LEFT JOIN saving_bucket sb ON sb.id = sbc.bucket_id
+      WHERE sbc.user_id = $1
+      ORDER BY sbc.created_at
+    `, [userId]),
+    pool.query(`
+      SELECT sbl.bucket_id, sb.name as bucket_name, sbl.created_at
+      FROM saving_bucket_like sbl
+      LEFT JOIN saving_bucket sb ON sb.id = sbl.bucket_id
+      WHERE sbl.user_id = $1
+      ORDER BY sbl.created_at
+    `, [userId]),
+    pool.query(`
+      SELECT a.code, a.title, a.description, ua.unlocked_at, ua.meta
+      FROM user_achievement ua
+      JOIN achievement a ON a.id = ua.achievement_id
+      WHERE ua.user_id = $1
+      ORDER BY ua.unlocked_at
+    `, [userId]),
+    pool.query(`
+      SELECT ci.id as item_id, ci.type, ci.name, ci.rarity, ui.acquired_at
+      FROM user_inventory ui
+      JOIN cosmetic_item ci ON ci.id = ui.item_id
+      WHERE ui.user_id = $1
+      ORDER BY ui.acquired_at
+    `, [userId])
+  ]);
+
+  return {
+    profile: profile.rows[0] || null,
+    metrics: metrics.rows[0] || null,
+    buckets: buckets.rows,
+    progress: progress.rows,
+    transactions: transactions.rows,
+    bankTransfers: bankTransfers.rows,
+    autoTransfers: autoTransfers.rows,
+    statusHistory: statusHistory.rows,
+    bucketChanges: bucketChanges.rows,
+    comments: comments.rows,
+    likes: likes.rows,
+    achievements: achievements.rows,
+    inventory: inventory.rows
+  };
+};
+
+module.exports = {
+  createExport,
+  findLatestExport,
+  findExportById,
+  claimNextPendingExport,
+  requeueStaleExports,
+  markExportReady,
+  markExportFailed,
+  expireOldExports,
+  getUserDataForExport
+};
@@ -0,0 +1,52 @@
+/**
+ * 학과 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 대학별 학과 목록 관리
+ * 테이블: department
+ * 특징: (university_id, name) 기준으로 중복 없이 자동 등록
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 학과 조회 또는 생성
+ * 
+ * @param {number} universityId - 대학 ID
+ * @param {string} name - 정규화된 학과명
+ * @returns {Promise<Object>} 학과 정보
+ */
+const findOrCreateDepartment = async (universityId, name) => {
+  const result = await pool.query(`
+    INSERT INTO department (university_id, name)
+    VALUES ($1, $2)
+    ON CONFLICT (university_id, name)
+    DO UPDATE SET name = EXCLUDED.name
+    RETURNING *
+  `, [universityId, name]);
+
+  return result.rows[0];
+};
+
+/**
+ * 대학별 학과 목록 조회
+ * 
+ * @param {number} universityId - 대학 ID
+ * @returns {Promise<Array>} 학과 목록 (소속 학생 수 포함)
+ */
+const getDepartmentsByUniversity = async (universityId) => {
+  const result = await pool.query(`
+    SELECT d.id, d.name, COUNT(u.id) as student_count
+    FROM department d
+    LEFT JOIN "user" u ON u.department_id = d.id
+    WHERE d.university_id = $1
+    GROUP BY d.id
+    ORDER BY d.name
+  `, [universityId]);
+
+  return result.rows;
+};
+
+module.exports = {
+  findOrCreateDepartment,
+  getDepartmentsByUniversity
+};
@@ -0,0 +1,126 @@
+/**
+ * 이메일 인증 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 학교 이메일 인증 코드 발급/조회/상태 변경
+ * 테이블: email_verification
+ * 특징: 코드는 해시로만 저장, 가장 최근 발급 코드만 유효
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 인증 코드 발급 기록 생성
+ * 
+ * @param {Object} verificationData - { email, codeHash, ttlSeconds }
+ * @returns {Promise<Object>} 생성된 인증 기록
+ */
+const createVerification = async ({ email, codeHash, ttlSeconds }) => {
+  const result = await pool.query(`
+    INSERT INTO email_verification (email, code_hash, expires_at)
+    VALUES ($1, $2, NOW() + $3 * INTERVAL '1 second')
+    RETURNING *
+  `, [email, codeHash, ttlSeconds]);
+
+  return result.rows[0];
+};
+
+/**
+ * 이메일의 가장 최근 인증 기록 조회
+ * 
+ * @param {string} email - 이메일 주소
+ * @returns {Promise<Object|null>} 인증 기록 또는 null
+ */
+const getLatestVerification = async (email) => {
+  const result = await pool.query(`
+    SELECT *,
+      expires_at < NOW() as is_expired,
+      EXTRACT(EPOCH FROM (NOW() - created_at)) as age_seconds
+    FROM email_verification
+    WHERE email = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [email]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 입력 실패 횟수 증가
+ * 
+ * @param {number} verificationId - 인증 기록 ID
+ * @returns {Promise<Object>} 갱신된 인증 기록
+ */
+const incrementAttemptCount = async (verificationId) => {
+  const result = await pool.query(`
+    UPDATE email_verification
+    SET attempt_count = attempt_count + 1
+    WHERE id = $1
+    RETURNING *
+  `, [verificationId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 인증 완료 처리
+ * 
+ * @param {number} verificationId - 인증 기록 ID
+ * @returns {Promise<Object>} 갱신된 인증 기록
+ */
+const markVerified = async (verificationId) => {
+  const result = await pool.query(`
+    UPDATE email_verification
+    SET verified_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [verificationId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 회원가입에 사용 가능한 인증 완료 기록 조회
+ * 
+ * @param {string} email - 이메일 주소
+ * @param {number} validSeconds - 인증 완료 후 유효 시간 (초)
+ * @returns {Promise<Object|null>} 인증 기록 또는 null
+ */
+const getUsableVerification = async (email, validSeconds) => {
+  const result = await pool.query(`
+    SELECT * FROM email_verification
+    WHERE email = $1
+      AND verified_at IS NOT NULL
+      AND consumed_at IS NULL
+      AND verified_at > NOW() - $2 * INTERVAL '1 second'
+    ORDER BY verified_at DESC
+    LIMIT 1
+  `, [email, validSeconds]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 인증 기록 사용 처리 (회원가입 완료시)
+ * 
+ * @param {number} verificationId - 인증 기록 ID
+ * @returns {Promise<Object>} 갱신된 인증 기록
+ */
+const markConsumed = async (verificationId) => {
+  const result = await pool.query(`
+    UPDATE email_verification
+    SET consumed_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [verificationId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  createVerification,
+  getLatestVerification,
+  incrementAttemptCount,
+  markVerified,
+  getUsableVerification,
+  markConsumed
+};
@@ -0,0 +1,101 @@
+/**
+ * 로그인 시도 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 계정/IP별 로그인 실패 횟수 및 잠금 상태 관리
+ * 테이블: login_attempt
+ * 특징: (scope, identifier) 단위 1행, 여러 서버 인스턴스가 같은 카운터 공유
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 로그인 시도 기록 조회 (잠금 남은 시간 포함)
+ * 
+ * @param {string} scope - 'account' 또는 'ip'
+ * @param {string} identifier - 이메일 또는 IP 주소
+ * @returns {Promise<Object|null>} 시도 기록 또는 null
+ */
+const getAttempt = async (scope, identifier) => {
+  const result = await pool.query(`
+    SELECT *,
+           GREATEST(0, EXTRACT(EPOCH FROM (locked_until - NOW()))) as lock_remaining_seconds
+    FROM login_attempt
+    WHERE scope = $1 AND identifier = $2
+  `, [scope, identifier]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 로그인 실패 기록 (원자적 증가)
+ * 마지막 실패가 집계 구간보다 오래되었으면 실패 횟수를, 초기화 구간보다 오래되었으면 잠금 횟수를 초기화
+ * 
+ * @param {string} scope - 'account' 또는 'ip'
+ * @param {string} identifier - 이메일 또는 IP 주소
+ * @param {Object} windows - { failureWindowSeconds, lockResetSeconds }
+ * @returns {Promise<Object>} 갱신된 시도 기록
+ */
+const recordFailure = async (scope, identifier, { failureWindowSeconds, lockResetSeconds }) => {
+  const result = await pool.query(`
+    INSERT INTO login_attempt (scope, identifier, failed_count, last_failed_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (scope, identifier)
+    DO UPDATE SET
+      failed_count = CASE
+        WHEN login_attempt.last_failed_at < NOW() - $3 * INTERVAL '1 second' THEN 1
+        ELSE login_attempt.failed_count + 1
+      END,
+      lock_count = CASE
+        WHEN login_attempt.last_failed_at < NOW() - $4 * INTERVAL '1 second' THEN 0
+        ELSE login_attempt.lock_count
+      END,
+      last_failed_at = NOW(),
+      updated_at = NOW()
+    RETURNING *
+  `, [scope, identifier, failureWindowSeconds, lockResetSeconds]);
+
+  return result.rows[0];
+};
+
+/**
+ * 실패 횟수가 기준 이상이면 잠금 (동시 요청 중 한 번만 잠금 처리)
+ * 
+ * @param {string} scope - 'account' 또는 'ip'
+ * @param {string} identifier - 이메일 또는 IP 주소
+ * @param {number} maxFailures - 잠금 기준 실패 횟수
+ * @param {number} lockSeconds - 잠금 시간 (초)
+ * @returns {Promise<Object|null>} 잠금 처리된 기록 또는 null (이미 처리됨/기준 미달)
+ */
+const lockIfExceeded = async (scope, identifier, maxFailures, lockSeconds) => {
+  const result = await pool.query(`
+    UPDATE login_attempt
+    SET locked_until = NOW() + $4 * INTERVAL '1 second',
+        lock_count = lock_count + 1,
+        failed_count = 0,
+        updated_at = NOW()
+    WHERE scope = $1 AND identifier = $2 AND failed_count >= $3
+    RETURNING *
+  `, [scope, identifier, maxFailures, lockSeconds]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 시도 기록 초기화 (로그인 성공시 계정 기록)
+ * 
+ * @param {string} scope - 'account' 또는 'ip'
+ * @param {string} identifier - 이메일 또는 IP 주소
+ * @returns {Promise<void>}
+ */
+const clearAttempt = async (scope, identifier) => {
+  await pool.query(`
+    DELETE FROM login_attempt WHERE scope = $1 AND identifier = $2
+  `, [scope, identifier]);
+};
+
+module.exports = {
+  getAttempt,
+  recordFailure,
+  lockIfExceeded,
+  clearAttempt
+};
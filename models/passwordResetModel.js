@@ -0,0 +1,66 @@
+/**
+ * 비밀번호 재설정 토큰 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 재설정 토큰 발급/조회/사용 처리
+ * 테이블: password_reset_token
+ * 특징: 토큰은 해시로만 저장, 1회 사용 후 재사용 불가
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 재설정 토큰 생성
+ * 
+ * @param {Object} tokenData - { userId, tokenHash, ttlSeconds }
+ * @returns {Promise<Object>} 생성된 토큰 기록
+ */
+const createResetToken = async ({ userId, tokenHash, ttlSeconds }) => {
+  const result = await pool.query(`
+    INSERT INTO password_reset_token (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + $3 * INTERVAL '1 second')
+    RETURNING *
+  `, [userId, tokenHash, ttlSeconds]);
+
+  return result.rows[0];
+};
+
+/**
+ * 사용자의 미사용 토큰 전체 무효화 (새 토큰 발급 전 호출)
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<number>} 무효화된 토큰 수
+ */
+const invalidateUserTokens = async (userId) => {
+  const result = await pool.query(`
+    UPDATE password_reset_token
+    SET used_at = NOW()
+    WHERE user_id = $1 AND used_at IS NULL
+  `, [userId]);
+
+  return result.rowCount;
+};
+
+/**
+ * 토큰 사용 처리 (유효한 토큰만, 원자적으로 1회 사용)
+ * 
+ * @param {string} tokenHash - 토큰 해시
+ * @returns {Promise<Object|null>} 사용 처리된 토큰 기록 또는 null (없음/만료/사용됨)
+ */
+const consumeResetToken = async (tokenHash) => {
+  const result = await pool.query(`
+    UPDATE password_reset_token
+    SET used_at = NOW()
+    WHERE token_hash = $1
+      AND used_at IS NULL
+      AND expires_at > NOW()
+    RETURNING *
+  `, [tokenHash]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  createResetToken,
+  invalidateUserTokens,
+  consumeResetToken
+};
@@ -0,0 +1,101 @@
+/**
+ * 리프레시 토큰 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 리프레시 토큰 발급/회전/폐기
+ * 테이블: refresh_token
+ * 특징: 토큰은 해시로만 저장, 같은 로그인에서 이어진 토큰은 family_id로 묶어 관리
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 리프레시 토큰 저장
+ * 
+ * @param {Object} tokenData - { userId, familyId, tokenHash, ttlSeconds, userAgent, ip }
+ * @returns {Promise<Object>} 저장된 토큰 기록
+ */
+const createRefreshToken = async ({ userId, familyId, tokenHash, ttlSeconds, userAgent = null, ip = null }) => {
+  const result = await pool.query(`
+    INSERT INTO refresh_token (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 second')
+    RETURNING *
+  `, [userId, familyId, tokenHash, userAgent, ip, ttlSeconds]);
+
+  return result.rows[0];
+};
+
+/**
+ * 토큰 해시로 조회 (만료 여부 포함)
+ * 
+ * @param {string} tokenHash - 토큰 해시
+ * @returns {Promise<Object|null>} 토큰 기록 또는 null
+ */
+const findRefreshTokenByHash = async (tokenHash) => {
+  const result = await pool.query(`
+    SELECT *, expires_at <= NOW() as is_expired
+    FROM refresh_token
+    WHERE token_hash = $1
+  `, [tokenHash]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 토큰 회전 처리 (사용 가능한 토큰만, 원자적으로 1회)
+ * 
+ * @param {number} tokenId - 토큰 ID
+ * @returns {Promise<Object|null>} 회전 처리된 토큰 기록 또는 null (이미 사용/폐기/만료)
+ */
+const markRotated = async (tokenId) => {
+  const result = await pool.query(`
+    UPDATE refresh_token
+    SET rotated_at = NOW()
+    WHERE id = $1
+      AND rotated_at IS NULL
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING *
+  `, [tokenId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 토큰 묶음 전체 폐기 (로그아웃, 재사용 감지)
+ * 
+ * @param {string} familyId - 토큰 묶음 ID
+ * @returns {Promise<number>} 폐기된 토큰 수
+ */
+const revokeFamily = async (familyId) => {
+  const result = await pool.query(`
+    UPDATE refresh_token
+    SET revoked_at = NOW()
+    WHERE family_id = $1 AND revoked_at IS NULL
+  `, [familyId]);
+
+  return result.rowCount;
+};
+
+/**
+ * 사용자의 모든 토큰 폐기 (비밀번호 변경/재설정)
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<number>} 폐기된 토큰 수
+ */
+const revokeUserTokens = async (userId) => {
+  const result = await pool.query(`
+    UPDATE refresh_token
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  createRefreshToken,
+  findRefreshTokenByHash,
+  markRotated,
+  revokeFamily,
+  revokeUserTokens
+};
@@ -0,0 +1,247 @@
+/**
+ * 역할/권한 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 관리자 역할 조회, 사용자 역할 부여/회수, 권한 확인, 변경 이력 기록
+ * 테이블: role, permission, role_permission, user_role, role_audit_log
+ * 특징: 부여/회수와 감사 로그 기록을 하나의 트랜잭션으로 처리
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 전체 역할 목록 조회 (권한 포함)
+ * 
+ * @returns {Promise<Array>} [{ id, name, description, permissions }]
+ */
+const getAllRoles = async () => {
+  const result = await pool.query(`
+    SELECT r.id, r.name, r.description,
+      COALESCE(array_agg(p.scope ORDER BY p.scope) FILTER (WHERE p.id IS NOT NULL), '{}') as permissions
+    FROM role r
+    LEFT JOIN role_permission rp ON rp.role_id = r.id
+    LEFT JOIN permission p ON p.id = rp.permission_id
+    GROUP BY r.id
+    ORDER BY r.id
+  `);
+
+  return result.rows;
+};
+
+/**
+ * 이름으로 역할 조회
+ * 
+ * @param {string} name - 역할 이름
+ * @returns {Promise<Object|null>} 역할 정보 또는 null
+ */
+const findRoleByName = async (name) => {
+  const result = await pool.query(`
+    SELECT * FROM role WHERE name = $1
+  `, [name]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 사용자 역할 목록 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Array>} 부여된 역할 목록
+ */
+const getUserRoles = async (userId) => {
+  const result = await pool.query(`
+    SELECT ur.id, r.name as role, ur.university_id, un.name as university_name,
+      ur.granted_by, ur.created_at
+    FROM user_role ur
+    JOIN role r ON r.id = ur.role_id
+    LEFT JOIN university un ON un.id = ur.university_id
+    WHERE ur.user_id = $1
+    ORDER BY ur.created_at
+  `, [userId]);
+
+  return result.rows;
+};
+
+/**
+ * 부여 기록 ID로 사용자 역할 조회
+ * 
+ * @param {number} grantId - user_role ID
+ * @returns {Promise<Object|null>} 부여 기록 (role_name 포함) 또는 null
+ */
+const findUserRoleById = async (grantId) => {
+  const result = await pool.query(`
+    SELECT ur.*, r.name as role_name
+    FROM user_role ur
+    JOIN role r ON r.id = ur.role_id
+    WHERE ur.id = $1
+  `, [grantId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 권한이 적용되는 대학 목록 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} scope - 권한 범위
+ * @returns {Promise<Array>} 대학 ID 목록 (null은 전체 범위)
+ */
+const getPermissionUniversityIds = async (userId, scope) => {
+  const result = await pool.query(`
+    SELECT DISTINCT ur.university_id
+    FROM user_role ur
+    JOIN role_permission rp ON rp.role_id = ur.role_id
+    JOIN permission p ON p.id = rp.permission_id
+    WHERE ur.user_id = $1 AND p.scope = $2
+  `, [userId, scope]);
+
+  return result.rows.map(row => row.university_id);
+};
+
+/**
+ * 역할 보유자 수 조회
+ * 
+ * @param {string} roleName - 역할 이름
+ * @returns {Promise<number>} 보유자 수
+ */
+const countRoleHolders = async (roleName) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM user_role ur
+    JOIN role r ON r.id = ur.role_id
+    WHERE r.name = $1
+  `, [roleName]);
+
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * 감사 로그 기록
+ * 
+ * @param {Object} client - DB 클라이언트 (트랜잭션)
+ * @param {Object} logData - { action, actorUserId, targetUserId, roleName, universityId, source, reason }
+ * @returns {Promise<void>}
+ */
+const insertAuditLog = async (client, { action, actorUserId, targetUserId, roleName, universityId, source, reason }) => {
+  await client.query(`
+    INSERT INTO role_audit_log (action, actor_user_id, target_user_id, role_name, university_id, source, reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [action, actorUserId, targetUserId, roleName, universityId, source, reason]);
+};
+
+/**
+ * 역할 부여 (감사 로그 포함)
+ * 
+ * @param {Object} grantData - { userId, role, universityId, actorUserId, source, reason }
+ * @returns {Promise<Object|null>} 부여 기록 또는 null (이미 같은 범위로 부여된 경우)
+ */
+const grantRole = async ({ userId, role, universityId = null, actorUserId = null, source = 'api', reason = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO user_role (user_id, role_id, university_id, granted_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, role_id, COALESCE(university_id, 0)) DO NOTHING
+      RETURNING *
+    `, [userId, role.id, universityId, actorUserId]);
+
+    const grant = result.rows[0] || null;
+    if (grant) {
+      await insertAuditLog(client, {
+        action: 'grant',
+        actorUserId,
+        targetUserId: userId,
+        roleName: role.name,
+        universityId,
+        source,
+        reason
+      });
+    }
+
+    await client.query('COMMIT');
+    return grant;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * 역할 회수 (감사 로그 포함)
+ * 
+ * @param {Object} revokeData - { grantId, actorUserId, source, reason }
+ * @returns {Promise<Object|null>} 삭제된 부여 기록 또는 null (이미 회수된 경우)
+ */
+const revokeRole = async ({ grantId, actorUserId = null, source = 'api', reason = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      DELETE FROM user_role ur
+      USING role r
+      WHERE ur.id = $1 AND r.id = ur.role_id
+      RETURNING ur.*, r.name as role_name
+    `, [grantId]);
+
+    const revoked = result.rows[0] || null;
+    if (revoked) {
+      await insertAuditLog(client, {
+        action: 'revoke',
+        actorUserId,
+        targetUserId: revoked.user_id,
+        roleName: revoked.role_name,
+        universityId: revoked.university_id,
+        source,
+        reason
+      });
+    }
+
+    await client.query('COMMIT');
+    return revoked;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * 역할 변경 이력 조회
+ * 
+ * @param {Object} options - { limit, offset, universityIds } universityIds가 있으면 해당 대학 기록만
+ * @returns {Promise<Array>} 감사 로그 목록 (최신순)
+ */
+const getRoleAuditLogs = async ({ limit, offset, universityIds = null }) => {
+  const result = await pool.query(`
+    SELECT l.*, actor.email as actor_email, target.email as target_email
+    FROM role_audit_log l
+    LEFT JOIN "user" actor ON actor.id = l.actor_user_id
+    LEFT JOIN "user" target ON target.id = l.target_user_id
+    WHERE $3::INT[] IS NULL OR l.university_id = ANY($3)
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset, universityIds]);
+
+  return result.rows;
+};
+
+module.exports = {
+  getAllRoles,
+  findRoleByName,
+  getUserRoles,
+  findUserRoleById,
+  getPermissionUniversityIds,
+  countRoleHolders,
+  grantRole,
+  revokeRole,
+  getRoleAuditLogs
+};
@@ -0,0 +1,60 @@
+/**
+ * 적금 상품 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 적금 상품 카탈로그 조회, 상품별 진행 중 적금통 수 조회
+ * 테이블: saving_product, saving_bucket
+ * 특징: 상품 데이터는 initializeDatabase에서 config/savingProducts.js 기준으로 시드
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 판매 중인 적금 상품 목록 조회
+ * 
+ * @returns {Promise<Array>} 적금 상품 목록 (상품 유형, 이름 순)
+ */
+const getActiveProducts = async () => {
+  const result = await pool.query(`
+    SELECT * FROM saving_product
+    WHERE is_active = TRUE
+    ORDER BY product_type, id
+  `);
+
+  return result.rows;
+};
+
+/**
+ * 적금 상품 ID로 조회
+ * 
+ * @param {string} productId - 상품 ID
+ * @returns {Promise<Object|null>} 적금 상품 정보 또는 null
+ */
+const findProductById = async (productId) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_product WHERE id = $1
+  `, [productId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 사용자의 상품별 진행 중 적금통 수 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} productId - 상품 ID
+ * @returns {Promise<number>} 진행 중 적금통 수
+ */
+const countActiveBucketsByProduct = async (userId, productId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) as count FROM saving_bucket
+    WHERE user_id = $1 AND saving_product_id = $2 AND status = 'in_progress'
+  `, [userId, productId]);
+
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = {
+  getActiveProducts,
+  findProductById,
+  countActiveBucketsByProduct
+};
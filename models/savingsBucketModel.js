@@ -2,37 +2,40 @@
  * 적금통 모델 - DB 연동 함수형 프로그래밍 방식
  * 
  * 기능: 적금통 관련 DB 쿼리 함수들
- * 테이블: saving_bucket, saving_bucket_progress, saving_bucket_like, saving_bucket_comment
+ * 테이블: saving_bucket, saving_bucket_change, saving_bucket_progress, saving_bucket_like, saving_bucket_comment
  * 특징: 순수 함수 중심의 DB 인터페이스
  */
 
-const { pool } = require('../config/database');
+const { pool, withTransaction } = require('../config/database');
+const userMetricsModel = require('./userMetricsModel');
+const { getPeriodStart } = require('../utils/kstDate');
 
 /**
  * 적금통 생성
  * 
  * @param {Object} bucketData - 적금통 데이터
+ * @param {Object} client - 트랜잭션 클라이언트 (기본: pool)
  * @returns {Promise<Object>} 생성된 적금통 정보
  */
-const createSavingsBucket = async (bucketData) => {
+const createSavingsBucket = async (bucketData, client = pool) => {
   const {
     userId, savingProductId, savingChallengeId, productType, name, description,
     targetAmount, targetDate, depositCycle, color, isPublic, isAnonymous,
-    totalDays, characterItemId, backgroundItemId, outfitItemId, hatItemId
+    totalDays, totalPeriods, characterItemId, backgroundItemId, outfitItemId, hatItemId
   } = bucketData;
 
-  const result = await pool.query(`
+  const result = await client.query(`
     INSERT INTO saving_bucket (
       user_id, saving_product_id, saving_challenge_id, product_type, name, description,
       target_amount, target_date, deposit_cycle, color, is_public, is_anonymous,
-      total_days, character_item_id, background_item_id, outfit_item_id, hat_item_id
+      total_days, total_periods, character_item_id, background_item_id, outfit_item_id, hat_item_id
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
     RETURNING *
   `, [
     userId, savingProductId, savingChallengeId, productType, name, description,
     targetAmount, targetDate, depositCycle, color, isPublic, isAnonymous,
-    totalDays, characterItemId, backgroundItemId, outfitItemId, hatItemId
+    totalDays, totalPeriods, characterItemId, backgroundItemId, outfitItemId, hatItemId
   ]);
 
   return result.rows[0];
@@ -56,8 +59,8 @@ const getSavingsBucketsByUser = async (userId) => {
       ) as current_amount_days,
       ROUND(
         CASE 
-          WHEN sb.total_days > 0 THEN 
-            (COALESCE(sb.success_days, 0)::FLOAT / sb.total_days) * 100 
+          WHEN sb.target_amount > 0 THEN 
+            (COALESCE(sb.current_amount, 0)::NUMERIC / sb.target_amount) * 100 
           ELSE 0 
         END, 2
       ) as progress_rate
@@ -106,55 +109,181 @@ const getSavingsBucketById = async (bucketId) => {
 };
 
 /**
- * 적금통 진행 상황 기록
+ * 적금통 행 잠금 조회 (입금 등 잔액 변경 전 동시 요청 직렬화)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @returns {Promise<Object|null>} 잠긴 적금통 정보 또는 null
+ */
+const lockSavingsBucket = async (client, bucketId) => {
+  const result = await client.query(`
+    SELECT * FROM saving_bucket WHERE id = $1 FOR UPDATE
+  `, [bucketId]);
+
+  return result.rows[0] || null;
+};
+
+// 수정 가능한 적금통 컬럼 (변경 이력의 field 값과 동일)
+const UPDATABLE_BUCKET_COLUMNS = [
+  'name', 'description', 'color', 'is_public', 'is_anonymous',
+  'target_amount', 'target_date', 'total_days', 'total_periods'
+];
+
+/**
+ * 적금통 정보 수정 (허용된 컬럼만 반영)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {Object} fields - { 컬럼명: 값 }
+ * @returns {Promise<Object>} 수정된 적금통 정보
+ */
+const updateSavingsBucket = async (client, bucketId, fields) => {
+  const columns = Object.keys(fields).filter(column => UPDATABLE_BUCKET_COLUMNS.includes(column));
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+  const result = await client.query(`
+    UPDATE saving_bucket
+    SET ${assignments.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [bucketId, ...columns.map(column => fields[column])]);
+
+  return result.rows[0];
+};
+
+/**
+ * 적금통 변경 이력 기록 (변경된 필드마다 한 건)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {number} userId - 변경한 사용자 ID
+ * @param {Array} changes - [{ field, oldValue, newValue }]
+ * @returns {Promise<Array>} 기록된 변경 이력
+ */
+const createBucketChanges = async (client, bucketId, userId, changes) => {
+  const result = await client.query(`
+    INSERT INTO saving_bucket_change (bucket_id, user_id, field, old_value, new_value)
+    SELECT $1, $2, change.field, change.old_value, change.new_value
+    FROM UNNEST($3::TEXT[], $4::TEXT[], $5::TEXT[]) as change(field, old_value, new_value)
+    RETURNING *
+  `, [
+    bucketId,
+    userId,
+    changes.map(change => change.field),
+    changes.map(change => change.oldValue),
+    changes.map(change => change.newValue)
+  ]);
+
+  return result.rows;
+};
+
+/**
+ * 적금통 변경 이력 조회
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} 변경 이력 (최근 순)
+ */
+const getBucketChanges = async (bucketId, { limit = 20, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_bucket_change
+    WHERE bucket_id = $1
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [bucketId, limit, offset]);
+
+  return result.rows;
+};
+
+/**
+ * 적금통 진행 상황 기록 (입금 주기 기간당 한 건, 상태가 바뀐 경우에만 성공/실패 기간 수 반영, 사용자 메트릭스 함께 갱신)
+ * 기간: deposit_cycle에 맞춘 일/주(월요일 시작)/월, 주기가 없는 예금은 가입 기간 전체
  * 
  * @param {number} bucketId - 적금통 ID
  * @param {number} userId - 사용자 ID
- * @param {Date} date - 날짜
+ * @param {string} date - 날짜 (YYYY-MM-DD, KST)
  * @param {string} status - 상태 ('success' | 'failed')
+ * @param {Object|null} client - 진행 중인 트랜잭션 클라이언트 (없으면 새 트랜잭션)
  * @returns {Promise<Object>} 기록된 진행 상황
  */
-const recordBucketProgress = async (bucketId, userId, date, status) => {
-  const client = await pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-    
-    // 진행 상황 기록
-    const progressResult = await client.query(`
-      INSERT INTO saving_bucket_progress (bucket_id, user_id, date, status)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (bucket_id, user_id, date) 
-      DO UPDATE SET status = EXCLUDED.status
-      RETURNING *
-    `, [bucketId, userId, date, status]);
-    
-    // 적금통 통계 업데이트
-    if (status === 'success') {
-      await client.query(`
-        UPDATE saving_bucket 
-        SET success_days = success_days + 1,
-            last_progress_date = $2
-        WHERE id = $1
-      `, [bucketId, date]);
-    } else if (status === 'failed') {
-      await client.query(`
-        UPDATE saving_bucket 
-        SET fail_days = fail_days + 1,
-            last_progress_date = $2
-        WHERE id = $1
-      `, [bucketId, date]);
-    }
-    
-    await client.query('COMMIT');
-    return progressResult.rows[0];
-    
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
+const recordBucketProgress = async (bucketId, userId, date, status, client = null) => {
+  if (!client) {
+    return await withTransaction(tx => recordBucketProgress(bucketId, userId, date, status, tx));
+  }
+
+  // 날짜가 속한 입금 기간
+  const bucketResult = await client.query(`
+    SELECT deposit_cycle, (created_at::TIMESTAMPTZ AT TIME ZONE 'Asia/Seoul')::DATE::TEXT as created_date
+    FROM saving_bucket WHERE id = $1
+  `, [bucketId]);
+  const { deposit_cycle: depositCycle, created_date: createdDate } = bucketResult.rows[0];
+  const periodStart = depositCycle ? getPeriodStart(depositCycle, date) : createdDate;
+
+  // 같은 기간 기존 기록 확인
+  const existingResult = await client.query(`
+    SELECT * FROM saving_bucket_progress
+    WHERE bucket_id = $1 AND period_start = $2
+    FOR UPDATE
+  `, [bucketId, periodStart]);
+  const previousStatus = existingResult.rows[0] ? existingResult.rows[0].status : null;
+
+  // 사용자의 그날 첫 성공인지 확인 (다른 적금통 성공 포함)
+  const hadSuccessDay = await userMetricsModel.hasSuccessOnDate(client, userId, date);
+
+  // 진행 상황 기록 (같은 기간에 같은 상태가 반복되면 처음 기록 유지)
+  const progressResult = await client.query(`
+    INSERT INTO saving_bucket_progress (bucket_id, user_id, date, period_start, status)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (bucket_id, period_start) 
+    DO UPDATE SET status = EXCLUDED.status, date = EXCLUDED.date
+    WHERE saving_bucket_progress.status <> EXCLUDED.status
+    RETURNING *
+  `, [bucketId, userId, date, periodStart, status]);
+
+  // 적금통 통계 업데이트 (같은 기간에 같은 상태가 반복되면 변화 없음)
+  const successDelta = (status === 'success' ? 1 : 0) - (previousStatus === 'success' ? 1 : 0);
+  const failDelta = (status === 'failed' ? 1 : 0) - (previousStatus === 'failed' ? 1 : 0);
+
+  if (previousStatus !== status) {
+    await client.query(`
+      UPDATE saving_bucket 
+      SET success_days = success_days + $2,
+          fail_days = fail_days + $3,
+          last_progress_date = GREATEST(last_progress_date, $4)
+      WHERE id = $1
+    `, [bucketId, successDelta, failDelta, date]);
+  }
+
+  // 사용자 메트릭스 반영 (그날 성공 기록이 모두 사라진 경우는 드물어 전체 재계산)
+  const hasSuccessDay = await userMetricsModel.hasSuccessOnDate(client, userId, date);
+  if (hadSuccessDay && !hasSuccessDay) {
+    await userMetricsModel.recomputeUserMetrics(client, userId);
+  } else if (previousStatus !== status) {
+    await userMetricsModel.recordProgressChange(client, userId, date, {
+      successDelta,
+      isNewSuccessDay: !hadSuccessDay && hasSuccessDay
+    });
   }
+
+  return progressResult.rows[0] || existingResult.rows[0];
+};
+
+/**
+ * 사용자별 적금 요약 조회
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} { total_amount, completed_goals }
+ */
+const getSavingsSummaryByUser = async (userId) => {
+  const result = await pool.query(`
+    SELECT 
+      COALESCE(SUM(current_amount), 0) as total_amount,
+      COUNT(*) FILTER (WHERE status = 'success') as completed_goals
+    FROM saving_bucket
+    WHERE user_id = $1
+  `, [userId]);
+
+  return result.rows[0];
 };
 
 /**
@@ -286,7 +415,7 @@ const getBucketComments = async (bucketId) => {
 };
 
 /**
- * 공개 적금통 목록 조회 (피드용)
+ * 공개 적금통 목록 조회 (피드용, 중도해지한 적금통 제외)
  * 
  * @param {number} limit - 조회 제한 수
  * @param {number} offset - 오프셋
@@ -301,8 +430,7 @@ const getPublicSavingsBuckets = async (limit = 20, offset = 0, sortBy = 'latest'
       orderClause = 'ORDER BY sb.like_count DESC, sb.view_count DESC';
       break;
     case 'success_rate':
-      orderClause = `ORDER BY 
-        CASE WHEN sb.total_days > 0 THEN sb.success_days::FLOAT / sb.total_days ELSE 0 END DESC`;
+      orderClause = 'ORDER BY success_rate DESC, sb.success_days DESC, sb.created_at DESC';
       break;
     default:
       orderClause = 'ORDER BY sb.created_at DESC';
@@ -314,17 +442,18 @@ const getPublicSavingsBuckets = async (limit = 20, offset = 0, sortBy = 'latest'
       u.nickname,
       u.profile_image,
       sc.title as challenge_title,
+      -- 성공률: 판정된 입금 기간(성공 + 실패) 중 성공 비율
       ROUND(
         CASE 
-          WHEN sb.total_days > 0 THEN 
-            (sb.success_days::FLOAT / sb.total_days) * 100 
+          WHEN sb.success_days + sb.fail_days > 0 THEN 
+            (sb.success_days::NUMERIC / (sb.success_days + sb.fail_days)) * 100 
           ELSE 0 
         END, 2
       ) as success_rate
     FROM saving_bucket sb
     JOIN "user" u ON sb.user_id = u.id
     LEFT JOIN saving_challenge sc ON sb.saving_challenge_id = sc.id
-    WHERE sb.is_public = TRUE
+    WHERE sb.is_public = TRUE AND sb.status <> 'cancelled'
     ${orderClause}
     LIMIT $1 OFFSET $2
   `, [limit, offset]);
@@ -336,7 +465,12 @@ module.exports = {
   createSavingsBucket,
   getSavingsBucketsByUser,
   getSavingsBucketById,
+  lockSavingsBucket,
+  updateSavingsBucket,
+  createBucketChanges,
+  getBucketChanges,
   recordBucketProgress,
+  getSavingsSummaryByUser,
   getBucketProgress,
   toggleBucketLike,
   createBucketComment,
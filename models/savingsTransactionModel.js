@@ -0,0 +1,89 @@
+/**
+ * 적금통 거래 원장 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 입금/출금/이자/조정 거래 기록 및 조회
+ * 테이블: saving_bucket_transaction, saving_bucket(current_amount)
+ * 특징: 거래 기록과 적금통 잔액 갱신은 호출자가 잠근 트랜잭션 안에서 함께 처리
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 거래 기록 및 적금통 잔액 갱신 (트랜잭션 클라이언트 필요)
+ * 
+ * @param {Object} client - 적금통 행을 잠근 트랜잭션 클라이언트
+ * @param {Object} transactionData - { bucketId, userId, type, amount, balanceAfter, memo, source, externalRef }
+ * @returns {Promise<Object>} 기록된 거래
+ */
+const createTransaction = async (client, { bucketId, userId, type, amount, balanceAfter, memo = null, source, externalRef = null }) => {
+  const result = await client.query(`
+    INSERT INTO saving_bucket_transaction (bucket_id, user_id, type, amount, balance_after, memo, source, external_ref)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [bucketId, userId, type, amount, balanceAfter, memo, source, externalRef]);
+
+  await client.query(`
+    UPDATE saving_bucket SET current_amount = $2 WHERE id = $1
+  `, [bucketId, balanceAfter]);
+
+  return result.rows[0];
+};
+
+/**
+ * 은행 거래 번호로 거래 조회 (이체 재시도시 중복 기록 방지)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} externalRef - 은행 거래 번호
+ * @returns {Promise<Object|null>} 기록된 거래 또는 null
+ */
+const findTransactionByExternalRef = async (client, bucketId, externalRef) => {
+  const result = await client.query(`
+    SELECT * FROM saving_bucket_transaction
+    WHERE bucket_id = $1 AND external_ref = $2
+  `, [bucketId, externalRef]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 적금통 전체 거래 원장 조회 (중도해지 이자 계산용, 오래된 순)
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @param {Object} client - 트랜잭션 클라이언트 (기본: pool)
+ * @returns {Promise<Array>} { type, amount, created_at } 목록
+ */
+const getLedgerEntries = async (bucketId, client = pool) => {
+  const result = await client.query(`
+    SELECT type, amount, created_at FROM saving_bucket_transaction
+    WHERE bucket_id = $1
+    ORDER BY id
+  `, [bucketId]);
+
+  return result.rows;
+};
+
+/**
+ * 적금통 거래 내역 조회
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} 거래 내역 (최근 순)
+ */
+const getTransactionsByBucket = async (bucketId, { limit = 20, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM saving_bucket_transaction
+    WHERE bucket_id = $1
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [bucketId, limit, offset]);
+
+  return result.rows;
+};
+
+module.exports = {
+  createTransaction,
+  findTransactionByExternalRef,
+  getLedgerEntries,
+  getTransactionsByBucket
+};
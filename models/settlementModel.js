@@ -0,0 +1,160 @@
+/**
+ * 일일 정산 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 정산 실행 기록, 정산 대상 적금통 조회, 기간 성공 여부 확인, 연속 기록 반영
+ * 테이블: settlement_run, saving_bucket, saving_bucket_progress
+ * 특징: 적금통별 last_settled_date로 같은 날짜를 다시 정산해도 결과가 중복 반영되지 않음
+ */
+
+const { pool } = require('../config/database');
+
+// 실행 중 상태로 둘 최대 시간 (서버 중단으로 멈춘 실행은 이후 다시 시작 가능)
+const STALE_RUN_INTERVAL = '1 hour';
+
+/**
+ * 정산 실행 시작 (같은 날짜가 실행 중이면 null)
+ * 
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD)
+ * @param {number|null} triggeredBy - 수동 실행한 관리자 ID (스케줄러 실행은 null)
+ * @returns {Promise<Object|null>} 정산 실행 기록 또는 null
+ */
+const startRun = async (settlementDate, triggeredBy = null) => {
+  const result = await pool.query(`
+    INSERT INTO settlement_run (settlement_date, status, triggered_by)
+    VALUES ($1, 'running', $2)
+    ON CONFLICT (settlement_date) DO UPDATE
+    SET status = 'running', triggered_by = EXCLUDED.triggered_by,
+        buckets_checked = 0, failures_recorded = 0, error = NULL,
+        started_at = NOW(), finished_at = NULL
+    WHERE settlement_run.status <> 'running'
+      OR settlement_run.started_at < NOW() - INTERVAL '${STALE_RUN_INTERVAL}'
+    RETURNING *
+  `, [settlementDate, triggeredBy]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 정산 실행 종료 기록
+ * 
+ * @param {number} runId - 정산 실행 ID
+ * @param {Object} outcome - { status, bucketsChecked, failuresRecorded, error }
+ * @returns {Promise<Object>} 정산 실행 기록
+ */
+const finishRun = async (runId, { status, bucketsChecked = 0, failuresRecorded = 0, error = null }) => {
+  const result = await pool.query(`
+    UPDATE settlement_run
+    SET status = $2, buckets_checked = $3, failures_recorded = $4, error = $5, finished_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [runId, status, bucketsChecked, failuresRecorded, error]);
+
+  return result.rows[0];
+};
+
+/**
+ * 마지막으로 완료된 정산일 조회
+ * 
+ * @returns {Promise<Date|null>} 정산일 또는 null
+ */
+const getLastCompletedDate = async () => {
+  const result = await pool.query(`
+    SELECT MAX(settlement_date) as settlement_date
+    FROM settlement_run
+    WHERE status = 'completed'
+  `);
+
+  return result.rows[0].settlement_date;
+};
+
+/**
+ * 정산 실행 기록 조회
+ * 
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Array>} 정산 실행 기록 (최근 정산일 순)
+ */
+const getRuns = async ({ limit = 30, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT * FROM settlement_run
+    ORDER BY settlement_date DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset]);
+
+  return result.rows;
+};
+
+/**
+ * 정산 대상 적금통 조회 (진행 중이고 입금 주기가 있는 적금통)
+ * 
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD)
+ * @returns {Promise<Array>} { id, user_id, deposit_cycle, target_date, created_date } 목록
+ */
+const getBucketsToSettle = async (settlementDate) => {
+  const result = await pool.query(`
+    SELECT id, user_id, deposit_cycle, target_date,
+      (created_at::TIMESTAMPTZ AT TIME ZONE 'Asia/Seoul')::DATE as created_date
+    FROM saving_bucket
+    WHERE status = 'in_progress'
+      AND deposit_cycle IS NOT NULL
+      AND (last_settled_date IS NULL OR last_settled_date < $1)
+    ORDER BY id
+  `, [settlementDate]);
+
+  return result.rows;
+};
+
+/**
+ * 기간 내 성공 기록 존재 여부
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} periodStart - 기간 시작일 (YYYY-MM-DD)
+ * @param {string} periodEnd - 기간 종료일 (YYYY-MM-DD)
+ * @returns {Promise<boolean>} 성공 기록 여부
+ */
+const hasSuccessInPeriod = async (client, bucketId, periodStart, periodEnd) => {
+  const result = await client.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM saving_bucket_progress
+      WHERE bucket_id = $1 AND status = 'success' AND period_start = $2 AND date <= $3
+    ) as has_success
+  `, [bucketId, periodStart, periodEnd]);
+
+  return result.rows[0].has_success;
+};
+
+/**
+ * 적금통 정산 결과 반영 (성공 기간이면 연속 기록 +1, 실패면 0)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD)
+ * @param {boolean|null} succeeded - 기간 성공 여부 (null이면 정산일만 기록)
+ * @returns {Promise<void>}
+ */
+const markBucketSettled = async (client, bucketId, settlementDate, succeeded) => {
+  await client.query(`
+    UPDATE saving_bucket
+    SET current_streak = CASE
+          WHEN $3::BOOLEAN IS NULL THEN current_streak
+          WHEN $3 THEN current_streak + 1
+          ELSE 0
+        END,
+        best_streak = CASE
+          WHEN $3 THEN GREATEST(best_streak, current_streak + 1)
+          ELSE best_streak
+        END,
+        last_settled_date = $2
+    WHERE id = $1
+  `, [bucketId, settlementDate, succeeded]);
+};
+
+module.exports = {
+  startRun,
+  finishRun,
+  getLastCompletedDate,
+  getRuns,
+  getBucketsToSettle,
+  hasSuccessInPeriod,
+  markBucketSettled
+};
@@ -0,0 +1,151 @@
+/**
+ * 대학 도메인 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 미등록 학교 도메인 승인 요청 기록/조회, 승인(대학 도메인 등록)/거절
+ * 테이블: university_domain, university_domain_request
+ * 특징: 승인시 대학 생성/도메인 등록/요청 상태 변경을 한 트랜잭션으로 처리
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 미등록 도메인 승인 요청 기록 (이미 있으면 요청 횟수 증가)
+ * 거절된 도메인은 상태를 유지하여 재요청으로 다시 대기열에 오르지 않음
+ * 
+ * @param {string} domain - 이메일 도메인
+ * @returns {Promise<Object>} 승인 요청 정보
+ */
+const upsertDomainRequest = async (domain) => {
+  const result = await pool.query(`
+    INSERT INTO university_domain_request (domain)
+    VALUES ($1)
+    ON CONFLICT (domain)
+    DO UPDATE SET
+      request_count = university_domain_request.request_count + 1,
+      updated_at = NOW()
+    RETURNING *
+  `, [domain]);
+
+  return result.rows[0];
+};
+
+/**
+ * 승인 요청 목록 조회
+ * 
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Array>} 승인 요청 목록 (요청 많은 순)
+ */
+const getDomainRequests = async ({ status = 'pending', limit = 50, offset = 0 } = {}) => {
+  const result = await pool.query(`
+    SELECT r.*, u.name as university_name
+    FROM university_domain_request r
+    LEFT JOIN university u ON u.id = r.university_id
+    WHERE r.status = $1
+    ORDER BY r.request_count DESC, r.created_at
+    LIMIT $2 OFFSET $3
+  `, [status, limit, offset]);
+
+  return result.rows;
+};
+
+/**
+ * 승인 요청 ID로 조회
+ * 
+ * @param {number} requestId - 승인 요청 ID
+ * @returns {Promise<Object|null>} 승인 요청 정보 또는 null
+ */
+const findDomainRequestById = async (requestId) => {
+  const result = await pool.query(`
+    SELECT * FROM university_domain_request WHERE id = $1
+  `, [requestId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * 승인 요청 승인 (트랜잭션)
+ * universityId가 없으면 공식 명칭으로 대학을 새로 만들고, 도메인을 해당 대학에 등록
+ * 
+ * @param {Object} approval - { requestId, reviewerId, universityId, name, note }
+ * @returns {Promise<Object|null>} { request, university } 또는 null (대기 중인 요청이 아닌 경우)
+ */
+const approveDomainRequest = async ({ requestId, reviewerId, universityId = null, name = null, note = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const requestResult = await client.query(`
+      SELECT * FROM university_domain_request
+      WHERE id = $1 AND status = 'pending'
+      FOR UPDATE
+    `, [requestId]);
+    const request = requestResult.rows[0];
+    if (!request) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let university;
+    if (universityId) {
+      const universityResult = await client.query(`
+        SELECT * FROM university WHERE id = $1
+      `, [universityId]);
+      university = universityResult.rows[0];
+    } else {
+      const universityResult = await client.query(`
+        INSERT INTO university (name, domain)
+        VALUES ($1, $2)
+        RETURNING *
+      `, [name, request.domain]);
+      university = universityResult.rows[0];
+    }
+
+    await client.query(`
+      INSERT INTO university_domain (university_id, domain, is_primary)
+      VALUES ($1, $2, $3)
+    `, [university.id, request.domain, !universityId]);
+
+    const updatedResult = await client.query(`
+      UPDATE university_domain_request
+      SET status = 'approved', university_id = $2, reviewed_by = $3,
+          review_note = $4, reviewed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [requestId, university.id, reviewerId, note]);
+
+    await client.query('COMMIT');
+    return { request: updatedResult.rows[0], university };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * 승인 요청 거절
+ * 
+ * @param {Object} rejection - { requestId, reviewerId, note }
+ * @returns {Promise<Object|null>} 거절된 요청 또는 null (대기 중인 요청이 아닌 경우)
+ */
+const rejectDomainRequest = async ({ requestId, reviewerId, note = null }) => {
+  const result = await pool.query(`
+    UPDATE university_domain_request
+    SET status = 'rejected', reviewed_by = $2, review_note = $3,
+        reviewed_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [requestId, reviewerId, note]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  upsertDomainRequest,
+  getDomainRequests,
+  findDomainRequestById,
+  approveDomainRequest,
+  rejectDomainRequest
+};
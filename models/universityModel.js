@@ -2,7 +2,7 @@
  * 대학 모델 - DB 연동 함수형 프로그래밍 방식
  * 
  * 기능: 대학 관련 DB 쿼리 함수들
- * 테이블: university
+ * 테이블: university, university_domain
  * 특징: 순수 함수 중심의 DB 인터페이스
  */
 
@@ -53,14 +53,20 @@ const getUniversityById = async (universityId) => {
 };
 
 /**
- * 대학 도메인으로 조회
+ * 대학 도메인으로 조회 (university_domain 레지스트리 기준)
+ * 하위 도메인(student.xxx.ac.kr)은 등록된 상위 도메인 중 가장 구체적인 것으로 매칭
  * 
  * @param {string} domain - 대학 이메일 도메인
- * @returns {Promise<Object|null>} 대학 정보 또는 null
+ * @returns {Promise<Object|null>} 대학 정보 (matched_domain 포함) 또는 null
  */
 const getUniversityByDomain = async (domain) => {
   const result = await pool.query(`
-    SELECT * FROM university WHERE domain = $1
+    SELECT u.*, d.domain as matched_domain
+    FROM university_domain d
+    JOIN university u ON u.id = d.university_id
+    WHERE LOWER($1) = d.domain OR LOWER($1) LIKE '%.' || d.domain
+    ORDER BY LENGTH(d.domain) DESC
+    LIMIT 1
   `, [domain]);
 
   return result.rows[0] || null;
@@ -68,6 +74,7 @@ const getUniversityByDomain = async (domain) => {
 
 /**
  * 대학별 사용자 통계 조회
+ * 탈퇴한 사용자의 기록은 university_archived_stats 집계로 합산
  * 
  * @param {number} universityId - 대학 ID
  * @returns {Promise<Object>} 대학 통계 정보
@@ -75,15 +82,31 @@ const getUniversityByDomain = async (domain) => {
 const getUniversityStats = async (universityId) => {
   const result = await pool.query(`
     SELECT 
-      COUNT(DISTINCT u.id) as total_users,
-      COUNT(DISTINCT sb.id) as total_buckets,
-      COALESCE(AVG(um.success_days), 0) as avg_success_days,
-      COALESCE(MAX(um.success_days), 0) as max_success_days,
-      COUNT(DISTINCT CASE WHEN sb.status = 'success' THEN sb.id END) as completed_buckets
-    FROM "user" u
-    LEFT JOIN user_metrics um ON u.id = um.user_id
-    LEFT JOIN saving_bucket sb ON u.id = sb.user_id
-    WHERE u.university_id = $1
+      lu.user_count + COALESCE(a.archived_users, 0) as total_users,
+      lb.bucket_count + COALESCE(a.archived_buckets, 0) as total_buckets,
+      CASE WHEN lu.user_count + COALESCE(a.archived_users, 0) > 0
+        THEN (lu.success_days_sum + COALESCE(a.archived_success_days_sum, 0))::NUMERIC
+          / (lu.user_count + COALESCE(a.archived_users, 0))
+        ELSE 0
+      END as avg_success_days,
+      GREATEST(lu.max_success_days, COALESCE(a.archived_max_success_days, 0)) as max_success_days,
+      lb.completed_count + COALESCE(a.archived_completed_buckets, 0) as completed_buckets
+    FROM (
+      SELECT COUNT(*) as user_count,
+        COALESCE(SUM(um.success_days), 0) as success_days_sum,
+        COALESCE(MAX(um.success_days), 0) as max_success_days
+      FROM "user" u
+      LEFT JOIN user_metrics um ON u.id = um.user_id
+      WHERE u.university_id = $1
+    ) lu
+    CROSS JOIN (
+      SELECT COUNT(*) as bucket_count,
+        COUNT(*) FILTER (WHERE sb.status = 'success') as completed_count
+      FROM saving_bucket sb
+      JOIN "user" u ON u.id = sb.user_id
+      WHERE u.university_id = $1
+    ) lb
+    LEFT JOIN university_archived_stats a ON a.university_id = $1
   `, [universityId]);
 
   return result.rows[0];
@@ -0,0 +1,189 @@
+/**
+ * 사용자 메트릭스 모델 - DB 연동 함수형 프로그래밍 방식
+ * 
+ * 기능: 적금통 생성/진행 기록과 같은 트랜잭션에서 user_metrics 갱신, 전체 재계산
+ * 테이블: user_metrics, saving_bucket, saving_bucket_progress
+ * 보유 적금통 수: 중도해지(cancelled)한 적금통 제외
+ * 성공 수: 모든 적금통의 성공 기록(입금 기간당 최대 1건) 수 합산
+ * 연속 기록: 성공 기록이 있는 KST 날짜가 하루씩 이어진 일수 (입금 기간 실패가 정산되면 0부터 다시 시작)
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * 적금통 생성 반영 (메트릭스 행이 없으면 생성)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<void>}
+ */
+const recordBucketCreated = async (client, userId) => {
+  await client.query(`
+    INSERT INTO user_metrics (user_id, bucket_count, last_bucket_created_at)
+    VALUES ($1, 1, NOW())
+    ON CONFLICT (user_id) DO UPDATE
+    SET bucket_count = user_metrics.bucket_count + 1,
+        last_bucket_created_at = NOW(),
+        updated_at = NOW()
+  `, [userId]);
+};
+
+/**
+ * 적금통 중도해지 반영 (보유 적금통 수 감소)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<void>}
+ */
+const recordBucketCancelled = async (client, userId) => {
+  await client.query(`
+    UPDATE user_metrics
+    SET bucket_count = GREATEST(bucket_count - 1, 0), updated_at = NOW()
+    WHERE user_id = $1
+  `, [userId]);
+};
+
+/**
+ * 사용자의 특정 날짜 성공 기록 존재 여부 (모든 적금통 기준)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @param {string} date - 날짜 (YYYY-MM-DD, KST)
+ * @returns {Promise<boolean>} 성공 기록 여부
+ */
+const hasSuccessOnDate = async (client, userId, date) => {
+  const result = await client.query(`
+    SELECT EXISTS (
+      SELECT 1 FROM saving_bucket_progress
+      WHERE user_id = $1 AND date = $2 AND status = 'success'
+    ) as has_success
+  `, [userId, date]);
+
+  return result.rows[0].has_success;
+};
+
+/**
+ * 진행 기록 변경 반영
+ * 그날 첫 성공이면 전날 성공이 있을 때 연속 기록 +1, 아니면 1부터 시작
+ * 과거 날짜가 뒤늦게 기록된 경우 연속 기록은 유지 (재계산으로 보정)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @param {string} date - 기록 날짜 (YYYY-MM-DD, KST)
+ * @param {Object} change - { successDelta, isNewSuccessDay } 성공 기록 수 변화, 그날 첫 성공 여부
+ * @returns {Promise<void>}
+ */
+const recordProgressChange = async (client, userId, date, { successDelta, isNewSuccessDay }) => {
+  await client.query(`
+    INSERT INTO user_metrics (user_id, success_days, current_streak, last_success_date)
+    VALUES ($1, GREATEST($3, 0), CASE WHEN $4 THEN 1 ELSE 0 END, CASE WHEN $4 THEN $2::DATE END)
+    ON CONFLICT (user_id) DO UPDATE
+    SET success_days = user_metrics.success_days + $3,
+        current_streak = CASE
+          WHEN NOT $4 THEN user_metrics.current_streak
+          WHEN user_metrics.last_success_date = $2::DATE - 1 THEN user_metrics.current_streak + 1
+          WHEN user_metrics.last_success_date >= $2::DATE THEN user_metrics.current_streak
+          ELSE 1
+        END,
+        last_success_date = CASE
+          WHEN $4 THEN GREATEST(user_metrics.last_success_date, $2::DATE)
+          ELSE user_metrics.last_success_date
+        END,
+        updated_at = NOW()
+  `, [userId, date, successDelta, isNewSuccessDay]);
+};
+
+/**
+ * 연속 기록 초기화 (적금통 입금 기간을 놓친 경우)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<void>}
+ */
+const resetCurrentStreak = async (client, userId) => {
+  await client.query(`
+    UPDATE user_metrics SET current_streak = 0, updated_at = NOW()
+    WHERE user_id = $1
+  `, [userId]);
+};
+
+/**
+ * 적금통/진행 기록으로 사용자 메트릭스 재계산
+ * 연속 기록은 마지막 성공일로 끝나는 연속 성공일 중 마지막 실패 기록 이후 날짜만 계산
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트 또는 pool
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} 재계산된 메트릭스
+ */
+const recomputeUserMetrics = async (client, userId) => {
+  const result = await client.query(`
+    WITH success_day AS (
+      SELECT date, date - (ROW_NUMBER() OVER (ORDER BY date))::INT as run_key
+      FROM (
+        SELECT DISTINCT date FROM saving_bucket_progress
+        WHERE user_id = $1 AND status = 'success'
+      ) days
+    ),
+    last_day AS (
+      SELECT date, run_key FROM success_day ORDER BY date DESC LIMIT 1
+    ),
+    last_fail AS (
+      SELECT MAX(date) as date FROM saving_bucket_progress
+      WHERE user_id = $1 AND status = 'failed'
+    )
+    INSERT INTO user_metrics (
+      user_id, bucket_count, success_days, current_streak, last_success_date,
+      challenge_success_count, completed_bucket_count, last_bucket_created_at, updated_at
+    )
+    SELECT
+      $1,
+      (SELECT COUNT(*) FROM saving_bucket WHERE user_id = $1 AND status <> 'cancelled'),
+      (SELECT COUNT(*) FROM saving_bucket_progress WHERE user_id = $1 AND status = 'success'),
+      (SELECT COUNT(*) FROM success_day sd, last_day ld, last_fail lf
+       WHERE sd.run_key = ld.run_key AND (lf.date IS NULL OR sd.date > lf.date)),
+      (SELECT date FROM last_day),
+      (SELECT COUNT(*) FROM saving_bucket
+       WHERE user_id = $1 AND status = 'success' AND saving_challenge_id IS NOT NULL),
+      (SELECT COUNT(*) FROM saving_bucket WHERE user_id = $1 AND status = 'success'),
+      (SELECT MAX(created_at) FROM saving_bucket WHERE user_id = $1),
+      NOW()
+    ON CONFLICT (user_id) DO UPDATE
+    SET bucket_count = EXCLUDED.bucket_count,
+        success_days = EXCLUDED.success_days,
+        current_streak = EXCLUDED.current_streak,
+        last_success_date = EXCLUDED.last_success_date,
+        challenge_success_count = EXCLUDED.challenge_success_count,
+        completed_bucket_count = EXCLUDED.completed_bucket_count,
+        last_bucket_created_at = EXCLUDED.last_bucket_created_at,
+        updated_at = NOW()
+    RETURNING *
+  `, [userId]);
+
+  return result.rows[0];
+};
+
+/**
+ * 메트릭스 재계산 대상 사용자 ID 조회 (메트릭스 또는 적금통이 있는 사용자)
+ * 
+ * @returns {Promise<Array>} 사용자 ID 목록
+ */
+const getMetricUserIds = async () => {
+  const result = await pool.query(`
+    SELECT user_id FROM user_metrics
+    UNION
+    SELECT user_id FROM saving_bucket
+    ORDER BY user_id
+  `);
+
+  return result.rows.map(row => row.user_id);
+};
+
+module.exports = {
+  recordBucketCreated,
+  recordBucketCancelled,
+  hasSuccessOnDate,
+  recordProgressChange,
+  resetCurrentStreak,
+  recomputeUserMetrics,
+  getMetricUserIds
+};
@@ -7,14 +7,16 @@
  */
 
 const { pool } = require('../config/database');
+const credentialModel = require('./credentialModel');
 
 /**
  * 사용자 생성 함수
+ * 사용자, 메트릭스, 인증 정보를 하나의 트랜잭션으로 생성
  * 
- * @param {Object} userData - 사용자 데이터
+ * @param {Object} userData - 사용자 데이터 (passwordHash 포함)
  * @returns {Promise<Object>} 생성된 사용자 정보
  */
-const createUser = async ({ email, nickname, profileImage, universityId }) => {
+const createUser = async ({ email, nickname, profileImage, universityId, departmentId, studentId, passwordHash }) => {
   const client = await pool.connect();
   
   try {
@@ -22,10 +24,10 @@ const createUser = async ({ email, nickname, profileImage, universityId }) => {
     
     // 사용자 생성
     const userResult = await client.query(`
-      INSERT INTO "user" (email, nickname, profile_image, university_id)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO "user" (email, nickname, profile_image, university_id, department_id, student_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
-    `, [email, nickname, profileImage, universityId]);
+    `, [email, nickname, profileImage, universityId, departmentId, studentId]);
     
     const user = userResult.rows[0];
     
@@ -35,6 +37,11 @@ const createUser = async ({ email, nickname, profileImage, universityId }) => {
       VALUES ($1)
     `, [user.id]);
     
+    // 비밀번호 해시 저장
+    if (passwordHash) {
+      await credentialModel.upsertCredential(user.id, passwordHash, client);
+    }
+    
     await client.query('COMMIT');
     return user;
     
@@ -47,17 +54,19 @@ const createUser = async ({ email, nickname, profileImage, universityId }) => {
 };
 
 /**
- * 이메일로 사용자 조회
+ * 이메일로 사용자 조회 (대소문자 구분 없음)
  * 
  * @param {string} email - 사용자 이메일
  * @returns {Promise<Object|null>} 사용자 정보 또는 null
  */
 const findUserByEmail = async (email) => {
   const result = await pool.query(`
-    SELECT u.*, un.name as university_name, un.domain as university_domain
+    SELECT u.*, un.name as university_name, un.domain as university_domain,
+      d.name as department_name
     FROM "user" u
     LEFT JOIN university un ON u.university_id = un.id
-    WHERE u.email = $1
+    LEFT JOIN department d ON u.department_id = d.id
+    WHERE LOWER(u.email) = LOWER($1)
   `, [email]);
   
   return result.rows[0] || null;
@@ -71,15 +80,83 @@ const findUserByEmail = async (email) => {
  */
 const findUserById = async (userId) => {
   const result = await pool.query(`
-    SELECT u.*, un.name as university_name, un.domain as university_domain
+    SELECT u.*, un.name as university_name, un.domain as university_domain,
+      d.name as department_name
     FROM "user" u
     LEFT JOIN university un ON u.university_id = un.id
+    LEFT JOIN department d ON u.department_id = d.id
     WHERE u.id = $1
   `, [userId]);
   
   return result.rows[0] || null;
 };
 
+/**
+ * 대학 내 학번으로 사용자 조회
+ * 
+ * @param {number} universityId - 대학 ID
+ * @param {string} studentId - 학번
+ * @returns {Promise<Object|null>} 사용자 정보 또는 null
+ */
+const findUserByStudentId = async (universityId, studentId) => {
+  const result = await pool.query(`
+    SELECT * FROM "user" WHERE university_id = $1 AND student_id = $2
+  `, [universityId, studentId]);
+  
+  return result.rows[0] || null;
+};
+
+/**
+ * 닉네임으로 사용자 조회 (대소문자 무시)
+ * 
+ * @param {string} nickname - 닉네임
+ * @returns {Promise<Object|null>} 사용자 정보 또는 null
+ */
+const findUserByNickname = async (nickname) => {
+  const result = await pool.query(`
+    SELECT * FROM "user" WHERE LOWER(nickname) = LOWER($1) LIMIT 1
+  `, [nickname]);
+  
+  return result.rows[0] || null;
+};
+
+/**
+ * 사용자 프로필 업데이트
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {Object} profile - 업데이트할 필드 (nickname, profile_image)
+ * @returns {Promise<Object>} 업데이트된 사용자 정보
+ */
+const updateUserProfile = async (userId, profile) => {
+  const allowedFields = ['nickname', 'profile_image'];
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+  
+  Object.entries(profile)
+    .filter(([key]) => allowedFields.includes(key))
+    .forEach(([key, value]) => {
+      fields.push(`${key} = $${paramIndex}`);
+      values.push(value);
+      paramIndex++;
+    });
+  
+  if (fields.length === 0) {
+    throw new Error('업데이트할 필드가 없습니다');
+  }
+  
+  values.push(userId);
+  
+  const result = await pool.query(`
+    UPDATE "user" 
+    SET ${fields.join(', ')}
+    WHERE id = $${paramIndex}
+    RETURNING *
+  `, values);
+  
+  return result.rows[0];
+};
+
 /**
  * 사용자 메트릭스 조회
  * 
@@ -221,6 +298,9 @@ module.exports = {
   createUser,
   findUserByEmail,
   findUserById,
+  findUserByStudentId,
+  findUserByNickname,
+  updateUserProfile,
   getUserMetrics,
   updateUserMetrics,
   createFriendship,
@@ -0,0 +1,121 @@
+/**
+ * 관리자 라우터
+ * 
+ * 역할: 라우트 정의 및 미들웨어 조합
+ * 권한: 역할 기반 권한(requirePermission) - 대학 단위 관리자의 세부 범위는 서비스에서 확인
+ *       학교 도메인 승인, API 키 관리, 감사 로그 조회, 일일 정산은 특정 대학에 속하지 않으므로 전체 범위 권한 필요
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateInput, validateQuery, handleServiceError } = require('../middleware/validation');
+const adminSchemas = require('../schemas/adminSchemas');
+const adminController = require('../controllers/adminController');
+const router = express.Router();
+
+// GET /api/admin/roles - 역할 및 권한 목록
+router.get('/roles',
+  requirePermission('role:read', { anyUniversity: true }),
+  handleServiceError(adminController.getRolesController)
+);
+
+// GET /api/admin/roles/audit - 역할 부여/회수 이력
+router.get('/roles/audit',
+  requirePermission('role:read', { anyUniversity: true }),
+  handleServiceError(adminController.getRoleAuditLogsController)
+);
+
+// GET /api/admin/users/:id/roles - 사용자 역할 조회
+router.get('/users/:id/roles',
+  requirePermission('role:read', { anyUniversity: true }),
+  handleServiceError(adminController.getUserRolesController)
+);
+
+// POST /api/admin/users/:id/roles - 역할 부여
+router.post('/users/:id/roles',
+  requirePermission('role:manage', { anyUniversity: true }),
+  validateInput(adminSchemas.grantRole),
+  handleServiceError(adminController.grantRoleController)
+);
+
+// DELETE /api/admin/users/:id/roles/:grantId - 역할 회수
+router.delete('/users/:id/roles/:grantId',
+  requirePermission('role:manage', { anyUniversity: true }),
+  validateInput(adminSchemas.revokeRole),
+  handleServiceError(adminController.revokeRoleController)
+);
+
+// GET /api/admin/university-domains/requests - 미등록 학교 도메인 승인 요청 목록
+router.get('/university-domains/requests',
+  requirePermission('university:manage'),
+  handleServiceError(adminController.getDomainRequestsController)
+);
+
+// POST /api/admin/university-domains/requests/:id/approve - 학교 도메인 승인
+router.post('/university-domains/requests/:id/approve',
+  requirePermission('university:manage'),
+  validateInput(adminSchemas.approveDomainRequest),
+  handleServiceError(adminController.approveDomainRequestController)
+);
+
+// POST /api/admin/university-domains/requests/:id/reject - 학교 도메인 거절
+router.post('/university-domains/requests/:id/reject',
+  requirePermission('university:manage'),
+  validateInput(adminSchemas.rejectDomainRequest),
+  handleServiceError(adminController.rejectDomainRequestController)
+);
+
+// GET /api/admin/api-keys - 외부 연동 API 키 목록
+router.get('/api-keys',
+  requirePermission('api_key:manage'),
+  handleServiceError(adminController.getApiKeysController)
+);
+
+// POST /api/admin/api-keys - API 키 발급
+router.post('/api-keys',
+  requirePermission('api_key:manage'),
+  validateInput(adminSchemas.createApiKey),
+  handleServiceError(adminController.createApiKeyController)
+);
+
+// POST /api/admin/api-keys/:id/rotate - API 키 교체
+router.post('/api-keys/:id/rotate',
+  requirePermission('api_key:manage'),
+  validateInput(adminSchemas.rotateApiKey),
+  handleServiceError(adminController.rotateApiKeyController)
+);
+
+// DELETE /api/admin/api-keys/:id - API 키 폐기
+router.delete('/api-keys/:id',
+  requirePermission('api_key:manage'),
+  handleServiceError(adminController.revokeApiKeyController)
+);
+
+// GET /api/admin/api-keys/:id/usage - API 키 사용 기록
+router.get('/api-keys/:id/usage',
+  requirePermission('api_key:manage'),
+  handleServiceError(adminController.getApiKeyUsageController)
+);
+
+// GET /api/admin/auth-events - 인증 감사 로그 (userId, eventType, outcome, from, to 필터)
+router.get('/auth-events',
+  requirePermission('audit:read'),
+  validateQuery(adminSchemas.authEventQuery),
+  handleServiceError(adminController.getAuthEventsController)
+);
+
+// GET /api/admin/settlements - 일일 정산 실행 이력
+router.get('/settlements',
+  requirePermission('settlement:run'),
+  validateQuery(adminSchemas.settlementRunQuery),
+  handleServiceError(adminController.getSettlementRunsController)
+);
+
+// POST /api/admin/settlements/run - 일일 정산 수동 실행 (같은 날짜 재실행시 이미 반영된 적금통은 건너뜀)
+router.post('/settlements/run',
+  requirePermission('settlement:run'),
+  validateInput(adminSchemas.runSettlement),
+  handleServiceError(adminController.runSettlementController)
+);
+
+module.exports = router;
@@ -8,22 +8,47 @@
 const express = require('express');
 const { requireAuth } = require('../middleware/auth');
 const { validateInput, handleServiceError } = require('../middleware/validation');
+const { uploadProfileImage } = require('../middleware/upload');
 const authSchemas = require('../schemas/authSchemas');
 const authController = require('../controllers/authController');
 const router = express.Router();
 
-// POST /api/auth/signup - 회원가입
+// POST /api/auth/verify-email/request - 학교 이메일 인증 코드 요청
+router.post('/verify-email/request',
+  validateInput(authSchemas.requestEmailVerification),
+  handleServiceError(authController.requestEmailVerificationController)
+);
+
+// POST /api/auth/verify-email/confirm - 학교 이메일 인증 코드 확인
+router.post('/verify-email/confirm',
+  validateInput(authSchemas.confirmEmailVerification),
+  handleServiceError(authController.confirmEmailVerificationController)
+);
+
+// POST /api/auth/signup - 회원가입 (이메일 인증 완료 필요)
 router.post('/signup', 
   validateInput(authSchemas.signup),
   handleServiceError(authController.signupController)
 );
 
-// POST /api/auth/login - 로그인
+// POST /api/auth/login - 로그인 (issueTokens: true면 세션 대신 Bearer 토큰 발급)
 router.post('/login',
   validateInput(authSchemas.login),
   handleServiceError(authController.loginController)
 );
 
+// POST /api/auth/token/refresh - 리프레시 토큰으로 새 토큰 쌍 발급 (모바일)
+router.post('/token/refresh',
+  validateInput(authSchemas.refreshToken),
+  handleServiceError(authController.refreshTokenController)
+);
+
+// POST /api/auth/token/revoke - 리프레시 토큰 폐기 (모바일 로그아웃)
+router.post('/token/revoke',
+  validateInput(authSchemas.refreshToken),
+  handleServiceError(authController.revokeTokenController)
+);
+
 // POST /api/auth/logout - 로그아웃
 router.post('/logout', 
   authController.logoutController
@@ -32,7 +57,82 @@ router.post('/logout',
 // GET /api/auth/me - 현재 사용자 정보
 router.get('/me', 
   requireAuth, 
-  authController.getCurrentUserController
+  handleServiceError(authController.getCurrentUserController)
+);
+
+// PATCH /api/auth/me - 프로필(닉네임) 수정
+router.patch('/me',
+  requireAuth,
+  validateInput(authSchemas.updateProfile),
+  handleServiceError(authController.updateProfileController)
+);
+
+// DELETE /api/auth/me - 회원 탈퇴 (비밀번호 재확인)
+router.delete('/me',
+  requireAuth,
+  validateInput(authSchemas.deleteAccount),
+  handleServiceError(authController.deleteAccountController)
+);
+
+// GET /api/auth/me/export - 내 데이터 내보내기 요청/상태 확인 (준비되면 다운로드 링크 포함)
+router.get('/me/export',
+  requireAuth,
+  handleServiceError(authController.exportMyDataController)
+);
+
+// GET /api/auth/me/export/download?token= - 내보내기 파일 다운로드 (만료되는 링크)
+router.get('/me/export/download',
+  handleServiceError(authController.downloadMyDataController)
+);
+
+// POST /api/auth/me/profile-image - 프로필 이미지 업로드 (multipart, 필드명: image)
+router.post('/me/profile-image',
+  requireAuth,
+  uploadProfileImage,
+  handleServiceError(authController.uploadProfileImageController)
+);
+
+// GET /api/auth/me/security-events - 내 최근 보안 이벤트 (로그인/비밀번호 변경/세션 종료 등)
+router.get('/me/security-events',
+  requireAuth,
+  handleServiceError(authController.getMySecurityEventsController)
+);
+
+// POST /api/auth/password/forgot - 비밀번호 재설정 메일 요청
+router.post('/password/forgot',
+  validateInput(authSchemas.forgotPassword),
+  handleServiceError(authController.forgotPasswordController)
+);
+
+// POST /api/auth/password/reset - 재설정 토큰으로 비밀번호 변경
+router.post('/password/reset',
+  validateInput(authSchemas.resetPassword),
+  handleServiceError(authController.resetPasswordController)
+);
+
+// POST /api/auth/password/change - 로그인 상태에서 비밀번호 변경
+router.post('/password/change',
+  requireAuth,
+  validateInput(authSchemas.changePassword),
+  handleServiceError(authController.changePasswordController)
+);
+
+// GET /api/auth/sessions - 로그인된 기기(세션) 목록
+router.get('/sessions',
+  requireAuth,
+  handleServiceError(authController.listSessionsController)
+);
+
+// DELETE /api/auth/sessions - 현재 기기를 제외한 모든 세션 로그아웃
+router.delete('/sessions',
+  requireAuth,
+  handleServiceError(authController.revokeOtherSessionsController)
+);
+
+// DELETE /api/auth/sessions/:id - 특정 기기(세션) 로그아웃
+router.delete('/sessions/:id',
+  requireAuth,
+  handleServiceError(authController.revokeSessionController)
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * 제휴사 연동 라우터
+ * 
+ * 역할: 라우트 정의 및 미들웨어 조합
+ * 인증: 관리자가 발급한 API 키 (requireApiKey) - 라우트별 범위(scope) 확인 및 사용 기록
+ */
+
+const express = require('express');
+const { requireApiKey } = require('../middleware/auth');
+const { handleServiceError } = require('../middleware/validation');
+const universityController = require('../controllers/universityController');
+const router = express.Router();
+
+// GET /api/partner/universities - 전체 대학 목록
+router.get('/universities',
+  requireApiKey('university:read'),
+  handleServiceError(universityController.getAllUniversitiesController)
+);
+
+// GET /api/partner/universities/:id/stats - 대학 통계
+router.get('/universities/:id/stats',
+  requireApiKey('university:read'),
+  handleServiceError(universityController.getUniversityStatsController)
+);
+
+// GET /api/partner/universities/:id/ranking - 대학별 랭킹
+router.get('/universities/:id/ranking',
+  requireApiKey('ranking:read'),
+  handleServiceError(universityController.getUniversityRankingController)
+);
+
+module.exports = router;
@@ -20,21 +20,100 @@ router.post('/',
 );
 
 // GET /api/savings - 내 적금통 목록 조회
-router.get('/', requireAuth, savingsController.getSavingsListController);
+router.get('/', requireAuth, handleServiceError(savingsController.getSavingsListController));
+
+// GET /api/savings/products - 가입 가능한 적금 상품 목록 조회
+router.get('/products', handleServiceError(savingsController.getSavingProductsController));
+
+// GET /api/savings/bank-account - 연결 은행 계좌 잔액 조회
+router.get('/bank-account', requireAuth, handleServiceError(savingsController.getBankAccountController));
 
 // GET /api/savings/:id - 특정 적금통 상세 조회
 router.get('/:id', 
   requireAuth,
-  savingsController.checkSavingsOwnership,
-  savingsController.getSavingsDetailController
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.getSavingsDetailController)
+);
+
+// PATCH /api/savings/:id - 적금통 정보 수정 (이름/설명/색상/공개 설정, 목표 금액/만기일)
+router.patch('/:id',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  validateInput(savingsSchemas.updateSavings),
+  handleServiceError(savingsController.updateSavingsController)
+);
+
+// GET /api/savings/:id/history - 적금통 정보 변경 이력 조회
+router.get('/:id/history',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.getSavingsHistoryController)
+);
+
+// GET /api/savings/:id/close - 중도해지 예상 지급액 조회 (상품별 중도해지 이율 적용)
+router.get('/:id/close',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.getEarlyTerminationController)
+);
+
+// POST /api/savings/:id/close - 적금통 중도해지 (연결 계좌로 지급)
+router.post('/:id/close',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.closeSavingsController)
+);
+
+// GET /api/savings/:id/transactions - 적금통 거래 내역 조회
+router.get('/:id/transactions',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.getSavingsTransactionsController)
 );
 
-// POST /api/savings/:id/deposit - 적금통 입금 (Mock)
+// POST /api/savings/:id/deposit - 적금통 입금 (은행 이체, 같은 idempotencyKey로 재요청하면 이어서 처리)
 router.post('/:id/deposit',
   requireAuth,
-  savingsController.checkSavingsOwnership,
+  handleServiceError(savingsController.checkSavingsOwnership),
   validateInput(savingsSchemas.deposit),
   handleServiceError(savingsController.processDepositController)
 );
 
+// GET /api/savings/:id/auto-transfer - 자동이체 설정 및 최근 실행 기록 조회
+router.get('/:id/auto-transfer',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.getAutoTransferController)
+);
+
+// POST /api/savings/:id/auto-transfer - 자동이체 설정
+router.post('/:id/auto-transfer',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  validateInput(savingsSchemas.createAutoTransfer),
+  handleServiceError(savingsController.createAutoTransferController)
+);
+
+// PATCH /api/savings/:id/auto-transfer - 자동이체 금액/주기/실행일 수정
+router.patch('/:id/auto-transfer',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  validateInput(savingsSchemas.updateAutoTransfer),
+  handleServiceError(savingsController.updateAutoTransferController)
+);
+
+// POST /api/savings/:id/auto-transfer/pause - 자동이체 일시정지
+router.post('/:id/auto-transfer/pause',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.pauseAutoTransferController)
+);
+
+// POST /api/savings/:id/auto-transfer/resume - 자동이체 재개
+router.post('/:id/auto-transfer/resume',
+  requireAuth,
+  handleServiceError(savingsController.checkSavingsOwnership),
+  handleServiceError(savingsController.resumeAutoTransferController)
+);
+
 module.exports = router;
\ No newline at end of file
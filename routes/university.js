@@ -28,6 +28,11 @@ router.get('/:id/stats',
   handleServiceError(universityController.getUniversityStatsController)
 );
 
+// GET /api/university/:id/departments - 대학별 학과 목록
+router.get('/:id/departments',
+  handleServiceError(universityController.getUniversityDepartmentsController)
+);
+
 // GET /api/university/my - 내 대학 정보
 router.get('/my',
   requireAuth,
@@ -0,0 +1,66 @@
+/**
+ * 관리자 관련 검증 스키마
+ * 
+ * 역할 부여/회수, 학교 도메인 승인, API 키 관리, 감사 로그 조회, 일일 정산 실행 등 관리자 API의 입력값 검증 스키마 정의
+ */
+
+const Joi = require('joi');
+const { ROLES, API_KEY_SCOPES } = require('../config/permissions');
+const { AUTH_EVENT_TYPES } = require('../services/authAuditService');
+
+const adminSchemas = {
+  grantRole: Joi.object({
+    role: Joi.string().valid(...Object.keys(ROLES)).required(),
+    universityId: Joi.number().integer().positive().allow(null).default(null),
+    reason: Joi.string().max(200).optional()
+  }),
+
+  revokeRole: Joi.object({
+    reason: Joi.string().max(200).optional()
+  }).default({}),
+
+  // universityId(기존 대학에 별칭 도메인 추가) 또는 name(공식 명칭으로 새 대학 등록) 중 하나
+  approveDomainRequest: Joi.object({
+    universityId: Joi.number().integer().positive(),
+    name: Joi.string().trim().min(2).max(100),
+    note: Joi.string().max(200).optional()
+  }).xor('universityId', 'name'),
+
+  rejectDomainRequest: Joi.object({
+    note: Joi.string().max(200).optional()
+  }).default({}),
+
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    owner: Joi.string().trim().min(2).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...Object.keys(API_KEY_SCOPES))).min(1).required(),
+    expiresAt: Joi.date().greater('now').allow(null).default(null)
+  }),
+
+  authEventQuery: Joi.object({
+    userId: Joi.number().integer().positive(),
+    eventType: Joi.string().valid(...AUTH_EVENT_TYPES),
+    outcome: Joi.string().valid('success', 'failure'),
+    from: Joi.date(),
+    to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  // gracePeriodSeconds: 교체 후 기존 키를 계속 허용할 시간 (최대 7일, 0이면 즉시 폐기)
+  rotateApiKey: Joi.object({
+    gracePeriodSeconds: Joi.number().integer().min(0).max(7 * 24 * 60 * 60).default(0)
+  }).default({}),
+
+  // date: 정산일 (YYYY-MM-DD, 생략시 어제) - 마감되지 않은 날짜는 서비스에서 거절
+  runSettlement: Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+  }).default({}),
+
+  settlementRunQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(30)
+  })
+};
+
+module.exports = adminSchemas;
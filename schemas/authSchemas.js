@@ -5,10 +5,11 @@
  */
 
 const Joi = require('joi');
+const { ACADEMIC_EMAIL_PATTERN } = require('../config/universities');
 
 const authSchemas = {
   signup: Joi.object({
-    email: Joi.string().email().pattern(/@[a-zA-Z]+\.ac\.kr$/).required(),
+    email: Joi.string().trim().lowercase().email().pattern(ACADEMIC_EMAIL_PATTERN).required(),
     password: Joi.string().min(6).required(),
     name: Joi.string().min(2).max(20).required(),
     department: Joi.string().min(2).max(30).required(),
@@ -16,8 +17,44 @@ const authSchemas = {
   }),
   
   login: Joi.object({
-    email: Joi.string().email().required(),
+    email: Joi.string().trim().lowercase().email().required(),
+    password: Joi.string().required(),
+    issueTokens: Joi.boolean().default(false)
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  requestEmailVerification: Joi.object({
+    email: Joi.string().trim().lowercase().email().pattern(ACADEMIC_EMAIL_PATTERN).required()
+  }),
+
+  confirmEmailVerification: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().trim().lowercase().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(6).required()
+  }),
+
+  updateProfile: Joi.object({
+    nickname: Joi.string().trim().min(2).max(20).required()
+  }),
+
+  deleteAccount: Joi.object({
     password: Joi.string().required()
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
   })
 };
 
@@ -8,16 +8,43 @@ const Joi = require('joi');
 
 const savingsSchemas = {
   createSavings: Joi.object({
+    productId: Joi.string().max(100).optional(),
     name: Joi.string().min(2).max(30).required(),
     targetAmount: Joi.number().min(10000).max(100000000).required(),
     targetDate: Joi.date().min('now').required(),
-    autoTransferAmount: Joi.number().min(1000).optional(),
+    autoTransferAmount: Joi.number().integer().min(1000).optional(),
     autoTransferCycle: Joi.string().valid('daily', 'weekly', 'monthly').optional()
   }),
+
+  updateSavings: Joi.object({
+    name: Joi.string().min(2).max(30).optional(),
+    description: Joi.string().max(200).allow(null, '').optional(),
+    color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+    isPublic: Joi.boolean().optional(),
+    isAnonymous: Joi.boolean().optional(),
+    targetAmount: Joi.number().integer().min(10000).max(100000000).optional(),
+    targetDate: Joi.date().min('now').optional()
+  }).min(1),
   
+  createAutoTransfer: Joi.object({
+    amount: Joi.number().integer().min(1000).max(10000000).required(),
+    cycle: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+    dayOfWeek: Joi.number().integer().min(0).max(6).optional(),
+    dayOfMonth: Joi.number().integer().min(1).max(31).optional()
+  }),
+
+  updateAutoTransfer: Joi.object({
+    amount: Joi.number().integer().min(1000).max(10000000).optional(),
+    cycle: Joi.string().valid('daily', 'weekly', 'monthly').optional(),
+    dayOfWeek: Joi.number().integer().min(0).max(6).optional(),
+    dayOfMonth: Joi.number().integer().min(1).max(31).optional()
+  }).min(1),
+
   deposit: Joi.object({
-    amount: Joi.number().min(1000).max(10000000).required(),
-    memo: Joi.string().max(100).optional()
+    amount: Joi.number().integer().min(1000).max(10000000).required(),
+    memo: Joi.string().max(100).optional(),
+    // 클라이언트 입금 요청 키 (응답을 받지 못한 입금을 같은 키로 다시 요청하면 중복 출금 없이 이어서 처리)
+    idempotencyKey: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(64).optional()
   })
 };
 
@@ -0,0 +1,40 @@
+/**
+ * 최초 최고 관리자 지정 스크립트
+ * 
+ * 기능: 가입된 사용자에게 super_admin 역할 부여 (감사 로그 source = 'cli')
+ * 사용: npm run admin:bootstrap -- <email> [--force]
+ * 정책: 이미 최고 관리자가 있으면 거부 (--force로 추가 지정 가능)
+ */
+
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../config/database');
+const roleService = require('../services/roleService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const force = args.includes('--force');
+
+  if (!email) {
+    console.error('사용법: npm run admin:bootstrap -- <email> [--force]');
+    process.exitCode = 1;
+    return;
+  }
+
+  // 역할/권한 테이블 및 기본 데이터 보장
+  const isDbInitialized = await initializeDatabase();
+  if (!isDbInitialized) {
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const grant = await roleService.bootstrapSuperAdmin(email.trim(), { force });
+    console.log(`✅ ${email} 사용자를 최고 관리자로 지정했습니다 (user_role #${grant.id})`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main().finally(closeDatabase);
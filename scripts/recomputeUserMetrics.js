@@ -0,0 +1,49 @@
+/**
+ * 사용자 메트릭스 재계산 스크립트
+ * 
+ * 기능: saving_bucket, saving_bucket_progress 기준으로 user_metrics 전체 재구성
+ *       (적금통 수, 성공일 수, 연속 기록, 마지막 성공일, 챌린지 성공 횟수)
+ * 사용: npm run metrics:recompute [-- <userId> ...] (사용자 ID 생략시 전체 사용자)
+ * 특징: 사용자별 트랜잭션으로 처리하므로 서비스 운영 중에도 실행 가능
+ */
+
+require('dotenv').config();
+const { initializeDatabase, closeDatabase, withTransaction } = require('../config/database');
+const userMetricsModel = require('../models/userMetricsModel');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const userIds = args.map(arg => parseInt(arg));
+
+  if (userIds.some(userId => !Number.isInteger(userId) || userId <= 0)) {
+    console.error('사용법: npm run metrics:recompute [-- <userId> ...]');
+    process.exitCode = 1;
+    return;
+  }
+
+  // 메트릭스 컬럼 및 테이블 보장
+  const isDbInitialized = await initializeDatabase();
+  if (!isDbInitialized) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const targetUserIds = userIds.length > 0 ? userIds : await userMetricsModel.getMetricUserIds();
+  let failedCount = 0;
+
+  for (const userId of targetUserIds) {
+    try {
+      await withTransaction(client => userMetricsModel.recomputeUserMetrics(client, userId));
+    } catch (error) {
+      failedCount++;
+      console.error(`❌ 사용자 #${userId} 메트릭스 재계산 실패: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ 사용자 ${targetUserIds.length - failedCount}/${targetUserIds.length}명의 메트릭스를 재계산했습니다`);
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().finally(closeDatabase);
@@ -0,0 +1,267 @@
+/**
+ * API 키 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 외부 연동(제휴사) API 키 발급/교체/폐기, 요청 인증 및 범위(scope) 확인, 사용 기록
+ * 형식: hyc_<공개 접두사 12자>_<비밀값 64자> - 접두사로 키를 찾고 전체 키의 해시를 비교
+ * 보안: 키 원문은 발급/교체 응답에서 한 번만 노출, DB에는 SHA-256 해시만 저장
+ */
+
+const crypto = require('crypto');
+const apiKeyModel = require('../models/apiKeyModel');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const API_KEY_PATTERN = /^hyc_([0-9a-f]{12})_[0-9a-f]{64}$/;
+
+/**
+ * 상태 코드가 포함된 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} code - 클라이언트 구분용 에러 코드
+ * @returns {Error} status/code가 지정된 에러
+ */
+const createApiKeyError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * API 키 해시 함수 (순수 함수)
+ * 
+ * @param {string} key - API 키 원문
+ * @returns {string} SHA-256 해시 (hex)
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * API 키 형식 해석 함수 (순수 함수)
+ * 
+ * @param {string} key - API 키 원문
+ * @returns {string|null} 공개 접두사 또는 null (형식이 다른 경우)
+ */
+const parseApiKeyPrefix = (key) => {
+  const match = API_KEY_PATTERN.exec(key || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * 새 API 키 생성 함수
+ * 
+ * @returns {Object} { key, prefix, keyHash }
+ */
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `hyc_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+};
+
+/**
+ * API 키 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - api_key 레코드 (해시 제외)
+ * @returns {Object} 클라이언트 응답용 API 키 정보
+ */
+const toApiKeyInfo = (row) => {
+  const isExpired = row.expires_at !== null && new Date(row.expires_at) <= new Date();
+  return {
+    id: row.id,
+    name: row.name,
+    owner: row.owner,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    status: row.revoked_at ? 'revoked' : (isExpired ? 'expired' : 'active'),
+    rotatedFrom: row.rotated_from,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * 범위 목록 검증 함수 (순수 함수)
+ * 
+ * @param {Array<string>} scopes - 요청된 범위 목록
+ * @returns {Array<string>} 정의되지 않은 범위 목록
+ */
+const findUnknownScopes = (scopes) => {
+  return scopes.filter(scope => !API_KEY_SCOPES[scope]);
+};
+
+/**
+ * API 키 발급 함수
+ * 
+ * @param {number} actorUserId - 발급하는 관리자 ID
+ * @param {Object} keyData - { name, owner, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey, key } key는 이 응답에서만 확인 가능
+ * @throws {Error} 정의되지 않은 범위가 포함된 경우
+ */
+const createApiKey = async (actorUserId, { name, owner, scopes, expiresAt = null }) => {
+  const unknownScopes = findUnknownScopes(scopes);
+  if (unknownScopes.length > 0) {
+    throw new Error(`정의되지 않은 API 키 범위입니다: ${unknownScopes.join(', ')}`);
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const created = await apiKeyModel.createApiKey({
+    name,
+    owner,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    createdBy: actorUserId,
+    expiresAt
+  });
+
+  return { apiKey: toApiKeyInfo(created), key };
+};
+
+/**
+ * API 키 목록 조회 함수
+ * 
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} API 키 목록
+ */
+const getApiKeys = async (options) => {
+  const keys = await apiKeyModel.getApiKeys(options);
+  return keys.map(toApiKeyInfo);
+};
+
+/**
+ * API 키 교체 함수
+ * 
+ * @param {number} actorUserId - 교체하는 관리자 ID
+ * @param {number} keyId - 교체할 API 키 ID
+ * @param {Object} options - { graceSeconds } 기존 키를 유지할 시간 (0이면 즉시 폐기)
+ * @returns {Promise<Object>} { apiKey, key, previous }
+ * @throws {Error} 없거나 이미 폐기/만료된 키인 경우 (404)
+ */
+const rotateApiKey = async (actorUserId, keyId, { graceSeconds = 0 } = {}) => {
+  const { key, prefix, keyHash } = generateApiKey();
+  const rotated = await apiKeyModel.rotateApiKey(keyId, {
+    prefix,
+    keyHash,
+    actorUserId,
+    graceSeconds
+  });
+
+  if (!rotated) {
+    throw createApiKeyError('사용 중인 API 키를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  return {
+    apiKey: toApiKeyInfo(rotated.apiKey),
+    key,
+    previous: toApiKeyInfo(rotated.previous)
+  };
+};
+
+/**
+ * API 키 폐기 함수
+ * 
+ * @param {number} actorUserId - 폐기하는 관리자 ID
+ * @param {number} keyId - API 키 ID
+ * @returns {Promise<Object>} 폐기된 API 키 정보
+ * @throws {Error} 없거나 이미 폐기된 키인 경우 (404)
+ */
+const revokeApiKey = async (actorUserId, keyId) => {
+  const revoked = await apiKeyModel.revokeApiKey(keyId, actorUserId);
+  if (!revoked) {
+    throw createApiKeyError('사용 중인 API 키를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  return toApiKeyInfo(revoked);
+};
+
+/**
+ * API 키 사용 기록 조회 함수
+ * 
+ * @param {number} keyId - API 키 ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { apiKey, usage }
+ * @throws {Error} 없는 키인 경우 (404)
+ */
+const getApiKeyUsage = async (keyId, { page = 1, limit = 50 } = {}) => {
+  const apiKey = await apiKeyModel.findApiKeyById(keyId);
+  if (!apiKey) {
+    throw createApiKeyError('API 키를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  const usage = await apiKeyModel.getUsageLogs(keyId, {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { apiKey: toApiKeyInfo(apiKey), usage };
+};
+
+/**
+ * API 키 인증 함수 (요청 헤더의 키 확인)
+ * 
+ * @param {string} key - API 키 원문
+ * @param {string} scope - 라우트에 필요한 범위
+ * @returns {Promise<Object>} 인증된 API 키 정보 { id, name, owner, scopes }
+ * @throws {Error} 유효하지 않은 키 (401), 범위 밖 요청 (403, apiKeyId 포함)
+ */
+const authenticateApiKey = async (key, scope) => {
+  const prefix = parseApiKeyPrefix(key);
+  const record = prefix ? await apiKeyModel.findApiKeyByPrefix(prefix) : null;
+
+  const actualHash = Buffer.from(hashApiKey(key || ''), 'hex');
+  const matches = record
+    && crypto.timingSafeEqual(Buffer.from(record.key_hash, 'hex'), actualHash);
+
+  if (!matches || !record.is_active) {
+    throw createApiKeyError('유효하지 않은 API 키입니다', 401, 'INVALID_API_KEY');
+  }
+
+  if (!record.scopes.includes(scope)) {
+    const error = createApiKeyError('API 키에 허용되지 않은 요청입니다', 403, 'API_KEY_SCOPE_DENIED');
+    error.apiKeyId = record.id;
+    throw error;
+  }
+
+  return {
+    id: record.id,
+    name: record.name,
+    owner: record.owner,
+    scopes: record.scopes
+  };
+};
+
+/**
+ * API 키 사용 기록 함수 (실패해도 요청 처리에는 영향 없음)
+ * 
+ * @param {number} keyId - API 키 ID
+ * @param {Object} usage - { scope, method, path, statusCode, ip }
+ * @returns {Promise<void>}
+ */
+const recordApiKeyUsage = async (keyId, usage) => {
+  try {
+    await apiKeyModel.recordUsage(keyId, usage);
+  } catch (error) {
+    console.error('API 키 사용 기록 실패:', error);
+  }
+};
+
+module.exports = {
+  // 순수 함수들
+  hashApiKey,
+  parseApiKeyPrefix,
+  toApiKeyInfo,
+  findUnknownScopes,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  generateApiKey,
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  getApiKeyUsage,
+  authenticateApiKey,
+  recordApiKeyUsage
+};
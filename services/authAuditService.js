@@ -0,0 +1,141 @@
+/**
+ * 인증 감사 로그 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 가입/로그인/로그아웃/비밀번호 변경/세션 종료 이벤트 기록 및 조회
+ * 기록: 요청 IP, User-Agent, 인증 방식(session/token), 결과(success/failure)와 실패 사유
+ * 특징: 기록 실패가 인증 요청 자체를 실패시키지 않도록 에러는 로그만 남김
+ */
+
+const authAuditModel = require('../models/authAuditModel');
+
+// 기록하는 인증 이벤트 종류
+const AUTH_EVENT_TYPES = [
+  'signup',
+  'login',
+  'logout',
+  'password_change',
+  'password_reset',
+  'session_revoke'
+];
+
+// 본인 보안 이벤트 조회 기본 기간 (일)
+const SELF_VIEW_DAYS = 90;
+
+/**
+ * 요청에서 감사 로그용 접속 정보 추출 함수 (순수 함수)
+ * 
+ * @param {Object} req - Express 요청 객체
+ * @returns {Object} { ip, userAgent, authMethod }
+ */
+const getAuditClient = (req) => {
+  return {
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    authMethod: req.authMethod || null
+  };
+};
+
+/**
+ * 인증 이벤트 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - auth_audit_log 레코드
+ * @returns {Object} 클라이언트 응답용 이벤트 정보
+ */
+const toAuthEventInfo = (row) => {
+  return {
+    id: Number(row.id),
+    userId: row.user_id,
+    email: row.email,
+    eventType: row.event_type,
+    outcome: row.outcome,
+    reason: row.reason,
+    authMethod: row.auth_method,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    metadata: row.metadata,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * 본인 조회용 보안 이벤트 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - auth_audit_log 레코드
+ * @returns {Object} 사용자 ID/이메일을 제외한 이벤트 정보
+ */
+const toSecurityEventInfo = (row) => {
+  const { userId, email, ...event } = toAuthEventInfo(row);
+  return event;
+};
+
+/**
+ * 인증 이벤트 기록 함수 (실패해도 호출한 요청에는 영향 없음)
+ * 
+ * @param {Object} event - { eventType, outcome, userId, email, reason, metadata }
+ * @param {Object} client - { ip, userAgent, authMethod } 요청 접속 정보
+ * @returns {Promise<void>}
+ */
+const recordAuthEvent = async ({ eventType, outcome = 'success', userId = null, email = null, reason = null, metadata = {} }, client = {}) => {
+  try {
+    await authAuditModel.createAuthEvent({
+      userId,
+      email,
+      eventType,
+      outcome,
+      reason,
+      authMethod: client.authMethod || null,
+      ip: client.ip || null,
+      userAgent: client.userAgent || null,
+      metadata
+    });
+  } catch (error) {
+    console.error('인증 감사 로그 기록 실패:', error);
+  }
+};
+
+/**
+ * 인증 이벤트 조회 함수 (관리자용)
+ * 
+ * @param {Object} filters - { userId, eventType, outcome, from, to, page, limit }
+ * @returns {Promise<Array>} 인증 이벤트 목록
+ */
+const getAuthEvents = async ({ page = 1, limit = 50, ...filters }) => {
+  const events = await authAuditModel.getAuthEvents({
+    ...filters,
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return events.map(toAuthEventInfo);
+};
+
+/**
+ * 본인 최근 보안 이벤트 조회 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} 최근 보안 이벤트 목록 (사용자 ID/이메일 제외)
+ */
+const getMySecurityEvents = async (userId, { limit = 50 } = {}) => {
+  const events = await authAuditModel.getAuthEvents({
+    userId,
+    from: new Date(Date.now() - SELF_VIEW_DAYS * 24 * 60 * 60 * 1000),
+    limit
+  });
+
+  return events.map(toSecurityEventInfo);
+};
+
+module.exports = {
+  AUTH_EVENT_TYPES,
+
+  // 순수 함수들
+  getAuditClient,
+  toAuthEventInfo,
+  toSecurityEventInfo,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  recordAuthEvent,
+  getAuthEvents,
+  getMySecurityEvents
+};
@@ -3,12 +3,28 @@
  * 
  * 기능: 학생 회원가입, 로그인 검증, 사용자 관리 등의 비즈니스 로직
  * 아키텍처: 순수 함수 중심, 불변성 유지, 사이드 이펙트 분리
- * 데이터: Mock 데이터 사용 (실제 환경에서는 DB 연동)
+ * 데이터: DB 연동 (user, user_credential 테이블)
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const userModel = require('../models/userModel');
-const universityModel = require('../models/universityModel');
+const universityService = require('./universityService');
+const credentialModel = require('../models/credentialModel');
+const departmentModel = require('../models/departmentModel');
+const passwordResetModel = require('../models/passwordResetModel');
+const emailVerificationService = require('./emailVerificationService');
+const loginThrottleService = require('./loginThrottleService');
+const authAuditService = require('./authAuditService');
+const tokenService = require('./tokenService');
+const roleService = require('./roleService');
+const storageService = require('./storageService');
+const accountDeletionModel = require('../models/accountDeletionModel');
+const mailService = require('./mailService');
+const { ACADEMIC_EMAIL_PATTERN } = require('../config/universities');
+
+// bcrypt 기본 비용 (BCRYPT_SALT_ROUNDS 환경변수로 변경 가능)
+const DEFAULT_SALT_ROUNDS = 10;
 
 /**
  * 학교 이메일 패턴 검증 함수
@@ -17,8 +33,16 @@ const universityModel = require('../models/universityModel');
  * @returns {boolean} 학교 이메일 형식 여부
  */
 const isValidUniversityEmail = (email) => {
-  const universityEmailPattern = /@[a-zA-Z]+\.ac\.kr$/;
-  return universityEmailPattern.test(email);
+  return ACADEMIC_EMAIL_PATTERN.test(email);
+};
+
+/**
+ * 설정된 bcrypt 비용 조회 함수
+ * 
+ * @returns {number} bcrypt salt rounds
+ */
+const getSaltRounds = () => {
+  return parseInt(process.env.BCRYPT_SALT_ROUNDS) || DEFAULT_SALT_ROUNDS;
 };
 
 /**
@@ -28,8 +52,18 @@ const isValidUniversityEmail = (email) => {
  * @returns {Promise<string>} 해시된 비밀번호
  */
 const hashPassword = async (plainPassword) => {
-  const saltRounds = 10;
-  return await bcrypt.hash(plainPassword, saltRounds);
+  return await bcrypt.hash(plainPassword, getSaltRounds());
+};
+
+/**
+ * 해시 재생성 필요 여부 확인 함수
+ * 저장된 해시의 비용이 현재 설정과 다르면 재해싱 대상
+ * 
+ * @param {string} hashedPassword - 저장된 해시
+ * @returns {boolean} 재해싱 필요 여부
+ */
+const needsRehash = (hashedPassword) => {
+  return bcrypt.getRounds(hashedPassword) !== getSaltRounds();
 };
 
 /**
@@ -54,6 +88,35 @@ const maskStudentInfo = (student) => {
   return safeStudentInfo;
 };
 
+/**
+ * 학과명 정규화 함수 (순수 함수)
+ * 앞뒤 공백 제거, 연속 공백을 하나로 합쳐 같은 학과가 중복 등록되지 않도록 처리
+ * 
+ * @param {string} department - 입력된 학과명
+ * @returns {string} 정규화된 학과명
+ */
+const normalizeDepartmentName = (department) => {
+  return department.trim().replace(/\s+/g, ' ');
+};
+
+/**
+ * DB 사용자 정보를 학생 정보로 변환하는 함수 (순수 함수)
+ * 
+ * @param {Object} user - "user" 조회 결과 (학과/대학명 조인 포함)
+ * @returns {Object} 외부에 노출 가능한 학생 정보
+ */
+const toStudentInfo = (user) => {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.nickname,
+    department: user.department_name || null,
+    studentId: user.student_id || null,
+    universityName: user.university_name,
+    profileImage: user.profile_image || null
+  };
+};
+
 /**
  * 이메일 중복 확인 함수
  * 
@@ -80,9 +143,12 @@ const findStudentByEmail = async (email) => {
  * 
  * @param {Object} studentData - 학생 데이터
  * @returns {Promise<Object>} 생성된 학생 정보 (비밀번호 제외)
- * @throws {Error} 이미 존재하는 이메일인 경우
+ * @throws {Error} 이미 존재하는 이메일이거나 이메일 인증이 완료되지 않은 경우
  */
-const createStudent = async ({ email, password, name, department, studentId }) => {
+const createStudent = async ({ email: rawEmail, password, name, department, studentId }) => {
+  // 이메일 정규화 (대소문자만 다른 이메일로 중복 가입 방지)
+  const email = emailVerificationService.normalizeEmail(rawEmail);
+
   // 중복 확인
   if (await isEmailExists(email)) {
     throw new Error('이미 가입된 이메일입니다');
@@ -93,41 +159,77 @@ const createStudent = async ({ email, password, name, department, studentId }) =
     throw new Error('유효한 학교 이메일 주소가 아닙니다');
   }
 
-  // 대학 정보 조회 또는 생성
-  let university = await universityModel.getUniversityByEmail(email);
-  if (!university) {
-    const domain = email.split('@')[1];
-    const universityName = domain.split('.')[0] + '대학교'; // 간단한 대학명 생성
-    university = await universityModel.createUniversity({
-      name: universityName,
-      domain: domain
-    });
+  // 이메일 소유 확인 (verify-email 인증 완료 여부)
+  const verification = await emailVerificationService.requireVerifiedEmail(email);
+
+  // 대학 정보 조회 (등록되지 않은 학교는 가입 불가)
+  const university = await universityService.resolveUniversityForEmail(email);
+
+  // 학번 중복 확인 (대학 내 유일)
+  if (await userModel.findUserByStudentId(university.id, studentId)) {
+    throw new Error('이미 등록된 학번입니다');
   }
 
+  // 학과 조회 또는 등록 (대학별 학과 목록)
+  const departmentRecord = await departmentModel.findOrCreateDepartment(
+    university.id,
+    normalizeDepartmentName(department)
+  );
+
   // 비밀번호 해싱
   const hashedPassword = await hashPassword(password);
 
-  // 사용자 생성 (DB에는 nickname으로 저장)
-  const user = await userModel.createUser({
-    email,
-    nickname: name, // name을 nickname으로 사용
-    profileImage: null,
-    universityId: university.id
-  });
+  // 사용자 및 인증 정보 생성 (DB에는 nickname으로 저장)
+  let user;
+  try {
+    user = await userModel.createUser({
+      email,
+      nickname: name, // name을 nickname으로 사용
+      profileImage: null,
+      universityId: university.id,
+      departmentId: departmentRecord.id,
+      studentId,
+      passwordHash: hashedPassword
+    });
+  } catch (error) {
+    // 동시 가입으로 인한 학번 유니크 제약 위반
+    if (error.code === '23505' && error.constraint === 'uq_user_university_student_id') {
+      throw new Error('이미 등록된 학번입니다');
+    }
+    // 동시 가입으로 인한 이메일 유니크 제약 위반
+    if (error.code === '23505' && ['user_email_key', 'uq_user_email_lower'].includes(error.constraint)) {
+      throw new Error('이미 가입된 이메일입니다');
+    }
+    throw error;
+  }
 
-  // 비밀번호는 별도 저장 (예시용 - 실제로는 인증 서비스 사용 권장)
-  // 임시로 메모리에 저장
-  global.userPasswords = global.userPasswords || new Map();
-  global.userPasswords.set(email, hashedPassword);
+  // 인증 기록은 한 번만 사용
+  await emailVerificationService.consumeVerification(verification);
 
   // 안전한 정보만 반환
-  return {
-    email: user.email,
-    name: user.nickname,
-    department: department, // 임시로 파라미터로 받은 값 사용
-    studentId: studentId,
-    universityName: university.name
-  };
+  return toStudentInfo({
+    ...user,
+    department_name: departmentRecord.name,
+    university_name: university.name
+  });
+};
+
+/**
+ * 이메일/비밀번호 확인 함수
+ * 
+ * @param {Object|null} student - 이메일로 조회한 학생 정보
+ * @param {string} password - 비밀번호
+ * @returns {Promise<Object|null>} 비밀번호 해시 정보 또는 null (불일치)
+ */
+const verifyStudentCredential = async (student, password) => {
+  if (!student) return null;
+
+  // 비밀번호 검증 (user_credential 테이블에서 조회)
+  const credential = await credentialModel.getCredentialByUserId(student.id);
+  if (!credential) return null;
+
+  const isPasswordValid = await verifyPassword(password, credential.password_hash);
+  return isPasswordValid ? credential : null;
 };
 
 /**
@@ -135,37 +237,64 @@ const createStudent = async ({ email, password, name, department, studentId }) =
  * 
  * @param {string} email - 로그인할 이메일
  * @param {string} password - 비밀번호
+ * @param {Object} client - { ip, userAgent, authMethod } 요청 접속 정보 (시도 제한, 감사 로그에 사용)
  * @returns {Promise<Object>} 인증된 학생 정보
- * @throws {Error} 인증 실패시
+ * @throws {Error} 인증 실패시, 시도 제한으로 잠긴 경우 (429)
  */
-const authenticateStudent = async (email, password) => {
-  // 학생 정보 조회
-  const student = await findStudentByEmail(email);
-  if (!student) {
-    throw new Error('이메일 또는 비밀번호가 잘못되었습니다');
+const authenticateStudent = async (rawEmail, password, client = {}) => {
+  const email = emailVerificationService.normalizeEmail(rawEmail);
+  const ip = client.ip || null;
+
+  // 잠긴 계정/IP는 비밀번호 확인 없이 거부
+  try {
+    await loginThrottleService.assertLoginAllowed(email, ip);
+  } catch (error) {
+    await authAuditService.recordAuthEvent({ eventType: 'login', outcome: 'failure', email, reason: 'locked' }, client);
+    throw error;
   }
 
-  // 비밀번호 검증 (임시 저장소에서 조회)
-  global.userPasswords = global.userPasswords || new Map();
-  const hashedPassword = global.userPasswords.get(email);
-  
-  if (!hashedPassword) {
+  // 학생 정보 조회 및 비밀번호 확인
+  const student = await findStudentByEmail(email);
+  const credential = await verifyStudentCredential(student, password);
+  if (!credential) {
+    await loginThrottleService.recordLoginFailure(email, ip, { accountExists: Boolean(student) });
+    await authAuditService.recordAuthEvent({
+      eventType: 'login',
+      outcome: 'failure',
+      userId: student ? student.id : null,
+      email,
+      reason: student ? 'invalid_password' : 'unknown_account'
+    }, client);
     throw new Error('이메일 또는 비밀번호가 잘못되었습니다');
   }
 
-  const isPasswordValid = await verifyPassword(password, hashedPassword);
-  if (!isPasswordValid) {
-    throw new Error('이메일 또는 비밀번호가 잘못되엁습니다');
+  await loginThrottleService.recordLoginSuccess(email);
+  await authAuditService.recordAuthEvent({ eventType: 'login', userId: student.id, email: student.email }, client);
+
+  // bcrypt 비용 설정이 바뀐 경우 로그인 시점에 해시 갱신
+  if (needsRehash(credential.password_hash)) {
+    const upgradedHash = await hashPassword(password);
+    await credentialModel.updatePasswordHash(student.id, upgradedHash);
   }
 
   // 안전한 정보만 반환
-  return {
-    email: student.email,
-    name: student.nickname,
-    department: 'Mock Department', // 임시 값
-    studentId: 'Mock ID', // 임시 값
-    universityName: student.university_name
-  };
+  return toStudentInfo(student);
+};
+
+/**
+ * 학생 프로필 조회 함수 (/api/auth/me)
+ * 
+ * @param {string} email - 학생 이메일
+ * @returns {Promise<Object>} DB 기준 최신 학생 정보
+ * @throws {Error} 존재하지 않는 사용자인 경우
+ */
+const getStudentProfile = async (email) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  return toStudentInfo(student);
 };
 
 /**
@@ -176,6 +305,7 @@ const authenticateStudent = async (email, password) => {
  */
 const createSessionData = (student) => {
   return {
+    userId: student.id,
     email: student.email,
     name: student.name,
     department: student.department,
@@ -195,41 +325,259 @@ const getAllStudents = async () => {
 };
 
 /**
- * Mock 데이터 초기화 함수 (개발/테스트용)
+ * 비밀번호 재설정 토큰 해시 함수 (순수 함수)
+ * 
+ * @param {string} token - 평문 재설정 토큰
+ * @returns {string} SHA-256 해시 (hex)
+ */
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * 비밀번호 재설정 요청 함수
+ * 가입 여부를 노출하지 않도록 존재하지 않는 이메일도 조용히 무시
+ * 
+ * @param {string} email - 학생 이메일
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    return;
+  }
+
+  const ttlSeconds = parseInt(process.env.PASSWORD_RESET_TTL_SECONDS) || 1800;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // 이전에 발급된 토큰은 모두 무효화
+  await passwordResetModel.invalidateUserTokens(student.id);
+  await passwordResetModel.createResetToken({
+    userId: student.id,
+    tokenHash: hashResetToken(token),
+    ttlSeconds
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+  await mailService.sendMail({
+    to: student.email,
+    subject: '[헤이영 캠퍼스] 비밀번호 재설정 안내',
+    text: `아래 링크에서 비밀번호를 재설정해주세요. (${Math.floor(ttlSeconds / 60)}분간 유효, 1회용)\n${resetUrl}\n\n본인이 요청하지 않았다면 이 메일을 무시해주세요.`
+  });
+};
+
+/**
+ * 재설정 토큰으로 비밀번호 변경 함수
+ * 
+ * @param {string} token - 메일로 받은 재설정 토큰
+ * @param {string} newPassword - 새 비밀번호
+ * @param {Object} client - { ip, userAgent } 요청 접속 정보 (감사 로그용)
+ * @returns {Promise<Object>} 비밀번호가 변경된 사용자 정보
+ * @throws {Error} 토큰이 없거나 만료/사용된 경우
+ */
+const resetPassword = async (token, newPassword, client = {}) => {
+  const resetToken = await passwordResetModel.consumeResetToken(hashResetToken(token));
+  if (!resetToken) {
+    throw new Error('유효하지 않거나 만료된 재설정 링크입니다');
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+  await credentialModel.upsertCredential(resetToken.user_id, hashedPassword);
+
+  // 모바일 기기의 리프레시 토큰도 모두 폐기
+  const revokedTokens = await tokenService.revokeUserTokens(resetToken.user_id);
+
+  const user = await userModel.findUserById(resetToken.user_id);
+  await authAuditService.recordAuthEvent({
+    eventType: 'password_reset',
+    userId: user.id,
+    email: user.email,
+    metadata: { revokedTokens }
+  }, client);
+
+  return user;
+};
+
+/**
+ * 로그인 사용자 비밀번호 변경 함수
  * 
- * @returns {void}
+ * @param {string} email - 학생 이메일
+ * @param {string} currentPassword - 현재 비밀번호
+ * @param {string} newPassword - 새 비밀번호
+ * @param {Object} client - { ip, userAgent, authMethod } 요청 접속 정보 (감사 로그용)
+ * @returns {Promise<number>} 폐기된 리프레시 토큰 수
+ * @throws {Error} 현재 비밀번호가 틀리거나 새 비밀번호가 같은 경우
  */
-const clearMockData = () => {
-  global.userPasswords = new Map();
+const changePassword = async (email, currentPassword, newPassword, client = {}) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  const credential = await credentialModel.getCredentialByUserId(student.id);
+  if (!credential || !(await verifyPassword(currentPassword, credential.password_hash))) {
+    await authAuditService.recordAuthEvent({
+      eventType: 'password_change',
+      outcome: 'failure',
+      userId: student.id,
+      email,
+      reason: 'invalid_password'
+    }, client);
+    throw new Error('현재 비밀번호가 일치하지 않습니다');
+  }
+
+  if (currentPassword === newPassword) {
+    throw new Error('새 비밀번호는 현재 비밀번호와 달라야 합니다');
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+  await credentialModel.updatePasswordHash(student.id, hashedPassword);
+
+  // 토큰으로 로그인한 기기는 모두 다시 로그인하도록 리프레시 토큰 폐기
+  const revokedTokens = await tokenService.revokeUserTokens(student.id);
+  await authAuditService.recordAuthEvent({
+    eventType: 'password_change',
+    userId: student.id,
+    email,
+    metadata: { revokedTokens }
+  }, client);
+
+  return revokedTokens;
 };
 
 /**
- * Mock 데이터 설정 함수 (테스트용)
+ * 리프레시 토큰으로 새 토큰 쌍 발급 함수
  * 
- * @param {Map} data - 설정할 Mock 데이터
- * @returns {void}
+ * @param {string} refreshToken - 리프레시 토큰 원문
+ * @param {Object} client - { userAgent, ip } 요청 기기 정보
+ * @returns {Promise<Object>} 새 토큰 쌍 (같은 묶음 유지)
+ * @throws {Error} 토큰이 유효하지 않거나 재사용이 감지된 경우 (401)
  */
-const setMockData = (data) => {
-  global.userPasswords = data;
+const refreshTokens = async (refreshToken, client) => {
+  const consumed = await tokenService.consumeRefreshToken(refreshToken);
+
+  // 최신 사용자 정보로 액세스 토큰 발급
+  const student = await userModel.findUserById(consumed.user_id);
+  if (!student) {
+    await tokenService.revokeRefreshToken(refreshToken);
+    const error = new Error('사용자를 찾을 수 없습니다');
+    error.status = 401;
+    throw error;
+  }
+
+  return await tokenService.issueTokens(toStudentInfo(student), client, consumed.family_id);
+};
+
+/**
+ * 회원 탈퇴 함수 (비밀번호 재확인 후 개인 데이터 삭제, 커뮤니티 기록 익명화)
+ * 
+ * @param {string} email - 학생 이메일
+ * @param {string} password - 비밀번호 재확인
+ * @returns {Promise<Object>} { userId, anonymizedComments } 처리 결과
+ * @throws {Error} 비밀번호가 틀리거나 마지막 최고 관리자인 경우, 처리 중인 은행 이체가 있는 경우 (409)
+ */
+const deleteStudentAccount = async (email, password) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  const credential = await verifyStudentCredential(student, password);
+  if (!credential) {
+    throw new Error('비밀번호가 일치하지 않습니다');
+  }
+
+  if (await roleService.isLastSuperAdmin(student.id)) {
+    const error = new Error('마지막 최고 관리자는 탈퇴할 수 없습니다. 다른 최고 관리자를 먼저 지정해주세요');
+    error.status = 409;
+    throw error;
+  }
+
+  const result = await accountDeletionModel.deleteUserAccount(student);
+
+  // 프로필 이미지, 내보내기 파일 정리 (실패해도 탈퇴는 완료)
+  const storage = storageService.getStorage();
+  const profileImageKey = storage.keyFromUrl(student.profile_image);
+  if (profileImageKey) {
+    await storage.remove(profileImageKey).catch((error) => {
+      console.error('탈퇴 사용자 프로필 이미지 삭제 실패:', error);
+    });
+  }
+
+  const privateStorage = storageService.getPrivateStorage();
+  for (const storageKey of result.exportStorageKeys) {
+    await privateStorage.remove(storageKey).catch((error) => {
+      console.error('탈퇴 사용자 내보내기 파일 삭제 실패:', error);
+    });
+  }
+
+  return {
+    userId: student.id,
+    anonymizedComments: result.anonymizedComments
+  };
+};
+
+/**
+ * 학생 비밀번호 직접 설정 함수 (개발/테스트/운영 도구용)
+ * 
+ * @param {string} email - 학생 이메일
+ * @param {string} plainPassword - 설정할 평문 비밀번호
+ * @returns {Promise<void>}
+ * @throws {Error} 존재하지 않는 사용자인 경우
+ */
+const setStudentPassword = async (email, plainPassword) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  const hashedPassword = await hashPassword(plainPassword);
+  await credentialModel.upsertCredential(student.id, hashedPassword);
+};
+
+/**
+ * 학생 인증 정보 삭제 함수 (개발/테스트용)
+ * 
+ * @param {string} email - 학생 이메일
+ * @returns {Promise<boolean>} 삭제 여부
+ */
+const clearStudentCredential = async (email) => {
+  const student = await findStudentByEmail(email);
+  if (!student) {
+    return false;
+  }
+
+  return await credentialModel.deleteCredential(student.id);
 };
 
 // 함수형 프로그래밍 방식으로 모듈 내보내기
 module.exports = {
   // 순수 함수들
   isValidUniversityEmail,
+  getSaltRounds,
   hashPassword,
   verifyPassword,
+  needsRehash,
   maskStudentInfo,
+  normalizeDepartmentName,
+  toStudentInfo,
   createSessionData,
+  hashResetToken,
   
   // 데이터 조작 함수들 (사이드 이펙트 있음)
   isEmailExists,
   findStudentByEmail,
   createStudent,
   authenticateStudent,
+  getStudentProfile,
   getAllStudents,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  refreshTokens,
+  deleteStudentAccount,
   
   // 유틸리티 함수들
-  clearMockData,
-  setMockData
+  setStudentPassword,
+  clearStudentCredential
 };
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * 자동이체 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 적금통 자동이체 일정 설정/수정/일시정지/재개, 예정일 자동 입금 실행
+ * 실행: 백그라운드 작업(jobs/autoTransferScheduler.js)이 KST 기준 예정일이 된 일정을 일반 입금 경로(processDeposit)로 처리
+ * 재시도: 실패시 AUTO_TRANSFER_MAX_RETRIES회까지 간격을 2배씩 늘려 재시도, 최종 실패시 메일 안내 후 다음 예정일로 이동
+ */
+
+const autoTransferModel = require('../models/autoTransferModel');
+const savingsBucketModel = require('../models/savingsBucketModel');
+const savingProductModel = require('../models/savingProductModel');
+const userModel = require('../models/userModel');
+const savingsService = require('./savingsService');
+const mailService = require('./mailService');
+const { getKstToday, addDays, toDateString } = require('../utils/kstDate');
+const { findNextRunDate, normalizeScheduleInput, planNextRun, toAutoTransferInfo } = require('../utils/autoTransferSchedule');
+
+// 처리 중인 일정 선점 시간 (10분, 서버 중단시 이후 다시 실행)
+const CLAIM_LEASE_SECONDS = 10 * 60;
+
+// 납입 주기 표시 이름
+const CYCLE_LABELS = { daily: '매일', weekly: '매주', monthly: '매월' };
+
+// 자동이체 메모
+const AUTO_TRANSFER_MEMO = '자동이체';
+
+/**
+ * 자동이체 재시도 정책 조회 함수 (환경변수 기반)
+ * 
+ * @returns {Object} { maxRetries, retryDelaySeconds }
+ */
+const getAutoTransferPolicy = () => {
+  const maxRetries = parseInt(process.env.AUTO_TRANSFER_MAX_RETRIES);
+
+  return {
+    maxRetries: Number.isNaN(maxRetries) ? 3 : maxRetries,
+    retryDelaySeconds: parseInt(process.env.AUTO_TRANSFER_RETRY_DELAY_SECONDS) || 30 * 60
+  };
+};
+
+/**
+ * 자동이체 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 지정된 에러
+ */
+const createAutoTransferError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 재시도 대기 시간 계산 함수 (순수 함수)
+ * 
+ * @param {number} retryCount - 재시도 차수 (1부터)
+ * @param {number} baseDelaySeconds - 첫 재시도 대기 시간 (초)
+ * @returns {number} 대기 시간 (초)
+ */
+const getRetryDelaySeconds = (retryCount, baseDelaySeconds) => {
+  return baseDelaySeconds * Math.pow(2, retryCount - 1);
+};
+
+/**
+ * 자동이체 은행 이체 reference 생성 함수 (순수 함수)
+ * 응답 지연/장애 재시도는 같은 reference로 중복 이체를 막고,
+ * 은행이 거절한 뒤의 재시도는 거절 결과를 다시 받지 않도록 새 reference 사용
+ * 
+ * @param {number} scheduleId - 자동이체 일정 ID
+ * @param {string} scheduledDate - 예정일 (YYYY-MM-DD)
+ * @param {number} declinedCount - 같은 예정일에 은행이 거절한 횟수
+ * @returns {string} 은행 이체 reference
+ */
+const toAutoTransferReference = (scheduleId, scheduledDate, declinedCount) => {
+  return `auto-transfer-${scheduleId}-${scheduledDate}-${declinedCount + 1}`;
+};
+
+/**
+ * 재시도할 실패인지 확인 함수 (순수 함수)
+ * 은행 장애/응답 지연/이체 거절(잔액 부족 등)은 재시도, 납입 금액 조건 위반 등은 바로 실패 처리
+ * 
+ * @param {Error} error - 입금 처리 에러
+ * @returns {boolean} 재시도 여부
+ */
+const isRetryableError = (error) => {
+  return !error.status || error.status >= 500 || error.code === 'BANK_TRANSFER_DECLINED';
+};
+
+/**
+ * 자동이체 실행 기록 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - saving_auto_transfer_run 레코드
+ * @returns {Object} 클라이언트 응답용 실행 기록
+ */
+const toAutoTransferRunInfo = (row) => {
+  return {
+    id: row.id,
+    scheduledDate: toDateString(row.scheduled_date),
+    attempt: row.attempt,
+    amount: Number(row.amount),
+    status: row.status,
+    transactionId: row.transaction_id,
+    errorCode: row.error_code,
+    errorMessage: row.error_message,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * 자동이체 가능한 적금통인지 확인하고 납입 금액/주기 조건 검증
+ * 주기는 적금통 납입 주기(성공/실패 판정 기간)와 같아야 함
+ * 
+ * @param {Object} bucket - 적금통 정보
+ * @param {number} amount - 1회 이체 금액
+ * @param {string} cycle - 자동이체 주기
+ * @returns {Promise<void>}
+ * @throws {Error} 진행 중이 아니거나 정기예금인 적금통, 납입 금액 조건 위반, 납입 주기와 다른 주기
+ */
+const assertSchedulable = async (bucket, amount, cycle) => {
+  if (bucket.status !== 'in_progress') {
+    throw createAutoTransferError('진행 중인 적금통에만 자동이체를 설정할 수 있습니다', 409);
+  }
+  if (bucket.product_type === '정기예금') {
+    throw createAutoTransferError('정기예금은 자동이체를 설정할 수 없습니다', 400);
+  }
+  if (cycle !== bucket.deposit_cycle) {
+    throw createAutoTransferError(`적금통 납입 주기(${CYCLE_LABELS[bucket.deposit_cycle]})와 같은 주기로만 자동이체를 설정할 수 있습니다`, 400);
+  }
+
+  const product = await savingProductModel.findProductById(bucket.saving_product_id);
+  const installmentViolation = product && savingsService.findInstallmentViolation(savingsService.toProductInfo(product), amount);
+  if (installmentViolation) {
+    throw createAutoTransferError(installmentViolation, 400);
+  }
+};
+
+/**
+ * 자동이체 일정 생성 함수
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} input - { amount, cycle, dayOfWeek, dayOfMonth }
+ * @returns {Promise<Object>} 생성된 자동이체 정보
+ * @throws {Error} 이미 설정된 경우(409), 납입 주기와 다른 주기이거나 만기일 전에 실행일이 없는 경우(400)
+ */
+const createAutoTransfer = async (savingsId, input) => {
+  const bucket = await savingsBucketModel.getSavingsBucketById(savingsId);
+  if (!bucket) {
+    throw createAutoTransferError('적금통을 찾을 수 없습니다', 404);
+  }
+  await assertSchedulable(bucket, input.amount, input.cycle);
+
+  if (await autoTransferModel.findScheduleByBucket(savingsId)) {
+    throw createAutoTransferError('이미 자동이체가 설정된 적금통입니다', 409);
+  }
+
+  const today = getKstToday();
+  const config = normalizeScheduleInput(input, today);
+  const { nextRunDate, status } = planNextRun(config, bucket, addDays(today, 1));
+  if (status === 'ended') {
+    throw createAutoTransferError('만기일 전에 실행할 자동이체 일정이 없습니다', 400);
+  }
+
+  const schedule = await autoTransferModel.createSchedule({
+    bucketId: bucket.id,
+    userId: bucket.user_id,
+    ...config,
+    nextRunDate
+  });
+
+  return toAutoTransferInfo(schedule);
+};
+
+/**
+ * 적금통 자동이체 일정 조회 (없으면 404)
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} 자동이체 일정 레코드
+ */
+const findScheduleOrThrow = async (savingsId) => {
+  const schedule = await autoTransferModel.findScheduleByBucket(savingsId);
+  if (!schedule) {
+    throw createAutoTransferError('자동이체가 설정되지 않은 적금통입니다', 404);
+  }
+  return schedule;
+};
+
+/**
+ * 자동이체 일정과 최근 실행 기록 조회 함수
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} { autoTransfer, runs }
+ */
+const getAutoTransfer = async (savingsId) => {
+  const schedule = await findScheduleOrThrow(savingsId);
+  const runs = await autoTransferModel.getRunsBySchedule(schedule.id);
+
+  return {
+    autoTransfer: toAutoTransferInfo(schedule),
+    runs: runs.map(toAutoTransferRunInfo)
+  };
+};
+
+/**
+ * 자동이체 설정 수정 함수 (지정한 항목만 변경, 일시정지 상태는 유지)
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} changes - { amount, cycle, dayOfWeek, dayOfMonth }
+ * @returns {Promise<Object>} 수정된 자동이체 정보
+ * @throws {Error} 종료된 자동이체(409), 납입 주기와 다른 주기이거나 만기일 전에 실행일이 없는 경우(400)
+ */
+const updateAutoTransfer = async (savingsId, changes) => {
+  const schedule = await findScheduleOrThrow(savingsId);
+  if (schedule.status === 'ended') {
+    throw createAutoTransferError('종료된 자동이체는 수정할 수 없습니다', 409);
+  }
+
+  const bucket = await savingsBucketModel.getSavingsBucketById(savingsId);
+  const amount = changes.amount ?? Number(schedule.amount);
+  const cycle = changes.cycle ?? schedule.cycle;
+  await assertSchedulable(bucket, amount, cycle);
+
+  const today = getKstToday();
+  const config = normalizeScheduleInput({
+    amount,
+    cycle,
+    dayOfWeek: changes.dayOfWeek ?? (cycle === schedule.cycle ? schedule.day_of_week : undefined),
+    dayOfMonth: changes.dayOfMonth ?? (cycle === schedule.cycle ? schedule.day_of_month : undefined)
+  }, today);
+
+  const { nextRunDate, status } = planNextRun(config, bucket, addDays(today, 1));
+  if (status === 'ended') {
+    throw createAutoTransferError('만기일 전에 실행할 자동이체 일정이 없습니다', 400);
+  }
+
+  const updated = await autoTransferModel.updateSchedule(schedule.id, {
+    ...config,
+    nextRunDate,
+    status: schedule.status
+  });
+
+  return toAutoTransferInfo(updated);
+};
+
+/**
+ * 자동이체 일시정지 함수
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} 일시정지된 자동이체 정보
+ * @throws {Error} 실행 중인 자동이체가 아닌 경우(409)
+ */
+const pauseAutoTransfer = async (savingsId) => {
+  const schedule = await findScheduleOrThrow(savingsId);
+  if (schedule.status !== 'active') {
+    throw createAutoTransferError('실행 중인 자동이체만 일시정지할 수 있습니다', 409);
+  }
+
+  const updated = await autoTransferModel.updateSchedule(schedule.id, {
+    amount: schedule.amount,
+    cycle: schedule.cycle,
+    dayOfWeek: schedule.day_of_week,
+    dayOfMonth: schedule.day_of_month,
+    nextRunDate: toDateString(schedule.next_run_date),
+    status: 'paused'
+  });
+
+  return toAutoTransferInfo(updated);
+};
+
+/**
+ * 자동이체 재개 함수 (일시정지 동안 지난 실행일은 건너뜀)
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} 재개된 자동이체 정보
+ * @throws {Error} 일시정지 상태가 아닌 경우(409), 만기일 전에 실행일이 없는 경우(400)
+ */
+const resumeAutoTransfer = async (savingsId) => {
+  const schedule = await findScheduleOrThrow(savingsId);
+  if (schedule.status !== 'paused') {
+    throw createAutoTransferError('일시정지된 자동이체만 재개할 수 있습니다', 409);
+  }
+
+  const bucket = await savingsBucketModel.getSavingsBucketById(savingsId);
+  await assertSchedulable(bucket, Number(schedule.amount), schedule.cycle);
+
+  const config = {
+    amount: schedule.amount,
+    cycle: schedule.cycle,
+    dayOfWeek: schedule.day_of_week,
+    dayOfMonth: schedule.day_of_month
+  };
+  const { nextRunDate, status } = planNextRun(config, bucket, addDays(getKstToday(), 1));
+  if (status === 'ended') {
+    throw createAutoTransferError('만기일 전에 실행할 자동이체 일정이 없습니다', 400);
+  }
+
+  const updated = await autoTransferModel.updateSchedule(schedule.id, { ...config, nextRunDate, status });
+  return toAutoTransferInfo(updated);
+};
+
+/**
+ * 자동이체 최종 실패 안내 메일 발송 함수 (발송 실패는 실행 흐름에 영향 없음)
+ * 
+ * @param {Object} bucket - 적금통 정보
+ * @param {Object} schedule - 자동이체 일정
+ * @param {string} scheduledDate - 실행 예정일 (YYYY-MM-DD)
+ * @param {Error} error - 마지막 실패 에러
+ * @returns {Promise<void>}
+ */
+const notifyAutoTransferFailed = async (bucket, schedule, scheduledDate, error) => {
+  try {
+    const user = await userModel.findUserById(bucket.user_id);
+    if (!user) return;
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: '[헤이영 캠퍼스] 자동이체 실패 안내',
+      text: `${scheduledDate} 예정이던 '${bucket.name}' 적금통 자동이체(${Number(schedule.amount).toLocaleString('ko-KR')}원)가 실패했습니다.\n사유: ${error.message}\n\n출금 계좌 잔액을 확인하거나 앱에서 직접 입금해주세요.\n${process.env.FRONTEND_URL || 'http://localhost:3000'}/savings/${bucket.id}`
+    });
+  } catch (mailError) {
+    console.error('자동이체 실패 안내 메일 발송 실패:', mailError);
+  }
+};
+
+/**
+ * 예정일이 된 자동이체 하나 처리 함수 (백그라운드 작업에서 호출)
+ * 같은 예정일의 재시도는 같은 은행 이체 reference를 사용하여 중복 이체 방지 (은행 거절 후에는 새 reference)
+ * 
+ * @returns {Promise<boolean>} 처리한 일정이 있으면 true
+ */
+const processNextAutoTransfer = async () => {
+  const today = getKstToday();
+  const schedule = await autoTransferModel.claimDueSchedule(today, CLAIM_LEASE_SECONDS);
+  if (!schedule) return false;
+
+  const scheduledDate = toDateString(schedule.next_run_date);
+  const attempt = schedule.retry_count + 1;
+  const amount = Number(schedule.amount);
+  const config = { cycle: schedule.cycle, dayOfWeek: schedule.day_of_week, dayOfMonth: schedule.day_of_month };
+
+  const bucket = await savingsBucketModel.getSavingsBucketById(schedule.bucket_id);
+  if (!bucket || bucket.status !== 'in_progress') {
+    await autoTransferModel.updateScheduleAfterRun(schedule.id, { nextRunDate: null, status: 'ended' });
+    return true;
+  }
+
+  // 밀린 실행일은 한 번만 처리하고 내일 이후 일정으로 이동
+  const nextRun = planNextRun(config, bucket, addDays(today, 1));
+
+  try {
+    const declinedCount = await autoTransferModel.countDeclinedRuns(schedule.id, scheduledDate);
+    const { transaction } = await savingsService.processDeposit(bucket.id, amount, AUTO_TRANSFER_MEMO, {
+      source: 'auto_transfer',
+      reference: toAutoTransferReference(schedule.id, scheduledDate, declinedCount)
+    });
+
+    await autoTransferModel.createRun({
+      scheduleId: schedule.id,
+      bucketId: bucket.id,
+      scheduledDate,
+      attempt,
+      amount,
+      status: 'success',
+      transactionId: transaction.id
+    });
+    await autoTransferModel.updateScheduleAfterRun(schedule.id, nextRun);
+  } catch (error) {
+    await autoTransferModel.createRun({
+      scheduleId: schedule.id,
+      bucketId: bucket.id,
+      scheduledDate,
+      attempt,
+      amount,
+      status: 'failed',
+      errorCode: error.code || null,
+      errorMessage: error.message
+    });
+
+    const { maxRetries, retryDelaySeconds } = getAutoTransferPolicy();
+    if (isRetryableError(error) && attempt <= maxRetries) {
+      await autoTransferModel.updateScheduleAfterRun(schedule.id, {
+        nextRunDate: scheduledDate,
+        status: 'active',
+        retryCount: attempt,
+        retryDelaySeconds: getRetryDelaySeconds(attempt, retryDelaySeconds),
+        lastError: error.message
+      });
+    } else {
+      await autoTransferModel.updateScheduleAfterRun(schedule.id, { ...nextRun, lastError: error.message });
+      await notifyAutoTransferFailed(bucket, schedule, scheduledDate, error);
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  // 순수 함수들
+  getAutoTransferPolicy,
+  findNextRunDate,
+  getRetryDelaySeconds,
+  isRetryableError,
+  toAutoTransferReference,
+  normalizeScheduleInput,
+  toAutoTransferInfo,
+  toAutoTransferRunInfo,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  createAutoTransfer,
+  getAutoTransfer,
+  updateAutoTransfer,
+  pauseAutoTransfer,
+  resumeAutoTransfer,
+  processNextAutoTransfer
+};
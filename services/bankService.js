@@ -0,0 +1,458 @@
+/**
+ * 은행 연동 서비스 - 교체 가능한 은행 제공자 (Provider)
+ * 
+ * 기능: 고객 계좌 조회, 적금 상품으로 이체, 적금 상품에서 고객 계좌로 지급(해지), 잔액 조회, 상품 목록 조회
+ * 인터페이스: { name, findAccount(customerId), transfer({ fromAccount, productId, amount, memo, reference }),
+ *              payout({ toAccount, productId, amount, memo, reference }), findTransfer(reference), getBalance(accountNumber), listProducts() }
+ * 이체/지급 결과: { status: 'completed', transactionId, balanceAfter } 또는 { status: 'declined', reason, message }
+ * 거래 조회: findTransfer(reference)는 해당 reference로 완료된 이체/지급 결과, 없으면 null
+ * 기본 제공: mock (프로세스 내 시뮬레이션), http (BANK_API_URL 은행 API, mock/bankServer.js로 로컬 테스트)
+ * 선택: MOCK_BANK_API=false 이면 http, 그 외에는 mock
+ */
+
+const crypto = require('crypto');
+const { SAVING_PRODUCTS } = require('../config/savingProducts');
+
+// 은행 API 기본 응답 제한 시간 (5초)
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Mock 은행 기본 설정
+const MOCK_INITIAL_BALANCE = 1000000;
+const MOCK_TRANSFER_LIMIT = 5000000;
+
+// Mock 은행 적금 상품 목록 (적금 상품 카탈로그와 동일)
+const MOCK_PRODUCTS = SAVING_PRODUCTS.map(({ id, name, productType, interestRate }) => ({
+  id,
+  name,
+  type: productType,
+  interestRate
+}));
+
+// 이체 거절 사유별 안내 메시지
+const DECLINE_MESSAGES = {
+  ACCOUNT_NOT_FOUND: '출금 계좌를 찾을 수 없습니다',
+  PRODUCT_NOT_FOUND: '가입할 수 없는 적금 상품입니다',
+  INSUFFICIENT_FUNDS: '출금 계좌 잔액이 부족합니다',
+  LIMIT_EXCEEDED: '1회 이체 한도를 초과했습니다'
+};
+
+/**
+ * 은행 연동 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} code - 에러 코드 (BANK_TIMEOUT, BANK_UNAVAILABLE, BANK_TRANSFER_DECLINED 등)
+ * @returns {Error} status/code가 지정된 에러
+ */
+const createBankError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * 이체 거절 결과 생성 함수 (순수 함수)
+ * 
+ * @param {string} reason - 거절 사유 코드
+ * @returns {Object} { status: 'declined', reason, message }
+ */
+const declineTransfer = (reason) => {
+  return {
+    status: 'declined',
+    reason,
+    message: DECLINE_MESSAGES[reason] || '은행에서 이체를 거절했습니다'
+  };
+};
+
+/**
+ * 프로세스 내 Mock 은행 제공자 생성 함수
+ * 고객별 계좌를 처음 조회할 때 초기 잔액으로 개설하고, 같은 reference로 완료된 이체/지급은 한 번만 처리
+ * 
+ * @param {Object} options - { initialBalance, transferLimit, products }
+ * @returns {Object} 은행 제공자 객체
+ */
+const createMockBankProvider = ({
+  initialBalance = MOCK_INITIAL_BALANCE,
+  transferLimit = MOCK_TRANSFER_LIMIT,
+  products = MOCK_PRODUCTS
+} = {}) => {
+  const accounts = new Map();
+  const transfers = new Map();
+
+  const openAccount = (customerId) => {
+    const accountNumber = `110-${String(customerId).padStart(9, '0')}`;
+    const account = { accountNumber, customerId: String(customerId), balance: initialBalance };
+    accounts.set(accountNumber, account);
+    return account;
+  };
+
+  const findAccountByCustomer = (customerId) => {
+    return Array.from(accounts.values()).find(account => account.customerId === String(customerId))
+      || openAccount(customerId);
+  };
+
+  return {
+    name: 'mock',
+
+    findAccount: async (customerId) => {
+      const { accountNumber, balance } = findAccountByCustomer(customerId);
+      return { accountNumber, balance };
+    },
+
+    transfer: async ({ fromAccount, productId, amount, reference }) => {
+      if (reference && transfers.has(reference)) {
+        return transfers.get(reference);
+      }
+
+      const account = accounts.get(fromAccount);
+      let result;
+      if (!account) {
+        result = declineTransfer('ACCOUNT_NOT_FOUND');
+      } else if (!products.some(product => product.id === productId)) {
+        result = declineTransfer('PRODUCT_NOT_FOUND');
+      } else if (amount > transferLimit) {
+        result = declineTransfer('LIMIT_EXCEEDED');
+      } else if (amount > account.balance) {
+        result = declineTransfer('INSUFFICIENT_FUNDS');
+      } else {
+        account.balance -= amount;
+        result = {
+          status: 'completed',
+          transactionId: `MOCK-${crypto.randomUUID()}`,
+          balanceAfter: account.balance
+        };
+      }
+
+      // 완료된 거래만 reference로 중복 방지 (거절된 요청은 같은 reference로 다시 시도 가능)
+      if (reference && result.status === 'completed') {
+        transfers.set(reference, result);
+      }
+      return result;
+    },
+
+    payout: async ({ toAccount, productId, amount, reference }) => {
+      if (reference && transfers.has(reference)) {
+        return transfers.get(reference);
+      }
+
+      const account = accounts.get(toAccount);
+      let result;
+      if (!account) {
+        result = declineTransfer('ACCOUNT_NOT_FOUND');
+      } else if (!products.some(product => product.id === productId)) {
+        result = declineTransfer('PRODUCT_NOT_FOUND');
+      } else {
+        account.balance += amount;
+        result = {
+          status: 'completed',
+          transactionId: `MOCK-${crypto.randomUUID()}`,
+          balanceAfter: account.balance
+        };
+      }
+
+      // 완료된 거래만 reference로 중복 방지 (거절된 요청은 같은 reference로 다시 시도 가능)
+      if (reference && result.status === 'completed') {
+        transfers.set(reference, result);
+      }
+      return result;
+    },
+
+    findTransfer: async (reference) => {
+      return transfers.get(reference) || null;
+    },
+
+    getBalance: async (accountNumber) => {
+      const account = accounts.get(accountNumber);
+      if (!account) {
+        throw createBankError(DECLINE_MESSAGES.ACCOUNT_NOT_FOUND, 404, 'BANK_ACCOUNT_NOT_FOUND');
+      }
+      return { accountNumber, balance: account.balance };
+    },
+
+    listProducts: async () => products.map(product => ({ ...product }))
+  };
+};
+
+/**
+ * HTTP 은행 제공자 생성 함수
+ * 응답 지연은 BANK_TIMEOUT(504), 연결 실패/5xx/잘못된 응답은 BANK_UNAVAILABLE(502)로 변환
+ * 
+ * @param {Object} options - { baseUrl, timeoutMs }
+ * @returns {Object} 은행 제공자 객체
+ */
+const createHttpBankProvider = ({ baseUrl, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+  const apiBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  const request = async (method, path, body = undefined) => {
+    let response;
+    try {
+      response = await fetch(`${apiBaseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw createBankError('은행 응답 시간이 초과되었습니다', 504, 'BANK_TIMEOUT');
+      }
+      throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw createBankError('은행 응답 시간이 초과되었습니다', 504, 'BANK_TIMEOUT');
+      }
+      throw createBankError('은행 서비스 응답을 처리할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+    }
+
+    return { status: response.status, data };
+  };
+
+  return {
+    name: 'http',
+
+    findAccount: async (customerId) => {
+      const { status, data } = await request('GET', `/customers/${encodeURIComponent(customerId)}/account`);
+      if (status !== 200) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return { accountNumber: data.accountNumber, balance: data.balance };
+    },
+
+    transfer: async ({ fromAccount, productId, amount, memo, reference }) => {
+      const { status, data } = await request('POST', '/transfers', { fromAccount, productId, amount, memo, reference });
+      if (status === 422 && data.status === 'declined') {
+        return declineTransfer(data.reason);
+      }
+      if (status !== 200 && status !== 201) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return { status: 'completed', transactionId: data.transactionId, balanceAfter: data.balanceAfter };
+    },
+
+    payout: async ({ toAccount, productId, amount, memo, reference }) => {
+      const { status, data } = await request('POST', '/payouts', { toAccount, productId, amount, memo, reference });
+      if (status === 422 && data.status === 'declined') {
+        return declineTransfer(data.reason);
+      }
+      if (status !== 200 && status !== 201) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return { status: 'completed', transactionId: data.transactionId, balanceAfter: data.balanceAfter };
+    },
+
+    findTransfer: async (reference) => {
+      const { status, data } = await request('GET', `/transfers/${encodeURIComponent(reference)}`);
+      if (status === 404) {
+        return null;
+      }
+      if (status !== 200) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return { status: 'completed', transactionId: data.transactionId, balanceAfter: data.balanceAfter };
+    },
+
+    getBalance: async (accountNumber) => {
+      const { status, data } = await request('GET', `/accounts/${encodeURIComponent(accountNumber)}/balance`);
+      if (status === 404) {
+        throw createBankError(DECLINE_MESSAGES.ACCOUNT_NOT_FOUND, 404, 'BANK_ACCOUNT_NOT_FOUND');
+      }
+      if (status !== 200) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return { accountNumber: data.accountNumber, balance: data.balance };
+    },
+
+    listProducts: async () => {
+      const { status, data } = await request('GET', '/products');
+      if (status !== 200) {
+        throw createBankError('은행 서비스에 연결할 수 없습니다', 502, 'BANK_UNAVAILABLE');
+      }
+      return data.products;
+    }
+  };
+};
+
+// 이름별 은행 제공자 생성 함수 목록 (registerBankProvider로 확장)
+const providerFactories = {
+  mock: () => createMockBankProvider(),
+  http: () => createHttpBankProvider({
+    baseUrl: process.env.BANK_API_URL || 'http://localhost:4010',
+    timeoutMs: parseInt(process.env.BANK_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * 새 은행 제공자 등록 함수
+ * 
+ * @param {string} name - 제공자 이름
+ * @param {Function} factory - 은행 제공자 객체를 반환하는 함수
+ * @returns {void}
+ */
+const registerBankProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * 현재 은행 제공자 직접 지정 함수 (테스트용)
+ * 
+ * @param {Object|null} provider - 은행 제공자 객체 (null이면 환경변수 기준으로 재생성)
+ * @returns {void}
+ */
+const setBankProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * 현재 은행 제공자 조회 함수
+ * 
+ * @returns {Object} 은행 제공자 객체
+ * @throws {Error} 등록되지 않은 제공자인 경우
+ */
+const getBankProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = process.env.MOCK_BANK_API === 'false' ? 'http' : 'mock';
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    throw new Error(`등록되지 않은 은행 제공자입니다: ${providerName}`);
+  }
+
+  activeProvider = factory();
+  return activeProvider;
+};
+
+/**
+ * 고객 계좌에서 적금 상품으로 이체 함수
+ * 
+ * @param {Object} transfer - { customerId, productId, amount, memo, reference }
+ * @returns {Promise<Object>} { transactionId, accountNumber, balanceAfter }
+ * @throws {Error} 이체 거절(422, BANK_TRANSFER_DECLINED), 응답 지연(504), 연결 실패(502)
+ */
+const transferToSavings = async ({ customerId, productId, amount, memo = null, reference }) => {
+  const provider = getBankProvider();
+  const account = await provider.findAccount(customerId);
+
+  const result = await provider.transfer({
+    fromAccount: account.accountNumber,
+    productId,
+    amount,
+    memo,
+    reference
+  });
+
+  if (result.status !== 'completed') {
+    const error = createBankError(result.message, 422, 'BANK_TRANSFER_DECLINED');
+    error.reason = result.reason;
+    throw error;
+  }
+
+  return {
+    transactionId: result.transactionId,
+    accountNumber: account.accountNumber,
+    balanceAfter: result.balanceAfter
+  };
+};
+
+/**
+ * 적금 상품에서 고객 계좌로 지급 함수 (중도해지 등)
+ * 
+ * @param {Object} payout - { customerId, productId, amount, memo, reference }
+ * @returns {Promise<Object>} { transactionId, accountNumber, balanceAfter }
+ * @throws {Error} 지급 거절(422, BANK_PAYOUT_DECLINED), 응답 지연(504), 연결 실패(502)
+ */
+const payoutFromSavings = async ({ customerId, productId, amount, memo = null, reference }) => {
+  const provider = getBankProvider();
+  const account = await provider.findAccount(customerId);
+
+  const result = await provider.payout({
+    toAccount: account.accountNumber,
+    productId,
+    amount,
+    memo,
+    reference
+  });
+
+  if (result.status !== 'completed') {
+    const error = createBankError(result.message, 422, 'BANK_PAYOUT_DECLINED');
+    error.reason = result.reason;
+    throw error;
+  }
+
+  return {
+    transactionId: result.transactionId,
+    accountNumber: account.accountNumber,
+    balanceAfter: result.balanceAfter
+  };
+};
+
+/**
+ * reference로 은행에서 완료된 이체/지급 조회 함수 (결과를 모르는 요청 대사용)
+ * 
+ * @param {string} reference - 이체/지급 요청시 사용한 reference
+ * @returns {Promise<Object|null>} { transactionId, balanceAfter } 또는 완료된 거래가 없으면 null
+ * @throws {Error} 응답 지연(504), 연결 실패(502)
+ */
+const findTransferByReference = async (reference) => {
+  const result = await getBankProvider().findTransfer(reference);
+  if (!result || result.status !== 'completed') {
+    return null;
+  }
+
+  return {
+    transactionId: result.transactionId,
+    balanceAfter: result.balanceAfter
+  };
+};
+
+/**
+ * 고객 계좌 잔액 조회 함수
+ * 
+ * @param {number} customerId - 고객(사용자) ID
+ * @returns {Promise<Object>} { accountNumber, balance }
+ */
+const getAccountBalance = async (customerId) => {
+  const provider = getBankProvider();
+  const account = await provider.findAccount(customerId);
+  return await provider.getBalance(account.accountNumber);
+};
+
+/**
+ * 은행 적금 상품 목록 조회 함수
+ * 
+ * @returns {Promise<Array>} 상품 목록
+ */
+const listBankProducts = async () => {
+  return await getBankProvider().listProducts();
+};
+
+module.exports = {
+  MOCK_PRODUCTS,
+
+  // 순수 함수들
+  createBankError,
+  declineTransfer,
+
+  // 제공자 생성/관리 함수들
+  createMockBankProvider,
+  createHttpBankProvider,
+  registerBankProvider,
+  setBankProvider,
+  getBankProvider,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  transferToSavings,
+  payoutFromSavings,
+  findTransferByReference,
+  getAccountBalance,
+  listBankProducts
+};
@@ -0,0 +1,259 @@
+/**
+ * 적금통 상태 전이 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 상태: in_progress → success(목표 금액 달성) / matured(만기일 경과) / failed(입금 기간 실패 누적) / cancelled(중도 해지)
+ * 특징: 목표를 먼저 달성한 success 적금통은 만기 전 중도해지(cancelled)만 가능하고, 그 외 종료 상태는 바뀌지 않음
+ *       모든 전이는 이력(saving_bucket_status_history)으로 기록
+ * 부수 효과: 트랜잭션 안에서 완료 적금통 수/챌린지 성공 횟수 반영, 커밋 후 업적 달성 확인
+ */
+
+const { withTransaction } = require('../config/database');
+const bucketStatusModel = require('../models/bucketStatusModel');
+const savingsBucketModel = require('../models/savingsBucketModel');
+const userModel = require('../models/userModel');
+const achievementService = require('./achievementService');
+const { getKstToday, toDateString } = require('../utils/kstDate');
+
+// 상태별 전이 가능한 다음 상태 (success는 만기 전 중도해지만 가능, 나머지는 종료 상태)
+const BUCKET_STATUS_TRANSITIONS = {
+  in_progress: ['success', 'matured', 'failed', 'cancelled'],
+  success: ['cancelled'],
+  matured: [],
+  failed: [],
+  cancelled: []
+};
+
+// 완료로 보는 상태 (목표 금액 달성만, 완료 적금통 수/업적/대학 통계 공통 기준)
+const COMPLETED_STATUSES = ['success'];
+
+// 실패 판정: 판정된 입금 기간 중 실패가 최소 횟수 이상이고 실패 비율이 기준 초과
+const FAILURE_MIN_PERIODS = 3;
+const FAILURE_RATE_THRESHOLD = 0.5;
+
+/**
+ * 상태 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 지정된 에러
+ */
+const createLifecycleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 상태 전이 가능 여부 확인 함수 (순수 함수)
+ * 
+ * @param {string} fromStatus - 현재 상태
+ * @param {string} toStatus - 변경할 상태
+ * @returns {boolean} 전이 가능 여부
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (BUCKET_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * 실패 기준 도달 여부 확인 함수 (순수 함수)
+ * 
+ * @param {Object} bucket - { success_days, fail_days } 성공/실패 기간 수
+ * @returns {boolean} 실패 기준 도달 여부
+ */
+const isFailureThresholdReached = (bucket) => {
+  const failPeriods = Number(bucket.fail_days || 0);
+  const judgedPeriods = Number(bucket.success_days || 0) + failPeriods;
+
+  return failPeriods >= FAILURE_MIN_PERIODS && failPeriods / judgedPeriods > FAILURE_RATE_THRESHOLD;
+};
+
+/**
+ * 적금통 다음 상태 결정 함수 (순수 함수)
+ * 우선순위: 목표 금액 달성 > 실패 기준 도달 > 만기일 경과
+ * 
+ * @param {Object} bucket - 적금통 레코드
+ * @param {string} today - 기준일 (YYYY-MM-DD, KST)
+ * @returns {Object|null} { status, reason } 또는 null (상태 유지)
+ */
+const decideNextStatus = (bucket, today) => {
+  if (bucket.status !== 'in_progress') return null;
+
+  if (Number(bucket.current_amount || 0) >= Number(bucket.target_amount)) {
+    return { status: 'success', reason: 'target_reached' };
+  }
+  if (isFailureThresholdReached(bucket)) {
+    return { status: 'failed', reason: 'missed_periods' };
+  }
+  if (toDateString(bucket.target_date) < today) {
+    return { status: 'matured', reason: 'target_date_passed' };
+  }
+  return null;
+};
+
+/**
+ * 상태 변경 이력 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - saving_bucket_status_history 레코드
+ * @returns {Object} 클라이언트 응답용 상태 변경 이력
+ */
+const toStatusHistoryInfo = (row) => {
+  return {
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    reason: row.reason,
+    changedAt: row.created_at
+  };
+};
+
+/**
+ * 적금통 상태 전이 (트랜잭션 안에서 호출, 적금통은 잠긴 상태여야 함)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {Object} bucket - 잠긴 적금통 레코드
+ * @param {string} toStatus - 변경할 상태
+ * @param {string} reason - 변경 사유 (target_reached, missed_periods, target_date_passed, user_cancelled 등)
+ * @returns {Promise<Object>} 전이 정보 { bucketId, userId, fromStatus, toStatus, reason }
+ * @throws {Error} 전이할 수 없는 상태(409)
+ */
+const transitionBucket = async (client, bucket, toStatus, reason) => {
+  if (!canTransition(bucket.status, toStatus)) {
+    throw createLifecycleError(`${bucket.status} 상태의 적금통은 ${toStatus} 상태로 변경할 수 없습니다`, 409);
+  }
+
+  const updated = await bucketStatusModel.updateBucketStatus(client, bucket.id, bucket.status, toStatus);
+  if (!updated) {
+    throw createLifecycleError('적금통 상태가 이미 변경되었습니다', 409);
+  }
+
+  await bucketStatusModel.createStatusHistory(client, {
+    bucketId: bucket.id,
+    userId: bucket.user_id,
+    fromStatus: bucket.status,
+    toStatus,
+    reason
+  });
+
+  // 완료 상태로 바뀌면 완료 적금통 수 반영 (챌린지 적금통은 챌린지 성공 횟수도), 완료 후 해지되면 되돌림
+  const wasCompleted = COMPLETED_STATUSES.includes(bucket.status);
+  const isCompleted = COMPLETED_STATUSES.includes(toStatus);
+  if (wasCompleted !== isCompleted) {
+    const delta = isCompleted ? 1 : -1;
+    await bucketStatusModel.adjustCompletedBucketCount(client, bucket.user_id, delta);
+    if (bucket.saving_challenge_id) {
+      await bucketStatusModel.adjustChallengeSuccessCount(client, bucket.user_id, delta);
+    }
+  }
+
+  return {
+    bucketId: bucket.id,
+    userId: bucket.user_id,
+    fromStatus: bucket.status,
+    toStatus,
+    reason
+  };
+};
+
+/**
+ * 적금통 상태 평가 후 필요하면 전이 (트랜잭션 안에서 호출)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} today - 기준일 (YYYY-MM-DD, KST)
+ * @returns {Promise<Object|null>} 전이 정보 또는 null (상태 유지)
+ */
+const applyLifecycle = async (client, bucketId, today = getKstToday()) => {
+  const bucket = await savingsBucketModel.lockSavingsBucket(client, bucketId);
+  const next = bucket && decideNextStatus(bucket, today);
+  if (!next) return null;
+
+  return await transitionBucket(client, bucket, next.status, next.reason);
+};
+
+/**
+ * 상태 전이 후속 처리 (커밋 후 호출, 완료 상태면 업적 달성 확인)
+ * 후속 처리 실패는 상태 전이에 영향을 주지 않음
+ * 
+ * @param {Object|null} transition - 전이 정보
+ * @returns {Promise<Array>} 새로 달성한 업적 목록
+ */
+const runTransitionEffects = async (transition) => {
+  if (!transition || !COMPLETED_STATUSES.includes(transition.toStatus)) {
+    return [];
+  }
+
+  try {
+    const user = await userModel.findUserById(transition.userId);
+    return user ? await achievementService.checkAndRewardAchievements(user.email) : [];
+  } catch (error) {
+    console.error(`❌ 적금통 #${transition.bucketId} 완료 후속 처리 실패:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * 적금통 상태 평가 및 전이 (자체 트랜잭션, 후속 처리 포함)
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @param {string} today - 기준일 (YYYY-MM-DD, KST)
+ * @returns {Promise<Object|null>} 전이 정보 또는 null (상태 유지)
+ */
+const evaluateBucket = async (bucketId, today = getKstToday()) => {
+  const transition = await withTransaction(client => applyLifecycle(client, bucketId, today));
+  await runTransitionEffects(transition);
+  return transition;
+};
+
+/**
+ * 만기일이 지난 진행 중 적금통 모두 평가
+ * 
+ * @param {string} date - 마감된 날짜 (YYYY-MM-DD, 이 날짜까지 만기인 적금통 대상)
+ * @param {string} today - 기준일 (YYYY-MM-DD, KST)
+ * @returns {Promise<Object>} { transitions, errors }
+ */
+const closeMaturedBuckets = async (date, today) => {
+  const bucketIds = await bucketStatusModel.getBucketIdsPastTargetDate(date);
+  const transitions = [];
+  const errors = [];
+
+  for (const bucketId of bucketIds) {
+    try {
+      const transition = await evaluateBucket(bucketId, today);
+      if (transition) transitions.push(transition);
+    } catch (error) {
+      console.error(`❌ 적금통 #${bucketId} 만기 처리 실패:`, error.message);
+      errors.push(`#${bucketId}: ${error.message}`);
+    }
+  }
+
+  return { transitions, errors };
+};
+
+/**
+ * 적금통 상태 변경 이력 조회
+ * 
+ * @param {number} bucketId - 적금통 ID
+ * @returns {Promise<Array>} 상태 변경 이력
+ */
+const getStatusHistory = async (bucketId) => {
+  const history = await bucketStatusModel.getStatusHistory(bucketId);
+  return history.map(toStatusHistoryInfo);
+};
+
+module.exports = {
+  BUCKET_STATUS_TRANSITIONS,
+  COMPLETED_STATUSES,
+
+  // 순수 함수들
+  canTransition,
+  isFailureThresholdReached,
+  decideNextStatus,
+  toStatusHistoryInfo,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  transitionBucket,
+  applyLifecycle,
+  runTransitionEffects,
+  evaluateBucket,
+  closeMaturedBuckets,
+  getStatusHistory
+};
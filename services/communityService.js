@@ -4,9 +4,11 @@
  * 기능: 적금통 기반 커뮤니티, 좋아요/댓글 관리, 페이징, 기본 모더레이션
  * 아키텍처: 순수 함수 중심, 불변성 유지, 적금통 공유 중심 커뮤니티
  * 보안: 욕설 필터링, 개인정보 마스킹, 스팸 방지
+ * 목록: 중도해지(cancelled)한 적금통은 공개 목록에서 제외
  */
 
 const savingsBucketModel = require('../models/savingsBucketModel');
+const { calculateSuccessRate } = require('./savingsService');
 const userModel = require('../models/userModel');
 const { pool } = require('../config/database');
 
@@ -113,6 +115,21 @@ const enrichPostData = (bucket, likeCount, commentCount, isLiked) => {
   };
 };
 
+/**
+ * 게시글 정렬 컬럼 결정 함수 (순수 함수)
+ * success_rate: 판정된 입금 기간(성공 + 실패) 중 성공 비율
+ * 
+ * @param {string} sortBy - 정렬 기준 ('created_at', 'like_count', 'success_rate')
+ * @returns {string} ORDER BY에 사용할 SQL 식
+ */
+const getPostOrderColumn = (sortBy) => {
+  if (sortBy === 'like_count') return 'sb.like_count';
+  if (sortBy === 'success_rate') {
+    return 'COALESCE(sb.success_days::NUMERIC / NULLIF(sb.success_days + sb.fail_days, 0), 0)';
+  }
+  return 'sb.created_at';
+};
+
 /**
  * 공개 적금통 목록 조회 함수 (커뮤니티 게시글)
  * 
@@ -154,8 +171,8 @@ const getPosts = async ({ page = 1, limit = 10, sortBy = 'created_at', order = '
     ) comment_count ON sb.id = comment_count.bucket_id
     -- 현재 사용자 좋아요 여부
     LEFT JOIN saving_bucket_like user_like ON sb.id = user_like.bucket_id AND user_like.user_id = $1
-    WHERE sb.is_public = true
-    ORDER BY sb.${sortBy === 'like_count' ? 'like_count' : 'created_at'} ${order.toUpperCase()}
+    WHERE sb.is_public = true AND sb.status <> 'cancelled'
+    ORDER BY ${getPostOrderColumn(sortBy)} ${order.toUpperCase()}
   `;
 
   const result = await pool.query(query, [currentUserId]);
@@ -169,6 +186,8 @@ const getPosts = async ({ page = 1, limit = 10, sortBy = 'created_at', order = '
       targetDate: row.target_date,
       successDays: row.success_days,
       totalDays: row.total_days,
+      totalPeriods: row.total_periods,
+      successRate: calculateSuccessRate(row.success_days, row.fail_days),
       status: row.status,
       createdAt: row.created_at,
       author,
@@ -242,6 +261,8 @@ const getPostById = async (bucketId, studentEmail) => {
     targetDate: row.target_date,
     successDays: row.success_days,
     totalDays: row.total_days,
+    totalPeriods: row.total_periods,
+    successRate: calculateSuccessRate(row.success_days, row.fail_days),
     status: row.status,
     createdAt: row.created_at,
     author,
@@ -425,7 +446,7 @@ const getPostsByUser = async (userEmail) => {
       FROM saving_bucket_comment 
       GROUP BY bucket_id
     ) comment_count ON sb.id = comment_count.bucket_id
-    WHERE sb.user_id = $1 AND sb.is_public = true
+    WHERE sb.user_id = $1 AND sb.is_public = true AND sb.status <> 'cancelled'
     ORDER BY sb.created_at DESC
   `;
 
@@ -439,6 +460,8 @@ const getPostsByUser = async (userEmail) => {
     targetDate: row.target_date,
     successDays: row.success_days,
     totalDays: row.total_days,
+    totalPeriods: row.total_periods,
+    successRate: calculateSuccessRate(row.success_days, row.fail_days),
     status: row.status,
     createdAt: row.created_at,
     likeCount: parseInt(row.like_count),
@@ -485,7 +508,7 @@ const getPopularPosts = async (limit = 5, studentEmail) => {
     ) comment_count ON sb.id = comment_count.bucket_id
     -- 현재 사용자 좋아요 여부
     LEFT JOIN saving_bucket_like user_like ON sb.id = user_like.bucket_id AND user_like.user_id = $1
-    WHERE sb.is_public = true
+    WHERE sb.is_public = true AND sb.status <> 'cancelled'
     ORDER BY like_count.count DESC, sb.created_at DESC
     LIMIT $2
   `;
@@ -502,6 +525,8 @@ const getPopularPosts = async (limit = 5, studentEmail) => {
       targetDate: row.target_date,
       successDays: row.success_days,
       totalDays: row.total_days,
+      totalPeriods: row.total_periods,
+      successRate: calculateSuccessRate(row.success_days, row.fail_days),
       status: row.status,
       createdAt: row.created_at,
       author,
@@ -541,6 +566,7 @@ module.exports = {
   paginate,
   sortPosts,
   enrichPostData,
+  getPostOrderColumn,
 
   // 게시글 관련 함수들 (적금통 기반)
   getPosts,
@@ -0,0 +1,203 @@
+/**
+ * 개인정보 내보내기 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 내 데이터 내보내기 요청, JSON 파일 생성(백그라운드 작업), 만료되는 다운로드 링크
+ * 저장: 비공개 저장소(storageService.getPrivateStorage) - 정적 경로로 노출하지 않음
+ * 보안: 다운로드 링크는 작업 ID를 담은 서명 토큰 (파일 만료 시각과 함께 만료)
+ */
+
+const jwt = require('jsonwebtoken');
+const dataExportModel = require('../models/dataExportModel');
+const storageService = require('./storageService');
+const { getTokenPolicy } = require('./tokenService');
+
+const DOWNLOAD_TOKEN_AUDIENCE = 'data-export';
+
+/**
+ * 내보내기 정책 조회 함수 (환경변수로 조정 가능)
+ * 
+ * @returns {Object} { ttlSeconds, staleSeconds }
+ */
+const getExportPolicy = () => {
+  return {
+    ttlSeconds: parseInt(process.env.DATA_EXPORT_TTL_SECONDS) || 24 * 60 * 60,
+    staleSeconds: parseInt(process.env.DATA_EXPORT_STALE_SECONDS) || 10 * 60
+  };
+};
+
+/**
+ * 다운로드 토큰 생성 함수 (파일 만료 시각까지 유효)
+ * 
+ * @param {Object} exportJob - 완료된 작업 (id, user_id, expires_at)
+ * @returns {string} 서명된 다운로드 토큰
+ */
+const createDownloadToken = (exportJob) => {
+  const expiresAtSeconds = Math.floor(new Date(exportJob.expires_at).getTime() / 1000);
+
+  return jwt.sign({
+    exportId: exportJob.id,
+    exp: expiresAtSeconds
+  }, getTokenPolicy().secret, {
+    subject: String(exportJob.user_id),
+    audience: DOWNLOAD_TOKEN_AUDIENCE
+  });
+};
+
+/**
+ * 작업 상태 응답 형식 변환 함수 (순수 함수)
+ * 
+ * @param {Object} exportJob - 내보내기 작업
+ * @returns {Object} { id, status, requestedAt, completedAt, expiresAt, fileSize, downloadUrl }
+ */
+const toExportStatus = (exportJob) => {
+  const isReady = exportJob.status === 'ready' && !exportJob.is_expired;
+
+  return {
+    id: exportJob.id,
+    status: exportJob.status,
+    requestedAt: exportJob.requested_at,
+    completedAt: exportJob.completed_at,
+    expiresAt: isReady ? exportJob.expires_at : null,
+    fileSize: isReady ? exportJob.file_size : null,
+    downloadUrl: isReady
+      ? `/api/auth/me/export/download?token=${encodeURIComponent(createDownloadToken(exportJob))}`
+      : null
+  };
+};
+
+/**
+ * 내보내기 요청 함수
+ * 진행 중이거나 아직 받을 수 있는 작업이 있으면 재사용, 없으면 새 작업 생성
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} { created, exportStatus }
+ */
+const requestExport = async (userId) => {
+  const latest = await dataExportModel.findLatestExport(userId);
+  const isReusable = latest && (
+    ['pending', 'processing'].includes(latest.status) ||
+    (latest.status === 'ready' && !latest.is_expired)
+  );
+
+  if (isReusable) {
+    return { created: false, exportStatus: toExportStatus(latest) };
+  }
+
+  const exportJob = await dataExportModel.createExport(userId);
+  return { created: true, exportStatus: toExportStatus(exportJob) };
+};
+
+/**
+ * 사용자 데이터 내보내기 파일 내용 생성 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Object>} 내보내기 JSON 객체
+ */
+const buildUserArchive = async (userId) => {
+  const data = await dataExportModel.getUserDataForExport(userId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    service: '헤이영 캠퍼스',
+    ...data
+  };
+};
+
+/**
+ * 대기 작업 하나 처리 함수 (백그라운드 작업에서 호출)
+ * 
+ * @returns {Promise<boolean>} 처리한 작업이 있으면 true
+ */
+const processNextExport = async () => {
+  const exportJob = await dataExportModel.claimNextPendingExport();
+  if (!exportJob) return false;
+
+  try {
+    const archive = await buildUserArchive(exportJob.user_id);
+    const buffer = Buffer.from(JSON.stringify(archive, null, 2), 'utf8');
+
+    const saved = await storageService.getPrivateStorage().save({
+      key: `data-exports/${exportJob.user_id}/${exportJob.id}.json`,
+      buffer,
+      contentType: 'application/json'
+    });
+
+    await dataExportModel.markExportReady(exportJob.id, {
+      storageKey: saved.key,
+      fileSize: buffer.length,
+      ttlSeconds: getExportPolicy().ttlSeconds
+    });
+  } catch (error) {
+    console.error(`❌ 개인정보 내보내기 실패 (#${exportJob.id}):`, error);
+    await dataExportModel.markExportFailed(exportJob.id, error.message);
+  }
+
+  return true;
+};
+
+/**
+ * 만료 작업 정리 함수 (파일 삭제, 중단된 작업 재시도)
+ * 
+ * @returns {Promise<number>} 만료 처리된 작업 수
+ */
+const cleanupExports = async () => {
+  await dataExportModel.requeueStaleExports(getExportPolicy().staleSeconds);
+
+  const expired = await dataExportModel.expireOldExports();
+  const storage = storageService.getPrivateStorage();
+
+  for (const exportJob of expired) {
+    if (exportJob.storage_key) {
+      await storage.remove(exportJob.storage_key).catch((error) => {
+        console.error('만료된 내보내기 파일 삭제 실패:', error);
+      });
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * 다운로드 파일 조회 함수
+ * 
+ * @param {string} token - 다운로드 토큰
+ * @returns {Promise<Object>} { buffer, filename }
+ * @throws {Error} 토큰이 유효하지 않거나 파일이 만료된 경우 (410)
+ */
+const getExportDownload = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getTokenPolicy().secret, { audience: DOWNLOAD_TOKEN_AUDIENCE });
+  } catch (err) {
+    const error = new Error('다운로드 링크가 만료되었거나 올바르지 않습니다');
+    error.status = 410;
+    throw error;
+  }
+
+  const exportJob = await dataExportModel.findExportById(payload.exportId);
+  if (!exportJob || exportJob.status !== 'ready' || exportJob.is_expired ||
+      String(exportJob.user_id) !== payload.sub) {
+    const error = new Error('다운로드 링크가 만료되었거나 올바르지 않습니다');
+    error.status = 410;
+    throw error;
+  }
+
+  const buffer = await storageService.getPrivateStorage().read(exportJob.storage_key);
+  return {
+    buffer,
+    filename: `heyyoung-campus-data-${exportJob.id}.json`
+  };
+};
+
+module.exports = {
+  // 순수 함수들
+  getExportPolicy,
+  toExportStatus,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  requestExport,
+  buildUserArchive,
+  processNextExport,
+  cleanupExports,
+  getExportDownload
+};
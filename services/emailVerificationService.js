@@ -0,0 +1,205 @@
+/**
+ * 이메일 인증 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 학교 이메일 소유 확인용 일회성 숫자 코드 발급/검증
+ * 정책: 짧은 유효시간, 입력 시도 횟수 제한, 재발송 대기시간
+ * 연동: 회원가입(createStudent)은 인증 완료된 이메일만 허용
+ */
+
+const crypto = require('crypto');
+const emailVerificationModel = require('../models/emailVerificationModel');
+const userModel = require('../models/userModel');
+const mailService = require('./mailService');
+const universityService = require('./universityService');
+
+const CODE_LENGTH = 6;
+
+/**
+ * 인증 정책 조회 함수 (환경변수로 조정 가능)
+ * 
+ * @returns {Object} { ttlSeconds, maxAttempts, resendCooldownSeconds, signupWindowSeconds }
+ */
+const getVerificationPolicy = () => {
+  return {
+    ttlSeconds: parseInt(process.env.EMAIL_VERIFICATION_TTL_SECONDS) || 600,
+    maxAttempts: parseInt(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS) || 5,
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+    signupWindowSeconds: parseInt(process.env.EMAIL_VERIFICATION_SIGNUP_WINDOW_SECONDS) || 1800
+  };
+};
+
+/**
+ * 이메일 정규화 함수 (순수 함수)
+ * 
+ * @param {string} email - 이메일 주소
+ * @returns {string} 소문자, 공백 제거된 이메일
+ */
+const normalizeEmail = (email) => {
+  return email.trim().toLowerCase();
+};
+
+/**
+ * 숫자 인증 코드 생성 함수
+ * 
+ * @returns {string} 0으로 채워진 6자리 숫자 코드
+ */
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+};
+
+/**
+ * 인증 코드 해시 함수 (순수 함수)
+ * 
+ * @param {string} email - 이메일 주소
+ * @param {string} code - 인증 코드
+ * @returns {string} SHA-256 해시 (hex)
+ */
+const hashCode = (email, code) => {
+  return crypto.createHash('sha256').update(`${email}:${code}`).digest('hex');
+};
+
+/**
+ * 해시 비교 함수 (타이밍 공격 방지)
+ * 
+ * @param {string} expectedHash - 저장된 해시
+ * @param {string} actualHash - 입력값 해시
+ * @returns {boolean} 일치 여부
+ */
+const isSameHash = (expectedHash, actualHash) => {
+  const expected = Buffer.from(expectedHash, 'hex');
+  const actual = Buffer.from(actualHash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * 인증 코드 요청 함수
+ * 
+ * @param {string} rawEmail - 인증할 학교 이메일
+ * @returns {Promise<Object>} { email, expiresInSeconds, resendAvailableInSeconds }
+ * @throws {Error} 이미 가입된 이메일, 등록되지 않은 학교이거나 재발송 대기시간 중인 경우
+ */
+const requestVerificationCode = async (rawEmail) => {
+  const email = normalizeEmail(rawEmail);
+  const policy = getVerificationPolicy();
+
+  if (await userModel.findUserByEmail(email)) {
+    throw new Error('이미 가입된 이메일입니다');
+  }
+
+  // 등록된 학교만 인증 코드 발송 (미등록 도메인은 승인 대기열 등록 또는 거절)
+  await universityService.resolveUniversityForEmail(email);
+
+  // 재발송 대기시간 확인
+  const latest = await emailVerificationModel.getLatestVerification(email);
+  const latestAgeSeconds = latest ? parseFloat(latest.age_seconds) : Infinity;
+  if (latest && !latest.verified_at && latestAgeSeconds < policy.resendCooldownSeconds) {
+    const error = new Error('잠시 후 다시 요청해주세요');
+    error.status = 429;
+    error.retryAfter = Math.ceil(policy.resendCooldownSeconds - latestAgeSeconds);
+    throw error;
+  }
+
+  const code = generateCode();
+  await emailVerificationModel.createVerification({
+    email,
+    codeHash: hashCode(email, code),
+    ttlSeconds: policy.ttlSeconds
+  });
+
+  await mailService.sendMail({
+    to: email,
+    subject: '[헤이영 캠퍼스] 학교 이메일 인증 코드',
+    text: `인증 코드: ${code}\n${Math.floor(policy.ttlSeconds / 60)}분 안에 입력해주세요.`
+  });
+
+  return {
+    email,
+    expiresInSeconds: policy.ttlSeconds,
+    resendAvailableInSeconds: policy.resendCooldownSeconds
+  };
+};
+
+/**
+ * 인증 코드 확인 함수
+ * 
+ * @param {string} rawEmail - 인증할 학교 이메일
+ * @param {string} code - 사용자가 입력한 코드
+ * @returns {Promise<Object>} { email, verified, signupAvailableInSeconds }
+ * @throws {Error} 코드가 없거나 만료/불일치/시도 초과인 경우
+ */
+const confirmVerificationCode = async (rawEmail, code) => {
+  const email = normalizeEmail(rawEmail);
+  const policy = getVerificationPolicy();
+
+  const verification = await emailVerificationModel.getLatestVerification(email);
+  if (!verification || verification.consumed_at) {
+    throw new Error('인증 코드를 먼저 요청해주세요');
+  }
+
+  if (verification.verified_at) {
+    return { email, verified: true, signupAvailableInSeconds: policy.signupWindowSeconds };
+  }
+
+  if (verification.is_expired) {
+    throw new Error('인증 코드가 만료되었습니다. 새 코드를 요청해주세요');
+  }
+
+  if (verification.attempt_count >= policy.maxAttempts) {
+    const error = new Error('인증 시도 횟수를 초과했습니다. 새 코드를 요청해주세요');
+    error.status = 429;
+    throw error;
+  }
+
+  if (!isSameHash(verification.code_hash, hashCode(email, code))) {
+    const updated = await emailVerificationModel.incrementAttemptCount(verification.id);
+    const remainingAttempts = Math.max(0, policy.maxAttempts - updated.attempt_count);
+    throw new Error(`인증 코드가 일치하지 않습니다 (남은 시도: ${remainingAttempts}회)`);
+  }
+
+  await emailVerificationModel.markVerified(verification.id);
+  return { email, verified: true, signupAvailableInSeconds: policy.signupWindowSeconds };
+};
+
+/**
+ * 회원가입 가능한 인증 기록 확인 함수
+ * 
+ * @param {string} rawEmail - 가입할 이메일
+ * @returns {Promise<Object>} 사용 가능한 인증 기록
+ * @throws {Error} 인증되지 않았거나 인증 유효시간이 지난 경우
+ */
+const requireVerifiedEmail = async (rawEmail) => {
+  const email = normalizeEmail(rawEmail);
+  const verification = await emailVerificationModel.getUsableVerification(
+    email,
+    getVerificationPolicy().signupWindowSeconds
+  );
+
+  if (!verification) {
+    throw new Error('학교 이메일 인증이 필요합니다');
+  }
+
+  return verification;
+};
+
+/**
+ * 인증 기록 사용 처리 함수 (회원가입 완료 후 호출)
+ * 
+ * @param {Object} verification - requireVerifiedEmail로 조회한 인증 기록
+ * @returns {Promise<void>}
+ */
+const consumeVerification = async (verification) => {
+  await emailVerificationModel.markConsumed(verification.id);
+};
+
+module.exports = {
+  // 순수 함수들
+  normalizeEmail,
+  hashCode,
+  getVerificationPolicy,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  requestVerificationCode,
+  confirmVerificationCode,
+  requireVerifiedEmail,
+  consumeVerification
+};
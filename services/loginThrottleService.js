@@ -0,0 +1,185 @@
+/**
+ * 로그인 시도 제한 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 계정/IP별 로그인 실패 추적, 단계적으로 늘어나는 잠금, 잠금 알림 메일
+ * 정책: 기준 횟수 이상 실패시 잠금 (잠금이 반복될수록 2배씩 증가, 최대값 제한), 로그인 성공시 계정 기록만 초기화
+ * 저장: login_attempt 테이블 (여러 서버 인스턴스 간 공유)
+ */
+
+const loginAttemptModel = require('../models/loginAttemptModel');
+const mailService = require('./mailService');
+
+/**
+ * 로그인 제한 정책 조회 함수 (환경변수로 조정 가능)
+ * 
+ * @returns {Object} { accountMaxFailures, ipMaxFailures, failureWindowSeconds, baseLockSeconds, maxLockSeconds, lockResetSeconds }
+ */
+const getThrottlePolicy = () => {
+  return {
+    accountMaxFailures: parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5,
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    failureWindowSeconds: parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 900,
+    baseLockSeconds: parseInt(process.env.LOGIN_LOCK_BASE_SECONDS) || 300,
+    maxLockSeconds: parseInt(process.env.LOGIN_LOCK_MAX_SECONDS) || 86400,
+    lockResetSeconds: parseInt(process.env.LOGIN_LOCK_RESET_SECONDS) || 86400
+  };
+};
+
+/**
+ * 잠금 시간 계산 함수 (순수 함수)
+ * 
+ * @param {number} lockCount - 지금까지의 잠금 횟수
+ * @param {Object} policy - 로그인 제한 정책
+ * @returns {number} 이번 잠금 시간 (초)
+ */
+const getLockSeconds = (lockCount, policy) => {
+  return Math.min(policy.maxLockSeconds, policy.baseLockSeconds * 2 ** lockCount);
+};
+
+/**
+ * 추적 대상 목록 생성 함수 (순수 함수)
+ * 
+ * @param {string} email - 로그인 시도 이메일
+ * @param {string|null} ip - 요청 IP 주소
+ * @param {Object} policy - 로그인 제한 정책
+ * @returns {Array} [{ scope, identifier, maxFailures }]
+ */
+const getThrottleTargets = (email, ip, policy) => {
+  const targets = [
+    { scope: 'account', identifier: email.trim().toLowerCase(), maxFailures: policy.accountMaxFailures }
+  ];
+
+  if (ip) {
+    targets.push({ scope: 'ip', identifier: ip, maxFailures: policy.ipMaxFailures });
+  }
+
+  return targets;
+};
+
+/**
+ * 남은 잠금 시간을 안내 문구로 변환 (순수 함수)
+ * 
+ * @param {number} seconds - 남은 시간 (초)
+ * @returns {string} 'N분' 형식 문자열
+ */
+const formatLockDuration = (seconds) => {
+  return `${Math.max(1, Math.ceil(seconds / 60))}분`;
+};
+
+/**
+ * 잠금 에러 생성 함수 (429 + Retry-After)
+ * 
+ * @param {string} scope - 'account' 또는 'ip'
+ * @param {number} retryAfter - 재시도까지 남은 시간 (초)
+ * @returns {Error} status, retryAfter가 설정된 에러
+ */
+const createLockedError = (scope, retryAfter) => {
+  const message = scope === 'account'
+    ? `로그인 시도가 너무 많아 계정이 잠겼습니다. ${formatLockDuration(retryAfter)} 후 다시 시도해주세요`
+    : `로그인 시도가 너무 많습니다. ${formatLockDuration(retryAfter)} 후 다시 시도해주세요`;
+
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * 잠금 여부 확인 함수 (비밀번호 검증 전에 호출)
+ * 
+ * @param {string} email - 로그인 시도 이메일
+ * @param {string|null} ip - 요청 IP 주소
+ * @returns {Promise<void>}
+ * @throws {Error} 계정 또는 IP가 잠긴 경우 (429)
+ */
+const assertLoginAllowed = async (email, ip) => {
+  const targets = getThrottleTargets(email, ip, getThrottlePolicy());
+
+  for (const target of targets) {
+    const attempt = await loginAttemptModel.getAttempt(target.scope, target.identifier);
+    const remainingSeconds = attempt ? parseFloat(attempt.lock_remaining_seconds) : 0;
+
+    if (remainingSeconds > 0) {
+      throw createLockedError(target.scope, Math.ceil(remainingSeconds));
+    }
+  }
+};
+
+/**
+ * 계정 잠금 알림 메일 발송 함수 (발송 실패는 로그인 흐름에 영향 없음)
+ * 
+ * @param {string} email - 잠긴 계정 이메일
+ * @param {number} lockSeconds - 잠금 시간 (초)
+ * @returns {Promise<void>}
+ */
+const notifyAccountLocked = async (email, lockSeconds) => {
+  try {
+    await mailService.sendMail({
+      to: email,
+      subject: '[헤이영 캠퍼스] 로그인 시도 제한 안내',
+      text: `비밀번호 입력 실패가 반복되어 계정 로그인이 ${formatLockDuration(lockSeconds)}간 제한되었습니다.\n\n본인이 시도하지 않았다면 비밀번호를 변경해주세요.\n${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`
+    });
+  } catch (error) {
+    console.error('계정 잠금 알림 메일 발송 실패:', error);
+  }
+};
+
+/**
+ * 로그인 실패 기록 함수
+ * 
+ * @param {string} email - 로그인 시도 이메일
+ * @param {string|null} ip - 요청 IP 주소
+ * @param {Object} options - { accountExists } 가입된 계정인 경우에만 잠금 알림 발송
+ * @returns {Promise<void>}
+ * @throws {Error} 이번 실패로 계정 또는 IP가 잠긴 경우 (429)
+ */
+const recordLoginFailure = async (email, ip, { accountExists = false } = {}) => {
+  const policy = getThrottlePolicy();
+  const targets = getThrottleTargets(email, ip, policy);
+  let lockedError = null;
+
+  for (const target of targets) {
+    const attempt = await loginAttemptModel.recordFailure(target.scope, target.identifier, policy);
+    if (attempt.failed_count < target.maxFailures) continue;
+
+    const lockSeconds = getLockSeconds(attempt.lock_count, policy);
+    const locked = await loginAttemptModel.lockIfExceeded(
+      target.scope, target.identifier, target.maxFailures, lockSeconds
+    );
+    if (!locked) continue;
+
+    if (target.scope === 'account' && accountExists) {
+      await notifyAccountLocked(target.identifier, lockSeconds);
+    }
+    lockedError = lockedError || createLockedError(target.scope, lockSeconds);
+  }
+
+  if (lockedError) {
+    throw lockedError;
+  }
+};
+
+/**
+ * 로그인 성공 처리 함수 (계정 실패 기록만 초기화)
+ * IP 실패 횟수는 집계 구간이 지나면 저절로 초기화되고 잠금 횟수도 유지되므로,
+ * 가진 계정으로 로그인하여 같은 IP의 다른 계정 대입 제한을 풀 수 없음
+ * 
+ * @param {string} email - 로그인 이메일
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (email) => {
+  const [accountTarget] = getThrottleTargets(email, null, getThrottlePolicy());
+  await loginAttemptModel.clearAttempt(accountTarget.scope, accountTarget.identifier);
+};
+
+module.exports = {
+  // 순수 함수들
+  getThrottlePolicy,
+  getLockSeconds,
+  getThrottleTargets,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
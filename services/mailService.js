@@ -0,0 +1,135 @@
+/**
+ * 메일 서비스 - 교체 가능한 전송 방식 (Transport)
+ * 
+ * 기능: 인증 코드 등 시스템 메일 발송
+ * 아키텍처: 전송 방식을 이름으로 등록하고 MAIL_TRANSPORT 환경변수로 선택
+ * 기본 제공: outbox (로컬 파일 저장, 개발/테스트용), console (로그 출력)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 로컬 파일(outbox) 전송 방식 생성 함수
+ * 메일을 실제로 보내지 않고 지정된 디렉터리에 JSON 파일로 저장
+ * 
+ * @param {Object} options - { directory }
+ * @returns {Object} 전송 방식 객체 { name, send }
+ */
+const createOutboxTransport = ({ directory }) => {
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.writeFile(filePath, JSON.stringify({
+        id: messageId,
+        ...message,
+        createdAt: new Date().toISOString()
+      }, null, 2));
+
+      return { messageId, filePath };
+    }
+  };
+};
+
+/**
+ * 콘솔 전송 방식 생성 함수
+ * 
+ * @returns {Object} 전송 방식 객체 { name, send }
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 메일 발송 → ${message.to} | ${message.subject}\n${message.text}`);
+      return { messageId: null };
+    }
+  };
+};
+
+// 이름별 전송 방식 생성 함수 목록 (registerTransport로 확장)
+const transportFactories = {
+  outbox: () => createOutboxTransport({
+    directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+  }),
+  console: () => createConsoleTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * 새 전송 방식 등록 함수 (SMTP, 외부 메일 API 등 확장용)
+ * 
+ * @param {string} name - 전송 방식 이름 (MAIL_TRANSPORT 값)
+ * @param {Function} factory - 전송 방식 객체를 반환하는 함수
+ * @returns {void}
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * 현재 전송 방식 직접 지정 함수 (테스트용)
+ * 
+ * @param {Object|null} transport - 전송 방식 객체 (null이면 환경변수 기준으로 재생성)
+ * @returns {void}
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * 현재 전송 방식 조회 함수
+ * 
+ * @returns {Object} 전송 방식 객체
+ * @throws {Error} 등록되지 않은 전송 방식인 경우
+ */
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+  const factory = transportFactories[transportName];
+  if (!factory) {
+    throw new Error(`등록되지 않은 메일 전송 방식입니다: ${transportName}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+/**
+ * 메일 발송 함수
+ * 
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} 전송 결과
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@heyyoung-campus.local',
+    to,
+    subject,
+    text
+  };
+
+  return await getTransport().send(message);
+};
+
+module.exports = {
+  // 전송 방식 생성 함수들
+  createOutboxTransport,
+  createConsoleTransport,
+
+  // 전송 방식 관리 함수들
+  registerTransport,
+  setTransport,
+  getTransport,
+
+  // 발송 함수
+  sendMail
+};
@@ -0,0 +1,125 @@
+/**
+ * 프로필 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 닉네임 변경, 프로필 이미지 업로드/교체
+ * 검증: 닉네임 중복/욕설 확인 (communityService 필터 재사용), 이미지 시그니처 확인
+ * 저장: storageService 인터페이스를 통해 파일 저장 후 "user".profile_image에 URL 기록
+ */
+
+const crypto = require('crypto');
+const userModel = require('../models/userModel');
+const storageService = require('./storageService');
+const { containsBadWords } = require('./communityService');
+
+// 이미지 파일 시그니처 (매직 넘버)
+const IMAGE_SIGNATURES = [
+  { mimetype: 'image/jpeg', extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimetype: 'image/png', extension: 'png', matches: (buf) => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimetype: 'image/gif', extension: 'gif', matches: (buf) => buf.slice(0, 4).toString('ascii') === 'GIF8' },
+  { mimetype: 'image/webp', extension: 'webp', matches: (buf) => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+/**
+ * 이미지 형식 판별 함수 (순수 함수)
+ * 
+ * @param {Buffer} buffer - 파일 내용
+ * @returns {Object|null} { mimetype, extension } 또는 null (이미지가 아닌 경우)
+ */
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { mimetype: signature.mimetype, extension: signature.extension } : null;
+};
+
+/**
+ * 닉네임 정규화 함수 (순수 함수)
+ * 
+ * @param {string} nickname - 입력된 닉네임
+ * @returns {string} 앞뒤 공백이 제거된 닉네임
+ */
+const normalizeNickname = (nickname) => {
+  return nickname.trim();
+};
+
+/**
+ * 닉네임 변경 함수
+ * 
+ * @param {string} email - 사용자 이메일
+ * @param {Object} profileData - { nickname }
+ * @returns {Promise<Object>} 변경된 사용자 정보
+ * @throws {Error} 부적절한 닉네임이거나 이미 사용 중인 경우
+ */
+const updateProfile = async (email, { nickname }) => {
+  const user = await userModel.findUserByEmail(email);
+  if (!user) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  const normalizedNickname = normalizeNickname(nickname);
+
+  // 욕설 필터링 (커뮤니티와 동일한 기준)
+  if (containsBadWords(normalizedNickname)) {
+    throw new Error('부적절한 닉네임입니다');
+  }
+
+  // 닉네임 중복 확인 (대소문자 무시)
+  const existingUser = await userModel.findUserByNickname(normalizedNickname);
+  if (existingUser && existingUser.id !== user.id) {
+    throw new Error('이미 사용 중인 닉네임입니다');
+  }
+
+  await userModel.updateUserProfile(user.id, { nickname: normalizedNickname });
+  return await userModel.findUserById(user.id);
+};
+
+/**
+ * 프로필 이미지 변경 함수
+ * 
+ * @param {string} email - 사용자 이메일
+ * @param {Object} file - 업로드 파일 { buffer, mimetype, size }
+ * @returns {Promise<Object>} { profileImage } 새 이미지 URL
+ * @throws {Error} 이미지 형식이 아니거나 선언된 형식과 내용이 다른 경우
+ */
+const updateProfileImage = async (email, file) => {
+  const user = await userModel.findUserByEmail(email);
+  if (!user) {
+    throw new Error('사용자를 찾을 수 없습니다');
+  }
+
+  // 확장자/Content-Type이 아닌 실제 파일 내용으로 형식 검증
+  const imageType = detectImageType(file.buffer);
+  if (!imageType || imageType.mimetype !== file.mimetype) {
+    throw new Error('올바른 이미지 파일이 아닙니다');
+  }
+
+  const storage = storageService.getStorage();
+  const key = `profile-images/${user.id}/${crypto.randomUUID()}.${imageType.extension}`;
+  const saved = await storage.save({
+    key,
+    buffer: file.buffer,
+    contentType: imageType.mimetype
+  });
+
+  await userModel.updateUserProfile(user.id, { profile_image: saved.url });
+
+  // 이전 이미지 정리 (같은 저장소에 있는 파일만)
+  const previousKey = storage.keyFromUrl(user.profile_image);
+  if (previousKey) {
+    await storage.remove(previousKey).catch((error) => {
+      console.error('이전 프로필 이미지 삭제 실패:', error);
+    });
+  }
+
+  return { profileImage: saved.url };
+};
+
+module.exports = {
+  // 순수 함수들
+  detectImageType,
+  normalizeNickname,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  updateProfile,
+  updateProfileImage
+};
@@ -0,0 +1,241 @@
+/**
+ * 역할/권한 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 권한 확인, 관리자 역할 부여/회수, 변경 이력 조회, 최초 최고 관리자 지정
+ * 정책: 전체 범위 관리자는 모든 역할을, 대학 단위 관리자는 소속 대학 범위의 하위 역할만 관리
+ * 연동: requirePermission 미들웨어, /api/admin 라우터, scripts/bootstrapSuperAdmin.js
+ */
+
+const roleModel = require('../models/roleModel');
+const userModel = require('../models/userModel');
+const universityModel = require('../models/universityModel');
+const { SUPER_ADMIN_ROLE, GLOBAL_ONLY_ROLES } = require('../config/permissions');
+
+/**
+ * 상태 코드가 있는 에러 생성 함수
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 설정된 에러
+ */
+const createRoleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 권한 범위 판단 함수 (순수 함수)
+ * 
+ * @param {Array} universityIds - 권한이 적용되는 대학 ID 목록 (null은 전체 범위)
+ * @param {number|null} universityId - 확인할 대학 ID (null이면 전체 범위 권한만 인정)
+ * @returns {boolean} 권한 여부
+ */
+const coversUniversity = (universityIds, universityId) => {
+  if (universityIds.includes(null)) return true;
+  return universityId !== null && universityId !== undefined && universityIds.includes(universityId);
+};
+
+/**
+ * 권한 보유 여부 확인 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} scope - 권한 범위 (예: 'university:manage')
+ * @param {Object} options - { universityId, anyUniversity } 대학 단위 권한 인정 방식
+ * @returns {Promise<boolean>} 권한 여부
+ */
+const hasPermission = async (userId, scope, { universityId = null, anyUniversity = false } = {}) => {
+  if (!userId) return false;
+
+  const universityIds = await roleModel.getPermissionUniversityIds(userId, scope);
+  if (anyUniversity) return universityIds.length > 0;
+
+  return coversUniversity(universityIds, universityId);
+};
+
+/**
+ * 역할 관리 가능 여부 확인 함수
+ * 
+ * @param {number} actorUserId - 작업하는 관리자 ID
+ * @param {string} roleName - 대상 역할 이름
+ * @param {number|null} universityId - 적용 대학 (null이면 전체 범위)
+ * @returns {Promise<void>}
+ * @throws {Error} 권한 밖의 역할/대학인 경우 (403)
+ */
+const assertCanManageRole = async (actorUserId, roleName, universityId) => {
+  const universityIds = await roleModel.getPermissionUniversityIds(actorUserId, 'role:manage');
+  if (universityIds.includes(null)) return;
+
+  if (GLOBAL_ONLY_ROLES.includes(roleName) || !coversUniversity(universityIds, universityId)) {
+    throw createRoleError('해당 역할을 관리할 권한이 없습니다', 403);
+  }
+};
+
+/**
+ * 마지막 최고 관리자 여부 확인 함수 (회원 탈퇴 전 확인용)
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<boolean>} 유일한 최고 관리자인 경우 true
+ */
+const isLastSuperAdmin = async (userId) => {
+  const roles = await roleModel.getUserRoles(userId);
+  if (!roles.some(grant => grant.role === SUPER_ADMIN_ROLE)) return false;
+
+  return await roleModel.countRoleHolders(SUPER_ADMIN_ROLE) <= 1;
+};
+
+/**
+ * 역할 목록 조회 함수
+ * 
+ * @returns {Promise<Array>} 역할 목록 (권한 포함)
+ */
+const getAllRoles = async () => {
+  return await roleModel.getAllRoles();
+};
+
+/**
+ * 사용자 역할 조회 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<Array>} 부여된 역할 목록
+ * @throws {Error} 존재하지 않는 사용자인 경우 (404)
+ */
+const getUserRoles = async (userId) => {
+  const user = await userModel.findUserById(userId);
+  if (!user) {
+    throw createRoleError('사용자를 찾을 수 없습니다', 404);
+  }
+
+  return await roleModel.getUserRoles(userId);
+};
+
+/**
+ * 역할 부여 함수
+ * 
+ * @param {number|null} actorUserId - 작업하는 관리자 ID (CLI는 null)
+ * @param {Object} grantData - { userId, roleName, universityId, reason }
+ * @param {Object} options - { source } 작업 경로 ('api' | 'cli'), CLI는 권한 확인 생략
+ * @returns {Promise<Object>} 부여 기록
+ * @throws {Error} 대상/역할/대학이 없거나, 권한이 없거나, 이미 부여된 경우
+ */
+const grantRole = async (actorUserId, { userId, roleName, universityId = null, reason = null }, { source = 'api' } = {}) => {
+  const role = await roleModel.findRoleByName(roleName);
+  if (!role) {
+    throw createRoleError('존재하지 않는 역할입니다', 404);
+  }
+
+  if (roleName === SUPER_ADMIN_ROLE && universityId !== null) {
+    throw new Error('최고 관리자는 대학 범위로 부여할 수 없습니다');
+  }
+
+  const user = await userModel.findUserById(userId);
+  if (!user) {
+    throw createRoleError('사용자를 찾을 수 없습니다', 404);
+  }
+
+  if (universityId !== null && !(await universityModel.getUniversityById(universityId))) {
+    throw createRoleError('존재하지 않는 대학입니다', 404);
+  }
+
+  if (source !== 'cli') {
+    await assertCanManageRole(actorUserId, roleName, universityId);
+  }
+
+  const grant = await roleModel.grantRole({ userId, role, universityId, actorUserId, source, reason });
+  if (!grant) {
+    throw createRoleError('이미 부여된 역할입니다', 409);
+  }
+
+  return grant;
+};
+
+/**
+ * 역할 회수 함수
+ * 
+ * @param {number} actorUserId - 작업하는 관리자 ID
+ * @param {number} userId - 대상 사용자 ID
+ * @param {number} grantId - 회수할 부여 기록 ID
+ * @param {Object} options - { reason }
+ * @returns {Promise<Object>} 회수된 부여 기록
+ * @throws {Error} 부여 기록이 없거나, 권한이 없거나, 마지막 최고 관리자인 경우
+ */
+const revokeRole = async (actorUserId, userId, grantId, { reason = null } = {}) => {
+  const grant = await roleModel.findUserRoleById(grantId);
+  if (!grant || grant.user_id !== userId) {
+    throw createRoleError('부여된 역할을 찾을 수 없습니다', 404);
+  }
+
+  await assertCanManageRole(actorUserId, grant.role_name, grant.university_id);
+
+  // 관리자가 모두 사라지지 않도록 마지막 최고 관리자는 회수 불가
+  if (grant.role_name === SUPER_ADMIN_ROLE && await roleModel.countRoleHolders(SUPER_ADMIN_ROLE) <= 1) {
+    throw createRoleError('마지막 최고 관리자의 역할은 회수할 수 없습니다', 409);
+  }
+
+  const revoked = await roleModel.revokeRole({ grantId, actorUserId, source: 'api', reason });
+  if (!revoked) {
+    throw createRoleError('부여된 역할을 찾을 수 없습니다', 404);
+  }
+
+  return revoked;
+};
+
+/**
+ * 역할 변경 이력 조회 함수 (대학 단위 관리자는 소속 대학 기록만)
+ * 
+ * @param {number} actorUserId - 조회하는 관리자 ID
+ * @param {Object} pagination - { page, limit }
+ * @returns {Promise<Array>} 감사 로그 목록
+ */
+const getRoleAuditLogs = async (actorUserId, { page = 1, limit = 50 } = {}) => {
+  const universityIds = await roleModel.getPermissionUniversityIds(actorUserId, 'role:read');
+
+  return await roleModel.getRoleAuditLogs({
+    limit,
+    offset: (page - 1) * limit,
+    universityIds: universityIds.includes(null) ? null : universityIds
+  });
+};
+
+/**
+ * 최초 최고 관리자 지정 함수 (CLI 전용)
+ * 
+ * @param {string} email - 최고 관리자로 지정할 사용자 이메일
+ * @param {Object} options - { force } 이미 최고 관리자가 있어도 추가 지정
+ * @returns {Promise<Object>} 부여 기록
+ * @throws {Error} 사용자가 없거나 이미 최고 관리자가 있는 경우
+ */
+const bootstrapSuperAdmin = async (email, { force = false } = {}) => {
+  const user = await userModel.findUserByEmail(email);
+  if (!user) {
+    throw new Error(`가입된 사용자를 찾을 수 없습니다: ${email}`);
+  }
+
+  if (!force && await roleModel.countRoleHolders(SUPER_ADMIN_ROLE) > 0) {
+    throw new Error('이미 최고 관리자가 있습니다. 추가 지정은 관리자 API를 사용하거나 --force 옵션을 사용하세요');
+  }
+
+  return await grantRole(null, {
+    userId: user.id,
+    roleName: SUPER_ADMIN_ROLE,
+    reason: 'CLI 부트스트랩'
+  }, { source: 'cli' });
+};
+
+module.exports = {
+  // 순수 함수들
+  coversUniversity,
+
+  // 권한 확인 함수들
+  hasPermission,
+  assertCanManageRole,
+  isLastSuperAdmin,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  getAllRoles,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  getRoleAuditLogs,
+  bootstrapSuperAdmin
+};
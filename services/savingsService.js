@@ -1,13 +1,87 @@
 /**
  * 적금통 서비스 - 함수형 프로그래밍 방식
  * 
- * 기능: 적금통 생성/관리, Mock 입금, 목표 달성 추적, 거래 내역 관리
+ * 기능: 적금통 생성/관리, 입금, 목표 달성 추적, 거래 내역 관리
  * 아키텍처: 순수 함수 중심, 불변성 유지, 사이드 이펙트 분리
- * Mock: 실제 은행 API 대신 시뮬레이션 데이터 사용
+ * 잔액: 거래 원장(saving_bucket_transaction)에 기록된 금액 기준 (current_amount)
+ * 입금: 이체 요청(saving_bank_transfer)을 먼저 기록하고 은행 제공자(bankService)로 이체가 완료된 경우에만 원장에 기록 (external_ref = 은행 거래 번호)
+ * 중도해지: 계산한 지급액을 지급 요청(saving_bank_transfer)으로 먼저 기록하고 은행 지급이 완료되면 이자/지급액을 원장에 기록한 뒤 cancelled 상태로 전이
  */
 
+const crypto = require('crypto');
+
+const { withTransaction } = require('../config/database');
 const savingsBucketModel = require('../models/savingsBucketModel');
+const savingsTransactionModel = require('../models/savingsTransactionModel');
+const bankTransferModel = require('../models/bankTransferModel');
+const autoTransferModel = require('../models/autoTransferModel');
+const savingProductModel = require('../models/savingProductModel');
+const bankService = require('./bankService');
+const bucketLifecycleService = require('./bucketLifecycleService');
+const { DEFAULT_SAVING_PRODUCT_ID } = require('../config/savingProducts');
+const { getKstToday, addDays, diffDays, getMonthDay, countPeriods, toDateString } = require('../utils/kstDate');
+const { normalizeScheduleInput, planNextRun, toAutoTransferInfo } = require('../utils/autoTransferSchedule');
 const userModel = require('../models/userModel');
+const userMetricsModel = require('../models/userMetricsModel');
+
+// 수정 요청 필드와 적금통 컬럼 매핑 (목표 금액/만기일은 진행 중인 적금통만 변경 가능)
+const EDITABLE_BUCKET_FIELDS = {
+  name: 'name',
+  description: 'description',
+  color: 'color',
+  isPublic: 'is_public',
+  isAnonymous: 'is_anonymous',
+  targetAmount: 'target_amount',
+  targetDate: 'target_date'
+};
+
+/**
+ * 적금통 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 지정된 에러
+ */
+const createSavingsError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 은행 이체 대사 대기 시간 조회 함수 (환경변수 기반, 기본 10분)
+ * pending/completed 상태로 이 시간 이상 갱신되지 않은 이체 요청은 은행에 다시 조회하여 정리
+ * 
+ * @returns {number} 대기 시간 (초)
+ */
+const getStaleTransferSeconds = () => {
+  return parseInt(process.env.BANK_TRANSFER_STALE_SECONDS) || 10 * 60;
+};
+
+/**
+ * 대사 대기 시간이 지난 이체 요청인지 확인 (순수 함수)
+ * 
+ * @param {Object} transfer - 이체 요청
+ * @param {number} staleSeconds - 대사 대기 시간 (초)
+ * @param {number} now - 현재 시각 (ms)
+ * @returns {boolean} 마지막 갱신 후 대기 시간이 지났는지 여부
+ */
+const isStaleTransfer = (transfer, staleSeconds, now = Date.now()) => {
+  return now - new Date(transfer.updated_at).getTime() >= staleSeconds * 1000;
+};
+
+/**
+ * 입금 요청 키로 은행 이체 reference 생성 함수 (순수 함수)
+ * 클라이언트가 같은 키로 다시 요청하면 같은 reference로 이어서 처리 (적금통별로 구분)
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {string} idempotencyKey - 클라이언트 입금 요청 키
+ * @returns {string} 은행 이체 reference
+ */
+const toDepositReference = (savingsId, idempotencyKey) => {
+  return `deposit-${savingsId}-${idempotencyKey}`;
+};
+
 
 /**
  * 적금통 진척률 계산 함수 (순수 함수)
@@ -21,6 +95,19 @@ const calculateProgressRate = (currentAmount, targetAmount) => {
   return Math.round((currentAmount / targetAmount) * 100);
 };
 
+/**
+ * 입금 기간 성공률 계산 함수 (순수 함수)
+ * 
+ * @param {number} successPeriods - 성공한 기간 수
+ * @param {number} failPeriods - 실패한 기간 수
+ * @returns {number} 판정된 기간 중 성공 비율 (0-100, 소수점 둘째 자리)
+ */
+const calculateSuccessRate = (successPeriods, failPeriods) => {
+  const judgedPeriods = successPeriods + failPeriods;
+  if (judgedPeriods <= 0) return 0;
+  return Math.round((successPeriods / judgedPeriods) * 10000) / 100;
+};
+
 /**
  * 남은 금액 계산 함수 (순수 함수)
  * 
@@ -50,68 +137,421 @@ const isGoalAchieved = (currentAmount, targetAmount) => {
  * @returns {Object} 계산된 상세 정보가 포함된 적금통 객체
  */
 const enrichSavingsData = (savings) => {
-  const progressRate = calculateProgressRate(savings.currentAmount, savings.targetAmount);
-  const remainingAmount = calculateRemainingAmount(savings.currentAmount, savings.targetAmount);
-  const goalAchieved = isGoalAchieved(savings.currentAmount, savings.targetAmount);
+  const currentAmount = Number(savings.current_amount || 0);
+  const targetAmount = Number(savings.target_amount || 0);
+  const progressRate = calculateProgressRate(currentAmount, targetAmount);
+  const remainingAmount = calculateRemainingAmount(currentAmount, targetAmount);
+  const goalAchieved = isGoalAchieved(currentAmount, targetAmount);
+  const successRate = calculateSuccessRate(Number(savings.success_days || 0), Number(savings.fail_days || 0));
 
   return {
     ...savings,
+    current_amount: currentAmount,
+    currentAmount,
     progressRate,
     remainingAmount,
-    isGoalAchieved: goalAchieved
+    isGoalAchieved: goalAchieved,
+    totalPeriods: savings.total_periods,
+    successRate
+  };
+};
+
+/**
+ * 거래 내역 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - saving_bucket_transaction 레코드
+ * @returns {Object} 클라이언트 응답용 거래 정보
+ */
+const toTransactionInfo = (row) => {
+  return {
+    id: row.id,
+    savingsId: row.bucket_id,
+    type: row.type,
+    amount: Number(row.amount),
+    balanceAfter: Number(row.balance_after),
+    memo: row.memo,
+    source: row.source,
+    externalRef: row.external_ref,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * 적금 상품 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - saving_product 레코드
+ * @returns {Object} 클라이언트 응답용 상품 정보
+ */
+const toProductInfo = (row) => {
+  return {
+    id: row.id,
+    name: row.name,
+    productType: row.product_type,
+    description: row.description,
+    interestRate: Number(row.interest_rate),
+    minTermMonths: row.min_term_months,
+    maxTermMonths: row.max_term_months,
+    minInstallment: Number(row.min_installment),
+    maxInstallment: Number(row.max_installment),
+    eligibility: row.eligibility || {},
+    earlyTermination: row.early_termination || {}
+  };
+};
+
+/**
+ * 가입 기간(개월) 계산 함수 (순수 함수)
+ * 만기 달에 가입일과 같은 날(그 달에 없으면 말일)이 되어야 마지막 달을 채운 것으로 봄
+ * 
+ * @param {string} startDate - 가입일 (YYYY-MM-DD, KST)
+ * @param {string} endDate - 만기일 (YYYY-MM-DD, KST)
+ * @returns {number} 만기일까지 채운 개월 수
+ */
+const calculateTermMonths = (startDate, endDate) => {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+  const months = (endYear - startYear) * 12 + (endMonth - startMonth);
+  return endDate < getMonthDay(endYear, endMonth - 1, startDay) ? months - 1 : months;
+};
+
+/**
+ * 1회 납입 금액 조건 확인 함수 (순수 함수)
+ * 
+ * @param {Object} product - toProductInfo 결과
+ * @param {number} amount - 납입 금액
+ * @returns {string|null} 위반 메시지 또는 null
+ */
+const findInstallmentViolation = (product, amount) => {
+  if (amount >= product.minInstallment && amount <= product.maxInstallment) {
+    return null;
+  }
+  const range = `${product.minInstallment.toLocaleString('ko-KR')}~${product.maxInstallment.toLocaleString('ko-KR')}원`;
+  return product.productType === '정기예금'
+    ? `${product.name} 예치 금액은 ${range}입니다`
+    : `${product.name} 1회 납입 금액은 ${range}입니다`;
+};
+
+/**
+ * 적금 상품 가입 조건 확인 함수 (순수 함수)
+ * 정기적금은 자동이체 금액, 정기예금은 목표 금액(한 번에 예치)을 납입 금액 조건으로 확인
+ * 
+ * @param {Object} product - toProductInfo 결과
+ * @param {Object} plan - { termMonths, targetAmount, autoTransferAmount, autoTransferCycle }
+ * @returns {string|null} 위반 메시지 또는 null
+ */
+const findProductRuleViolation = (product, { termMonths, targetAmount, autoTransferAmount, autoTransferCycle }) => {
+  if (termMonths < product.minTermMonths || termMonths > product.maxTermMonths) {
+    return `${product.name} 가입 기간은 ${product.minTermMonths}~${product.maxTermMonths}개월입니다`;
+  }
+
+  if (product.productType === '정기예금') {
+    if (autoTransferAmount !== undefined || autoTransferCycle !== undefined) {
+      return '정기예금은 자동이체를 설정할 수 없습니다';
+    }
+    return findInstallmentViolation(product, targetAmount);
+  }
+
+  return autoTransferAmount !== undefined ? findInstallmentViolation(product, autoTransferAmount) : null;
+};
+
+/**
+ * 적금 상품 가입 자격 확인 함수 (순수 함수)
+ * 
+ * @param {Object} product - toProductInfo 결과
+ * @param {Object} applicant - { user, activeCount } 사용자와 해당 상품 진행 중 적금통 수
+ * @returns {string|null} 위반 메시지 또는 null
+ */
+const findEligibilityViolation = (product, { user, activeCount }) => {
+  const { requiresUniversity, maxActivePerUser } = product.eligibility;
+
+  if (requiresUniversity && !user.university_id) {
+    return '학교 인증 사용자만 가입할 수 있는 상품입니다';
+  }
+  if (maxActivePerUser && activeCount >= maxActivePerUser) {
+    return `1인당 ${maxActivePerUser}개까지만 가입할 수 있는 상품입니다`;
+  }
+  return null;
+};
+
+/**
+ * 중도해지 가능 여부 확인 함수 (순수 함수)
+ * 진행 중이거나, 목표 금액을 먼저 달성(success)했지만 만기일이 지나지 않은 적금통 (예: 가입 즉시 달성하는 정기예금)
+ * 
+ * @param {Object} bucket - 적금통 레코드
+ * @param {string} today - 기준일 (YYYY-MM-DD, KST)
+ * @returns {boolean} 중도해지 가능 여부
+ */
+const canTerminateEarly = (bucket, today) => {
+  if (bucket.status === 'in_progress') return true;
+  return bucket.status === 'success' && toDateString(bucket.target_date) >= today;
+};
+
+/**
+ * 중도해지 이율 계산 함수 (순수 함수)
+ * 유지 개월 수를 넘지 않는 가장 긴 구간의 비율을 기본 금리에 적용
+ * 
+ * @param {Object} product - toProductInfo 결과
+ * @param {number} heldMonths - 가입 후 유지한 개월 수
+ * @returns {number} 연 중도해지 이율 (%, 소수점 둘째 자리, 구간이 없으면 0)
+ */
+const findEarlyTerminationRate = (product, heldMonths) => {
+  const tier = (product.earlyTermination.tiers || [])
+    .filter(candidate => candidate.minMonths <= heldMonths)
+    .reduce((longest, candidate) => (!longest || candidate.minMonths > longest.minMonths ? candidate : longest), null);
+
+  return tier ? Math.round(product.interestRate * tier.rateRatio * 100) / 100 : 0;
+};
+
+/**
+ * 중도해지 이자 계산 함수 (순수 함수)
+ * 거래별 금액이 해지일까지 예치된 일수만큼 단리 적용 (원 미만 버림)
+ * 
+ * @param {Array} entries - [{ amount, date }] 이자를 제외한 거래 금액(출금은 음수)과 거래일(YYYY-MM-DD)
+ * @param {number} annualRate - 연 이율 (%)
+ * @param {string} closeDate - 해지일 (YYYY-MM-DD)
+ * @returns {number} 이자 (원)
+ */
+const calculateEarlyTerminationInterest = (entries, annualRate, closeDate) => {
+  const balanceDays = entries.reduce((sum, entry) => sum + entry.amount * diffDays(entry.date, closeDate), 0);
+  return Math.max(0, Math.floor(balanceDays * annualRate / 100 / 365));
+};
+
+/**
+ * 중도해지 지급액 계산 함수 (순수 함수)
+ * 
+ * @param {Object} bucket - 적금통 레코드
+ * @param {Object|null} product - toProductInfo 결과 (상품이 없으면 이자 없음)
+ * @param {Array} ledgerEntries - 적금통 거래 원장 ({ type, amount, created_at })
+ * @param {string} closeDate - 해지일 (YYYY-MM-DD, KST)
+ * @returns {Object} { principal, heldDays, heldMonths, interestRate, earlyTerminationRate, interest, payout }
+ */
+const calculateEarlyTermination = (bucket, product, ledgerEntries, closeDate) => {
+  const principal = Number(bucket.current_amount || 0);
+  const createdDate = getKstToday(new Date(bucket.created_at));
+  const heldMonths = Math.max(0, calculateTermMonths(createdDate, closeDate));
+  const earlyTerminationRate = product ? findEarlyTerminationRate(product, heldMonths) : 0;
+
+  const entries = ledgerEntries
+    .filter(entry => entry.type !== 'interest')
+    .map(entry => ({ amount: Number(entry.amount), date: getKstToday(new Date(entry.created_at)) }));
+  const interest = principal > 0 ? calculateEarlyTerminationInterest(entries, earlyTerminationRate, closeDate) : 0;
+
+  return {
+    principal,
+    heldDays: diffDays(createdDate, closeDate),
+    heldMonths,
+    interestRate: product ? product.interestRate : null,
+    earlyTerminationRate,
+    interest,
+    payout: principal + interest
   };
 };
 
 /**
- * 거래 내역 생성 함수 (순수 함수)
+ * 수정 요청 값을 적금통 컬럼 값으로 변환 (순수 함수)
+ * 
+ * @param {string} key - 수정 요청 필드명
+ * @param {*} value - 요청 값
+ * @returns {*} 컬럼 값 (만기일은 YYYY-MM-DD, 빈 설명은 null)
+ */
+const toBucketColumnValue = (key, value) => {
+  if (key === 'targetDate') return new Date(value).toISOString().slice(0, 10);
+  if (key === 'description' && value === '') return null;
+  return value;
+};
+
+/**
+ * 변경 이력 값 변환 함수 (순수 함수)
+ * 
+ * @param {*} value - 컬럼 값
+ * @returns {string|null} 문자열 값 (DATE는 YYYY-MM-DD)
+ */
+const formatChangeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return toDateString(value);
+  return String(value);
+};
+
+/**
+ * 적금통 변경 내역 계산 함수 (순수 함수)
+ * 
+ * @param {Object} bucket - 현재 적금통 레코드
+ * @param {Object} fields - { 컬럼명: 새 값 }
+ * @returns {Array} 실제로 바뀐 필드 [{ field, oldValue, newValue }]
+ */
+const findBucketChanges = (bucket, fields) => {
+  return Object.entries(fields)
+    .map(([field, value]) => ({
+      field,
+      oldValue: formatChangeValue(bucket[field]),
+      newValue: formatChangeValue(value)
+    }))
+    .filter(change => change.oldValue !== change.newValue);
+};
+
+/**
+ * 목표 금액/만기일 변경 조건 확인 함수 (순수 함수)
+ * 
+ * @param {Object} bucket - 현재 적금통 레코드
+ * @param {Object|null} product - toProductInfo 결과
+ * @param {Object} goal - { targetAmount, targetDate, today } 변경 후 목표 금액, 만기일(YYYY-MM-DD), 오늘(KST)
+ * @returns {string|null} 위반 메시지 또는 null
+ */
+const findGoalChangeViolation = (bucket, product, { targetAmount, targetDate, today }) => {
+  const currentAmount = Number(bucket.current_amount || 0);
+  if (targetAmount < currentAmount) {
+    return `목표 금액은 지금까지 모은 금액(${currentAmount.toLocaleString()}원)보다 작을 수 없습니다`;
+  }
+  if (targetDate < today) {
+    return '만기일을 지난 날짜로 변경할 수 없습니다';
+  }
+
+  return product && findProductRuleViolation(product, {
+    termMonths: calculateTermMonths(getKstToday(new Date(bucket.created_at)), targetDate),
+    targetAmount
+  });
+};
+
+/**
+ * 변경 이력 응답 변환 함수 (순수 함수)
  * 
- * @param {Object} transactionData - 거래 데이터
- * @returns {Object} 생성된 거래 내역 객체
+ * @param {Object} row - saving_bucket_change 레코드
+ * @returns {Object} 클라이언트 응답용 변경 이력
  */
-const createTransaction = ({ savingsId, type, amount, memo, balance }) => {
+const toBucketChangeInfo = (row) => {
   return {
-    id: transactionIdCounter++,
-    savingsId,
+    id: row.id,
+    field: row.field,
+    oldValue: row.old_value,
+    newValue: row.new_value,
+    changedAt: row.created_at
+  };
+};
+
+/**
+ * 거래 원장 기록 함수 (잠긴 적금통 기준으로 잔액 계산)
+ * 
+ * @param {Object} client - 트랜잭션 클라이언트
+ * @param {Object} bucket - lockSavingsBucket으로 잠근 적금통
+ * @param {Object} entry - { type, amount, memo, source, externalRef } (출금은 음수 금액)
+ * @returns {Promise<Object>} 기록된 거래
+ * @throws {Error} 잔액이 부족한 경우
+ */
+const appendLedgerEntry = async (client, bucket, { type, amount, memo = null, source = 'manual', externalRef = null }) => {
+  const balanceAfter = Number(bucket.current_amount || 0) + amount;
+  if (balanceAfter < 0) {
+    throw createSavingsError('적금통 잔액이 부족합니다', 409);
+  }
+
+  return await savingsTransactionModel.createTransaction(client, {
+    bucketId: bucket.id,
+    userId: bucket.user_id,
     type,
     amount,
+    balanceAfter,
     memo,
-    timestamp: new Date(),
-    balance
-  };
+    source,
+    externalRef
+  });
+};
+
+/**
+ * 판매 중인 적금 상품 목록 조회 함수
+ * 
+ * @returns {Promise<Array>} 적금 상품 목록
+ */
+const getSavingProducts = async () => {
+  const products = await savingProductModel.getActiveProducts();
+  return products.map(toProductInfo);
 };
 
 /**
  * 새 적금통 생성 함수
+ * 자동이체 금액을 지정하면 생성일 기준 요일/일로 자동이체 일정을 같은 트랜잭션에서 함께 생성
  * 
- * @param {Object} savingsData - 적금통 생성 데이터
+ * @param {Object} savingsData - 적금통 생성 데이터 (productId 생략시 기본 상품)
  * @param {string} studentEmail - 학생 이메일
- * @returns {Promise<Object>} 생성된 적금통 정보
+ * @returns {Promise<Object>} { savings, autoTransfer } 생성된 적금통과 자동이체 정보 (자동이체 금액을 지정한 경우)
+ * @throws {Error} 판매하지 않는 상품, 가입 기간/금액 조건 위반, 만기일 전 자동이체 실행일 없음(400), 가입 자격 없음(403)
  */
-const createSavings = async ({ name, targetAmount, targetDate, autoTransferAmount, autoTransferCycle }, studentEmail) => {
+const createSavings = async ({ productId = DEFAULT_SAVING_PRODUCT_ID, name, targetAmount, targetDate, autoTransferAmount, autoTransferCycle }, studentEmail) => {
   // 사용자 조회
   const user = await userModel.findUserByEmail(studentEmail);
   if (!user) {
     throw new Error('사용자를 찾을 수 없습니다');
   }
 
-  // 적금통 데이터 준비
+  // 상품 조회 및 가입 조건 확인
+  const productRow = await savingProductModel.findProductById(productId);
+  if (!productRow || !productRow.is_active) {
+    throw createSavingsError('가입할 수 없는 적금 상품입니다', 400);
+  }
+  const product = toProductInfo(productRow);
+
+  const today = getKstToday();
+  const targetDateString = new Date(targetDate).toISOString().slice(0, 10);
+  const ruleViolation = findProductRuleViolation(product, {
+    termMonths: calculateTermMonths(today, targetDateString),
+    targetAmount,
+    autoTransferAmount,
+    autoTransferCycle
+  });
+  if (ruleViolation) {
+    throw createSavingsError(ruleViolation, 400);
+  }
+
+  const activeCount = await savingProductModel.countActiveBucketsByProduct(user.id, product.id);
+  const eligibilityViolation = findEligibilityViolation(product, { user, activeCount });
+  if (eligibilityViolation) {
+    throw createSavingsError(eligibilityViolation, 403);
+  }
+
+  // 적금통 데이터 준비 (주기 없는 예금은 가입 기간 전체가 한 기간)
+  const depositCycle = product.productType === '정기예금' ? null : (autoTransferCycle || 'monthly');
   const bucketData = {
     userId: user.id,
-    savingProductId: 'MOCK_PRODUCT_001', // Mock 상품 ID
-    productType: '정기적금',
+    savingProductId: product.id,
+    productType: product.productType,
     name,
     description: null,
     targetAmount,
     targetDate,
-    depositCycle: autoTransferCycle || 'monthly',
+    depositCycle,
     color: '#4F46E5', // 기본 색상
     isPublic: true,
     isAnonymous: false,
-    totalDays: calculateTotalDays(new Date(), new Date(targetDate))
+    totalDays: calculateTotalDays(new Date(), new Date(targetDate)),
+    totalPeriods: depositCycle
+      ? countPeriods(depositCycle, today, targetDateString)
+      : 1
   };
 
-  const bucket = await savingsBucketModel.createSavingsBucket(bucketData);
-  return enrichSavingsData(bucket);
+  // 자동이체 일정은 적금통을 만들기 전에 확인 (만기일 전에 실행일이 없으면 생성하지 않음)
+  const autoTransferConfig = autoTransferAmount !== undefined
+    ? normalizeScheduleInput({ amount: autoTransferAmount, cycle: depositCycle }, today)
+    : null;
+  const autoTransferPlan = autoTransferConfig && planNextRun(autoTransferConfig, { target_date: targetDateString }, addDays(today, 1));
+  if (autoTransferPlan && autoTransferPlan.status === 'ended') {
+    throw createSavingsError('만기일 전에 실행할 자동이체 일정이 없습니다', 400);
+  }
+
+  const { bucket, schedule } = await withTransaction(async (client) => {
+    const created = await savingsBucketModel.createSavingsBucket(bucketData, client);
+    await userMetricsModel.recordBucketCreated(client, user.id);
+
+    const createdSchedule = autoTransferConfig && await autoTransferModel.createSchedule({
+      bucketId: created.id,
+      userId: user.id,
+      ...autoTransferConfig,
+      nextRunDate: autoTransferPlan.nextRunDate
+    }, client);
+
+    return { bucket: created, schedule: createdSchedule };
+  });
+
+  return {
+    savings: enrichSavingsData(bucket),
+    autoTransfer: schedule ? toAutoTransferInfo(schedule) : null
+  };
 };
 
 /**
@@ -164,76 +604,531 @@ const isSavingsOwner = async (savingsId, studentEmail) => {
   return bucket && bucket.user_id === user.id;
 };
 
+/**
+ * 적금통 정보 수정 함수
+ * 이름/설명/색상/공개 설정은 언제든, 목표 금액/만기일은 진행 중인 적금통만 규칙에 맞게 변경
+ * 바뀐 필드마다 변경 이력을 남기고, 목표 금액을 낮춰 달성하면 success 상태로 전이
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} input - { name, description, color, isPublic, isAnonymous, targetAmount, targetDate }
+ * @returns {Promise<Object>} { savings, changes } 수정된 적금통 정보와 이번 변경 이력
+ * @throws {Error} 존재하지 않는 적금통(404), 진행 중이 아닌 적금통의 목표 변경(409), 목표 변경 규칙 위반(400)
+ */
+const updateSavings = async (savingsId, input) => {
+  let transition = null;
+
+  const changes = await withTransaction(async (client) => {
+    const bucket = await savingsBucketModel.lockSavingsBucket(client, savingsId);
+    if (!bucket) {
+      throw createSavingsError('적금통을 찾을 수 없습니다', 404);
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries(EDITABLE_BUCKET_FIELDS)
+        .filter(([key]) => input[key] !== undefined)
+        .map(([key, column]) => [column, toBucketColumnValue(key, input[key])])
+    );
+    const bucketChanges = findBucketChanges(bucket, fields);
+    if (bucketChanges.length === 0) {
+      return [];
+    }
+
+    const changedFields = Object.fromEntries(bucketChanges.map(change => [change.field, fields[change.field]]));
+    if (changedFields.target_amount !== undefined || changedFields.target_date !== undefined) {
+      if (bucket.status !== 'in_progress') {
+        throw createSavingsError('진행 중인 적금통만 목표 금액과 만기일을 변경할 수 있습니다', 409);
+      }
+
+      const targetDate = changedFields.target_date || toDateString(bucket.target_date);
+      const product = await savingProductModel.findProductById(bucket.saving_product_id);
+      const goalViolation = findGoalChangeViolation(bucket, product && toProductInfo(product), {
+        targetAmount: changedFields.target_amount !== undefined ? changedFields.target_amount : Number(bucket.target_amount),
+        targetDate,
+        today: getKstToday()
+      });
+      if (goalViolation) {
+        throw createSavingsError(goalViolation, 400);
+      }
+
+      // 만기일이 바뀌면 전체 일수/기간 수 재계산
+      if (changedFields.target_date) {
+        changedFields.total_days = calculateTotalDays(new Date(bucket.created_at), new Date(targetDate));
+        changedFields.total_periods = bucket.deposit_cycle
+          ? countPeriods(bucket.deposit_cycle, getKstToday(new Date(bucket.created_at)), targetDate)
+          : 1;
+      }
+    }
+
+    await savingsBucketModel.updateSavingsBucket(client, savingsId, changedFields);
+    const recorded = await savingsBucketModel.createBucketChanges(client, savingsId, bucket.user_id, bucketChanges);
+
+    // 목표 금액을 모은 금액까지 낮춘 경우 success 상태로 전이
+    transition = await bucketLifecycleService.applyLifecycle(client, savingsId);
+
+    return recorded;
+  });
+
+  await bucketLifecycleService.runTransitionEffects(transition);
+
+  return {
+    savings: await findSavingsById(savingsId),
+    changes: changes.map(toBucketChangeInfo)
+  };
+};
+
+/**
+ * 적금통 변경 이력 조회 함수
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Array>} 변경 이력 목록 (최근 순)
+ */
+const getSavingsChangeHistory = async (savingsId, { page = 1, limit = 20 } = {}) => {
+  const changes = await savingsBucketModel.getBucketChanges(savingsId, {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return changes.map(toBucketChangeInfo);
+};
+
 /**
  * 거래 내역 조회 함수
  * 
  * @param {number} savingsId - 적금통 ID
- * @returns {Array} 거래 내역 목록
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Array>} 거래 내역 목록 (최근 순)
  */
-const getTransactionsBySavingsId = (savingsId) => {
-  return mockTransactions.get(savingsId) || [];
+const getTransactionsBySavingsId = async (savingsId, { page = 1, limit = 20 } = {}) => {
+  const transactions = await savingsTransactionModel.getTransactionsByBucket(savingsId, {
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return transactions.map(toTransactionInfo);
 };
 
 /**
- * 입금 처리 함수 (Mock)
+ * 입금 요청 기록 함수 (은행 호출 전 단계)
+ * 적금통을 잠근 상태에서 입금 가능 여부를 확인하고 이체 요청을 pending으로 기록
+ * 같은 reference의 요청이 이미 있으면 그 요청을 이어서 처리
  * 
  * @param {number} savingsId - 적금통 ID
  * @param {number} amount - 입금 금액
- * @param {string} memo - 메모 (선택)
- * @returns {Promise<Object>} 업데이트된 적금통 정보와 거래 내역
- * @throws {Error} 존재하지 않는 적금통인 경우
+ * @param {string} memo - 메모
+ * @param {Object} options - { source, reference }
+ * @returns {Promise<Object>} { bucket, transfer, recorded } (recorded: 이미 원장에 반영된 거래)
+ * @throws {Error} 존재하지 않거나 진행 중이 아닌 적금통, 납입 금액 규칙 위반, 다른 적금통의 reference
  */
-const processDeposit = async (savingsId, amount, memo = '') => {
-  const bucket = await savingsBucketModel.getSavingsBucketById(savingsId);
+const prepareDepositTransfer = (savingsId, amount, memo, { source, reference }) => withTransaction(async (client) => {
+  const bucket = await savingsBucketModel.lockSavingsBucket(client, savingsId);
   if (!bucket) {
-    throw new Error('적금통을 찾을 수 없습니다');
+    throw createSavingsError('적금통을 찾을 수 없습니다', 404);
   }
 
-  // 오늘 날짜로 성공 기록 추가
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD 형식
-  const progressRecord = await savingsBucketModel.recordBucketProgress(
-    savingsId,
-    bucket.user_id,
-    today,
-    'success'
-  );
+  const existing = await bankTransferModel.lockTransferByReference(client, reference);
+  if (existing && existing.bucket_id !== bucket.id) {
+    throw createSavingsError('다른 적금통의 이체 요청입니다', 409);
+  }
+  if (existing && Number(existing.amount) !== amount) {
+    throw createSavingsError('같은 요청 키로 다른 금액을 입금할 수 없습니다', 409);
+  }
+  if (existing && existing.status === 'recorded') {
+    const recorded = await savingsTransactionModel.findTransactionByExternalRef(client, savingsId, existing.bank_transaction_id);
+    return { bucket, transfer: existing, recorded };
+  }
+  // 은행에서 이미 완료된 이체는 적금통 상태와 관계없이 원장에 반영
+  if (existing && existing.status === 'completed') {
+    return { bucket, transfer: existing, recorded: null };
+  }
 
-  // 업데이트된 적금통 정보 조회
-  const updatedBucket = await savingsBucketModel.getSavingsBucketById(savingsId);
-  const enrichedBucket = enrichSavingsData(updatedBucket);
-  
-  // Mock 거래 내역 (실제로는 외부 API 연동)
-  const transaction = {
-    id: Date.now(),
-    type: 'deposit',
+  if (bucket.status !== 'in_progress') {
+    throw createSavingsError('진행 중인 적금통에만 입금할 수 있습니다', 409);
+  }
+  if (await bankTransferModel.findOpenTransfer(client, bucket.id, 'payout')) {
+    throw createSavingsError('해지 처리 중인 적금통입니다', 409);
+  }
+
+  const product = await savingProductModel.findProductById(bucket.saving_product_id);
+  const installmentViolation = product && findInstallmentViolation(toProductInfo(product), amount);
+  if (installmentViolation) {
+    throw createSavingsError(installmentViolation, 400);
+  }
+
+  // 거절됐던 요청은 pending으로 되돌리고, 결과를 모르는 pending 요청은 같은 reference로 다시 요청
+  if (existing) {
+    const transfer = existing.status === 'failed'
+      ? await bankTransferModel.reopenTransfer(client, existing.id)
+      : existing;
+    return { bucket, transfer, recorded: null };
+  }
+
+  const transfer = await bankTransferModel.createTransfer(client, {
+    bucketId: bucket.id,
+    userId: bucket.user_id,
+    direction: 'deposit',
     amount,
+    reference,
     memo,
-    timestamp: new Date(),
-    balance: enrichedBucket.success_days * 10000 // 임시 계산
+    source
+  });
+  if (!transfer) {
+    throw createSavingsError('이미 처리 중인 이체 요청입니다', 409);
+  }
+
+  return { bucket, transfer, recorded: null };
+});
+
+/**
+ * 은행 이체 요청 함수 (적금통 잠금 밖에서 호출, 입금은 적금통으로 이체, 지급은 고객 계좌로 지급)
+ * 거절은 failed, 응답 지연/연결 실패는 결과를 알 수 없으므로 pending으로 남김
+ * 
+ * @param {Object} bucket - 적금통
+ * @param {Object} transfer - pending 이체 요청
+ * @returns {Promise<Object>} completed로 갱신된 이체 요청
+ * @throws {Error} 은행 이체/지급 거절(422)/응답 지연(504)/연결 실패(502)
+ */
+const requestBankTransfer = async (bucket, transfer) => {
+  const request = transfer.direction === 'payout' ? bankService.payoutFromSavings : bankService.transferToSavings;
+
+  let bankTransfer;
+  try {
+    bankTransfer = await request({
+      customerId: bucket.user_id,
+      productId: bucket.saving_product_id,
+      amount: Number(transfer.amount),
+      memo: transfer.memo,
+      reference: transfer.reference
+    });
+  } catch (error) {
+    await bankTransferModel.markTransferFailed(transfer.id, {
+      declined: ['BANK_TRANSFER_DECLINED', 'BANK_PAYOUT_DECLINED'].includes(error.code),
+      error: error.message
+    });
+    throw error;
+  }
+
+  return await bankTransferModel.markTransferCompleted(transfer.id, bankTransfer.transactionId);
+};
+
+/**
+ * 완료된 은행 이체 원장 반영 함수
+ * 적금통을 잠근 상태에서 거래 원장 기록, 잔액 갱신, 오늘 진행 상황(success) 기록을 한 트랜잭션으로 처리
+ * 실패하면 이체 요청이 completed로 남아 같은 reference로 재시도하거나 대사할 수 있음
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} transfer - completed 이체 요청
+ * @returns {Promise<Object>} { transaction, transition }
+ */
+const recordDepositTransfer = async (savingsId, transfer) => {
+  let transition = null;
+
+  const transaction = await withTransaction(async (client) => {
+    const bucket = await savingsBucketModel.lockSavingsBucket(client, savingsId);
+
+    // 같은 은행 거래가 이미 원장에 있으면 다시 기록하지 않음
+    const recorded = await savingsTransactionModel.findTransactionByExternalRef(client, savingsId, transfer.bank_transaction_id);
+    const entry = recorded || await appendLedgerEntry(client, bucket, {
+      type: 'deposit',
+      amount: Number(transfer.amount),
+      memo: transfer.memo,
+      source: transfer.source,
+      externalRef: transfer.bank_transaction_id
+    });
+    await bankTransferModel.markTransferRecorded(client, transfer.id, entry.id);
+
+    // 이체 중 진행이 끝난 적금통은 잔액만 반영하고 진행 상황/상태는 바꾸지 않음
+    if (!recorded && bucket.status === 'in_progress') {
+      await savingsBucketModel.recordBucketProgress(savingsId, bucket.user_id, getKstToday(), 'success', client);
+
+      // 목표 금액 달성시 success 상태로 전이
+      transition = await bucketLifecycleService.applyLifecycle(client, savingsId);
+    }
+
+    return entry;
+  }).catch((error) => {
+    console.error(`❌ 은행 이체 후 원장 기록 실패 (이체 요청 #${transfer.id}, 은행 거래 ${transfer.bank_transaction_id}):`, error.message);
+    throw error;
+  });
+
+  return { transaction, transition };
+};
+
+/**
+ * 입금 처리 함수
+ * 1) 이체 요청 기록 2) 적금통 잠금 밖에서 은행 이체 3) 원장 반영 순으로 처리하여
+ * 은행 응답을 기다리는 동안 적금통을 잠그지 않고, 원장 반영 전 중단된 이체도 saving_bank_transfer에 남김
+ * 결과를 모르는 이체는 같은 reference로 다시 요청하면 이어서 처리되고, 다시 요청하지 않으면 대사 작업이 정리
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {number} amount - 입금 금액
+ * @param {string} memo - 메모 (선택)
+ * @param {Object} options - { source, reference } 입금 경로 (manual, auto_transfer), 은행 이체 중복 방지 키
+ * @returns {Promise<Object>} 업데이트된 적금통 정보, 거래 내역, 목표 달성으로 새로 달성한 업적
+ * @throws {Error} 존재하지 않거나 진행 중이 아닌 적금통, 같은 reference로 다른 금액 요청(409), 은행 이체 거절(422)/응답 지연(504)/연결 실패(502)
+ */
+const processDeposit = async (savingsId, amount, memo = null, { source = 'manual', reference = crypto.randomUUID() } = {}) => {
+  const { bucket, transfer, recorded } = await prepareDepositTransfer(savingsId, amount, memo, { source, reference });
+
+  let transaction = recorded;
+  let transition = null;
+  if (!transaction) {
+    // 재시도 중 은행에서 이미 완료된 이체는 다시 요청하지 않음
+    const completed = transfer.status === 'completed'
+      ? transfer
+      : await requestBankTransfer(bucket, transfer);
+    ({ transaction, transition } = await recordDepositTransfer(savingsId, completed));
+  }
+
+  const newAchievements = await bucketLifecycleService.runTransitionEffects(transition);
+
+  // 업데이트된 적금통 정보 조회
+  const savings = await findSavingsById(savingsId);
+
+  return {
+    savings,
+    transaction: toTransactionInfo(transaction),
+    isGoalAchieved: savings.isGoalAchieved,
+    newAchievements
   };
+};
+
+/**
+ * 중도해지 예상 지급액 조회 함수
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} calculateEarlyTermination 결과
+ * @throws {Error} 존재하지 않는 적금통(404), 종료됐거나 만기가 지난 적금통(409)
+ */
+const getEarlyTerminationQuote = async (savingsId) => {
+  const bucket = await savingsBucketModel.getSavingsBucketById(savingsId);
+  if (!bucket) {
+    throw createSavingsError('적금통을 찾을 수 없습니다', 404);
+  }
+  if (!canTerminateEarly(bucket, getKstToday())) {
+    throw createSavingsError('진행 중이거나 만기 전인 적금통만 해지할 수 있습니다', 409);
+  }
+
+  const [product, ledgerEntries] = await Promise.all([
+    savingProductModel.findProductById(bucket.saving_product_id),
+    savingsTransactionModel.getLedgerEntries(savingsId)
+  ]);
+
+  return calculateEarlyTermination(bucket, product && toProductInfo(product), ledgerEntries, getKstToday());
+};
+
+/**
+ * 중도해지 지급 요청 기록 함수
+ * 적금통을 잠근 상태에서 지급액을 계산해 pending 지급 요청으로 기록 (계산 결과는 detail에 보관)
+ * 거절된 지급을 다시 시도할 때마다 새 reference를 쓰고, 결과를 모르는 지급 요청은 같은 reference로 이어서 처리
+ * 대사 대기 시간이 지난 입금 요청이 남아 있으면 지급 요청 대신 그 입금 요청을 돌려주어 먼저 대사하게 함
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} { bucket, transfer, staleDeposit } 적금통, pending/completed 지급 요청 또는 대사할 입금 요청
+ * @throws {Error} 존재하지 않는 적금통(404), 종료됐거나 만기가 지난 적금통, 입금 처리 중인 적금통(409)
+ */
+const prepareCloseTransfer = (savingsId) => withTransaction(async (client) => {
+  const bucket = await savingsBucketModel.lockSavingsBucket(client, savingsId);
+  if (!bucket) {
+    throw createSavingsError('적금통을 찾을 수 없습니다', 404);
+  }
+
+  const openPayout = await bankTransferModel.findOpenTransfer(client, bucket.id, 'payout');
+  if (openPayout) {
+    return { bucket, transfer: openPayout };
+  }
+
+  if (!canTerminateEarly(bucket, getKstToday())) {
+    throw createSavingsError('진행 중이거나 만기 전인 적금통만 해지할 수 있습니다', 409);
+  }
+  const openDeposit = await bankTransferModel.findOpenTransfer(client, bucket.id, 'deposit');
+  if (openDeposit && isStaleTransfer(openDeposit, getStaleTransferSeconds())) {
+    return { bucket, transfer: null, staleDeposit: openDeposit };
+  }
+  if (openDeposit) {
+    throw createSavingsError('입금 처리 중인 적금통은 해지할 수 없습니다. 잠시 후 다시 시도해주세요', 409);
+  }
+
+  const product = await savingProductModel.findProductById(bucket.saving_product_id);
+  const ledgerEntries = await savingsTransactionModel.getLedgerEntries(savingsId, client);
+  const quote = calculateEarlyTermination(bucket, product && toProductInfo(product), ledgerEntries, getKstToday());
+
+  const attempt = await bankTransferModel.countTransfers(client, bucket.id, 'payout') + 1;
+  const transfer = await bankTransferModel.createTransfer(client, {
+    bucketId: bucket.id,
+    userId: bucket.user_id,
+    direction: 'payout',
+    amount: quote.payout,
+    reference: `savings-close-${savingsId}-${attempt}`,
+    memo: '중도해지 지급',
+    source: 'early_termination',
+    detail: quote
+  });
+  if (!transfer) {
+    throw createSavingsError('이미 처리 중인 해지 요청입니다', 409);
+  }
+
+  return { bucket, transfer };
+});
+
+/**
+ * 완료된 중도해지 지급 원장 반영 함수
+ * 적금통을 잠근 상태에서 이자/출금 원장 기록, cancelled 상태 전이를 한 트랜잭션으로 처리
+ * 실패하면 지급 요청이 completed로 남아 다시 해지하면 은행 지급 없이 원장 반영만 재시도함
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @param {Object} transfer - completed 지급 요청 (지급액이 없으면 pending)
+ * @returns {Promise<Object>} { entries, transition }
+ */
+const recordCloseTransfer = async (savingsId, transfer) => {
+  const quote = transfer.detail;
+  let transition = null;
+
+  const entries = await withTransaction(async (client) => {
+    const bucket = await savingsBucketModel.lockSavingsBucket(client, savingsId);
+
+    const recorded = [];
+    if (quote.payout > 0) {
+      let ledgerBucket = bucket;
+      if (quote.interest > 0) {
+        const interestEntry = await appendLedgerEntry(client, ledgerBucket, {
+          type: 'interest',
+          amount: quote.interest,
+          memo: '중도해지 이자',
+          source: 'early_termination'
+        });
+        recorded.push(interestEntry);
+        ledgerBucket = { ...bucket, current_amount: interestEntry.balance_after };
+      }
+
+      recorded.push(await appendLedgerEntry(client, ledgerBucket, {
+        type: 'withdrawal',
+        amount: -quote.payout,
+        memo: transfer.memo,
+        source: 'early_termination',
+        externalRef: transfer.bank_transaction_id
+      }));
+    }
+    const withdrawal = recorded[recorded.length - 1];
+    await bankTransferModel.markTransferRecorded(client, transfer.id, withdrawal ? withdrawal.id : null);
+
+    transition = await bucketLifecycleService.transitionBucket(client, bucket, 'cancelled', 'user_cancelled');
+    await userMetricsModel.recordBucketCancelled(client, bucket.user_id);
+
+    return recorded;
+  }).catch((error) => {
+    console.error(`❌ 중도해지 원장 기록 실패 (지급 요청 #${transfer.id}, 은행 거래 ${transfer.bank_transaction_id}):`, error.message);
+    throw error;
+  });
+
+  return { entries, transition };
+};
+
+/**
+ * 적금통 중도해지 함수
+ * 1) 지급 요청 기록 2) 적금통 잠금 밖에서 은행 지급 3) 원장 반영/상태 전이 순으로 처리하여
+ * 은행 지급 후 원장 반영 전에 중단된 해지도 saving_bank_transfer에 남김
+ * 결과를 모르는 입금 요청이 대사 대기 시간 이상 남아 있으면 은행에 조회하여 정리한 뒤 해지
+ * 
+ * @param {number} savingsId - 적금통 ID
+ * @returns {Promise<Object>} { savings, termination, transactions } 해지된 적금통 정보, 지급 내역, 기록된 거래
+ * @throws {Error} 존재하지 않는 적금통(404), 종료됐거나 만기가 지난 적금통, 입금 처리 중인 적금통(409), 은행 지급 거절(422)/응답 지연(504)/연결 실패(502)
+ */
+const closeSavings = async (savingsId) => {
+  let prepared = await prepareCloseTransfer(savingsId);
+
+  // 결과를 모른 채 오래 남은 입금 요청은 은행에 조회하여 정리한 뒤 다시 해지 요청
+  while (prepared.staleDeposit) {
+    await reconcileBankTransfer(prepared.staleDeposit);
+    prepared = await prepareCloseTransfer(savingsId);
+  }
+  const { bucket, transfer } = prepared;
+
+  // 지급액이 없으면 은행을 거치지 않고, 은행에서 이미 완료된 지급은 다시 요청하지 않음
+  const completed = Number(transfer.amount) === 0 || transfer.status === 'completed'
+    ? transfer
+    : await requestBankTransfer(bucket, transfer);
+  const { entries, transition } = await recordCloseTransfer(savingsId, completed);
+
+  await bucketLifecycleService.runTransitionEffects(transition);
 
   return {
-    savings: enrichedBucket,
-    transaction,
-    isGoalAchieved: enrichedBucket.progress_rate >= 100
+    savings: await findSavingsById(savingsId),
+    termination: transfer.detail,
+    transactions: entries.map(toTransactionInfo)
   };
 };
 
+/**
+ * 결과를 모르는 은행 이체 요청 대사 함수
+ * pending 요청은 같은 reference로 은행에 조회하여 완료된 거래가 있으면 completed, 없으면 failed로 정리하고
+ * completed 요청은 입금/해지 원장 반영을 다시 시도
+ * 
+ * @param {Object} transfer - pending/completed 이체 요청
+ * @returns {Promise<Object>} { transferId, status } 대사 후 상태 (recorded 또는 failed)
+ * @throws {Error} 은행 조회 실패(502/504), 원장 반영 실패
+ */
+const reconcileBankTransfer = async (transfer) => {
+  let completed = transfer;
+  if (transfer.status === 'pending' && Number(transfer.amount) > 0) {
+    const bankTransfer = await bankService.findTransferByReference(transfer.reference);
+    if (!bankTransfer) {
+      await bankTransferModel.markTransferFailed(transfer.id, {
+        declined: true,
+        error: '은행에 완료된 거래가 없어 실패 처리했습니다'
+      });
+      return { transferId: transfer.id, status: 'failed' };
+    }
+    completed = await bankTransferModel.markTransferCompleted(transfer.id, bankTransfer.transactionId);
+  }
+
+  const { transition } = completed.direction === 'payout'
+    ? await recordCloseTransfer(completed.bucket_id, completed)
+    : await recordDepositTransfer(completed.bucket_id, completed);
+  await bucketLifecycleService.runTransitionEffects(transition);
+
+  return { transferId: transfer.id, status: 'recorded' };
+};
+
+/**
+ * 오래된 은행 이체 요청 하나를 선점하여 대사하는 함수 (대사 작업에서 반복 호출)
+ * 대사에 실패한 요청은 선점 시각이 갱신되어 대기 시간이 지난 뒤 다시 시도
+ * 
+ * @returns {Promise<Object|null>} { transferId, status, error } 대사 결과 또는 대사할 요청이 없으면 null
+ */
+const reconcileNextBankTransfer = async () => {
+  const transfer = await bankTransferModel.claimStaleTransfer(getStaleTransferSeconds());
+  if (!transfer) return null;
+
+  try {
+    return await reconcileBankTransfer(transfer);
+  } catch (error) {
+    console.error(`❌ 은행 이체 대사 실패 (이체 요청 #${transfer.id}):`, error.message);
+    return { transferId: transfer.id, status: transfer.status, error: error.message };
+  }
+};
+
 /**
  * 적금통과 거래 내역을 함께 조회하는 함수
  * 
  * @param {number} savingsId - 적금통 ID
- * @returns {Promise<Object|null>} 적금통 정보와 거래 내역
+ * @returns {Promise<Object|null>} 적금통 정보와 거래 내역, 진행 기록, 상태 변경 이력
  */
 const getSavingsWithTransactions = async (savingsId) => {
   const bucket = await findSavingsById(savingsId);
   if (!bucket) return null;
 
-  const progress = await savingsBucketModel.getBucketProgress(savingsId);
+  const [transactions, progress, statusHistory] = await Promise.all([
+    getTransactionsBySavingsId(savingsId),
+    savingsBucketModel.getBucketProgress(savingsId),
+    bucketLifecycleService.getStatusHistory(savingsId)
+  ]);
   
   return {
     ...bucket,
-    transactions: progress // 진행 상황을 거래 내역 대신 사용
+    transactions,
+    progress,
+    statusHistory
   };
 };
 
@@ -241,25 +1136,28 @@ const getSavingsWithTransactions = async (savingsId) => {
  * 학생별 총 적금액 계산 함수
  * 
  * @param {string} studentEmail - 학생 이메일
- * @returns {number} 총 적금액
+ * @returns {Promise<number>} 총 적금액 (적금통 잔액 합계)
  */
-const calculateTotalSavingsByStudent = (studentEmail) => {
-  return Array.from(mockSavings.values())
-    .filter(savings => savings.studentEmail === studentEmail)
-    .reduce((total, savings) => total + savings.currentAmount, 0);
+const calculateTotalSavingsByStudent = async (studentEmail) => {
+  const user = await userModel.findUserByEmail(studentEmail);
+  if (!user) return 0;
+
+  const summary = await savingsBucketModel.getSavingsSummaryByUser(user.id);
+  return Number(summary.total_amount);
 };
 
 /**
  * 목표 달성한 적금통 개수 계산 함수
  * 
  * @param {string} studentEmail - 학생 이메일
- * @returns {number} 목표 달성한 적금통 개수
+ * @returns {Promise<number>} 목표 금액을 모은 적금통 개수
  */
-const countCompletedGoals = (studentEmail) => {
-  return Array.from(mockSavings.values())
-    .filter(savings => savings.studentEmail === studentEmail)
-    .filter(savings => isGoalAchieved(savings.currentAmount, savings.targetAmount))
-    .length;
+const countCompletedGoals = async (studentEmail) => {
+  const user = await userModel.findUserByEmail(studentEmail);
+  if (!user) return 0;
+
+  const summary = await savingsBucketModel.getSavingsSummaryByUser(user.id);
+  return Number(summary.completed_goals);
 };
 
 /**
@@ -287,19 +1185,42 @@ const setMockData = (savingsData, transactionsData) => {
 // 함수형 프로그래밍 방식으로 모듈 내보내기
 module.exports = {
   // 순수 함수들
+  getStaleTransferSeconds,
+  isStaleTransfer,
+  toDepositReference,
   calculateProgressRate,
+  calculateSuccessRate,
   calculateRemainingAmount,
   isGoalAchieved,
   enrichSavingsData,
-  createTransaction,
+  toTransactionInfo,
+  toProductInfo,
+  calculateTermMonths,
+  findInstallmentViolation,
+  findProductRuleViolation,
+  findEligibilityViolation,
+  canTerminateEarly,
+  findEarlyTerminationRate,
+  calculateEarlyTerminationInterest,
+  calculateEarlyTermination,
+  findBucketChanges,
+  findGoalChangeViolation,
+  toBucketChangeInfo,
 
   // 데이터 조작 함수들 (사이드 이펙트 있음)
+  getSavingProducts,
   createSavings,
+  updateSavings,
+  getSavingsChangeHistory,
+  getEarlyTerminationQuote,
+  closeSavings,
   findSavingsByStudentEmail,
   findSavingsById,
   isSavingsOwner,
   getTransactionsBySavingsId,
   processDeposit,
+  reconcileBankTransfer,
+  reconcileNextBankTransfer,
   getSavingsWithTransactions,
 
   // 통계 계산 함수들
@@ -0,0 +1,169 @@
+/**
+ * 세션 관리 서비스 - express-session 저장소 연동
+ * 
+ * 기능: 사용자별 세션 조회/무효화 (비밀번호 변경, 재설정 시 다른 기기 로그아웃),
+ *       로그인 기기 목록 및 원격 로그아웃
+ * 아키텍처: express-session Store 인터페이스(all, destroy) 사용,
+ *           저장소가 destroyByUserId를 제공하면(PgSessionStore) 사용자 ID로 바로 삭제
+ * 보안: 실제 세션 ID는 노출하지 않고 로그인시 발급한 공개 식별자(device.id)만 사용
+ */
+
+const crypto = require('crypto');
+
+// 저장할 User-Agent 최대 길이
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * 로그인 기기 정보 생성 함수 (세션의 device 필드에 저장)
+ * 
+ * @param {Object} requestInfo - { userAgent, ip }
+ * @returns {Object} { id, userAgent, ip } 공개 식별자가 포함된 기기 정보
+ */
+const createDeviceInfo = ({ userAgent, ip }) => {
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: ip || null
+  };
+};
+
+/**
+ * 세션 목록 응답 형식 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - 세션 저장소 조회 결과
+ * @param {string} currentSessionId - 요청한 세션 ID
+ * @returns {Object} { id, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }
+ */
+const toSessionInfo = (row, currentSessionId) => {
+  return {
+    id: row.public_id,
+    userAgent: row.user_agent,
+    ip: row.ip_address,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at,
+    current: row.sid === currentSessionId
+  };
+};
+
+/**
+ * 세션 목록 기능 지원 여부 확인
+ * 
+ * @param {Object} store - express-session 저장소
+ * @throws {Error} 기기별 세션 조회를 지원하지 않는 저장소인 경우
+ */
+const assertDeviceSessionSupport = (store) => {
+  if (typeof store.listByUserId !== 'function' || typeof store.findSidByPublicId !== 'function') {
+    const error = new Error('현재 세션 저장소는 기기별 세션 관리를 지원하지 않습니다');
+    error.status = 501;
+    throw error;
+  }
+};
+
+/**
+ * 세션 저장소 전체 조회 (콜백 → Promise 변환)
+ * 
+ * @param {Object} store - express-session 저장소
+ * @returns {Promise<Object>} { sid: sessionData } 형태의 세션 목록
+ */
+const getAllSessions = (store) => {
+  return new Promise((resolve, reject) => {
+    store.all((err, sessions) => {
+      if (err) return reject(err);
+      resolve(sessions || {});
+    });
+  });
+};
+
+/**
+ * 세션 삭제 (콜백 → Promise 변환)
+ * 
+ * @param {Object} store - express-session 저장소
+ * @param {string} sessionId - 세션 ID
+ * @returns {Promise<void>}
+ */
+const destroySession = (store, sessionId) => {
+  return new Promise((resolve, reject) => {
+    store.destroy(sessionId, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+};
+
+/**
+ * 특정 사용자의 세션 모두 삭제
+ * 
+ * @param {Object} store - express-session 저장소 (req.sessionStore)
+ * @param {Object} user - { userId, email } 대상 사용자
+ * @param {Object} options - { exceptSessionId } 유지할 현재 세션 ID (선택)
+ * @returns {Promise<number>} 삭제된 세션 수
+ */
+const destroyUserSessions = async (store, { userId, email }, { exceptSessionId = null } = {}) => {
+  if (userId && typeof store.destroyByUserId === 'function') {
+    return await store.destroyByUserId(userId, exceptSessionId);
+  }
+
+  const sessions = await getAllSessions(store);
+
+  const targetSessionIds = Object.entries(sessions)
+    .filter(([sessionId, sessionData]) => {
+      return sessionId !== exceptSessionId &&
+        sessionData.student &&
+        sessionData.student.email === email;
+    })
+    .map(([sessionId]) => sessionId);
+
+  await Promise.all(targetSessionIds.map(sessionId => destroySession(store, sessionId)));
+  return targetSessionIds.length;
+};
+
+/**
+ * 사용자의 로그인 세션 목록 조회
+ * 
+ * @param {Object} store - express-session 저장소 (req.sessionStore)
+ * @param {number} userId - 사용자 ID
+ * @param {string} currentSessionId - 요청한 세션 ID (current 표시용)
+ * @returns {Promise<Array>} 세션 정보 목록
+ */
+const listUserSessions = async (store, userId, currentSessionId) => {
+  assertDeviceSessionSupport(store);
+
+  const rows = await store.listByUserId(userId);
+  return rows.map(row => toSessionInfo(row, currentSessionId));
+};
+
+/**
+ * 공개 식별자로 본인 세션 ID 조회
+ * 
+ * @param {Object} store - express-session 저장소 (req.sessionStore)
+ * @param {number} userId - 사용자 ID
+ * @param {string} publicId - 세션 목록의 id 값
+ * @returns {Promise<string>} 세션 ID
+ * @throws {Error} 본인 세션이 아니거나 이미 만료된 경우 (404)
+ */
+const findUserSessionId = async (store, userId, publicId) => {
+  assertDeviceSessionSupport(store);
+
+  const sessionId = await store.findSidByPublicId(userId, publicId);
+  if (!sessionId) {
+    const error = new Error('세션을 찾을 수 없습니다');
+    error.status = 404;
+    throw error;
+  }
+
+  return sessionId;
+};
+
+module.exports = {
+  // 순수 함수들
+  createDeviceInfo,
+  toSessionInfo,
+
+  // 세션 저장소 연동 함수들
+  getAllSessions,
+  destroySession,
+  destroyUserSessions,
+  listUserSessions,
+  findUserSessionId
+};
@@ -0,0 +1,251 @@
+/**
+ * 일일 정산 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: KST 자정에 마감된 날짜 기준으로 입금 주기(일/주/월) 기간이 끝난 적금통의 성공/실패 판정
+ * 판정: 기간 안에 성공(입금) 기록이 없으면 기간 종료일에 failed 기록, 적금통/사용자 연속 기록 초기화
+ * 멱등성: 적금통별 마지막 정산일(last_settled_date) 이후 날짜만 반영하므로 재실행해도 중복 반영 없음
+ * 대상 기간: 적금통 생성일이 속한 기간(생성 당일/주/월)부터 판정, 만기일 이후 시작 기간 제외
+ * 상태 전이: 실패 기준에 도달하거나 만기일이 지난 적금통은 정산 후 failed/matured로 전이
+ */
+
+const { withTransaction } = require('../config/database');
+const settlementModel = require('../models/settlementModel');
+const savingsBucketModel = require('../models/savingsBucketModel');
+const userMetricsModel = require('../models/userMetricsModel');
+const bucketLifecycleService = require('./bucketLifecycleService');
+const { getKstToday, addDays, getPeriodStart, getPeriodEnd, toDateString } = require('../utils/kstDate');
+
+// 밀린 정산을 따라잡을 때 한 번에 실행할 최대 정산일 수 (남은 날짜는 다음 배치에서 이어서 실행)
+const MAX_CATCH_UP_DAYS = 7;
+
+/**
+ * 정산 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 지정된 에러
+ */
+const createSettlementError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 정산일에 끝나는 입금 기간 계산 함수 (순수 함수)
+ * 
+ * @param {string} cycle - 입금 주기 ('daily' | 'weekly' | 'monthly')
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD)
+ * @returns {Object|null} { periodStart, periodEnd } 또는 null (정산일에 끝나는 기간이 없는 경우)
+ */
+const getClosingPeriod = (cycle, settlementDate) => {
+  if (getPeriodEnd(cycle, settlementDate) !== settlementDate) {
+    return null;
+  }
+  return { periodStart: getPeriodStart(cycle, settlementDate), periodEnd: settlementDate };
+};
+
+/**
+ * 기간 판정 대상 여부 확인 함수 (순수 함수)
+ * 전체 기간 수(total_periods)와 같이 생성일이 속한 기간부터 만기일이 속한 기간까지 판정
+ * 
+ * @param {Object} bucket - { created_date, target_date }
+ * @param {Object} period - { periodStart, periodEnd } 기간 시작일/종료일 (YYYY-MM-DD)
+ * @returns {boolean} 판정 대상 여부
+ */
+const isPeriodJudged = (bucket, { periodStart, periodEnd }) => {
+  return toDateString(bucket.created_date) <= periodEnd
+    && periodStart <= toDateString(bucket.target_date);
+};
+
+/**
+ * 정산 실행 기록 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - settlement_run 레코드
+ * @returns {Object} 클라이언트 응답용 정산 실행 정보
+ */
+const toSettlementRunInfo = (row) => {
+  return {
+    id: row.id,
+    settlementDate: toDateString(row.settlement_date),
+    status: row.status,
+    triggeredBy: row.triggered_by,
+    bucketsChecked: row.buckets_checked,
+    failuresRecorded: row.failures_recorded,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+};
+
+/**
+ * 적금통 하나 정산 (적금통 잠금 후 한 트랜잭션으로 처리)
+ * 
+ * @param {Object} bucket - getBucketsToSettle 결과
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD)
+ * @returns {Promise<string|null>} 'succeeded' | 'failed' | 'skipped' | null (정산일에 끝나는 기간이 없는 경우)
+ */
+const settleBucket = async (bucket, settlementDate) => {
+  const period = getClosingPeriod(bucket.deposit_cycle, settlementDate);
+  if (!period) return null;
+
+  const { outcome, transition } = await withTransaction(async (client) => {
+    const locked = await savingsBucketModel.lockSavingsBucket(client, bucket.id);
+    const lastSettledDate = toDateString(locked.last_settled_date);
+    if (locked.status !== 'in_progress' || (lastSettledDate && lastSettledDate >= settlementDate)) {
+      return { outcome: 'skipped', transition: null };
+    }
+
+    if (!isPeriodJudged(bucket, period)) {
+      await settlementModel.markBucketSettled(client, bucket.id, settlementDate, null);
+      return { outcome: 'skipped', transition: null };
+    }
+
+    const succeeded = await settlementModel.hasSuccessInPeriod(client, bucket.id, period.periodStart, period.periodEnd);
+    if (!succeeded) {
+      await savingsBucketModel.recordBucketProgress(bucket.id, bucket.user_id, settlementDate, 'failed', client);
+      await userMetricsModel.resetCurrentStreak(client, bucket.user_id);
+    }
+    await settlementModel.markBucketSettled(client, bucket.id, settlementDate, succeeded);
+
+    return {
+      outcome: succeeded ? 'succeeded' : 'failed',
+      transition: await bucketLifecycleService.applyLifecycle(client, bucket.id, addDays(settlementDate, 1))
+    };
+  });
+
+  await bucketLifecycleService.runTransitionEffects(transition);
+  return outcome;
+};
+
+/**
+ * 정산일 하나 정산 실행 함수
+ * 적금통별 오류는 기록만 하고 나머지 적금통은 계속 처리 (오류가 있으면 failed로 남겨 재실행 대상)
+ * 
+ * @param {string} settlementDate - 정산일 (YYYY-MM-DD, 마감된 날짜)
+ * @param {Object} options - { triggeredBy } 수동 실행한 관리자 ID
+ * @returns {Promise<Object>} 정산 실행 정보
+ * @throws {Error} 잘못되거나 마감되지 않은 날짜(400), 같은 날짜 정산이 실행 중인 경우(409)
+ */
+const runSettlement = async (settlementDate, { triggeredBy = null } = {}) => {
+  if (Number.isNaN(Date.parse(settlementDate)) || addDays(settlementDate, 0) !== settlementDate) {
+    throw createSettlementError('올바르지 않은 정산일입니다', 400);
+  }
+  if (settlementDate >= getKstToday()) {
+    throw createSettlementError('마감되지 않은 날짜는 정산할 수 없습니다', 400);
+  }
+
+  const run = await settlementModel.startRun(settlementDate, triggeredBy);
+  if (!run) {
+    throw createSettlementError('같은 날짜의 정산이 이미 실행 중입니다', 409);
+  }
+
+  let bucketsChecked = 0;
+  let failuresRecorded = 0;
+  const errors = [];
+
+  try {
+    const buckets = await settlementModel.getBucketsToSettle(settlementDate);
+
+    for (const bucket of buckets) {
+      try {
+        const outcome = await settleBucket(bucket, settlementDate);
+        if (outcome === 'succeeded' || outcome === 'failed') bucketsChecked++;
+        if (outcome === 'failed') failuresRecorded++;
+      } catch (error) {
+        console.error(`❌ 적금통 #${bucket.id} 정산 실패 (${settlementDate}):`, error.message);
+        errors.push(`#${bucket.id}: ${error.message}`);
+      }
+    }
+
+    // 정산일까지 만기인 적금통 상태 전이 (입금 주기가 없는 예금 포함)
+    const matured = await bucketLifecycleService.closeMaturedBuckets(settlementDate, addDays(settlementDate, 1));
+    errors.push(...matured.errors);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  const finished = await settlementModel.finishRun(run.id, {
+    status: errors.length > 0 ? 'failed' : 'completed',
+    bucketsChecked,
+    failuresRecorded,
+    error: errors.length > 0 ? errors.slice(0, 20).join('\n') : null
+  });
+
+  return toSettlementRunInfo(finished);
+};
+
+/**
+ * 밀린 정산일 목록 계산 함수 (순수 함수)
+ * 마지막 완료 정산일 다음 날부터 어제까지 오래된 날짜 순으로 최대 limit일 (완료 기록이 없으면 어제 하루)
+ * 
+ * @param {string|null} lastCompletedDate - 마지막 완료 정산일 (YYYY-MM-DD)
+ * @param {string} yesterday - 어제 날짜 (YYYY-MM-DD, KST)
+ * @param {number} limit - 최대 정산일 수
+ * @returns {Array<string>} 정산할 날짜 목록
+ */
+const getPendingSettlementDates = (lastCompletedDate, yesterday, limit = MAX_CATCH_UP_DAYS) => {
+  const dates = [];
+  let settlementDate = lastCompletedDate ? addDays(lastCompletedDate, 1) : yesterday;
+
+  for (; settlementDate <= yesterday && dates.length < limit; settlementDate = addDays(settlementDate, 1)) {
+    dates.push(settlementDate);
+  }
+
+  return dates;
+};
+
+/**
+ * 밀린 정산일 한 배치 실행 함수 (스케줄러에서 호출)
+ * 마지막 완료 정산일 다음 날부터 오래된 날짜 순으로 최대 limit일 실행, 남은 날짜는 hasMore로 알림
+ * 다른 인스턴스가 실행 중인 날짜(409)를 만나면 그 인스턴스가 이어서 처리하도록 배치 중단
+ * 
+ * @param {Object} options - { limit } 한 배치의 최대 정산일 수
+ * @returns {Promise<Object>} { runs, hasMore } 실행한 정산 정보 목록, 이어서 실행할 날짜가 남았는지 여부
+ */
+const runPendingSettlements = async ({ limit = MAX_CATCH_UP_DAYS } = {}) => {
+  const yesterday = addDays(getKstToday(), -1);
+  const lastCompletedDate = toDateString(await settlementModel.getLastCompletedDate());
+  const dates = getPendingSettlementDates(lastCompletedDate, yesterday, limit);
+
+  const runs = [];
+  for (const settlementDate of dates) {
+    try {
+      runs.push(await runSettlement(settlementDate));
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      return { runs, hasMore: false };
+    }
+  }
+
+  // 배치 전체가 실패하면 마지막 완료 정산일이 그대로라 같은 배치를 반복하므로 다음 예약 실행으로 넘김
+  const hasMore = dates.length > 0
+    && dates[dates.length - 1] < yesterday
+    && runs.some(run => run.status === 'completed');
+
+  return { runs, hasMore };
+};
+
+/**
+ * 정산 실행 기록 조회 함수 (관리자용)
+ * 
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Array>} 정산 실행 정보 목록
+ */
+const getSettlementRuns = async ({ page = 1, limit = 30 } = {}) => {
+  const runs = await settlementModel.getRuns({ limit, offset: (page - 1) * limit });
+  return runs.map(toSettlementRunInfo);
+};
+
+module.exports = {
+  // 순수 함수들
+  getClosingPeriod,
+  isPeriodJudged,
+  toSettlementRunInfo,
+  getPendingSettlementDates,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  runSettlement,
+  runPendingSettlements,
+  getSettlementRuns
+};
@@ -0,0 +1,159 @@
+/**
+ * 파일 저장소 서비스 - 교체 가능한 저장소 인터페이스
+ * 
+ * 기능: 업로드 파일(프로필 이미지 등) 저장/삭제, 공개 URL 생성
+ * 인터페이스: { name, save({ key, buffer, contentType }) → { key, url }, read(key), remove(key), keyFromUrl(url) }
+ * 기본 제공: local (로컬 디스크 저장, app.js에서 정적 경로로 제공)
+ * 비공개 저장소: 개인정보 내보내기 파일 등 URL 없이 서버에서만 읽는 파일 (getPrivateStorage)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * 로컬 디스크 저장소 생성 함수
+ * 
+ * @param {Object} options - { rootDir, publicBaseUrl } publicBaseUrl이 없으면 비공개 저장소 (url: null)
+ * @returns {Object} 저장소 객체
+ */
+const createLocalDiskStorage = ({ rootDir, publicBaseUrl = null }) => {
+  const baseUrl = publicBaseUrl ? publicBaseUrl.replace(/\/+$/, '') : null;
+
+  // 저장소 루트 밖으로 벗어나는 키 차단
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error('잘못된 파일 경로입니다');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async ({ key, buffer }) => {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: baseUrl ? `${baseUrl}/${key}` : null };
+    },
+
+    read: async (key) => {
+      return await fs.readFile(resolvePath(key));
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    keyFromUrl: (url) => {
+      if (!baseUrl || !url || !url.startsWith(`${baseUrl}/`)) return null;
+      return url.slice(baseUrl.length + 1);
+    }
+  };
+};
+
+/**
+ * 로컬 업로드 디렉터리 조회 함수
+ * 
+ * @returns {string} 업로드 파일 저장 경로
+ */
+const getLocalUploadDir = () => {
+  return process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+};
+
+// 이름별 저장소 생성 함수 목록 (registerStorage로 확장)
+const storageFactories = {
+  local: () => createLocalDiskStorage({
+    rootDir: getLocalUploadDir(),
+    publicBaseUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+  })
+};
+
+let activeStorage = null;
+let privateStorage = null;
+
+/**
+ * 새 저장소 등록 함수 (S3 등 외부 저장소 확장용)
+ * 
+ * @param {string} name - 저장소 이름 (STORAGE_DRIVER 값)
+ * @param {Function} factory - 저장소 객체를 반환하는 함수
+ * @returns {void}
+ */
+const registerStorage = (name, factory) => {
+  storageFactories[name] = factory;
+};
+
+/**
+ * 현재 저장소 직접 지정 함수 (테스트용)
+ * 
+ * @param {Object|null} storage - 저장소 객체 (null이면 환경변수 기준으로 재생성)
+ * @returns {void}
+ */
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+/**
+ * 현재 저장소 조회 함수
+ * 
+ * @returns {Object} 저장소 객체
+ * @throws {Error} 등록되지 않은 저장소인 경우
+ */
+const getStorage = () => {
+  if (activeStorage) {
+    return activeStorage;
+  }
+
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const factory = storageFactories[driverName];
+  if (!factory) {
+    throw new Error(`등록되지 않은 파일 저장소입니다: ${driverName}`);
+  }
+
+  activeStorage = factory();
+  return activeStorage;
+};
+
+/**
+ * 비공개 저장소 조회 함수 (정적 경로로 제공되지 않는 로컬 디렉터리)
+ * 
+ * @returns {Object} 저장소 객체 (url 없음)
+ */
+const getPrivateStorage = () => {
+  if (!privateStorage) {
+    privateStorage = createLocalDiskStorage({
+      rootDir: process.env.PRIVATE_STORAGE_DIR || path.join(process.cwd(), 'private-storage')
+    });
+  }
+
+  return privateStorage;
+};
+
+/**
+ * 비공개 저장소 직접 지정 함수 (테스트용)
+ * 
+ * @param {Object|null} storage - 저장소 객체 (null이면 환경변수 기준으로 재생성)
+ * @returns {void}
+ */
+const setPrivateStorage = (storage) => {
+  privateStorage = storage;
+};
+
+module.exports = {
+  // 저장소 생성 함수들
+  createLocalDiskStorage,
+  getLocalUploadDir,
+
+  // 저장소 관리 함수들
+  registerStorage,
+  setStorage,
+  getStorage,
+  getPrivateStorage,
+  setPrivateStorage
+};
@@ -0,0 +1,235 @@
+/**
+ * 토큰 인증 서비스 - 함수형 프로그래밍 방식
+ * 
+ * 기능: 모바일 클라이언트용 액세스 토큰(JWT) 발급/검증, 리프레시 토큰 회전/폐기
+ * 정책: 액세스 토큰은 짧게(기본 15분), 리프레시 토큰은 사용할 때마다 새 토큰으로 교체
+ * 보안: 이미 교체된 리프레시 토큰이 다시 쓰이면 탈취로 보고 같은 묶음(family) 전체 폐기
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const refreshTokenModel = require('../models/refreshTokenModel');
+
+const TOKEN_ISSUER = 'heyyoung-campus';
+
+// 개발 환경 전용 기본 서명 키 (운영 환경에서는 JWT_SECRET 필수)
+const DEV_JWT_SECRET = 'dev-jwt-secret';
+
+/**
+ * 토큰 서명 키 조회 함수
+ * 
+ * @returns {string} JWT 서명 키
+ * @throws {Error} 운영 환경(NODE_ENV=production)에서 JWT_SECRET이 없는 경우
+ */
+const getTokenSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('운영 환경에서는 JWT_SECRET 환경변수를 반드시 설정해야 합니다');
+  }
+  return DEV_JWT_SECRET;
+};
+
+/**
+ * 토큰 정책 조회 함수 (환경변수로 조정 가능)
+ * 
+ * @returns {Object} { secret, accessTtlSeconds, refreshTtlSeconds }
+ * @throws {Error} 운영 환경에서 JWT_SECRET이 없는 경우
+ */
+const getTokenPolicy = () => {
+  return {
+    secret: getTokenSecret(),
+    accessTtlSeconds: parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 900,
+    refreshTtlSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60
+  };
+};
+
+/**
+ * 리프레시 토큰 해시 함수 (순수 함수)
+ * 
+ * @param {string} token - 리프레시 토큰 원문
+ * @returns {string} SHA-256 해시 (hex)
+ */
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * 토큰 인증 에러 생성 함수 (401)
+ * 
+ * @param {string} message - 에러 메시지
+ * @returns {Error} status가 설정된 에러
+ */
+const createTokenError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+/**
+ * 액세스 토큰 페이로드 → 인증 사용자 정보 변환 (순수 함수)
+ * 세션의 req.session.student와 같은 형태로 맞춤
+ * 
+ * @param {Object} payload - 검증된 JWT 페이로드
+ * @returns {Object} { userId, email, name, department, studentId }
+ */
+const toAuthContext = (payload) => {
+  return {
+    userId: parseInt(payload.sub),
+    email: payload.email,
+    name: payload.name,
+    department: payload.department,
+    studentId: payload.studentId
+  };
+};
+
+/**
+ * 액세스 토큰 발급 함수
+ * 
+ * @param {Object} student - 학생 정보 (toStudentInfo 형태)
+ * @returns {string} 서명된 JWT
+ */
+const signAccessToken = (student) => {
+  const policy = getTokenPolicy();
+
+  return jwt.sign({
+    email: student.email,
+    name: student.name,
+    department: student.department,
+    studentId: student.studentId
+  }, policy.secret, {
+    subject: String(student.id),
+    issuer: TOKEN_ISSUER,
+    expiresIn: policy.accessTtlSeconds
+  });
+};
+
+/**
+ * 액세스 토큰 검증 함수
+ * 
+ * @param {string} token - Authorization 헤더의 Bearer 토큰
+ * @returns {Object} 인증 사용자 정보
+ * @throws {Error} 만료되었거나 서명이 올바르지 않은 경우 (error.code: TOKEN_EXPIRED, INVALID_TOKEN)
+ */
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getTokenPolicy().secret, { issuer: TOKEN_ISSUER });
+    return toAuthContext(payload);
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    const error = createTokenError(expired ? '토큰이 만료되었습니다' : '유효하지 않은 토큰입니다');
+    error.code = expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN';
+    throw error;
+  }
+};
+
+/**
+ * 리프레시 토큰 발급 및 저장 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @param {string} familyId - 토큰 묶음 ID
+ * @param {Object} client - { userAgent, ip } 발급 기기 정보
+ * @returns {Promise<string>} 리프레시 토큰 원문
+ */
+const createRefreshToken = async (userId, familyId, { userAgent = null, ip = null } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await refreshTokenModel.createRefreshToken({
+    userId,
+    familyId,
+    tokenHash: hashRefreshToken(token),
+    ttlSeconds: getTokenPolicy().refreshTtlSeconds,
+    userAgent,
+    ip
+  });
+
+  return token;
+};
+
+/**
+ * 액세스/리프레시 토큰 쌍 발급 함수
+ * 
+ * @param {Object} student - 학생 정보 (toStudentInfo 형태)
+ * @param {Object} client - { userAgent, ip } 발급 기기 정보
+ * @param {string|null} familyId - 기존 토큰 묶음 ID (없으면 새 로그인으로 간주)
+ * @returns {Promise<Object>} { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresIn }
+ */
+const issueTokens = async (student, client = {}, familyId = null) => {
+  const policy = getTokenPolicy();
+  const refreshToken = await createRefreshToken(student.id, familyId || crypto.randomUUID(), client);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(student),
+    expiresIn: policy.accessTtlSeconds,
+    refreshToken,
+    refreshExpiresIn: policy.refreshTtlSeconds
+  };
+};
+
+/**
+ * 리프레시 토큰 사용 처리 함수 (회전 전 검증, 기존 토큰은 다시 쓸 수 없게 표시)
+ * 
+ * @param {string} refreshToken - 리프레시 토큰 원문
+ * @returns {Promise<Object>} 사용 처리된 토큰 기록 (user_id, family_id)
+ * @throws {Error} 없는/만료/폐기된 토큰이거나 재사용이 감지된 경우 (401)
+ */
+const consumeRefreshToken = async (refreshToken) => {
+  const stored = await refreshTokenModel.findRefreshTokenByHash(hashRefreshToken(refreshToken));
+  if (!stored || stored.revoked_at || stored.is_expired) {
+    throw createTokenError('유효하지 않은 리프레시 토큰입니다. 다시 로그인해주세요');
+  }
+
+  // 이미 교체된 토큰 재사용 (동시 요청 포함) → 묶음 전체 폐기
+  const rotated = stored.rotated_at ? null : await refreshTokenModel.markRotated(stored.id);
+  if (!rotated) {
+    await refreshTokenModel.revokeFamily(stored.family_id);
+    throw createTokenError('토큰 재사용이 감지되어 로그아웃 되었습니다. 다시 로그인해주세요');
+  }
+
+  return rotated;
+};
+
+/**
+ * 리프레시 토큰 폐기 함수 (토큰 기반 로그아웃)
+ * 알 수 없는 토큰도 에러 없이 처리
+ * 
+ * @param {string} refreshToken - 리프레시 토큰 원문
+ * @returns {Promise<number|null>} 토큰 소유자 ID 또는 null (알 수 없는 토큰)
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const stored = await refreshTokenModel.findRefreshTokenByHash(hashRefreshToken(refreshToken));
+  if (!stored) return null;
+
+  await refreshTokenModel.revokeFamily(stored.family_id);
+  return stored.user_id;
+};
+
+/**
+ * 사용자의 모든 리프레시 토큰 폐기 함수
+ * 
+ * @param {number} userId - 사용자 ID
+ * @returns {Promise<number>} 폐기된 토큰 수
+ */
+const revokeUserTokens = async (userId) => {
+  return await refreshTokenModel.revokeUserTokens(userId);
+};
+
+module.exports = {
+  // 순수 함수들
+  getTokenSecret,
+  getTokenPolicy,
+  hashRefreshToken,
+  toAuthContext,
+
+  // 토큰 발급/검증 함수들
+  signAccessToken,
+  verifyAccessToken,
+
+  // 데이터 조작 함수들 (사이드 이펙트 있음)
+  issueTokens,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens
+};
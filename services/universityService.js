@@ -8,6 +8,12 @@
 
 const universityModel = require('../models/universityModel');
 const userModel = require('../models/userModel');
+const departmentModel = require('../models/departmentModel');
+const universityDomainModel = require('../models/universityDomainModel');
+const { ACADEMIC_DOMAIN_PATTERN } = require('../config/universities');
+
+// 미등록 학교 도메인 처리 방식 (queue: 관리자 승인 대기열 등록, reject: 즉시 거절)
+const UNKNOWN_DOMAIN_POLICIES = ['queue', 'reject'];
 
 /**
  * 전체 대학 목록 조회 함수
@@ -91,6 +97,21 @@ const getUsersByUniversity = async (universityId, limit = 20, offset = 0) => {
   return await userModel.getUsersByUniversity(universityId, limit, offset);
 };
 
+/**
+ * 대학별 학과 목록 조회 함수
+ * 
+ * @param {number} universityId - 대학 ID
+ * @returns {Promise<Array>} 학과 목록
+ */
+const getDepartmentsByUniversity = async (universityId) => {
+  const departments = await departmentModel.getDepartmentsByUniversity(universityId);
+  
+  return departments.map(department => ({
+    ...department,
+    student_count: parseInt(department.student_count || 0)
+  }));
+};
+
 /**
  * 새 대학 생성 함수
  * 
@@ -101,6 +122,140 @@ const createUniversity = async ({ name, domain }) => {
   return await universityModel.createUniversity({ name, domain });
 };
 
+/**
+ * 미등록 학교 도메인 처리 방식 조회 함수
+ * 
+ * @returns {string} 'queue' 또는 'reject'
+ */
+const getUnknownDomainPolicy = () => {
+  const policy = process.env.UNKNOWN_UNIVERSITY_DOMAIN_POLICY;
+  return UNKNOWN_DOMAIN_POLICIES.includes(policy) ? policy : 'queue';
+};
+
+/**
+ * 상태 코드가 포함된 에러 생성 함수 (순수 함수)
+ * 
+ * @param {string} message - 에러 메시지
+ * @param {number} status - HTTP 상태 코드
+ * @returns {Error} status가 지정된 에러
+ */
+const createUniversityError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * 가입 가능한 학교 이메일의 대학 확인 함수 (레지스트리 기준)
+ * 등록되지 않은 도메인은 대학을 만들지 않고 정책에 따라 승인 대기열에 올리거나 거절
+ * 
+ * @param {string} email - 학교 이메일
+ * @returns {Promise<Object>} 대학 정보
+ * @throws {Error} 학교 이메일이 아니거나 등록되지 않은 학교인 경우 (403)
+ */
+const resolveUniversityForEmail = async (email) => {
+  const domain = (extractDomainFromEmail(email) || '').toLowerCase();
+  if (!isValidUniversityDomain(domain)) {
+    throw new Error('유효한 학교 이메일 주소가 아닙니다');
+  }
+
+  const university = await universityModel.getUniversityByDomain(domain);
+  if (university) {
+    return university;
+  }
+
+  if (getUnknownDomainPolicy() === 'queue') {
+    const request = await universityDomainModel.upsertDomainRequest(domain);
+    if (request.status === 'pending') {
+      throw createUniversityError('등록되지 않은 학교입니다. 관리자 승인 후 가입할 수 있습니다', 403);
+    }
+  }
+
+  throw createUniversityError('지원하지 않는 학교 도메인입니다', 403);
+};
+
+/**
+ * 학교 도메인 승인 요청 목록 조회 함수
+ * 
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Array>} 승인 요청 목록
+ */
+const getDomainRequests = async (options) => {
+  const requests = await universityDomainModel.getDomainRequests(options);
+
+  return requests.map(request => ({
+    ...request,
+    request_count: parseInt(request.request_count || 0)
+  }));
+};
+
+/**
+ * 처리할 수 없는 승인 요청의 에러 생성 함수
+ * 
+ * @param {number} requestId - 승인 요청 ID
+ * @returns {Promise<Error>} 요청이 없으면 404, 이미 처리되었으면 409
+ */
+const getDomainRequestError = async (requestId) => {
+  const request = await universityDomainModel.findDomainRequestById(requestId);
+  return request
+    ? createUniversityError('이미 처리된 승인 요청입니다', 409)
+    : createUniversityError('승인 요청을 찾을 수 없습니다', 404);
+};
+
+/**
+ * 학교 도메인 승인 함수
+ * universityId를 지정하면 기존 대학의 별칭 도메인으로, 아니면 공식 명칭(name)으로 새 대학 등록
+ * 
+ * @param {number} reviewerId - 승인하는 관리자 ID
+ * @param {number} requestId - 승인 요청 ID
+ * @param {Object} approval - { universityId, name, note }
+ * @returns {Promise<Object>} { request, university }
+ * @throws {Error} 대학이 없거나 대학 이름이 중복되는 경우, 처리할 수 없는 요청인 경우
+ */
+const approveDomainRequest = async (reviewerId, requestId, { universityId = null, name = null, note = null }) => {
+  if (universityId && !(await universityModel.getUniversityById(universityId))) {
+    throw createUniversityError('대학을 찾을 수 없습니다', 404);
+  }
+
+  let approved;
+  try {
+    approved = await universityDomainModel.approveDomainRequest({
+      requestId,
+      reviewerId,
+      universityId,
+      name,
+      note
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      throw createUniversityError('이미 등록된 대학 이름 또는 도메인입니다', 409);
+    }
+    throw error;
+  }
+
+  if (!approved) {
+    throw await getDomainRequestError(requestId);
+  }
+  return approved;
+};
+
+/**
+ * 학교 도메인 거절 함수 (이후 같은 도메인의 가입 요청은 즉시 거절)
+ * 
+ * @param {number} reviewerId - 거절하는 관리자 ID
+ * @param {number} requestId - 승인 요청 ID
+ * @param {Object} rejection - { note }
+ * @returns {Promise<Object>} 거절된 승인 요청
+ * @throws {Error} 처리할 수 없는 요청인 경우
+ */
+const rejectDomainRequest = async (reviewerId, requestId, { note = null }) => {
+  const rejected = await universityDomainModel.rejectDomainRequest({ requestId, reviewerId, note });
+  if (!rejected) {
+    throw await getDomainRequestError(requestId);
+  }
+  return rejected;
+};
+
 /**
  * 대학 정보 업데이트 함수
  * 
@@ -119,8 +274,7 @@ const updateUniversity = async (universityId, updateData) => {
  * @returns {boolean} 대학 도메인 형식 여부
  */
 const isValidUniversityDomain = (domain) => {
-  const universityDomainPattern = /^[a-zA-Z0-9.-]+\.ac\.kr$/;
-  return universityDomainPattern.test(domain);
+  return ACADEMIC_DOMAIN_PATTERN.test(domain);
 };
 
 /**
@@ -198,8 +352,16 @@ module.exports = {
   getUniversityStats,
   getUniversityRanking,
   getUsersByUniversity,
+  getDepartmentsByUniversity,
   createUniversity,
   updateUniversity,
+  resolveUniversityForEmail,
+  getDomainRequests,
+  approveDomainRequest,
+  rejectDomainRequest,
+  
+  // 설정 함수들
+  getUnknownDomainPolicy,
   
   // 순수 함수들
   isValidUniversityDomain,
@@ -0,0 +1,55 @@
+/**
+ * 회원 탈퇴 모델 테스트
+ * 
+ * 대상: 처리 중인 은행 이체가 있으면 탈퇴 보류, 소문자로 저장된 이메일 인증 기록 정리
+ * DB 연결은 실행한 SQL을 기록하는 클라이언트로 대체
+ */
+
+jest.mock('../../config/database', () => ({ pool: { connect: jest.fn() } }));
+
+const { pool } = require('../../config/database');
+const accountDeletionModel = require('../../models/accountDeletionModel');
+
+const USER = { id: 7, email: 'Foo@SNU.ac.kr', university_id: null };
+
+const createClient = ({ openTransfers }) => {
+  const queries = [];
+  return {
+    queries,
+    release: jest.fn(),
+    query: jest.fn(async (sql, params = []) => {
+      queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      if (/FROM "user" WHERE id = \$1 FOR UPDATE/.test(sql)) return { rows: [{ id: USER.id }] };
+      if (/FROM saving_bank_transfer/.test(sql) && /COUNT/.test(sql)) return { rows: [{ count: openTransfers }] };
+      if (/INSERT INTO "user"/.test(sql)) return { rows: [{ id: 1 }] };
+      if (/COUNT\(\*\) as bucket_count/.test(sql)) return { rows: [{ bucket_count: '0', completed_count: '0' }] };
+      return { rows: [], rowCount: 0 };
+    })
+  };
+};
+
+describe('deleteUserAccount', () => {
+  test('처리 중인 은행 이체가 있으면 409로 거부하고 아무것도 삭제하지 않음', async () => {
+    const client = createClient({ openTransfers: 1 });
+    pool.connect.mockResolvedValue(client);
+
+    await expect(accountDeletionModel.deleteUserAccount(USER)).rejects.toMatchObject({ status: 409 });
+
+    expect(client.queries.some(query => query.sql.startsWith('DELETE'))).toBe(false);
+    expect(client.queries[client.queries.length - 1].sql).toBe('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('이메일 인증 기록은 소문자 이메일로 정리', async () => {
+    const client = createClient({ openTransfers: 0 });
+    pool.connect.mockResolvedValue(client);
+
+    await accountDeletionModel.deleteUserAccount(USER);
+
+    expect(client.queries).toContainEqual({
+      sql: 'DELETE FROM email_verification WHERE email = LOWER($1)',
+      params: [USER.email]
+    });
+    expect(client.queries[client.queries.length - 1].sql).toBe('COMMIT');
+  });
+});
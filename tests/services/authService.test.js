@@ -0,0 +1,93 @@
+/**
+ * 인증 서비스 테스트
+ * 
+ * 대상: 이메일 대소문자 정규화 (대소문자가 다른 이메일로 가입/로그인/중복 확인)
+ * DB 모델과 이메일 인증/시도 제한/감사 로그 서비스는 모킹
+ */
+
+jest.mock('../../config/database', () => ({ pool: {}, withTransaction: jest.fn() }));
+jest.mock('../../models/userModel');
+jest.mock('../../models/credentialModel');
+jest.mock('../../models/departmentModel');
+jest.mock('../../models/passwordResetModel');
+jest.mock('../../models/accountDeletionModel');
+jest.mock('../../services/universityService');
+jest.mock('../../services/loginThrottleService');
+jest.mock('../../services/authAuditService');
+jest.mock('../../services/storageService', () => ({}));
+jest.mock('../../services/mailService', () => ({ sendMail: jest.fn() }));
+jest.mock('../../services/emailVerificationService', () => ({
+  normalizeEmail: jest.requireActual('../../services/emailVerificationService').normalizeEmail,
+  requireVerifiedEmail: jest.fn(),
+  consumeVerification: jest.fn()
+}));
+
+const bcrypt = require('bcrypt');
+const userModel = require('../../models/userModel');
+const credentialModel = require('../../models/credentialModel');
+const departmentModel = require('../../models/departmentModel');
+const universityService = require('../../services/universityService');
+const emailVerificationService = require('../../services/emailVerificationService');
+const authService = require('../../services/authService');
+const authSchemas = require('../../schemas/authSchemas');
+
+const STORED_USER = {
+  id: 7,
+  email: 'foo@snu.ac.kr',
+  nickname: '홍길동',
+  university_name: '서울대학교',
+  department_name: '컴퓨터공학부'
+};
+
+describe('이메일 대소문자 정규화', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userModel.findUserByEmail.mockResolvedValue(null);
+    userModel.findUserByStudentId.mockResolvedValue(null);
+    userModel.createUser.mockImplementation(async (data) => ({ id: 7, email: data.email, nickname: data.nickname }));
+    emailVerificationService.requireVerifiedEmail.mockResolvedValue({ id: 1 });
+    universityService.resolveUniversityForEmail.mockResolvedValue({ id: 1, name: '서울대학교' });
+    departmentModel.findOrCreateDepartment.mockResolvedValue({ id: 2, name: '컴퓨터공학부' });
+  });
+
+  test('입력 스키마에서 이메일 공백 제거 및 소문자 변환', () => {
+    const { value } = authSchemas.login.validate({ email: ' Foo@SNU.ac.kr ', password: 'secret1' });
+    expect(value.email).toBe('foo@snu.ac.kr');
+  });
+
+  test('대소문자가 섞인 이메일로 가입하면 소문자로 저장', async () => {
+    await authService.createStudent({
+      email: 'Foo@SNU.ac.kr',
+      password: 'secret1',
+      name: '홍길동',
+      department: '컴퓨터공학부',
+      studentId: '20260001'
+    });
+
+    expect(userModel.findUserByEmail).toHaveBeenCalledWith('foo@snu.ac.kr');
+    expect(userModel.createUser).toHaveBeenCalledWith(expect.objectContaining({ email: 'foo@snu.ac.kr' }));
+  });
+
+  test('대소문자만 다른 이메일로는 다시 가입할 수 없음', async () => {
+    userModel.findUserByEmail.mockImplementation(async (email) => (email === 'foo@snu.ac.kr' ? STORED_USER : null));
+
+    await expect(authService.createStudent({
+      email: 'FOO@snu.ac.kr',
+      password: 'secret1',
+      name: '홍길동',
+      department: '컴퓨터공학부',
+      studentId: '20260002'
+    })).rejects.toThrow('이미 가입된 이메일입니다');
+    expect(userModel.createUser).not.toHaveBeenCalled();
+  });
+
+  test('가입할 때와 다른 대소문자로 로그인', async () => {
+    const passwordHash = await bcrypt.hash('secret1', 4);
+    userModel.findUserByEmail.mockImplementation(async (email) => (email === 'foo@snu.ac.kr' ? STORED_USER : null));
+    credentialModel.getCredentialByUserId.mockResolvedValue({ user_id: 7, password_hash: passwordHash });
+
+    const student = await authService.authenticateStudent('FOO@Snu.Ac.Kr', 'secret1');
+
+    expect(student.id).toBe(7);
+  });
+});
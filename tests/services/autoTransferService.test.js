@@ -0,0 +1,152 @@
+/**
+ * 자동이체 서비스 테스트
+ * 
+ * 대상: 재시도할 실패 판정, 은행 이체 reference 생성, 납입 주기와 다른 자동이체 주기 거부,
+ *       이체 거절 → 잔액 충전 → 재시도 성공
+ * DB 모델과 입금 처리는 모킹하고 은행은 거절 결과까지 reference로 기억하는 은행을 흉내냄
+ */
+
+jest.mock('../../config/database', () => ({ pool: {}, withTransaction: jest.fn() }));
+jest.mock('../../models/autoTransferModel');
+jest.mock('../../models/savingsBucketModel');
+jest.mock('../../models/savingProductModel');
+jest.mock('../../models/userModel');
+jest.mock('../../services/mailService', () => ({ sendMail: jest.fn() }));
+jest.mock('../../services/savingsService', () => ({ processDeposit: jest.fn() }));
+
+const autoTransferModel = require('../../models/autoTransferModel');
+const savingsBucketModel = require('../../models/savingsBucketModel');
+const savingsService = require('../../services/savingsService');
+const bankService = require('../../services/bankService');
+const autoTransferService = require('../../services/autoTransferService');
+const { getKstToday } = require('../../utils/kstDate');
+
+const createBankError = (status, code) => Object.assign(new Error('은행 오류'), { status, code });
+
+describe('isRetryableError', () => {
+  test('은행 장애/응답 지연/상태 코드 없는 에러는 재시도', () => {
+    expect(autoTransferService.isRetryableError(new Error('connection reset'))).toBe(true);
+    expect(autoTransferService.isRetryableError(createBankError(502, 'BANK_UNAVAILABLE'))).toBe(true);
+    expect(autoTransferService.isRetryableError(createBankError(504, 'BANK_TIMEOUT'))).toBe(true);
+  });
+
+  test('은행 이체 거절(잔액 부족 등)은 재시도', () => {
+    expect(autoTransferService.isRetryableError(createBankError(422, 'BANK_TRANSFER_DECLINED'))).toBe(true);
+  });
+
+  test('납입 금액 조건 위반, 진행 중이 아닌 적금통은 재시도하지 않음', () => {
+    expect(autoTransferService.isRetryableError(createBankError(400))).toBe(false);
+    expect(autoTransferService.isRetryableError(createBankError(409))).toBe(false);
+  });
+});
+
+describe('toAutoTransferReference', () => {
+  test('은행 거절 횟수마다 새 reference', () => {
+    expect(autoTransferService.toAutoTransferReference(3, '2026-10-19', 0)).toBe('auto-transfer-3-2026-10-19-1');
+    expect(autoTransferService.toAutoTransferReference(3, '2026-10-19', 1)).toBe('auto-transfer-3-2026-10-19-2');
+  });
+});
+
+describe('자동이체 주기 검증', () => {
+  const bucket = { id: 1, user_id: 7, saving_product_id: 'MOCK_PRODUCT_001', product_type: '정기적금', status: 'in_progress', deposit_cycle: 'weekly', target_date: '2099-12-31' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    savingsBucketModel.getSavingsBucketById.mockResolvedValue(bucket);
+    autoTransferModel.findScheduleByBucket.mockResolvedValue(null);
+    autoTransferModel.createSchedule.mockImplementation(async (data) => ({ id: 3, bucket_id: data.bucketId, amount: String(data.amount), cycle: data.cycle }));
+  });
+
+  test('적금통 납입 주기와 다른 주기로는 자동이체를 설정할 수 없음', async () => {
+    await expect(autoTransferService.createAutoTransfer(bucket.id, { amount: 10000, cycle: 'daily' }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(autoTransferModel.createSchedule).not.toHaveBeenCalled();
+
+    await expect(autoTransferService.createAutoTransfer(bucket.id, { amount: 10000, cycle: 'weekly' }))
+      .resolves.toMatchObject({ cycle: 'weekly' });
+  });
+
+  test('자동이체 수정으로 납입 주기와 다른 주기로 바꿀 수 없음', async () => {
+    autoTransferModel.findScheduleByBucket.mockResolvedValue({ id: 3, bucket_id: 1, amount: '10000', cycle: 'weekly', day_of_week: 1, status: 'active' });
+
+    await expect(autoTransferService.updateAutoTransfer(bucket.id, { cycle: 'monthly' }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(autoTransferModel.updateSchedule).not.toHaveBeenCalled();
+  });
+});
+
+describe('processNextAutoTransfer', () => {
+  const today = getKstToday();
+  const bucket = { id: 1, user_id: 7, name: '여행 적금', saving_product_id: 'MOCK_PRODUCT_001', status: 'in_progress', target_date: '2099-12-31' };
+  const schedule = { id: 3, bucket_id: 1, amount: '5000', cycle: 'daily', day_of_week: null, day_of_month: null, next_run_date: today };
+  let provider;
+  let bankReferences;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bankReferences = [];
+
+    // 실제 은행처럼 거절 결과도 reference별로 기억
+    provider = bankService.createMockBankProvider({ initialBalance: 0 });
+    const results = new Map();
+    bankService.setBankProvider({
+      ...provider,
+      transfer: async (request) => {
+        bankReferences.push(request.reference);
+        if (!results.has(request.reference)) {
+          results.set(request.reference, await provider.transfer(request));
+        }
+        return results.get(request.reference);
+      }
+    });
+
+    savingsBucketModel.getSavingsBucketById.mockResolvedValue(bucket);
+    savingsService.processDeposit.mockImplementation(async (bucketId, amount, memo, { reference }) => {
+      await bankService.transferToSavings({ customerId: bucket.user_id, productId: bucket.saving_product_id, amount, memo, reference });
+      return { transaction: { id: 100 } };
+    });
+
+    const runs = [];
+    autoTransferModel.createRun.mockImplementation(async (run) => {
+      runs.push(run);
+      return run;
+    });
+    autoTransferModel.countDeclinedRuns.mockImplementation(async () => {
+      return runs.filter(run => run.errorCode === 'BANK_TRANSFER_DECLINED').length;
+    });
+  });
+
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('이체 거절 후 잔액을 채우면 재시도는 새 reference로 성공', async () => {
+    autoTransferModel.claimDueSchedule.mockResolvedValueOnce({ ...schedule, retry_count: 0 });
+    await autoTransferService.processNextAutoTransfer();
+
+    expect(autoTransferModel.createRun).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: 'failed',
+      errorCode: 'BANK_TRANSFER_DECLINED'
+    }));
+    expect(autoTransferModel.updateScheduleAfterRun).toHaveBeenLastCalledWith(schedule.id, expect.objectContaining({
+      nextRunDate: today,
+      retryCount: 1
+    }));
+
+    const { accountNumber } = await provider.findAccount(bucket.user_id);
+    await provider.payout({ toAccount: accountNumber, productId: bucket.saving_product_id, amount: 10000, reference: 'top-up' });
+
+    autoTransferModel.claimDueSchedule.mockResolvedValueOnce({ ...schedule, retry_count: 1 });
+    await autoTransferService.processNextAutoTransfer();
+
+    expect(autoTransferModel.createRun).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: 'success',
+      attempt: 2,
+      transactionId: 100
+    }));
+    expect(bankReferences).toEqual([
+      `auto-transfer-3-${today}-1`,
+      `auto-transfer-3-${today}-2`
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 은행 연동 서비스 테스트
+ * 
+ * 대상: Mock 은행 제공자 reference 중복 방지 (완료된 거래만), reference로 완료된 거래 조회, 이체 거절 에러 변환, Mock 은행 API 서버
+ */
+
+const bankService = require('../../services/bankService');
+const { createMockBankApp } = require('../../mock/bankServer');
+
+const PRODUCT_ID = 'MOCK_PRODUCT_001';
+
+describe('createMockBankProvider', () => {
+  test('완료된 이체는 같은 reference로 다시 요청해도 한 번만 출금', async () => {
+    const provider = bankService.createMockBankProvider({ initialBalance: 10000 });
+    const { accountNumber } = await provider.findAccount(1);
+
+    const first = await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 3000, reference: 'ref-1' });
+    const retried = await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 3000, reference: 'ref-1' });
+
+    expect(retried).toEqual(first);
+    expect((await provider.getBalance(accountNumber)).balance).toBe(7000);
+  });
+
+  test('거절된 이체는 잔액을 채운 뒤 같은 reference로 다시 시도하면 완료', async () => {
+    const provider = bankService.createMockBankProvider({ initialBalance: 1000 });
+    const { accountNumber } = await provider.findAccount(1);
+
+    const declined = await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 5000, reference: 'ref-1' });
+    expect(declined).toMatchObject({ status: 'declined', reason: 'INSUFFICIENT_FUNDS' });
+
+    await provider.payout({ toAccount: accountNumber, productId: PRODUCT_ID, amount: 10000, reference: 'top-up' });
+    const retried = await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 5000, reference: 'ref-1' });
+
+    expect(retried.status).toBe('completed');
+    expect(retried.balanceAfter).toBe(6000);
+  });
+
+  test('거절된 지급은 캐시하지 않음', async () => {
+    const provider = bankService.createMockBankProvider({ products: [] });
+    const { accountNumber } = await provider.findAccount(1);
+
+    const declined = await provider.payout({ toAccount: accountNumber, productId: PRODUCT_ID, amount: 1000, reference: 'payout-1' });
+    expect(declined).toMatchObject({ status: 'declined', reason: 'PRODUCT_NOT_FOUND' });
+
+    const again = await provider.payout({ toAccount: 'unknown', productId: PRODUCT_ID, amount: 1000, reference: 'payout-1' });
+    expect(again).toMatchObject({ status: 'declined', reason: 'ACCOUNT_NOT_FOUND' });
+  });
+});
+
+describe('findTransferByReference', () => {
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('완료된 거래만 조회되고 거절된 요청은 null', async () => {
+    const provider = bankService.createMockBankProvider({ initialBalance: 1000 });
+    bankService.setBankProvider(provider);
+    const { accountNumber } = await provider.findAccount(1);
+
+    const completed = await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 1000, reference: 'ref-1' });
+    await provider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 1000, reference: 'ref-2' });
+
+    await expect(bankService.findTransferByReference('ref-1'))
+      .resolves.toEqual({ transactionId: completed.transactionId, balanceAfter: 0 });
+    await expect(bankService.findTransferByReference('ref-2')).resolves.toBeNull();
+  });
+});
+
+describe('transferToSavings', () => {
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('이체 거절은 422 BANK_TRANSFER_DECLINED 에러', async () => {
+    bankService.setBankProvider(bankService.createMockBankProvider({ initialBalance: 0 }));
+
+    await expect(bankService.transferToSavings({ customerId: 1, productId: PRODUCT_ID, amount: 1000, reference: 'ref-1' }))
+      .rejects.toMatchObject({ status: 422, code: 'BANK_TRANSFER_DECLINED', reason: 'INSUFFICIENT_FUNDS' });
+  });
+});
+
+describe('Mock 은행 API 서버', () => {
+  let server;
+  let provider;
+  let httpProvider;
+
+  beforeAll(async () => {
+    provider = bankService.createMockBankProvider({ initialBalance: 1000 });
+    server = createMockBankApp({ provider }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    httpProvider = bankService.createHttpBankProvider({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('거절된 이체를 캐시하지 않아 잔액을 채운 뒤 재시도하면 완료', async () => {
+    const { accountNumber } = await httpProvider.findAccount(2);
+
+    const declined = await httpProvider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 5000, reference: 'http-ref' });
+    expect(declined).toMatchObject({ status: 'declined', reason: 'INSUFFICIENT_FUNDS' });
+
+    const topUp = await httpProvider.payout({ toAccount: accountNumber, productId: PRODUCT_ID, amount: 10000, reference: 'http-top-up' });
+    expect(topUp.status).toBe('completed');
+
+    const retried = await httpProvider.transfer({ fromAccount: accountNumber, productId: PRODUCT_ID, amount: 5000, reference: 'http-ref' });
+    expect(retried).toMatchObject({ status: 'completed', balanceAfter: 6000 });
+  });
+
+  test('reference로 완료된 거래 조회 (없으면 null)', async () => {
+    const { accountNumber } = await httpProvider.findAccount(2);
+    const completed = await httpProvider.payout({ toAccount: accountNumber, productId: PRODUCT_ID, amount: 1000, reference: 'http-lookup' });
+
+    await expect(httpProvider.findTransfer('http-lookup')).resolves.toEqual(completed);
+    await expect(httpProvider.findTransfer('http-unknown')).resolves.toBeNull();
+  });
+});
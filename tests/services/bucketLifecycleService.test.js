@@ -0,0 +1,112 @@
+/**
+ * 적금통 상태 전이 서비스 테스트
+ * 
+ * 대상: 다음 상태 결정 우선순위, 완료(success) 전이/완료 후 해지시 완료 적금통 수 반영, 완료 상태에서만 업적 확인
+ */
+
+jest.mock('../../config/database', () => ({ pool: {}, withTransaction: jest.fn() }));
+jest.mock('../../models/bucketStatusModel');
+jest.mock('../../models/savingsBucketModel');
+jest.mock('../../models/userModel');
+jest.mock('../../services/achievementService', () => ({ checkAndRewardAchievements: jest.fn() }));
+
+const bucketStatusModel = require('../../models/bucketStatusModel');
+const userModel = require('../../models/userModel');
+const achievementService = require('../../services/achievementService');
+const bucketLifecycleService = require('../../services/bucketLifecycleService');
+
+const TODAY = '2026-10-19';
+
+const createBucket = (overrides = {}) => ({
+  id: 1,
+  user_id: 7,
+  status: 'in_progress',
+  current_amount: '50000',
+  target_amount: '100000',
+  target_date: '2026-12-31',
+  success_days: 0,
+  fail_days: 0,
+  saving_challenge_id: null,
+  ...overrides
+});
+
+describe('decideNextStatus', () => {
+  test('목표 금액을 달성하면 만기일이 지났어도 success', () => {
+    const bucket = createBucket({ current_amount: '100000', target_date: '2026-10-01', fail_days: 5 });
+    expect(bucketLifecycleService.decideNextStatus(bucket, TODAY)).toEqual({ status: 'success', reason: 'target_reached' });
+  });
+
+  test('실패 기간이 최소 횟수 이상이고 실패 비율이 절반을 넘으면 failed', () => {
+    const bucket = createBucket({ success_days: 2, fail_days: 3, target_date: '2026-10-01' });
+    expect(bucketLifecycleService.decideNextStatus(bucket, TODAY)).toEqual({ status: 'failed', reason: 'missed_periods' });
+  });
+
+  test('실패 기준에 못 미치면 실패로 보지 않음', () => {
+    expect(bucketLifecycleService.decideNextStatus(createBucket({ success_days: 0, fail_days: 2 }), TODAY)).toBeNull();
+    expect(bucketLifecycleService.decideNextStatus(createBucket({ success_days: 3, fail_days: 3 }), TODAY)).toBeNull();
+  });
+
+  test('목표 미달로 만기일이 지나면 matured', () => {
+    const bucket = createBucket({ target_date: '2026-10-18' });
+    expect(bucketLifecycleService.decideNextStatus(bucket, TODAY)).toEqual({ status: 'matured', reason: 'target_date_passed' });
+  });
+
+  test('만기일 당일까지는 상태 유지', () => {
+    expect(bucketLifecycleService.decideNextStatus(createBucket({ target_date: TODAY }), TODAY)).toBeNull();
+  });
+
+  test('종료 상태의 적금통은 다시 평가하지 않음', () => {
+    const bucket = createBucket({ status: 'matured', current_amount: '100000' });
+    expect(bucketLifecycleService.decideNextStatus(bucket, TODAY)).toBeNull();
+  });
+});
+
+describe('transitionBucket', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bucketStatusModel.updateBucketStatus.mockImplementation(async (client, bucketId, fromStatus, toStatus) => ({ id: bucketId, status: toStatus }));
+  });
+
+  test('success 전이시 완료 적금통 수 증가 (챌린지 적금통은 챌린지 성공 횟수도)', async () => {
+    await bucketLifecycleService.transitionBucket({}, createBucket({ saving_challenge_id: 2 }), 'success', 'target_reached');
+
+    expect(bucketStatusModel.adjustCompletedBucketCount).toHaveBeenCalledWith({}, 7, 1);
+    expect(bucketStatusModel.adjustChallengeSuccessCount).toHaveBeenCalledWith({}, 7, 1);
+  });
+
+  test('success 적금통을 해지하면 완료 적금통 수와 챌린지 성공 횟수를 되돌림', async () => {
+    await bucketLifecycleService.transitionBucket({}, createBucket({ status: 'success', saving_challenge_id: 2 }), 'cancelled', 'user_cancelled');
+
+    expect(bucketStatusModel.adjustCompletedBucketCount).toHaveBeenCalledWith({}, 7, -1);
+    expect(bucketStatusModel.adjustChallengeSuccessCount).toHaveBeenCalledWith({}, 7, -1);
+  });
+
+  test('종료된 적금통(matured)은 해지로 바꿀 수 없음', async () => {
+    await expect(bucketLifecycleService.transitionBucket({}, createBucket({ status: 'matured' }), 'cancelled', 'user_cancelled'))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('matured 전이는 완료로 세지 않음', async () => {
+    await bucketLifecycleService.transitionBucket({}, createBucket({ saving_challenge_id: 2 }), 'matured', 'target_date_passed');
+
+    expect(bucketStatusModel.adjustCompletedBucketCount).not.toHaveBeenCalled();
+    expect(bucketStatusModel.adjustChallengeSuccessCount).not.toHaveBeenCalled();
+  });
+});
+
+describe('runTransitionEffects', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userModel.findUserById.mockResolvedValue({ id: 7, email: 'student@example.ac.kr' });
+    achievementService.checkAndRewardAchievements.mockResolvedValue(['first_goal']);
+  });
+
+  test('success 전이만 업적 달성 확인', async () => {
+    const matured = await bucketLifecycleService.runTransitionEffects({ bucketId: 1, userId: 7, toStatus: 'matured' });
+    expect(matured).toEqual([]);
+    expect(achievementService.checkAndRewardAchievements).not.toHaveBeenCalled();
+
+    const success = await bucketLifecycleService.runTransitionEffects({ bucketId: 1, userId: 7, toStatus: 'success' });
+    expect(success).toEqual(['first_goal']);
+  });
+});
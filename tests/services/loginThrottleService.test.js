@@ -0,0 +1,86 @@
+/**
+ * 로그인 시도 제한 서비스 테스트
+ * 
+ * 대상: 잠금 반복시 2배씩 늘어나는 잠금 시간 (최대값 제한), 추적 대상 목록, 기준 횟수 초과시 잠금,
+ *       로그인 성공시 계정 기록만 초기화 (IP 실패/잠금 횟수 유지)
+ * DB 모델과 메일 발송은 모킹
+ */
+
+jest.mock('../../models/loginAttemptModel');
+jest.mock('../../services/mailService', () => ({ sendMail: jest.fn() }));
+
+const loginAttemptModel = require('../../models/loginAttemptModel');
+const mailService = require('../../services/mailService');
+const loginThrottleService = require('../../services/loginThrottleService');
+
+const POLICY = {
+  accountMaxFailures: 5,
+  ipMaxFailures: 20,
+  failureWindowSeconds: 900,
+  baseLockSeconds: 300,
+  maxLockSeconds: 3600,
+  lockResetSeconds: 86400
+};
+
+describe('getLockSeconds', () => {
+  test('첫 잠금은 기본 잠금 시간, 잠금이 반복될수록 2배씩 증가', () => {
+    expect(loginThrottleService.getLockSeconds(0, POLICY)).toBe(300);
+    expect(loginThrottleService.getLockSeconds(1, POLICY)).toBe(600);
+    expect(loginThrottleService.getLockSeconds(3, POLICY)).toBe(2400);
+  });
+
+  test('최대 잠금 시간을 넘지 않음', () => {
+    expect(loginThrottleService.getLockSeconds(4, POLICY)).toBe(3600);
+    expect(loginThrottleService.getLockSeconds(100, POLICY)).toBe(3600);
+  });
+});
+
+describe('getThrottleTargets', () => {
+  test('계정은 이메일을 정규화해 추적하고 IP가 있으면 IP도 추적', () => {
+    expect(loginThrottleService.getThrottleTargets(' Student@Example.ac.kr ', '10.0.0.1', POLICY)).toEqual([
+      { scope: 'account', identifier: 'student@example.ac.kr', maxFailures: 5 },
+      { scope: 'ip', identifier: '10.0.0.1', maxFailures: 20 }
+    ]);
+    expect(loginThrottleService.getThrottleTargets('student@example.ac.kr', null, POLICY)).toHaveLength(1);
+  });
+});
+
+describe('recordLoginFailure', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loginAttemptModel.recordFailure.mockImplementation(async (scope) => ({
+      failed_count: scope === 'account' ? 5 : 1,
+      lock_count: 2
+    }));
+    loginAttemptModel.lockIfExceeded.mockResolvedValue({ locked_until: new Date() });
+  });
+
+  test('기준 횟수에 도달하면 지금까지의 잠금 횟수만큼 늘어난 시간으로 잠그고 429', async () => {
+    await expect(loginThrottleService.recordLoginFailure('student@example.ac.kr', '10.0.0.1', { accountExists: true }))
+      .rejects.toMatchObject({ status: 429, retryAfter: 1200 });
+
+    expect(loginAttemptModel.lockIfExceeded).toHaveBeenCalledTimes(1);
+    expect(loginAttemptModel.lockIfExceeded).toHaveBeenCalledWith('account', 'student@example.ac.kr', 5, 1200);
+    expect(mailService.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.ac.kr' }));
+  });
+
+  test('가입되지 않은 계정은 잠가도 알림 메일을 보내지 않음', async () => {
+    await expect(loginThrottleService.recordLoginFailure('unknown@example.ac.kr', null))
+      .rejects.toMatchObject({ status: 429 });
+
+    expect(mailService.sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordLoginSuccess', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('계정 실패 기록만 초기화하고 IP 기록은 남김', async () => {
+    await loginThrottleService.recordLoginSuccess('Student@Example.ac.kr');
+
+    expect(loginAttemptModel.clearAttempt).toHaveBeenCalledTimes(1);
+    expect(loginAttemptModel.clearAttempt).toHaveBeenCalledWith('account', 'student@example.ac.kr');
+  });
+});
@@ -0,0 +1,637 @@
+/**
+ * 적금통 서비스 테스트
+ * 
+ * 대상: 적금통 생성 (자동이체 일정 함께 생성), 입금 처리 (이체 요청 기록 → 적금통 잠금 밖 은행 이체 → 원장 반영),
+ *       입금 요청 키 재시도, 결과를 모르는 은행 이체 대사,
+ *       KST 날짜 기준 가입 기간(개월), 중도해지 지급액 계산, 중도해지 (지급 요청 기록 → 적금통 잠금 밖 은행 지급 → 원장 반영/상태 전이),
+ *       만기 전 목표를 달성한 정기예금 중도해지, 오래 남은 입금 요청 대사 후 중도해지
+ * DB 모델은 모킹하고 은행은 Mock 은행 제공자를 사용
+ */
+
+jest.mock('../../config/database', () => ({ pool: {}, withTransaction: jest.fn() }));
+jest.mock('../../models/savingsBucketModel');
+jest.mock('../../models/savingsTransactionModel');
+jest.mock('../../models/bankTransferModel');
+jest.mock('../../models/savingProductModel');
+jest.mock('../../models/autoTransferModel');
+jest.mock('../../models/userModel');
+jest.mock('../../models/userMetricsModel');
+jest.mock('../../services/bucketLifecycleService', () => ({
+  applyLifecycle: jest.fn(),
+  runTransitionEffects: jest.fn(),
+  transitionBucket: jest.fn()
+}));
+
+const { withTransaction } = require('../../config/database');
+const savingsBucketModel = require('../../models/savingsBucketModel');
+const savingsTransactionModel = require('../../models/savingsTransactionModel');
+const bankTransferModel = require('../../models/bankTransferModel');
+const savingProductModel = require('../../models/savingProductModel');
+const autoTransferModel = require('../../models/autoTransferModel');
+const userModel = require('../../models/userModel');
+const bucketLifecycleService = require('../../services/bucketLifecycleService');
+const bankService = require('../../services/bankService');
+const savingsService = require('../../services/savingsService');
+const { SAVING_PRODUCTS } = require('../../config/savingProducts');
+const { getKstToday, addDays } = require('../../utils/kstDate');
+
+const BUCKET = {
+  id: 1,
+  user_id: 7,
+  saving_product_id: 'MOCK_PRODUCT_001',
+  status: 'in_progress',
+  current_amount: '0',
+  target_amount: '100000'
+};
+
+const toProductRow = (productId) => {
+  const product = SAVING_PRODUCTS.find(candidate => candidate.id === productId);
+  return {
+    id: product.id,
+    name: product.name,
+    product_type: product.productType,
+    interest_rate: String(product.interestRate),
+    min_term_months: product.minTermMonths,
+    max_term_months: product.maxTermMonths,
+    min_installment: String(product.minInstallment),
+    max_installment: String(product.maxInstallment),
+    eligibility: product.eligibility,
+    early_termination: product.earlyTermination,
+    is_active: true
+  };
+};
+
+describe('calculateTermMonths', () => {
+  test('만기 달에 가입일과 같은 날이 되어야 그 달을 채움', () => {
+    expect(savingsService.calculateTermMonths('2026-01-10', '2026-04-09')).toBe(2);
+    expect(savingsService.calculateTermMonths('2026-01-10', '2026-04-10')).toBe(3);
+    expect(savingsService.calculateTermMonths('2025-11-15', '2026-02-15')).toBe(3);
+  });
+
+  test('가입일이 만기 달에 없으면 말일에 그 달을 채움', () => {
+    expect(savingsService.calculateTermMonths('2026-01-31', '2026-02-27')).toBe(0);
+    expect(savingsService.calculateTermMonths('2026-01-31', '2026-02-28')).toBe(1);
+    expect(savingsService.calculateTermMonths('2026-03-31', '2026-04-30')).toBe(1);
+  });
+});
+
+describe('calculateEarlyTermination', () => {
+  const product = savingsService.toProductInfo(toProductRow('MOCK_PRODUCT_001'));
+  const bucket = { current_amount: '150000', created_at: '2026-01-10T03:00:00Z' };
+  const ledgerEntries = [
+    { type: 'deposit', amount: '100000', created_at: '2026-01-10T03:00:00Z' },
+    { type: 'deposit', amount: '50000', created_at: '2026-03-10T03:00:00Z' },
+    { type: 'interest', amount: '999', created_at: '2026-04-01T03:00:00Z' }
+  ];
+
+  test('유지 개월 수 구간의 중도해지 이율로 거래별 예치 일수만큼 단리 계산 (이자 거래 제외)', () => {
+    const result = savingsService.calculateEarlyTermination(bucket, product, ledgerEntries, '2026-05-20');
+
+    // 4개월 유지: 3개월 구간 비율 0.3 → 3.5% × 0.3 = 1.05%
+    // (100000원 × 130일 + 50000원 × 71일) × 1.05% / 365 = 476.09원 → 476원
+    expect(result).toEqual({
+      principal: 150000,
+      heldDays: 130,
+      heldMonths: 4,
+      interestRate: 3.5,
+      earlyTerminationRate: 1.05,
+      interest: 476,
+      payout: 150476
+    });
+  });
+
+  test('가입일과 유지 개월 수는 KST 날짜 기준 (KST 월말 밤에 가입)', () => {
+    // 2026-01-31 23:00 KST 가입 → 2026-02-28 해지: 1개월 유지
+    const monthEndBucket = { current_amount: '100000', created_at: '2026-01-31T14:00:00Z' };
+    const result = savingsService.calculateEarlyTermination(monthEndBucket, product, [], '2026-02-28');
+
+    expect(result).toMatchObject({ heldDays: 28, heldMonths: 1 });
+  });
+
+  test('상품 정보가 없으면 이자 없이 원금만 지급', () => {
+    const result = savingsService.calculateEarlyTermination(bucket, null, ledgerEntries, '2026-05-20');
+    expect(result).toMatchObject({ earlyTerminationRate: 0, interest: 0, payout: 150000 });
+  });
+
+  test('잔액이 없으면 이자 없음', () => {
+    const result = savingsService.calculateEarlyTermination({ ...bucket, current_amount: '0' }, product, [], '2026-05-20');
+    expect(result).toMatchObject({ principal: 0, interest: 0, payout: 0 });
+  });
+});
+
+describe('createSavings', () => {
+  const today = getKstToday();
+  const client = {};
+  const productRow = {
+    id: 'MOCK_PRODUCT_001',
+    name: '헤이영 정기적금',
+    product_type: '정기적금',
+    interest_rate: '3.50',
+    min_term_months: 0,
+    max_term_months: 24,
+    min_installment: '1000',
+    max_installment: '1000000',
+    eligibility: {},
+    is_active: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withTransaction.mockImplementation(async (callback) => callback(client));
+    userModel.findUserByEmail.mockResolvedValue({ id: 7, email: 'student@example.ac.kr' });
+    savingProductModel.findProductById.mockResolvedValue(productRow);
+    savingProductModel.countActiveBucketsByProduct.mockResolvedValue(0);
+    savingsBucketModel.createSavingsBucket.mockImplementation(async (data) => ({ id: 1, user_id: data.userId, current_amount: '0', target_amount: String(data.targetAmount) }));
+    autoTransferModel.createSchedule.mockImplementation(async (data) => ({ id: 3, bucket_id: data.bucketId, amount: String(data.amount), cycle: data.cycle, next_run_date: data.nextRunDate }));
+  });
+
+  test('자동이체 금액을 지정하면 적금통과 자동이체 일정을 같은 트랜잭션에서 생성', async () => {
+    const result = await savingsService.createSavings({
+      name: '여행 적금',
+      targetAmount: 100000,
+      targetDate: addDays(today, 60),
+      autoTransferAmount: 10000,
+      autoTransferCycle: 'daily'
+    }, 'student@example.ac.kr');
+
+    expect(withTransaction).toHaveBeenCalledTimes(1);
+    expect(savingsBucketModel.createSavingsBucket).toHaveBeenCalledWith(expect.objectContaining({ depositCycle: 'daily' }), client);
+    expect(autoTransferModel.createSchedule).toHaveBeenCalledWith(expect.objectContaining({
+      bucketId: 1,
+      amount: 10000,
+      cycle: 'daily',
+      nextRunDate: addDays(today, 1)
+    }), client);
+    expect(result.autoTransfer).toMatchObject({ id: 3, savingsId: 1, amount: 10000 });
+  });
+
+  test('만기일 전에 자동이체 실행일이 없으면 적금통을 만들지 않음', async () => {
+    await expect(savingsService.createSavings({
+      name: '여행 적금',
+      targetAmount: 100000,
+      targetDate: addDays(today, 3),
+      autoTransferAmount: 10000,
+      autoTransferCycle: 'weekly'
+    }, 'student@example.ac.kr')).rejects.toMatchObject({ status: 400 });
+
+    expect(withTransaction).not.toHaveBeenCalled();
+    expect(savingsBucketModel.createSavingsBucket).not.toHaveBeenCalled();
+  });
+
+  test('자동이체 금액이 없으면 일정을 만들지 않음', async () => {
+    const result = await savingsService.createSavings({
+      name: '여행 적금',
+      targetAmount: 100000,
+      targetDate: addDays(today, 60)
+    }, 'student@example.ac.kr');
+
+    expect(autoTransferModel.createSchedule).not.toHaveBeenCalled();
+    expect(result.autoTransfer).toBeNull();
+  });
+});
+
+describe('processDeposit', () => {
+  let inTransaction;
+  let bankCalls;
+
+  const useBank = (initialBalance) => {
+    const provider = bankService.createMockBankProvider({ initialBalance });
+    bankService.setBankProvider({
+      ...provider,
+      transfer: async (request) => {
+        bankCalls.push({ reference: request.reference, inTransaction });
+        return provider.transfer(request);
+      }
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inTransaction = false;
+    bankCalls = [];
+
+    withTransaction.mockImplementation(async (callback) => {
+      inTransaction = true;
+      try {
+        return await callback({});
+      } finally {
+        inTransaction = false;
+      }
+    });
+    savingsBucketModel.lockSavingsBucket.mockResolvedValue(BUCKET);
+    savingsBucketModel.getSavingsBucketById.mockResolvedValue(BUCKET);
+    bankTransferModel.lockTransferByReference.mockResolvedValue(null);
+    bankTransferModel.createTransfer.mockImplementation(async (client, data) => ({
+      id: 10,
+      bucket_id: data.bucketId,
+      amount: String(data.amount),
+      reference: data.reference,
+      memo: data.memo,
+      source: data.source,
+      status: 'pending'
+    }));
+    bankTransferModel.markTransferCompleted.mockImplementation(async (id, bankTransactionId) => ({
+      id,
+      bucket_id: BUCKET.id,
+      amount: '5000',
+      reference: 'ref-1',
+      memo: null,
+      source: 'manual',
+      status: 'completed',
+      bank_transaction_id: bankTransactionId
+    }));
+    savingsTransactionModel.findTransactionByExternalRef.mockResolvedValue(null);
+    savingsTransactionModel.createTransaction.mockImplementation(async (client, data) => ({
+      id: 100,
+      bucket_id: data.bucketId,
+      type: data.type,
+      amount: String(data.amount),
+      balance_after: String(data.balanceAfter),
+      external_ref: data.externalRef
+    }));
+    bucketLifecycleService.runTransitionEffects.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('이체 요청을 먼저 기록하고 은행 이체는 적금통 잠금 밖에서 요청', async () => {
+    useBank(10000);
+
+    const result = await savingsService.processDeposit(BUCKET.id, 5000, null, { reference: 'ref-1' });
+
+    expect(bankTransferModel.createTransfer).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      direction: 'deposit',
+      amount: 5000,
+      reference: 'ref-1'
+    }));
+    expect(bankCalls).toEqual([{ reference: 'ref-1', inTransaction: false }]);
+    expect(bankTransferModel.markTransferRecorded).toHaveBeenCalledWith(expect.anything(), 10, 100);
+    expect(result.transaction).toMatchObject({ amount: 5000, balanceAfter: 5000 });
+  });
+
+  test('이체 거절시 요청을 failed로 기록하고 원장에는 반영하지 않음', async () => {
+    useBank(0);
+
+    await expect(savingsService.processDeposit(BUCKET.id, 5000, null, { reference: 'ref-1' }))
+      .rejects.toMatchObject({ code: 'BANK_TRANSFER_DECLINED' });
+
+    expect(bankTransferModel.markTransferFailed).toHaveBeenCalledWith(10, expect.objectContaining({ declined: true }));
+    expect(savingsTransactionModel.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('원장 반영에 실패한 이체는 completed로 남고 같은 reference로 재시도하면 은행 재요청 없이 반영', async () => {
+    useBank(10000);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    savingsTransactionModel.createTransaction.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(savingsService.processDeposit(BUCKET.id, 5000, null, { reference: 'ref-1' }))
+      .rejects.toThrow('connection lost');
+    expect(bankTransferModel.markTransferRecorded).not.toHaveBeenCalled();
+
+    const completed = await bankTransferModel.markTransferCompleted.mock.results[0].value;
+    bankTransferModel.lockTransferByReference.mockResolvedValue(completed);
+
+    const result = await savingsService.processDeposit(BUCKET.id, 5000, null, { reference: 'ref-1' });
+
+    expect(bankCalls).toHaveLength(1);
+    expect(result.transaction.externalRef).toBe(completed.bank_transaction_id);
+    expect(bankTransferModel.markTransferRecorded).toHaveBeenCalledWith(expect.anything(), 10, 100);
+    console.error.mockRestore();
+  });
+
+  test('입금 요청 키는 적금통별 reference로 변환', () => {
+    expect(savingsService.toDepositReference(1, 'key-1')).toBe('deposit-1-key-1');
+  });
+
+  test('은행 응답 지연으로 pending에 남은 이체는 같은 요청 키로 재시도하면 한 번만 출금', async () => {
+    const provider = bankService.createMockBankProvider({ initialBalance: 10000 });
+    bankService.setBankProvider({
+      ...provider,
+      transfer: jest.fn(async (request) => {
+        const result = await provider.transfer(request);
+        bankCalls.push({ reference: request.reference, inTransaction });
+        return result;
+      })
+    });
+    // 은행은 이체를 처리했지만 응답이 늦게 도착
+    bankService.getBankProvider().transfer.mockImplementationOnce(async (request) => {
+      await provider.transfer(request);
+      throw Object.assign(new Error('은행 응답 시간이 초과되었습니다'), { status: 504, code: 'BANK_TIMEOUT' });
+    });
+    const reference = savingsService.toDepositReference(BUCKET.id, 'key-1');
+
+    await expect(savingsService.processDeposit(BUCKET.id, 5000, null, { reference }))
+      .rejects.toMatchObject({ code: 'BANK_TIMEOUT' });
+    expect(bankTransferModel.markTransferFailed).toHaveBeenCalledWith(10, expect.objectContaining({ declined: false }));
+
+    const pending = await bankTransferModel.createTransfer.mock.results[0].value;
+    bankTransferModel.lockTransferByReference.mockResolvedValue(pending);
+    await savingsService.processDeposit(BUCKET.id, 5000, null, { reference });
+
+    const { accountNumber } = await provider.findAccount(BUCKET.user_id);
+    expect((await provider.getBalance(accountNumber)).balance).toBe(5000);
+    expect(bankTransferModel.markTransferRecorded).toHaveBeenCalledWith(expect.anything(), 10, 100);
+  });
+
+  test('같은 요청 키로 다른 금액을 입금하면 409', async () => {
+    useBank(10000);
+    bankTransferModel.lockTransferByReference.mockResolvedValue({ id: 10, bucket_id: BUCKET.id, amount: '5000', status: 'pending' });
+
+    await expect(savingsService.processDeposit(BUCKET.id, 7000, null, { reference: 'ref-1' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(bankCalls).toHaveLength(0);
+  });
+});
+
+describe('reconcileBankTransfer', () => {
+  const pendingDeposit = {
+    id: 10,
+    bucket_id: BUCKET.id,
+    direction: 'deposit',
+    amount: '5000',
+    reference: 'deposit-1-key-1',
+    memo: null,
+    source: 'manual',
+    status: 'pending'
+  };
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withTransaction.mockImplementation(async (callback) => callback({}));
+    provider = bankService.createMockBankProvider({ initialBalance: 10000 });
+    bankService.setBankProvider(provider);
+
+    savingsBucketModel.lockSavingsBucket.mockResolvedValue(BUCKET);
+    savingsTransactionModel.findTransactionByExternalRef.mockResolvedValue(null);
+    savingsTransactionModel.createTransaction.mockImplementation(async (client, data) => ({
+      id: 100,
+      bucket_id: data.bucketId,
+      type: data.type,
+      amount: String(data.amount),
+      balance_after: String(data.balanceAfter),
+      external_ref: data.externalRef
+    }));
+    bankTransferModel.markTransferCompleted.mockImplementation(async (id, bankTransactionId) => ({
+      ...pendingDeposit,
+      status: 'completed',
+      bank_transaction_id: bankTransactionId
+    }));
+    bucketLifecycleService.runTransitionEffects.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('은행에서 완료된 pending 이체는 원장에 반영', async () => {
+    const { accountNumber } = await provider.findAccount(BUCKET.user_id);
+    const bankTransfer = await provider.transfer({ fromAccount: accountNumber, productId: BUCKET.saving_product_id, amount: 5000, reference: pendingDeposit.reference });
+
+    const result = await savingsService.reconcileBankTransfer(pendingDeposit);
+
+    expect(result).toEqual({ transferId: 10, status: 'recorded' });
+    expect(savingsTransactionModel.createTransaction).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      type: 'deposit',
+      amount: 5000,
+      externalRef: bankTransfer.transactionId
+    }));
+    expect(bankTransferModel.markTransferRecorded).toHaveBeenCalledWith(expect.anything(), 10, 100);
+  });
+
+  test('은행에 완료된 거래가 없는 pending 이체는 failed로 정리', async () => {
+    const result = await savingsService.reconcileBankTransfer(pendingDeposit);
+
+    expect(result).toEqual({ transferId: 10, status: 'failed' });
+    expect(bankTransferModel.markTransferFailed).toHaveBeenCalledWith(10, expect.objectContaining({ declined: true }));
+    expect(savingsTransactionModel.createTransaction).not.toHaveBeenCalled();
+  });
+
+  test('대사할 이체가 없으면 null, 대사 실패는 에러와 함께 결과 반환', async () => {
+    bankTransferModel.claimStaleTransfer.mockResolvedValueOnce(null);
+    await expect(savingsService.reconcileNextBankTransfer()).resolves.toBeNull();
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    bankTransferModel.claimStaleTransfer.mockResolvedValueOnce(pendingDeposit);
+    bankService.setBankProvider({ ...provider, findTransfer: async () => { throw new Error('connection reset'); } });
+
+    await expect(savingsService.reconcileNextBankTransfer())
+      .resolves.toEqual({ transferId: 10, status: 'pending', error: 'connection reset' });
+    expect(bankTransferModel.claimStaleTransfer).toHaveBeenCalledWith(600);
+    console.error.mockRestore();
+  });
+});
+
+describe('closeSavings', () => {
+  const today = getKstToday();
+  const createdAt = new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString();
+  const depositBucket = {
+    id: 2,
+    user_id: 7,
+    saving_product_id: 'MOCK_PRODUCT_003',
+    product_type: '정기예금',
+    status: 'success',
+    current_amount: '1000000',
+    target_amount: '1000000',
+    target_date: addDays(today, 300),
+    created_at: createdAt,
+    saving_challenge_id: null
+  };
+  let provider;
+  let payoutReferences;
+  let transfers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // 트랜잭션이 실패하면 지급 요청 저장소도 되돌림
+    withTransaction.mockImplementation(async (callback) => {
+      const snapshot = transfers.map(transfer => ({ ...transfer }));
+      try {
+        return await callback({});
+      } catch (error) {
+        transfers.splice(0, transfers.length, ...snapshot);
+        throw error;
+      }
+    });
+    provider = bankService.createMockBankProvider({ initialBalance: 0 });
+    payoutReferences = [];
+    bankService.setBankProvider({
+      ...provider,
+      payout: jest.fn(async (request) => {
+        payoutReferences.push(request.reference);
+        return provider.payout(request);
+      })
+    });
+
+    // saving_bank_transfer 테이블을 흉내내는 지급 요청 저장소
+    transfers = [];
+    const updateTransfer = (id, changes) => Object.assign(transfers.find(transfer => transfer.id === id), changes);
+    bankTransferModel.createTransfer.mockImplementation(async (client, data) => {
+      const transfer = {
+        id: transfers.length + 1,
+        bucket_id: data.bucketId,
+        direction: data.direction,
+        amount: String(data.amount),
+        reference: data.reference,
+        memo: data.memo,
+        source: data.source,
+        detail: data.detail,
+        status: 'pending'
+      };
+      transfers.push(transfer);
+      return { ...transfer };
+    });
+    bankTransferModel.findOpenTransfer.mockImplementation(async (client, bucketId, direction) => {
+      const open = transfers.find(transfer => transfer.direction === direction && ['pending', 'completed'].includes(transfer.status));
+      return open ? { ...open } : null;
+    });
+    bankTransferModel.countTransfers.mockImplementation(async (client, bucketId, direction) => {
+      return transfers.filter(transfer => transfer.direction === direction).length;
+    });
+    bankTransferModel.markTransferCompleted.mockImplementation(async (id, bankTransactionId) => {
+      return { ...updateTransfer(id, { status: 'completed', bank_transaction_id: bankTransactionId }) };
+    });
+    bankTransferModel.markTransferFailed.mockImplementation(async (id, { declined, error }) => {
+      return { ...updateTransfer(id, declined ? { status: 'failed', error } : { error }) };
+    });
+    bankTransferModel.markTransferRecorded.mockImplementation(async (client, id, ledgerTransactionId) => {
+      return { ...updateTransfer(id, { status: 'recorded', ledger_transaction_id: ledgerTransactionId }) };
+    });
+
+    savingsBucketModel.lockSavingsBucket.mockResolvedValue(depositBucket);
+    savingsBucketModel.getSavingsBucketById.mockResolvedValue(depositBucket);
+    savingProductModel.findProductById.mockResolvedValue(toProductRow('MOCK_PRODUCT_003'));
+    savingsTransactionModel.getLedgerEntries.mockResolvedValue([
+      { type: 'deposit', amount: '1000000', created_at: createdAt }
+    ]);
+    savingsTransactionModel.createTransaction.mockImplementation(async (client, data) => ({
+      id: 200,
+      bucket_id: data.bucketId,
+      type: data.type,
+      amount: String(data.amount),
+      balance_after: String(data.balanceAfter),
+      external_ref: data.externalRef
+    }));
+    bucketLifecycleService.transitionBucket.mockResolvedValue({ bucketId: 2, userId: 7, fromStatus: 'success', toStatus: 'cancelled' });
+    bucketLifecycleService.runTransitionEffects.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    bankService.setBankProvider(null);
+  });
+
+  test('가입 즉시 목표를 달성한 정기예금도 만기 전에는 중도해지', async () => {
+    const quote = await savingsService.getEarlyTerminationQuote(depositBucket.id);
+    expect(quote.interest).toBeGreaterThan(0);
+
+    const result = await savingsService.closeSavings(depositBucket.id);
+
+    expect(result.termination).toEqual(quote);
+    expect(bucketLifecycleService.transitionBucket).toHaveBeenCalledWith(expect.anything(), depositBucket, 'cancelled', 'user_cancelled');
+    expect(transfers).toEqual([expect.objectContaining({
+      direction: 'payout',
+      amount: String(quote.payout),
+      reference: 'savings-close-2-1',
+      detail: quote,
+      status: 'recorded'
+    })]);
+
+    const { accountNumber } = await provider.findAccount(depositBucket.user_id);
+    expect((await provider.getBalance(accountNumber)).balance).toBe(quote.payout);
+  });
+
+  test('만기일이 지난 success 적금통은 중도해지할 수 없음', async () => {
+    const matured = { ...depositBucket, target_date: addDays(today, -1) };
+    savingsBucketModel.getSavingsBucketById.mockResolvedValue(matured);
+    savingsBucketModel.lockSavingsBucket.mockResolvedValue(matured);
+
+    await expect(savingsService.getEarlyTerminationQuote(matured.id)).rejects.toMatchObject({ status: 409 });
+    await expect(savingsService.closeSavings(matured.id)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('은행 호출 전에 지급 요청을 pending으로 기록하고 적금통 잠금 밖에서 지급', async () => {
+    let inTransaction = false;
+    withTransaction.mockImplementation(async (callback) => {
+      inTransaction = true;
+      try {
+        return await callback({});
+      } finally {
+        inTransaction = false;
+      }
+    });
+    bankService.getBankProvider().payout.mockImplementation(async (request) => {
+      expect(inTransaction).toBe(false);
+      expect(transfers[0].status).toBe('pending');
+      return provider.payout(request);
+    });
+
+    await savingsService.closeSavings(depositBucket.id);
+
+    expect(transfers[0].status).toBe('recorded');
+  });
+
+  test('지급이 거절되면 failed로 남기고 다시 해지하면 새 reference로 지급', async () => {
+    bankService.getBankProvider().payout.mockImplementationOnce(async (request) => {
+      payoutReferences.push(request.reference);
+      return { status: 'declined', reason: 'ACCOUNT_FROZEN', message: '지급이 거절되었습니다' };
+    });
+
+    await expect(savingsService.closeSavings(depositBucket.id)).rejects.toMatchObject({ status: 422, code: 'BANK_PAYOUT_DECLINED' });
+    expect(transfers[0].status).toBe('failed');
+    expect(bucketLifecycleService.transitionBucket).not.toHaveBeenCalled();
+
+    await savingsService.closeSavings(depositBucket.id);
+
+    expect(payoutReferences).toEqual(['savings-close-2-1', 'savings-close-2-2']);
+    expect(transfers.map(transfer => transfer.status)).toEqual(['failed', 'recorded']);
+  });
+
+  test('원장 기록이 실패하면 지급 요청이 completed로 남고 다시 해지하면 은행 지급 없이 원장만 반영', async () => {
+    bucketLifecycleService.transitionBucket.mockRejectedValueOnce(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(savingsService.closeSavings(depositBucket.id)).rejects.toThrow('connection reset');
+    expect(transfers[0].status).toBe('completed');
+
+    const result = await savingsService.closeSavings(depositBucket.id);
+
+    expect(payoutReferences).toEqual(['savings-close-2-1']);
+    expect(transfers[0].status).toBe('recorded');
+    expect(result.transactions.find(entry => entry.type === 'withdrawal').externalRef).toBe(transfers[0].bank_transaction_id);
+    console.error.mockRestore();
+  });
+
+  test('처리 중인 입금이 있으면 해지할 수 없고, 해지 처리 중에는 입금할 수 없음', async () => {
+    transfers.push({ id: 1, bucket_id: 2, direction: 'deposit', amount: '5000', status: 'pending', updated_at: new Date().toISOString() });
+    await expect(savingsService.closeSavings(depositBucket.id)).rejects.toMatchObject({ status: 409 });
+
+    transfers[0] = { ...transfers[0], direction: 'payout' };
+    savingsBucketModel.lockSavingsBucket.mockResolvedValue({ ...depositBucket, status: 'in_progress' });
+    bankTransferModel.lockTransferByReference.mockResolvedValue(null);
+    await expect(savingsService.processDeposit(depositBucket.id, 100000, null, { reference: 'ref-1' })).rejects.toMatchObject({ status: 409 });
+    expect(transfers).toHaveLength(1);
+  });
+
+  test('결과를 모른 채 오래 남은 입금 요청은 은행에 조회하여 정리한 뒤 해지', async () => {
+    const staleAt = new Date(Date.now() - (savingsService.getStaleTransferSeconds() + 60) * 1000).toISOString();
+    transfers.push({
+      id: 1,
+      bucket_id: 2,
+      direction: 'deposit',
+      amount: '5000',
+      reference: 'deposit-2-key-1',
+      status: 'pending',
+      updated_at: staleAt
+    });
+
+    const result = await savingsService.closeSavings(depositBucket.id);
+
+    expect(transfers.map(transfer => [transfer.direction, transfer.status])).toEqual([
+      ['deposit', 'failed'],
+      ['payout', 'recorded']
+    ]);
+    expect(result.transactions.find(entry => entry.type === 'withdrawal')).toBeDefined();
+  });
+});
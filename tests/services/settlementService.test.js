@@ -0,0 +1,136 @@
+/**
+ * 일일 정산 서비스 테스트
+ * 
+ * 대상: 정산일에 끝나는 입금 기간 계산, 기간 판정 대상 (생성일이 속한 기간부터 만기일이 속한 기간까지, 전체 기간 수와 일치),
+ *       밀린 정산일 배치 실행 (오래 밀린 날짜도 건너뛰지 않음)
+ * 정산 모델과 상태 전이 서비스는 모킹
+ */
+
+jest.mock('../../config/database', () => ({ pool: {}, withTransaction: jest.fn() }));
+jest.mock('../../models/settlementModel');
+jest.mock('../../services/bucketLifecycleService');
+
+const settlementModel = require('../../models/settlementModel');
+const bucketLifecycleService = require('../../services/bucketLifecycleService');
+const settlementService = require('../../services/settlementService');
+const { addDays, countPeriods, getKstToday } = require('../../utils/kstDate');
+
+describe('getClosingPeriod', () => {
+  test('일 단위는 매일 정산일 하루가 한 기간', () => {
+    expect(settlementService.getClosingPeriod('daily', '2026-10-19')).toEqual({ periodStart: '2026-10-19', periodEnd: '2026-10-19' });
+  });
+
+  test('주 단위는 일요일 정산일에만 월요일부터의 기간이 끝남', () => {
+    expect(settlementService.getClosingPeriod('weekly', '2026-10-25')).toEqual({ periodStart: '2026-10-19', periodEnd: '2026-10-25' });
+    expect(settlementService.getClosingPeriod('weekly', '2026-10-24')).toBeNull();
+  });
+
+  test('월 단위는 말일 정산일에만 기간이 끝남 (2월/윤년 포함)', () => {
+    expect(settlementService.getClosingPeriod('monthly', '2026-10-31')).toEqual({ periodStart: '2026-10-01', periodEnd: '2026-10-31' });
+    expect(settlementService.getClosingPeriod('monthly', '2027-02-28')).toEqual({ periodStart: '2027-02-01', periodEnd: '2027-02-28' });
+    expect(settlementService.getClosingPeriod('monthly', '2028-02-28')).toBeNull();
+    expect(settlementService.getClosingPeriod('monthly', '2028-02-29')).toEqual({ periodStart: '2028-02-01', periodEnd: '2028-02-29' });
+  });
+});
+
+describe('isPeriodJudged', () => {
+  const bucket = { created_date: '2026-10-21', target_date: '2026-11-02' };
+
+  test('생성일이 속한 기간도 판정', () => {
+    expect(settlementService.isPeriodJudged(bucket, { periodStart: '2026-10-19', periodEnd: '2026-10-25' })).toBe(true);
+    expect(settlementService.isPeriodJudged(bucket, { periodStart: '2026-10-21', periodEnd: '2026-10-21' })).toBe(true);
+  });
+
+  test('생성 전에 끝난 기간과 만기일 이후 시작한 기간은 판정하지 않음', () => {
+    expect(settlementService.isPeriodJudged(bucket, { periodStart: '2026-10-20', periodEnd: '2026-10-20' })).toBe(false);
+    expect(settlementService.isPeriodJudged(bucket, { periodStart: '2026-11-03', periodEnd: '2026-11-03' })).toBe(false);
+  });
+
+  test.each(['daily', 'weekly', 'monthly'])('%s 주기에서 판정하는 기간 수가 전체 기간 수와 같음', (cycle) => {
+    const createdDate = '2026-10-21';
+    const targetDate = '2027-01-05';
+    let judged = 0;
+
+    for (let date = addDays(createdDate, -40); date <= addDays(targetDate, 40); date = addDays(date, 1)) {
+      const period = settlementService.getClosingPeriod(cycle, date);
+      if (period && settlementService.isPeriodJudged({ created_date: createdDate, target_date: targetDate }, period)) {
+        judged += 1;
+      }
+    }
+
+    expect(judged).toBe(countPeriods(cycle, createdDate, targetDate));
+  });
+});
+
+describe('getPendingSettlementDates', () => {
+  test('마지막 완료 정산일 다음 날부터 오래된 순으로 배치 크기만큼', () => {
+    expect(settlementService.getPendingSettlementDates('2026-10-01', '2026-10-19', 3))
+      .toEqual(['2026-10-02', '2026-10-03', '2026-10-04']);
+    expect(settlementService.getPendingSettlementDates('2026-10-17', '2026-10-19', 7))
+      .toEqual(['2026-10-18', '2026-10-19']);
+  });
+
+  test('완료 기록이 없으면 어제 하루, 이미 따라잡았으면 없음', () => {
+    expect(settlementService.getPendingSettlementDates(null, '2026-10-19', 7)).toEqual(['2026-10-19']);
+    expect(settlementService.getPendingSettlementDates('2026-10-19', '2026-10-19', 7)).toEqual([]);
+  });
+});
+
+describe('runPendingSettlements', () => {
+  const yesterday = addDays(getKstToday(), -1);
+  let lastCompletedDate;
+  let runs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    runs = new Map();
+    settlementModel.getLastCompletedDate.mockImplementation(async () => lastCompletedDate);
+    settlementModel.startRun.mockImplementation(async (settlementDate) => {
+      const run = { id: runs.size + 1, settlement_date: settlementDate, status: 'running' };
+      runs.set(run.id, run);
+      return run;
+    });
+    settlementModel.finishRun.mockImplementation(async (runId, { status }) => {
+      const run = { ...runs.get(runId), status };
+      if (status === 'completed' && (!lastCompletedDate || run.settlement_date > lastCompletedDate)) {
+        lastCompletedDate = run.settlement_date;
+      }
+      return run;
+    });
+    settlementModel.getBucketsToSettle.mockResolvedValue([]);
+    bucketLifecycleService.closeMaturedBuckets.mockResolvedValue({ errors: [] });
+  });
+
+  test('배치 크기보다 오래 밀린 날짜도 배치를 이어서 모두 정산', async () => {
+    lastCompletedDate = addDays(yesterday, -10);
+
+    const first = await settlementService.runPendingSettlements({ limit: 7 });
+    expect(first.runs[0].settlementDate).toBe(addDays(yesterday, -9));
+    expect(first.runs).toHaveLength(7);
+    expect(first.hasMore).toBe(true);
+
+    const second = await settlementService.runPendingSettlements({ limit: 7 });
+    expect(second.runs.map(run => run.settlementDate)).toEqual([addDays(yesterday, -2), addDays(yesterday, -1), yesterday]);
+    expect(second.hasMore).toBe(false);
+  });
+
+  test('배치 전체가 실패하면 같은 배치를 반복하지 않도록 다음 실행으로 넘김', async () => {
+    lastCompletedDate = addDays(yesterday, -10);
+    bucketLifecycleService.closeMaturedBuckets.mockResolvedValue({ errors: ['DB 오류'] });
+
+    const batch = await settlementService.runPendingSettlements({ limit: 7 });
+
+    expect(batch.runs.every(run => run.status === 'failed')).toBe(true);
+    expect(batch.hasMore).toBe(false);
+  });
+
+  test('다른 인스턴스가 실행 중인 날짜를 만나면 배치 중단', async () => {
+    lastCompletedDate = addDays(yesterday, -10);
+    settlementModel.startRun.mockResolvedValueOnce(null);
+
+    const batch = await settlementService.runPendingSettlements({ limit: 7 });
+
+    expect(batch).toEqual({ runs: [], hasMore: false });
+    expect(settlementModel.startRun).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * 토큰 인증 서비스 테스트
+ * 
+ * 대상: JWT 서명 키 조회 (운영 환경 기본 키 사용 금지), 액세스 토큰 발급/검증
+ */
+
+const tokenService = require('../../services/tokenService');
+
+describe('tokenService', () => {
+  const originalEnv = { JWT_SECRET: process.env.JWT_SECRET, NODE_ENV: process.env.NODE_ENV };
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  describe('getTokenSecret', () => {
+    test('JWT_SECRET이 있으면 그대로 사용', () => {
+      process.env.JWT_SECRET = 'configured-secret';
+      process.env.NODE_ENV = 'production';
+
+      expect(tokenService.getTokenSecret()).toBe('configured-secret');
+    });
+
+    test('운영 환경에서 JWT_SECRET이 없으면 에러', () => {
+      delete process.env.JWT_SECRET;
+      process.env.NODE_ENV = 'production';
+
+      expect(() => tokenService.getTokenSecret()).toThrow('JWT_SECRET');
+      expect(() => tokenService.getTokenPolicy()).toThrow('JWT_SECRET');
+    });
+
+    test('개발 환경에서는 개발용 기본 키 사용', () => {
+      delete process.env.JWT_SECRET;
+      process.env.NODE_ENV = 'development';
+
+      expect(tokenService.getTokenSecret()).toBe('dev-jwt-secret');
+    });
+  });
+
+  test('다른 키로 서명한 액세스 토큰은 거부', () => {
+    process.env.JWT_SECRET = 'configured-secret';
+    const accessToken = tokenService.signAccessToken({ id: 7, email: 'student@example.ac.kr' });
+    expect(tokenService.verifyAccessToken(accessToken).email).toBe('student@example.ac.kr');
+
+    process.env.JWT_SECRET = 'other-secret';
+    expect(() => tokenService.verifyAccessToken(accessToken)).toThrow('유효하지 않은 토큰입니다');
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * KST 날짜 유틸리티 테스트
+ * 
+ * 대상: 입금 주기별 기간 수 계산 (시작일과 종료일이 속한 기간 포함)
+ */
+
+const { countPeriods } = require('../../utils/kstDate');
+
+describe('countPeriods', () => {
+  test('일 단위는 시작일과 종료일 포함 일수', () => {
+    expect(countPeriods('daily', '2026-10-19', '2026-10-19')).toBe(1);
+    expect(countPeriods('daily', '2026-10-19', '2026-11-18')).toBe(31);
+  });
+
+  test('주 단위는 월요일 시작 주 기준으로 시작 주와 종료 주 포함', () => {
+    // 2026-10-21(수) ~ 2026-11-02(월): 10/19주, 10/26주, 11/2주
+    expect(countPeriods('weekly', '2026-10-21', '2026-11-02')).toBe(3);
+    expect(countPeriods('weekly', '2026-10-19', '2026-10-25')).toBe(1);
+  });
+
+  test('월 단위는 시작 달과 종료 달 포함 (연도 넘김)', () => {
+    expect(countPeriods('monthly', '2026-10-31', '2027-01-01')).toBe(4);
+    expect(countPeriods('monthly', '2026-10-01', '2026-10-31')).toBe(1);
+  });
+
+  test('종료일이 시작일보다 앞서면 0', () => {
+    expect(countPeriods('daily', '2026-10-19', '2026-10-18')).toBe(0);
+    expect(countPeriods('monthly', '2026-10-19', '2026-09-30')).toBe(0);
+  });
+});
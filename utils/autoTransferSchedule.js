@@ -0,0 +1,91 @@
+/**
+ * 자동이체 일정 유틸리티 - 순수 함수 모음
+ * 
+ * 기능: 자동이체 설정 정리, 다음 실행일 계산(만기일 이후면 종료), 응답 변환
+ * 특징: 적금통 생성(savingsService)과 자동이체 설정(autoTransferService)에서 함께 사용
+ */
+
+const { addDays, getDayOfWeek, getDayOfMonth, getMonthDay, toDateString } = require('./kstDate');
+
+/**
+ * 다음 실행일 계산 함수 (순수 함수)
+ * 월 단위는 지정일이 없는 달(31일 등)이면 말일에 실행
+ * 
+ * @param {Object} schedule - { cycle, dayOfWeek, dayOfMonth }
+ * @param {string} fromDate - 기준일 (YYYY-MM-DD, 이 날짜 포함)
+ * @returns {string} 기준일 이후 첫 실행일 (YYYY-MM-DD)
+ */
+const findNextRunDate = ({ cycle, dayOfWeek, dayOfMonth }, fromDate) => {
+  if (cycle === 'weekly') {
+    return addDays(fromDate, (dayOfWeek - getDayOfWeek(fromDate) + 7) % 7);
+  }
+
+  if (cycle === 'monthly') {
+    const [year, month] = fromDate.split('-').map(Number);
+    const candidate = getMonthDay(year, month - 1, dayOfMonth);
+    return candidate >= fromDate ? candidate : getMonthDay(year, month, dayOfMonth);
+  }
+
+  return fromDate;
+};
+
+/**
+ * 다음 실행일과 상태 계산 함수 (순수 함수, 만기일을 넘으면 종료)
+ * 
+ * @param {Object} config - { cycle, dayOfWeek, dayOfMonth }
+ * @param {Object} bucket - 적금통 정보 (target_date)
+ * @param {string} fromDate - 기준일 (YYYY-MM-DD, 이 날짜 포함)
+ * @returns {Object} { nextRunDate, status }
+ */
+const planNextRun = (config, bucket, fromDate) => {
+  const nextRunDate = findNextRunDate(config, fromDate);
+  return nextRunDate > toDateString(bucket.target_date)
+    ? { nextRunDate: null, status: 'ended' }
+    : { nextRunDate, status: 'active' };
+};
+
+/**
+ * 자동이체 설정 정리 함수 (순수 함수)
+ * 요일/일을 지정하지 않으면 기준일의 요일/일 사용
+ * 
+ * @param {Object} input - { amount, cycle, dayOfWeek, dayOfMonth }
+ * @param {string} today - 기준일 (YYYY-MM-DD)
+ * @returns {Object} { amount, cycle, dayOfWeek, dayOfMonth }
+ */
+const normalizeScheduleInput = ({ amount, cycle, dayOfWeek, dayOfMonth }, today) => {
+  return {
+    amount,
+    cycle,
+    dayOfWeek: cycle === 'weekly' ? (dayOfWeek ?? getDayOfWeek(today)) : null,
+    dayOfMonth: cycle === 'monthly' ? (dayOfMonth ?? getDayOfMonth(today)) : null
+  };
+};
+
+/**
+ * 자동이체 일정 응답 변환 함수 (순수 함수)
+ * 
+ * @param {Object} row - saving_auto_transfer 레코드
+ * @returns {Object} 클라이언트 응답용 자동이체 정보
+ */
+const toAutoTransferInfo = (row) => {
+  return {
+    id: row.id,
+    savingsId: row.bucket_id,
+    amount: Number(row.amount),
+    cycle: row.cycle,
+    dayOfWeek: row.day_of_week,
+    dayOfMonth: row.day_of_month,
+    status: row.status,
+    nextRunDate: toDateString(row.next_run_date),
+    retryCount: row.retry_count,
+    lastRunAt: row.last_run_at,
+    lastError: row.last_error
+  };
+};
+
+module.exports = {
+  findNextRunDate,
+  normalizeScheduleInput,
+  planNextRun,
+  toAutoTransferInfo
+};
@@ -0,0 +1,179 @@
+/**
+ * 한국 표준시(KST) 날짜 유틸리티 - 순수 함수 모음
+ * 
+ * 기능: KST 기준 오늘 날짜, 날짜 문자열(YYYY-MM-DD) 계산, 입금 주기별 기간(일/주/월) 계산
+ * 특징: 서버 시간대와 관계없이 UTC+9 기준으로 계산하고, 날짜는 시간 없는 문자열로 다룸
+ */
+
+// KST는 일광 절약 시간 없이 항상 UTC+9
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 날짜 문자열을 UTC 자정 Date로 변환 (내부 계산용)
+ * 
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {Date} 해당 날짜 UTC 자정
+ */
+const parseDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+
+/**
+ * Date를 날짜 문자열로 변환 (UTC 기준 날짜 부분)
+ * 
+ * @param {Date} date - 변환할 Date
+ * @returns {string} YYYY-MM-DD
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * KST 기준 오늘 날짜
+ * 
+ * @param {Date} now - 기준 시각 (기본: 현재)
+ * @returns {string} YYYY-MM-DD
+ */
+const getKstToday = (now = new Date()) => formatDate(new Date(now.getTime() + KST_OFFSET_MS));
+
+/**
+ * 날짜에 일수 더하기
+ * 
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - 더할 일수 (음수 가능)
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (dateString, days) => formatDate(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+
+/**
+ * 두 날짜 사이 일수
+ * 
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {number} toDate - fromDate (일)
+ */
+const diffDays = (fromDate, toDate) => Math.round((parseDate(toDate) - parseDate(fromDate)) / DAY_MS);
+
+/**
+ * 요일 조회
+ * 
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {number} 0(일) ~ 6(토)
+ */
+const getDayOfWeek = (dateString) => parseDate(dateString).getUTCDay();
+
+/**
+ * 월의 일 조회
+ * 
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {number} 1 ~ 31
+ */
+const getDayOfMonth = (dateString) => parseDate(dateString).getUTCDate();
+
+/**
+ * 해당 월의 특정 일 날짜 (월말을 넘으면 말일)
+ * 
+ * @param {number} year - 연도
+ * @param {number} monthIndex - 월 (0 ~ 11, 범위를 넘으면 연도 이월)
+ * @param {number} day - 일 (1 ~ 31)
+ * @returns {string} YYYY-MM-DD
+ */
+const getMonthDay = (year, monthIndex, day) => {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))));
+};
+
+/**
+ * 다음 KST 자정까지 남은 시간
+ * 
+ * @param {Date} now - 기준 시각 (기본: 현재)
+ * @returns {number} 남은 시간 (ms)
+ */
+const getMsUntilNextKstMidnight = (now = new Date()) => {
+  const nextMidnightUtc = parseDate(addDays(getKstToday(now), 1)).getTime() - KST_OFFSET_MS;
+  return nextMidnightUtc - now.getTime();
+};
+
+/**
+ * 입금 주기 기간의 시작일 (weekly: 월요일, monthly: 1일)
+ * 
+ * @param {string} cycle - 'daily' | 'weekly' | 'monthly'
+ * @param {string} dateString - 기간에 포함된 날짜 (YYYY-MM-DD)
+ * @returns {string} 기간 시작일 (YYYY-MM-DD)
+ */
+const getPeriodStart = (cycle, dateString) => {
+  if (cycle === 'weekly') {
+    return addDays(dateString, -((getDayOfWeek(dateString) + 6) % 7));
+  }
+  if (cycle === 'monthly') {
+    return `${dateString.slice(0, 7)}-01`;
+  }
+  return dateString;
+};
+
+/**
+ * 입금 주기 기간의 종료일 (weekly: 일요일, monthly: 말일)
+ * 
+ * @param {string} cycle - 'daily' | 'weekly' | 'monthly'
+ * @param {string} dateString - 기간에 포함된 날짜 (YYYY-MM-DD)
+ * @returns {string} 기간 종료일 (YYYY-MM-DD)
+ */
+const getPeriodEnd = (cycle, dateString) => {
+  if (cycle === 'weekly') {
+    return addDays(getPeriodStart(cycle, dateString), 6);
+  }
+  if (cycle === 'monthly') {
+    const [year, month] = dateString.split('-').map(Number);
+    return getMonthDay(year, month - 1, 31);
+  }
+  return dateString;
+};
+
+/**
+ * 두 날짜 사이 입금 주기 기간 수 (시작일과 종료일이 속한 기간 포함)
+ * 
+ * @param {string} cycle - 'daily' | 'weekly' | 'monthly'
+ * @param {string} startDate - 시작일 (YYYY-MM-DD)
+ * @param {string} endDate - 종료일 (YYYY-MM-DD)
+ * @returns {number} 기간 수 (종료일이 시작일보다 앞서면 0)
+ */
+const countPeriods = (cycle, startDate, endDate) => {
+  if (endDate < startDate) return 0;
+
+  if (cycle === 'weekly') {
+    return diffDays(getPeriodStart(cycle, startDate), getPeriodStart(cycle, endDate)) / 7 + 1;
+  }
+  if (cycle === 'monthly') {
+    const [startYear, startMonth] = startDate.split('-').map(Number);
+    const [endYear, endMonth] = endDate.split('-').map(Number);
+    return (endYear - startYear) * 12 + (endMonth - startMonth) + 1;
+  }
+  return diffDays(startDate, endDate) + 1;
+};
+
+/**
+ * DB DATE 값(Date 또는 문자열)을 날짜 문자열로 변환
+ * pg는 DATE를 서버 시간대 자정 Date로 돌려주므로 로컬 날짜 부분을 사용
+ * 
+ * @param {Date|string} value - DB DATE 값
+ * @returns {string|null} YYYY-MM-DD 또는 null
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+module.exports = {
+  getKstToday,
+  addDays,
+  diffDays,
+  getDayOfWeek,
+  getDayOfMonth,
+  getMonthDay,
+  getMsUntilNextKstMidnight,
+  getPeriodStart,
+  getPeriodEnd,
+  countPeriods,
+  toDateString
+};